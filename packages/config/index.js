@@ -56,6 +56,11 @@ const envSchema = z
       .url("MONGODB_PAYMENT_URI must be a valid URL")
       .optional()
       .or(z.literal("")),
+    MONGODB_SECKILL_URI: z
+      .string()
+      .url("MONGODB_SECKILL_URI must be a valid URL")
+      .optional()
+      .or(z.literal("")),
 
     // JWT - Must be at least 32 characters for security
     JWT_SECRET: z
@@ -176,6 +181,7 @@ function loadConfig() {
           product: validatedEnv.MONGODB_PRODUCT_URI,
           inventory: validatedEnv.MONGODB_INVENTORY_URI,
           payment: validatedEnv.MONGODB_PAYMENT_URI,
+          seckill: validatedEnv.MONGODB_SECKILL_URI,
         };
         const baseUri =
           uriMap[serviceName] ||
@@ -43,5 +43,7 @@ module.exports = {
   proxy: {
     timeout: parseInt(process.env.PROXY_TIMEOUT) || 10000,
     proxyTimeout: parseInt(process.env.PROXY_TIMEOUT) || 10000,
+    // Long-polling routes (e.g. /orders/by-correlation/:id?wait=), above the upstream max wait
+    longPollTimeout: parseInt(process.env.LONG_POLL_PROXY_TIMEOUT) || 35000,
   },
 };
@@ -268,7 +268,13 @@ app.use('/auth/login', authLimiter);
 app.use('/auth/register', authLimiter);
 
 // Route requests to the auth service
-app.use("/auth", circuitBreakerMiddleware('auth'), (req, res) => {
+// GET /auth/users/:id and /auth/addresses require authentication (X-User-ID / X-User-Role set after JWT verification)
+app.use("/auth", circuitBreakerMiddleware('auth'), (req, res, next) => {
+  if (req.path.startsWith('/users') || req.path.startsWith('/addresses')) {
+    return conditionalAuth(req, res, next);
+  }
+  next();
+}, (req, res) => {
   logger.info(
     { path: req.path, method: req.method },
     "Routing to auth service"
@@ -313,6 +319,47 @@ app.use("/products", circuitBreakerMiddleware('product'), (req, res, next) => {
   });
 });
 
+// ============================================
+// ORDER STATUS STREAM (Server-Sent Events, requires authentication)
+// Long-lived connection: no proxy timeouts, must be before /orders
+// ============================================
+app.use("/orders/stream", circuitBreakerMiddleware('order'), conditionalAuth, (req, res) => {
+  logger.info(
+    { path: req.path, method: req.method },
+    "Routing to order service (status stream)"
+  );
+  let suffix = "";
+  if (req.url === "/") {
+    suffix = "";
+  } else if (req.url.startsWith("/?")) {
+    suffix = `?${req.url.slice(2)}`;
+  } else {
+    suffix = req.url;
+  }
+  req.url = `/api/orders/stream${suffix}`;
+  req.proxyTarget = 'order';
+  proxy.web(req, res, {
+    target: config.orderServiceUrl,
+  });
+});
+
+// ============================================
+// SECKILL ORDER LOOKUP (long polling with ?wait=, requires authentication)
+// ============================================
+app.use("/orders/by-correlation", circuitBreakerMiddleware('order'), conditionalAuth, (req, res) => {
+  logger.info(
+    { path: req.path, method: req.method },
+    "Routing to order service (lookup by correlationId)"
+  );
+  req.url = `/api/orders/by-correlation${req.url}`;
+  req.proxyTarget = 'order';
+  proxy.web(req, res, {
+    target: config.orderServiceUrl,
+    timeout: config.proxy.longPollTimeout,
+    proxyTimeout: config.proxy.longPollTimeout,
+  });
+});
+
 // ============================================
 // ORDER SERVICE ROUTES (Requires authentication)
 // ============================================
@@ -338,6 +385,31 @@ app.use("/orders", circuitBreakerMiddleware('order'), conditionalAuth, (req, res
   });
 });
 
+// ============================================
+// CART ROUTES (Order Service, requires authentication)
+// ============================================
+app.use("/cart", circuitBreakerMiddleware('order'), conditionalAuth, (req, res) => {
+  logger.info(
+    { path: req.path, method: req.method },
+    "Routing to order service (cart)"
+  );
+  let suffix = "";
+  if (req.url === "/") {
+    suffix = "";
+  } else if (req.url.startsWith("/?")) {
+    suffix = `?${req.url.slice(2)}`;
+  } else {
+    suffix = req.url;
+  }
+  req.url = `/api/cart${suffix}`;
+  req.proxyTarget = 'order';
+  proxy.web(req, res, { 
+    target: config.orderServiceUrl,
+    timeout: config.proxy.timeout,
+    proxyTimeout: config.proxy.proxyTimeout,
+  });
+});
+
 // ============================================
 // INVENTORY SERVICE ROUTES (Fixed: Using config instead of hardcoded URL)
 // ============================================
@@ -394,6 +466,7 @@ app.use("/payments", circuitBreakerMiddleware('payment'), conditionalAuth, (req,
 // ============================================
 // POST /seckill/buy requires authentication (X-User-ID header set after JWT verification)
 // GET /seckill/status/:productId is public
+// /seckill/queue/* (waiting room) requires authentication
 // Admin routes (/admin/seckill/*) require X-Admin-Key header (handled by seckill service)
 app.use("/seckill", circuitBreakerMiddleware('seckill'), (req, res, next) => {
   // GET /status is public
@@ -404,6 +477,10 @@ app.use("/seckill", circuitBreakerMiddleware('seckill'), (req, res, next) => {
   if (req.method === 'POST' && req.path === '/buy') {
     return conditionalAuth(req, res, next);
   }
+  // Waiting room routes require authentication
+  if (req.path.startsWith('/queue')) {
+    return conditionalAuth(req, res, next);
+  }
   // Other routes pass through (admin routes handled by seckill service)
   next();
 }, (req, res) => {
@@ -411,6 +488,8 @@ app.use("/seckill", circuitBreakerMiddleware('seckill'), (req, res, next) => {
     { path: req.path, method: req.method, originalUrl: req.originalUrl },
     "Routing to seckill service"
   );
+  // Client IP for seckill risk checks (overrides any client-supplied value)
+  req.headers['x-client-ip'] = getClientIp(req);
   // Restore full path for seckill service (Express strips the mount path)
   req.url = `/seckill${req.url}`;
   req.proxyTarget = 'seckill';
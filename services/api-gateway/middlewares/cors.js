@@ -26,6 +26,7 @@ const defaultOptions = {
     'Origin',
     'X-Request-ID',
     'X-Correlation-ID',
+    'Idempotency-Key',
   ],
   
   // Headers exposed to the client
@@ -35,6 +36,7 @@ const defaultOptions = {
     'X-RateLimit-Reset',
     'X-Request-ID',
     'X-Response-Time',
+    'Idempotent-Replayed',
   ],
   
   // Allow credentials (cookies, authorization headers)
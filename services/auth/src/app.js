@@ -3,6 +3,7 @@ const mongoose = require("mongoose");
 const config = require("./config");
 const authMiddleware = require("./middlewares/authMiddleware");
 const AuthController = require("./controllers/authController");
+const AddressController = require("./controllers/addressController");
 const logger = require("@ecommerce/logger");
 const { metricsMiddleware, metricsHandler } = require("@ecommerce/metrics");
 
@@ -10,6 +11,7 @@ class App {
   constructor() {
     this.app = express();
     this.authController = new AuthController();
+    this.addressController = new AddressController();
     this.connectDB();
     this.setMiddlewares();
     this.setRoutes();
@@ -43,6 +45,15 @@ class App {
     this.app.post("/login", (req, res) => this.authController.login(req, res));
     this.app.post("/register", (req, res) => this.authController.register(req, res));
     this.app.get("/dashboard", authMiddleware, (req, res) => res.json({ message: "Welcome to dashboard" }));
+    this.app.get("/users/:id", authMiddleware, (req, res) => this.authController.getUser(req, res));
+
+    // Address book of the authenticated user
+    this.app.get("/addresses", authMiddleware, (req, res) => this.addressController.list(req, res));
+    this.app.post("/addresses", authMiddleware, (req, res) => this.addressController.create(req, res));
+    this.app.get("/addresses/:id", authMiddleware, (req, res) => this.addressController.get(req, res));
+    this.app.put("/addresses/:id", authMiddleware, (req, res) => this.addressController.update(req, res));
+    this.app.post("/addresses/:id/default", authMiddleware, (req, res) => this.addressController.setDefault(req, res));
+    this.app.delete("/addresses/:id", authMiddleware, (req, res) => this.addressController.remove(req, res));
   }
 
   start() {
@@ -4,4 +4,6 @@ module.exports = {
   mongoURI: sharedConfig.getMongoURI('auth'),
   jwtSecret: sharedConfig.JWT_SECRET,
   port: sharedConfig.getPort(3000),
+  // Address book size limit per user
+  maxAddressesPerUser: parseInt(process.env.MAX_ADDRESSES_PER_USER, 10) || 20,
 };
@@ -0,0 +1,80 @@
+const AddressService = require("../services/addressService");
+const logger = require("@ecommerce/logger");
+
+// HTTP status of refused address book actions (see createAddressError in addressService)
+const ADDRESS_ERROR_STATUS = {
+  INVALID_ADDRESS: 400,
+  ADDRESS_NOT_FOUND: 404,
+  ADDRESS_LIMIT_REACHED: 409,
+};
+
+/**
+ * Class to encapsulate the logic for the address book routes (/addresses)
+ * Every route works on the address book of the authenticated user.
+ */
+class AddressController {
+  constructor() {
+    this.addressService = new AddressService();
+  }
+
+  async list(req, res) {
+    try {
+      res.json({ addresses: await this.addressService.listAddresses(req.user.userId) });
+    } catch (err) {
+      this._handleError(res, err, "list", req.user.userId);
+    }
+  }
+
+  async get(req, res) {
+    try {
+      res.json(await this.addressService.getAddress(req.user.userId, req.params.id));
+    } catch (err) {
+      this._handleError(res, err, "get", req.user.userId);
+    }
+  }
+
+  async create(req, res) {
+    try {
+      res.status(201).json(await this.addressService.createAddress(req.user.userId, req.body || {}));
+    } catch (err) {
+      this._handleError(res, err, "create", req.user.userId);
+    }
+  }
+
+  async update(req, res) {
+    try {
+      res.json(await this.addressService.updateAddress(req.user.userId, req.params.id, req.body || {}));
+    } catch (err) {
+      this._handleError(res, err, "update", req.user.userId);
+    }
+  }
+
+  async setDefault(req, res) {
+    try {
+      res.json(await this.addressService.setDefaultAddress(req.user.userId, req.params.id));
+    } catch (err) {
+      this._handleError(res, err, "setDefault", req.user.userId);
+    }
+  }
+
+  async remove(req, res) {
+    try {
+      await this.addressService.deleteAddress(req.user.userId, req.params.id);
+      res.status(204).end();
+    } catch (err) {
+      this._handleError(res, err, "delete", req.user.userId);
+    }
+  }
+
+  _handleError(res, err, operation, userId) {
+    const status = ADDRESS_ERROR_STATUS[err.code];
+    if (status) {
+      return res.status(status).json({ message: err.message, code: err.code });
+    }
+
+    logger.error({ error: err.message, userId, operation }, "Address book operation failed");
+    res.status(500).json({ message: "Server error" });
+  }
+}
+
+module.exports = AddressController;
@@ -46,6 +46,30 @@ class AuthController {
     }
   }
 
+  /**
+   * GET /users/:id
+   * Public account info (id, username, createdAt) for the user themself,
+   * admins and internal services (seckill risk checks use createdAt as account age)
+   */
+  async getUser(req, res) {
+    const { id } = req.params;
+
+    if (req.user.userId !== id && req.user.role !== "admin") {
+      return res.status(403).json({ message: "Forbidden" });
+    }
+
+    try {
+      const user = await this.authService.getUserById(id);
+      if (!user) {
+        return res.status(404).json({ message: "User not found" });
+      }
+      res.json(user);
+    } catch (err) {
+      logger.error({ error: err.message, userId: id }, "Failed to fetch user");
+      res.status(500).json({ message: "Server error" });
+    }
+  }
+
   async getProfile(req, res) {
     const userId = req.user.id;
 
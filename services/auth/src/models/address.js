@@ -0,0 +1,75 @@
+const mongoose = require("mongoose");
+
+/**
+ * Saved delivery address of a user (address book)
+ * Validation rules match the shipping address the Order Service accepts,
+ * so an address from the book can always be snapshotted onto an order.
+ */
+const AddressSchema = new mongoose.Schema({
+  userId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  label: {
+    type: String,
+    trim: true,
+    maxlength: 50
+  },
+  recipient: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  phone: {
+    type: String,
+    trim: true,
+    match: [/^\+?[0-9 ()-]{6,20}$/, "phone must be 6-20 digits"]
+  },
+  line1: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  line2: {
+    type: String,
+    trim: true,
+    maxlength: 200
+  },
+  city: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  // State/province code (e.g. "CA"), used with country for tax rules
+  region: {
+    type: String,
+    trim: true,
+    uppercase: true,
+    maxlength: 50
+  },
+  postalCode: {
+    type: String,
+    trim: true,
+    maxlength: 20
+  },
+  // ISO 3166-1 alpha-2
+  country: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z]{2}$/, "country must be a 2-letter ISO 3166 code"]
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model("Address", AddressSchema);
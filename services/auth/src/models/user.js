@@ -9,6 +9,10 @@ const UserSchema = new mongoose.Schema({
     type: String,
     required: true
   }
+}, {
+  // createdAt is used as account age by seckill risk checks
+  // (users created before timestamps were enabled fall back to their ObjectId time)
+  timestamps: true
 });
 
 module.exports = mongoose.model("User", UserSchema);
\ No newline at end of file
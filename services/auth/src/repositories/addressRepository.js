@@ -0,0 +1,40 @@
+const Address = require("../models/address");
+
+/**
+ * Class to encapsulate the logic for the address repository
+ */
+class AddressRepository {
+  async create(address) {
+    return await Address.create(address);
+  }
+
+  async findByUser(userId) {
+    return await Address.find({ userId }).sort({ isDefault: -1, createdAt: -1 });
+  }
+
+  async findByIdForUser(id, userId) {
+    return await Address.findOne({ _id: id, userId });
+  }
+
+  async countByUser(userId) {
+    return await Address.countDocuments({ userId });
+  }
+
+  async findLatestForUser(userId) {
+    return await Address.findOne({ userId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Make one address the default of its user (and clear the others)
+   */
+  async setDefault(id, userId) {
+    await Address.updateMany({ userId, _id: { $ne: id }, isDefault: true }, { $set: { isDefault: false } });
+    return await Address.findOneAndUpdate({ _id: id, userId }, { $set: { isDefault: true } }, { new: true });
+  }
+
+  async deleteForUser(id, userId) {
+    return await Address.findOneAndDelete({ _id: id, userId });
+  }
+}
+
+module.exports = AddressRepository;
@@ -0,0 +1,134 @@
+const mongoose = require("mongoose");
+const AddressRepository = require("../repositories/addressRepository");
+const Address = require("../models/address");
+const config = require("../config");
+
+// Fields a user can set on an address
+const ADDRESS_FIELDS = ["label", "recipient", "phone", "line1", "line2", "city", "region", "postalCode", "country"];
+
+/**
+ * Helper: Create an address book error (mapped to HTTP status by the controller)
+ * @param {string} code - INVALID_ADDRESS, ADDRESS_NOT_FOUND or ADDRESS_LIMIT_REACHED
+ * @param {string} message - Error message
+ */
+function createAddressError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function pickFields(data) {
+  const fields = {};
+  for (const field of ADDRESS_FIELDS) {
+    if (data[field] !== undefined) {
+      fields[field] = data[field];
+    }
+  }
+  return fields;
+}
+
+function toResponse(address) {
+  return {
+    id: address._id,
+    label: address.label,
+    recipient: address.recipient,
+    phone: address.phone,
+    line1: address.line1,
+    line2: address.line2,
+    city: address.city,
+    region: address.region,
+    postalCode: address.postalCode,
+    country: address.country,
+    isDefault: address.isDefault,
+    createdAt: address.createdAt,
+    updatedAt: address.updatedAt,
+  };
+}
+
+/**
+ * Class to hold the business logic of the user address book
+ * The first address of a user becomes the default; deleting the default
+ * promotes the most recently added remaining address.
+ */
+class AddressService {
+  constructor() {
+    this.addressRepository = new AddressRepository();
+  }
+
+  async listAddresses(userId) {
+    const addresses = await this.addressRepository.findByUser(userId);
+    return addresses.map(toResponse);
+  }
+
+  async getAddress(userId, addressId) {
+    return toResponse(await this._findOwned(userId, addressId));
+  }
+
+  async createAddress(userId, data) {
+    const count = await this.addressRepository.countByUser(userId);
+    if (count >= config.maxAddressesPerUser) {
+      throw createAddressError(
+        "ADDRESS_LIMIT_REACHED",
+        `An address book cannot hold more than ${config.maxAddressesPerUser} addresses`
+      );
+    }
+
+    const address = new Address({ ...pickFields(data), userId, isDefault: count === 0 });
+    this._validate(address);
+    await address.save();
+
+    if (data.isDefault === true && !address.isDefault) {
+      return toResponse(await this.addressRepository.setDefault(address._id, userId));
+    }
+    return toResponse(address);
+  }
+
+  async updateAddress(userId, addressId, data) {
+    const address = await this._findOwned(userId, addressId);
+    address.set(pickFields(data));
+    this._validate(address);
+    await address.save();
+
+    if (data.isDefault === true && !address.isDefault) {
+      return toResponse(await this.addressRepository.setDefault(address._id, userId));
+    }
+    return toResponse(address);
+  }
+
+  async setDefaultAddress(userId, addressId) {
+    await this._findOwned(userId, addressId);
+    return toResponse(await this.addressRepository.setDefault(addressId, userId));
+  }
+
+  async deleteAddress(userId, addressId) {
+    const address = await this._findOwned(userId, addressId);
+    await this.addressRepository.deleteForUser(address._id, userId);
+
+    if (address.isDefault) {
+      const next = await this.addressRepository.findLatestForUser(userId);
+      if (next) {
+        await this.addressRepository.setDefault(next._id, userId);
+      }
+    }
+  }
+
+  async _findOwned(userId, addressId) {
+    const address = mongoose.Types.ObjectId.isValid(addressId)
+      ? await this.addressRepository.findByIdForUser(addressId, userId)
+      : null;
+    if (!address) {
+      throw createAddressError("ADDRESS_NOT_FOUND", "Address not found");
+    }
+    return address;
+  }
+
+  _validate(address) {
+    const validationError = address.validateSync();
+    if (validationError) {
+      const message = Object.values(validationError.errors).map((error) => error.message).join(", ");
+      throw createAddressError("INVALID_ADDRESS", message);
+    }
+  }
+}
+
+module.exports = AddressService;
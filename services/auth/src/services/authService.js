@@ -1,4 +1,5 @@
 const bcrypt = require("bcryptjs");
+const mongoose = require("mongoose");
 const jwt = require("jsonwebtoken");
 const UserRepository = require("../repositories/userRepository");
 const config = require("../config");
@@ -74,6 +75,23 @@ class AuthService {
     return result;
   }
 
+  async getUserById(userId) {
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return null;
+    }
+
+    const user = await this.userRepository.getUserById(userId);
+    if (!user) {
+      return null;
+    }
+
+    return {
+      id: user._id,
+      username: user.username,
+      createdAt: user.createdAt || user._id.getTimestamp(),
+    };
+  }
+
   async deleteTestUsers() {
     // Delete all users with a username that starts with "test"
     await User.deleteMany({ username: /^test/ });
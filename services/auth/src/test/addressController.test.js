@@ -0,0 +1,98 @@
+const chai = require("chai");
+const chaiHttp = require("chai-http");
+const App = require("../app");
+const Address = require("../models/address");
+require("dotenv").config();
+
+chai.use(chaiHttp);
+const { expect } = chai;
+
+describe("Address Book", () => {
+  const userId = "test-address-user";
+  const address = {
+    label: "Home",
+    recipient: "Nguyen Van A",
+    phone: "0901234567",
+    line1: "12 Nguyen Hue",
+    city: "Ho Chi Minh",
+    country: "vn",
+  };
+  let app;
+
+  before(async () => {
+    app = new App();
+    await app.connectDB();
+    app.start();
+    await Address.deleteMany({ userId });
+  });
+
+  after(async () => {
+    await Address.deleteMany({ userId });
+    await app.disconnectDB();
+    app.stop();
+  });
+
+  it("should require authentication", async () => {
+    const res = await chai.request(app.app).get("/addresses");
+
+    expect(res).to.have.status(401);
+  });
+
+  it("should create the first address as default", async () => {
+    const res = await chai.request(app.app).post("/addresses").set("x-user-id", userId).send(address);
+
+    expect(res).to.have.status(201);
+    expect(res.body).to.have.property("country", "VN");
+    expect(res.body).to.have.property("isDefault", true);
+  });
+
+  it("should reject an invalid address", async () => {
+    const res = await chai
+      .request(app.app)
+      .post("/addresses")
+      .set("x-user-id", userId)
+      .send({ ...address, country: "Vietnam" });
+
+    expect(res).to.have.status(400);
+    expect(res.body).to.have.property("code", "INVALID_ADDRESS");
+  });
+
+  it("should move the default to a new address", async () => {
+    const created = await chai
+      .request(app.app)
+      .post("/addresses")
+      .set("x-user-id", userId)
+      .send({ ...address, label: "Office", isDefault: true });
+
+    expect(created.body).to.have.property("isDefault", true);
+
+    const res = await chai.request(app.app).get("/addresses").set("x-user-id", userId);
+    expect(res.body.addresses).to.have.length(2);
+    expect(res.body.addresses.filter((entry) => entry.isDefault)).to.have.length(1);
+    expect(res.body.addresses[0]).to.have.property("label", "Office");
+  });
+
+  it("should not expose addresses of other users", async () => {
+    const list = await chai.request(app.app).get("/addresses").set("x-user-id", userId);
+    const res = await chai
+      .request(app.app)
+      .get(`/addresses/${list.body.addresses[0].id}`)
+      .set("x-user-id", "test-other-user");
+
+    expect(res).to.have.status(404);
+  });
+
+  it("should promote another address when the default is deleted", async () => {
+    const list = await chai.request(app.app).get("/addresses").set("x-user-id", userId);
+    const res = await chai
+      .request(app.app)
+      .delete(`/addresses/${list.body.addresses[0].id}`)
+      .set("x-user-id", userId);
+
+    expect(res).to.have.status(204);
+
+    const remaining = await chai.request(app.app).get("/addresses").set("x-user-id", userId);
+    expect(remaining.body.addresses).to.have.length(1);
+    expect(remaining.body.addresses[0]).to.have.property("isDefault", true);
+  });
+});
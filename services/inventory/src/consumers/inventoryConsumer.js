@@ -8,6 +8,9 @@ const {
 	ProductCreatedSchema,
 	ProductDeletedSchema,
 	PaymentFailedSchema,
+	OrderShippedSchema,
+	OrderReturnedSchema,
+	OrderRefundedSchema,
 } = require('../schemas/inventoryEvents.schema')
 
 // OutboxManager instance (injected from app.js)
@@ -452,6 +455,17 @@ async function handleOrderCancelled(message, metadata = {}) {
 		'🔓 [Inventory] Handling ORDER_CANCELLED - Releasing reserved stock'
 	)
 
+	// Nothing reserved yet (order cancelled while the reservation was in flight):
+	// don't take the lock, Order Service sends ORDER_CANCELLED again with the
+	// products once INVENTORY_RESERVED reaches the cancelled order
+	if (!products || products.length === 0) {
+		logger.warn(
+			{ orderId },
+			'⚠️ [Inventory] ORDER_CANCELLED received but no products to release'
+		)
+		return
+	}
+
 	// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 	// Atomic lock to prevent duplicate release
 	// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -467,14 +481,6 @@ async function handleOrderCancelled(message, metadata = {}) {
 	}
 
 	try {
-		if (!products || products.length === 0) {
-			logger.warn(
-				{ orderId },
-				'⚠️ [Inventory] ORDER_CANCELLED received but no products to release'
-			)
-			return
-		}
-
 		for (const product of products) {
 			try {
 				await inventoryService.releaseReserved(
@@ -637,6 +643,109 @@ async function handlePaymentFailed(message, metadata = {}) {
 	}
 }
 
+/**
+ * Apply a stock operation to every product of an order lifecycle event
+ * Uses an atomic lock per event type and order to prevent duplicate processing.
+ * A failing product is logged and does not stop the others.
+ * 
+ * @param {string} eventType - ORDER_SHIPPED, ORDER_RETURNED or ORDER_REFUNDED
+ * @param {Object} message - Validated event ({ orderId, products })
+ * @param {Object} metadata - { eventId, correlationId }
+ * @param {Function} operation - (product) => Promise, stock update for one product
+ */
+async function applyToOrderProducts(eventType, message, metadata, operation) {
+	const { orderId, products } = message
+	const { eventId, correlationId } = metadata
+
+	if (idempotencyService) {
+		const lockAcquired = await idempotencyService.tryAcquireProcessingLock(eventType, orderId)
+		if (!lockAcquired) {
+			logger.warn(
+				{ orderId, eventId, correlationId },
+				`⚠️ [Inventory] ${eventType} already being processed by another instance, skipping (atomic lock)`
+			)
+			return
+		}
+	}
+
+	if (!products || products.length === 0) {
+		logger.warn({ orderId }, `⚠️ [Inventory] ${eventType} received but no products to update`)
+		return
+	}
+
+	for (const product of products) {
+		try {
+			await operation(product)
+			logger.info(
+				{ orderId, productId: product.productId, quantity: product.quantity },
+				`✓ [Inventory] Stock updated for ${eventType}`
+			)
+		} catch (error) {
+			logger.error(
+				{ error: error.message, orderId, productId: product.productId },
+				`❌ [Inventory] Error updating stock for ${eventType}`
+			)
+		}
+	}
+}
+
+/**
+ * Handle ORDER_SHIPPED event - Reserved units leave the warehouse
+ */
+async function handleOrderShipped(message, metadata = {}) {
+	const { orderId } = message
+	const { correlationId } = metadata
+
+	logger.info({ orderId, correlationId }, '🚚 [Inventory] Handling ORDER_SHIPPED - Confirming fulfillment')
+
+	await applyToOrderProducts('ORDER_SHIPPED', message, metadata, (product) =>
+		inventoryService.confirmFulfillment(product.productId, product.quantity, { orderId, correlationId })
+	)
+}
+
+/**
+ * Handle ORDER_RETURNED event - Returned units go back on sale
+ */
+async function handleOrderReturned(message, metadata = {}) {
+	const { orderId, reason } = message
+	const { correlationId } = metadata
+
+	logger.info({ orderId, reason, correlationId }, '↩️ [Inventory] Handling ORDER_RETURNED - Restocking returned units')
+
+	await applyToOrderProducts('ORDER_RETURNED', message, metadata, (product) =>
+		inventoryService.restockInventory(product.productId, product.quantity, {
+			orderId,
+			correlationId,
+			userId: 'system',
+			reason: 'ORDER_RETURNED',
+		})
+	)
+}
+
+/**
+ * Handle ORDER_REFUNDED event - Release reserved units of orders refunded before shipping
+ * Returned orders were already restocked on ORDER_RETURNED (restock: false).
+ */
+async function handleOrderRefunded(message, metadata = {}) {
+	const { orderId, restock } = message
+	const { correlationId } = metadata
+
+	if (!restock) {
+		logger.info({ orderId, correlationId }, '[Inventory] ORDER_REFUNDED without restock, nothing to release')
+		return
+	}
+
+	logger.info({ orderId, correlationId }, '💸 [Inventory] Handling ORDER_REFUNDED - Releasing reserved units')
+
+	await applyToOrderProducts('ORDER_REFUNDED', message, metadata, (product) =>
+		inventoryService.releaseReserved(product.productId, product.quantity, {
+			orderId,
+			correlationId,
+			reason: 'ORDER_REFUNDED',
+		})
+	)
+}
+
 /**
  * Route inventory events to appropriate handlers
  * Includes idempotency check to prevent duplicate processing
@@ -724,9 +833,45 @@ async function routeInventoryEvent(rawMessage, metadata = {}) {
 			)
 			throw error
 		}
+	} else if (rawType === 'ORDER_SHIPPED' || rawType === 'order.shipped') {
+		try {
+			validatedMessage = OrderShippedSchema.parse(rawMessage)
+			eventType = 'ORDER_SHIPPED'
+			idempotencyKey = validatedMessage.orderId
+		} catch (error) {
+			logger.error(
+				{ error: error.message, rawMessage },
+				'❌ [Inventory] ORDER_SHIPPED schema validation failed'
+			)
+			throw error
+		}
+	} else if (rawType === 'ORDER_RETURNED' || rawType === 'order.returned') {
+		try {
+			validatedMessage = OrderReturnedSchema.parse(rawMessage)
+			eventType = 'ORDER_RETURNED'
+			idempotencyKey = validatedMessage.orderId
+		} catch (error) {
+			logger.error(
+				{ error: error.message, rawMessage },
+				'❌ [Inventory] ORDER_RETURNED schema validation failed'
+			)
+			throw error
+		}
+	} else if (rawType === 'ORDER_REFUNDED' || rawType === 'order.refunded') {
+		try {
+			validatedMessage = OrderRefundedSchema.parse(rawMessage)
+			eventType = 'ORDER_REFUNDED'
+			idempotencyKey = validatedMessage.orderId
+		} catch (error) {
+			logger.error(
+				{ error: error.message, rawMessage },
+				'❌ [Inventory] ORDER_REFUNDED schema validation failed'
+			)
+			throw error
+		}
 	} else {
 		const error = new Error(
-			`Unknown event type: ${rawType}. Supported types: ORDER_CREATED, ORDER_CANCELLED, PRODUCT_CREATED, PRODUCT_DELETED, PAYMENT_FAILED`
+			`Unknown event type: ${rawType}. Supported types: ORDER_CREATED, ORDER_CANCELLED, PRODUCT_CREATED, PRODUCT_DELETED, PAYMENT_FAILED, ORDER_SHIPPED, ORDER_RETURNED, ORDER_REFUNDED`
 		)
 		logger.error(
 			{ type: rawType, rawMessage },
@@ -765,6 +910,15 @@ async function routeInventoryEvent(rawMessage, metadata = {}) {
 			case 'PAYMENT_FAILED':
 				await handlePaymentFailed(validatedMessage, metadata)
 				break
+			case 'ORDER_SHIPPED':
+				await handleOrderShipped(validatedMessage, metadata)
+				break
+			case 'ORDER_RETURNED':
+				await handleOrderReturned(validatedMessage, metadata)
+				break
+			case 'ORDER_REFUNDED':
+				await handleOrderRefunded(validatedMessage, metadata)
+				break
 		}
 
 		// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -802,6 +956,9 @@ async function registerInventoryConsumer(broker, outbox, idempotency) {
 		'order.created',   // ORDER_CREATED - Reserve stock
 		'order.cancelled', // ORDER_CANCELLED - Release stock
 		'payment.failed',  // PAYMENT_FAILED - Compensation (release stock)
+		'order.shipped',   // ORDER_SHIPPED - Consume reserved stock
+		'order.returned',  // ORDER_RETURNED - Restock returned units
+		'order.refunded',  // ORDER_REFUNDED - Release stock of orders refunded before shipping
 	]
 
 	await broker.consume(
@@ -815,7 +972,7 @@ async function registerInventoryConsumer(broker, outbox, idempotency) {
 
 	logger.info(
 		{ queue: queueName, routingKeys },
-		'✓ [Inventory] Consumer ready with Outbox Pattern & Idempotency (Event-Driven: ORDER_CREATED, ORDER_CANCELLED, PAYMENT_FAILED)'
+		'✓ [Inventory] Consumer ready with Outbox Pattern & Idempotency (Event-Driven: ORDER_CREATED, ORDER_CANCELLED, PAYMENT_FAILED, ORDER_SHIPPED, ORDER_RETURNED, ORDER_REFUNDED)'
 	)
 }
 
@@ -826,5 +983,8 @@ module.exports = {
 	handleProductCreated,
 	handleProductDeleted,
 	handlePaymentFailed,
+	handleOrderShipped,
+	handleOrderReturned,
+	handleOrderRefunded,
 	routeInventoryEvent,
 }
@@ -16,7 +16,7 @@ const inventoryAuditLogSchema = new mongoose.Schema(
 		action: {
 			type: String,
 			required: true,
-			enum: ['RESERVE', 'RELEASE', 'RESTOCK', 'ADJUST', 'CREATE', 'DELETE'],
+			enum: ['RESERVE', 'RELEASE', 'FULFILL', 'RESTOCK', 'ADJUST', 'CREATE', 'DELETE'],
 			index: true,
 		},
 		previousValue: {
@@ -39,6 +39,8 @@ const inventoryAuditLogSchema = new mongoose.Schema(
 				'ORDER_CANCEL',
 				'PAYMENT_FAILED',
 				'FULFILLMENT',
+				'ORDER_RETURNED',
+				'ORDER_REFUNDED',
 				'MANUAL_RESTOCK',
 				'MANUAL_ADJUST',
 				'PRODUCT_CREATED',
@@ -190,11 +190,69 @@ const PaymentFailedSchema = z
 		}
 	})
 
+/**
+ * Schema for order lifecycle events after payment
+ * (ORDER_SHIPPED, ORDER_RETURNED, ORDER_REFUNDED)
+ * 
+ * Accepts two formats:
+ * 1. Wrapped: { type?: string, data: { orderId, products, ... } }
+ * 2. Direct: { orderId, products, ... }
+ * 
+ * restock (ORDER_REFUNDED only): true when the order was refunded before
+ * shipping, so its reserved units must be released
+ */
+const orderLifecycleDataSchema = z.object({
+	orderId: z.union([z.string(), z.any()]).transform(val => String(val)), // Accept ObjectId or string
+	reason: z.string().optional(),
+	restock: z.boolean().optional(),
+	products: z
+		.array(
+			z.object({
+				productId: z.string().min(1, 'productId is required'),
+				quantity: z.number().int().positive('quantity must be positive'),
+			})
+		)
+		.optional(),
+}).passthrough()
+
+/**
+ * Build the schema of one order lifecycle event type
+ * @param {string} eventType - ORDER_SHIPPED, ORDER_RETURNED or ORDER_REFUNDED
+ */
+function orderLifecycleSchema(eventType) {
+	return z
+		.union([
+			z.object({
+				type: z.string().optional(),
+				data: orderLifecycleDataSchema,
+				timestamp: z.string().optional(),
+			}).passthrough(),
+			orderLifecycleDataSchema,
+		])
+		.transform((message) => {
+			const data = message.data || message
+			return {
+				orderId: data.orderId,
+				products: data.products || [],
+				reason: data.reason,
+				restock: data.restock === true,
+				rawType: message.type || eventType,
+			}
+		})
+}
+
+const OrderShippedSchema = orderLifecycleSchema('ORDER_SHIPPED')
+const OrderReturnedSchema = orderLifecycleSchema('ORDER_RETURNED')
+const OrderRefundedSchema = orderLifecycleSchema('ORDER_REFUNDED')
+
 module.exports = {
 	OrderCreatedSchema,
 	OrderCancelledSchema,
 	ProductCreatedSchema,
 	ProductDeletedSchema,
 	PaymentFailedSchema,
+	OrderShippedSchema,
+	OrderReturnedSchema,
+	OrderRefundedSchema,
 }
 
@@ -43,17 +43,33 @@ class InventoryAuditService {
 		}, session)
 	}
 
+	/**
+	 * Log a FULFILL action (reserved units leave the warehouse)
+	 */
+	async logFulfill({ productId, previousValue, newValue, orderId, correlationId }, session = null) {
+		return this._createLog({
+			productId,
+			action: 'FULFILL',
+			previousValue,
+			newValue,
+			reason: 'FULFILLMENT',
+			orderId,
+			correlationId,
+		}, session)
+	}
+
 	/**
 	 * Log a RESTOCK action
 	 */
-	async logRestock({ productId, previousValue, newValue, userId, correlationId }, session = null) {
+	async logRestock({ productId, previousValue, newValue, userId, orderId, correlationId, reason = 'MANUAL_RESTOCK' }, session = null) {
 		return this._createLog({
 			productId,
 			action: 'RESTOCK',
 			previousValue,
 			newValue,
-			reason: 'MANUAL_RESTOCK',
+			reason,
 			userId,
+			orderId,
 			correlationId,
 		}, session)
 	}
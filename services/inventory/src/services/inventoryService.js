@@ -214,33 +214,50 @@ class InventoryService {
 
 	/**
 	 * Confirm order fulfillment (decrease reserved stock)
+	 * @param {string} productId
+	 * @param {number} quantity
+	 * @param {Object} options - { orderId, correlationId }
 	 */
-	async confirmFulfillment(productId, quantity) {
-		const inventory = await inventoryRepository.findByProductId(productId)
-		if (!inventory) {
-			throw new Error('Inventory not found for this product')
-		}
+	async confirmFulfillment(productId, quantity, options = {}) {
+		const { orderId, correlationId } = options
 
-		if (inventory.reserved < quantity) {
-			throw new Error(`Cannot confirm ${quantity} units. Only ${inventory.reserved} units are reserved`)
-		}
+		return withProductLock(productId, async () => {
+			const inventory = await inventoryRepository.findByProductId(productId)
+			if (!inventory) {
+				throw new Error('Inventory not found for this product')
+			}
 
-		const updated = await inventoryRepository.updateByProductId(productId, {
-			$inc: { reserved: -quantity },
-		})
+			if (inventory.reserved < quantity) {
+				throw new Error(`Cannot confirm ${quantity} units. Only ${inventory.reserved} units are reserved`)
+			}
 
-		logger.info(`[InventoryService] Confirmed fulfillment of ${quantity} units for product ${productId}`)
-		return updated
+			const previousValue = { available: inventory.available, reserved: inventory.reserved }
+
+			const updated = await inventoryRepository.updateByProductId(productId, {
+				$inc: { reserved: -quantity },
+			})
+
+			await auditService.logFulfill({
+				productId,
+				previousValue,
+				newValue: { available: updated.available, reserved: updated.reserved },
+				orderId,
+				correlationId,
+			})
+
+			logger.info(`[InventoryService] Confirmed fulfillment of ${quantity} units for product ${productId}`)
+			return updated
+		})
 	}
 
 	/**
 	 * Restock inventory (add stock)
 	 * @param {string} productId
 	 * @param {number} quantity
-	 * @param {Object} options - { userId, correlationId }
+	 * @param {Object} options - { userId, orderId, correlationId, reason }
 	 */
 	async restockInventory(productId, quantity, options = {}) {
-		const { userId, correlationId } = options
+		const { userId, orderId, correlationId, reason } = options
 
 		if (quantity <= 0) {
 			throw new Error('Restock quantity must be greater than 0')
@@ -263,7 +280,9 @@ class InventoryService {
 			previousValue,
 			newValue: { available: updated.available, reserved: updated.reserved },
 			userId,
+			orderId,
 			correlationId,
+			reason,
 		})
 
 		logger.info(`[InventoryService] Restocked ${quantity} units for product ${productId}`)
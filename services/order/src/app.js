@@ -4,11 +4,21 @@ const config = require('./config')
 const logger = require('@ecommerce/logger')
 const { metricsMiddleware, metricsHandler } = require('@ecommerce/metrics')
 const OrderService = require('./services/orderService')
+const PromotionService = require('./services/promotionService')
+const { createExchangeRateService } = require('./services/exchangeRateService')
 const IdempotencyService = require('./services/idempotencyService')
+const { OrderStatusStream } = require('./services/orderStatusStream')
 const OrderController = require('./controllers/orderController')
+const CartService = require('./services/cartService')
+const CartController = require('./controllers/cartController')
+const CouponController = require('./controllers/couponController')
+const OrderTimeoutScheduler = require('./services/orderTimeoutScheduler')
 const orderRoutes = require('./routes/orderRoutes')
+const cartRoutes = require('./routes/cartRoutes')
+const couponRoutes = require('./routes/couponRoutes')
 const { registerOrderEventsConsumer } = require('./consumers/orderEventsConsumer')
 const { registerSeckillConsumer } = require('./consumers/seckillConsumer')
+const { registerCartConsumer } = require('./consumers/cartConsumer')
 const orderRepository = require('./repositories/orderRepository')
 
 // Import ES modules dynamically
@@ -22,7 +32,10 @@ class App {
 		this.broker = null
 		this.server = null
 		this.orderService = null
+		this.cartService = null
+		this.orderTimeoutScheduler = null
 		this.idempotencyService = new IdempotencyService(config.redisUrl)
+		this.statusStream = new OrderStatusStream(config.redisUrl)
 	}
 
 	setMiddlewares() {
@@ -58,11 +71,24 @@ class App {
 		this.app.get('/metrics', metricsHandler)
 
 		// Initialize orderService as instance variable for use in event handlers
-		this.orderService = new OrderService(this.outboxManager)
-		const orderController = new OrderController(this.orderService)
+		// One exchange rate service for order pricing, coupons and cart totals
+		const exchangeRateService = createExchangeRateService()
+		const promotionService = new PromotionService(exchangeRateService)
+		this.orderService = new OrderService(this.outboxManager, promotionService, exchangeRateService)
+		// Status changes are pushed to clients of GET /api/orders/stream
+		this.orderService.setStatusStream(this.statusStream)
+		const orderController = new OrderController(this.orderService, this.idempotencyService, this.statusStream)
 		
+		// Shopping cart (checkout goes through orderService.createOrder)
+		this.cartService = new CartService(this.orderService)
+		const cartController = new CartController(this.cartService)
+
+		const couponController = new CouponController(promotionService)
+
 		// Register routes
+		this.app.use('/api/orders/admin/coupons', couponRoutes(couponController))
 		this.app.use('/api/orders', orderRoutes(orderController))
+		this.app.use('/api/cart', cartRoutes(cartController))
 		
 		// Health check routes (includes circuit breaker monitoring)
 		const healthRoutes = require('./routes/healthRoutes')
@@ -110,6 +136,13 @@ class App {
 				outbox: this.outboxManager,
 				repository: orderRepository,
 				idempotencyService: this.idempotencyService,
+				statusStream: this.statusStream,
+			})
+
+			// Register cart consumer for order.confirmed events (removes checked-out lines)
+			await registerCartConsumer({
+				broker: this.broker,
+				cartService: this.cartService,
 			})
 		} catch (error) {
 			logger.error(
@@ -125,19 +158,40 @@ class App {
 		this.setMiddlewares()
 		await this.initOutbox()
 		this.setRoutes()
+		await this.cartService.connect()
+		await this.statusStream.connect()
 		await this.setupBroker()
 
+		// Cancel orders stuck in PENDING/CONFIRMED (releases their reserved stock)
+		this.orderTimeoutScheduler = new OrderTimeoutScheduler(this.orderService)
+		this.orderTimeoutScheduler.start()
+
 		this.server = this.app.listen(config.port, () => {
 			logger.info({ port: config.port }, '✓ [Order] Server listening')
 		})
 	}
 
 	async stop() {
+		if (this.orderTimeoutScheduler) {
+			this.orderTimeoutScheduler.stop()
+			logger.info('✓ [Order] Order timeout scheduler stopped')
+		}
+
 		if (this.idempotencyService) {
 			await this.idempotencyService.close()
 			logger.info('✓ [Order] Idempotency service closed')
 		}
 
+		if (this.cartService) {
+			await this.cartService.close()
+			logger.info('✓ [Order] Cart service closed')
+		}
+
+		if (this.statusStream) {
+			await this.statusStream.close()
+			logger.info('✓ [Order] Order status stream closed')
+		}
+
 		if (this.broker) {
 			await this.broker.close()
 			logger.info('✓ [Order] Broker connections closed')
@@ -151,6 +205,8 @@ class App {
 		// Shutdown circuit breaker
 		const { productClient } = require('./clients/productClient')
 		productClient.shutdown()
+		const { inventoryClient } = require('./clients/inventoryClient')
+		inventoryClient.shutdown()
 		logger.info('✓ [Order] Circuit breaker shutdown')
 
 		await this.disconnectDB()
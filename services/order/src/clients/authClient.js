@@ -0,0 +1,51 @@
+/**
+ * Resilient HTTP client for Auth Service
+ *
+ * Used to snapshot an address from the user's address book onto a new order.
+ */
+
+const { createResilientClient } = require('@ecommerce/circuit-breaker');
+const logger = require('@ecommerce/logger');
+
+const authServiceUrl = process.env.AUTH_SERVICE_URL || 'http://auth:3001';
+
+const authClient = createResilientClient('auth-service', authServiceUrl, {
+  timeout: 2000,
+  retry: {
+    retries: 1,
+    retryDelay: (retryCount) => Math.min(1000, 100 * Math.pow(2, retryCount)),
+  },
+  circuitBreaker: {
+    errorThresholdPercentage: 50,
+    resetTimeout: 30000,
+    volumeThreshold: 10,
+    rollingCountTimeout: 10000,
+  },
+});
+
+logger.info(
+  { service: 'auth-service', baseURL: authServiceUrl },
+  '[Order] Auth client initialized with circuit breaker'
+);
+
+/**
+ * Get an address from a user's address book (GET /addresses/:id)
+ * Calls Auth Service on behalf of the user, so only their own addresses are found.
+ *
+ * @param {string} userId - Address book owner
+ * @param {string} addressId - Address ID
+ * @returns {Promise<Object|null>} Address or null if the user has no such address
+ */
+async function getAddress(userId, addressId) {
+  const result = await authClient.get(`/addresses/${encodeURIComponent(addressId)}`, {
+    headers: { 'X-User-ID': userId },
+    validateStatus: (status) => status === 200 || status === 404,
+  });
+
+  return result?.id ? result : null;
+}
+
+module.exports = {
+  authClient,
+  getAddress,
+};
@@ -0,0 +1,45 @@
+/**
+ * Resilient HTTP client for Inventory Service
+ *
+ * Used by the cart to show availability hints. Hints are best effort:
+ * callers treat failures as "unknown" rather than failing the request.
+ */
+
+const { createResilientClient } = require('@ecommerce/circuit-breaker');
+const logger = require('@ecommerce/logger');
+
+const inventoryServiceUrl = process.env.INVENTORY_SERVICE_URL || 'http://inventory:3005';
+
+const inventoryClient = createResilientClient('inventory-service', inventoryServiceUrl, {
+  timeout: 2000,
+  retry: {
+    retries: 1,
+    retryDelay: (retryCount) => Math.min(1000, 100 * Math.pow(2, retryCount)),
+  },
+  circuitBreaker: {
+    errorThresholdPercentage: 50,
+    resetTimeout: 30000,
+    volumeThreshold: 10,
+    rollingCountTimeout: 10000,
+  },
+});
+
+logger.info(
+  { service: 'inventory-service', baseURL: inventoryServiceUrl },
+  '[Order] Inventory client initialized with circuit breaker'
+);
+
+/**
+ * Check stock of several products (POST /api/inventory/check-availability)
+ *
+ * @param {string[]} productIds - Product IDs
+ * @returns {Promise<Object[]>} [{ productId, available, inStock }]
+ */
+async function checkAvailability(productIds) {
+  return inventoryClient.post('/api/inventory/check-availability', { productIds });
+}
+
+module.exports = {
+  inventoryClient,
+  checkAvailability,
+};
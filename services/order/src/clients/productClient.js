@@ -12,6 +12,9 @@
 const { createResilientClient } = require('@ecommerce/circuit-breaker');
 const logger = require('@ecommerce/logger');
 
+// Largest batch accepted by POST /api/products/batch
+const BATCH_SIZE = 100;
+
 /**
  * Create resilient client for Product Service
  */
@@ -49,6 +52,30 @@ logger.info(
   '[Order] Product client initialized with circuit breaker'
 );
 
+/**
+ * Look up products by ID (POST /api/products/batch), in batches
+ * IDs are lower-cased and deduplicated, so they match the returned product _id.
+ *
+ * @param {string[]} productIds - Product IDs
+ * @param {string} authHeader - Authorization header to forward
+ * @returns {Promise<Object>} { products, missing } - missing lists IDs the Product Service does not know
+ */
+async function getProductsByIds(productIds, authHeader) {
+  const ids = [...new Set(productIds.map((id) => String(id).toLowerCase()))];
+  const products = [];
+  const missing = [];
+  for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+    const result = await productClient.post(
+      '/api/products/batch',
+      { ids: ids.slice(i, i + BATCH_SIZE) },
+      { headers: { Authorization: authHeader } }
+    );
+    products.push(...(result?.products || []));
+    missing.push(...(result?.missing || []));
+  }
+  return { products, missing };
+}
+
 /**
  * Get circuit breaker statistics
  * @returns {Object} Circuit breaker stats
@@ -68,6 +95,7 @@ function isProductServiceHealthy() {
 
 module.exports = {
   productClient,
+  getProductsByIds,
   getProductServiceStats,
   isProductServiceHealthy,
 };
@@ -1,3 +1,4 @@
+const path = require('path');
 const sharedConfig = require('@ecommerce/config');
 
 const parseNumber = (value, fallback) => {
@@ -12,6 +13,41 @@ const config = {
     rabbitMQQueue: 'orders',
     port: parseNumber(process.env.ORDER_PORT, sharedConfig.getPort(3002)),
     redisUrl: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+
+    // Timeout scheduler: orders older than their status deadline are cancelled (interval 0 disables the job)
+    orderTimeoutIntervalMs: parseNumber(process.env.ORDER_TIMEOUT_INTERVAL_MS, 60000),
+    pendingTimeoutSeconds: parseNumber(process.env.ORDER_PENDING_TIMEOUT_SECONDS, 300),
+    confirmedTimeoutSeconds: parseNumber(process.env.ORDER_CONFIRMED_TIMEOUT_SECONDS, 900),
+    orderTimeoutBatchSize: parseNumber(process.env.ORDER_TIMEOUT_BATCH_SIZE, 100),
+
+    // Shopping carts (Redis): idle carts expire, checkout records live until the order is confirmed
+    cartTtlSeconds: parseNumber(process.env.CART_TTL_SECONDS, 30 * 24 * 3600),
+    cartCheckoutTtlSeconds: parseNumber(process.env.CART_CHECKOUT_TTL_SECONDS, 24 * 3600),
+
+    // Idempotency-Key on POST /api/orders: how long a key replays the original order
+    idempotencyKeyTtlSeconds: parseNumber(process.env.ORDER_IDEMPOTENCY_KEY_TTL_SECONDS, 24 * 3600),
+
+    // Admin export: maximum rows per CSV/JSON export
+    orderExportMaxRows: parseNumber(process.env.ORDER_EXPORT_MAX_ROWS, 10000),
+
+    // Currencies: orders without a common product currency are priced in the default currency
+    defaultCurrency: (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase(),
+    exchangeRateProvider: process.env.EXCHANGE_RATE_PROVIDER || 'static',
+    exchangeRatesFile: process.env.EXCHANGE_RATES_FILE || path.join(__dirname, '..', 'data', 'exchange-rates.json'),
+
+    // Tax rules (region + product category) and shipping rate tables
+    taxRulesFile: process.env.TAX_RULES_FILE || path.join(__dirname, '..', 'data', 'tax-rules.json'),
+    shippingRatesFile: process.env.SHIPPING_RATES_FILE || path.join(__dirname, '..', 'data', 'shipping-rates.json'),
+    defaultShippingMethod: process.env.DEFAULT_SHIPPING_METHOD || 'standard',
+
+    // Order status push stream (SSE): per-user history kept for Last-Event-ID resume
+    orderStatusStreamMaxLen: parseInt(process.env.ORDER_STATUS_STREAM_MAX_LEN, 10) || 100,
+    orderStatusStreamTtlSeconds: parseInt(process.env.ORDER_STATUS_STREAM_TTL_SECONDS, 10) || 24 * 60 * 60,
+    orderStatusHeartbeatMs: parseInt(process.env.ORDER_STATUS_HEARTBEAT_MS, 10) || 15000,
+
+    // Long-polling lookup by correlationId (GET /api/orders/by-correlation/:correlationId?wait=)
+    orderLookupMaxWaitSeconds: parseNumber(process.env.ORDER_LOOKUP_MAX_WAIT_SECONDS, 25),
+    orderLookupPollMs: parseNumber(process.env.ORDER_LOOKUP_POLL_MS, 1000),
 };
 
 // Set environment variables for consistency
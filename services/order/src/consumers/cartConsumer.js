@@ -0,0 +1,51 @@
+const logger = require('@ecommerce/logger')
+
+/**
+ * Register consumer for ORDER_CONFIRMED events (cart cleanup)
+ * 
+ * Once an order created by cart checkout is CONFIRMED (inventory reserved),
+ * its lines are removed from the user's cart. Orders that fail on inventory
+ * never reach this event, so the cart stays available for another attempt.
+ * 
+ * Idempotency: the checkout record is deleted with the cart lines, so
+ * redelivered events find nothing to do.
+ * 
+ * @param {object} params
+ * @param {object} params.broker - Message broker instance
+ * @param {object} params.cartService - Cart service instance
+ */
+async function registerCartConsumer({ broker, cartService }) {
+	const queueName = 'q.order-service.cart' // Separate queue: q.order-service only carries inventory/payment events
+	const routingKeys = ['order.confirmed']
+
+	await broker.consume(
+		queueName,
+		async (rawMessage, metadata = {}) => {
+			const { eventId, correlationId } = metadata
+			const orderId = (rawMessage.data || rawMessage).orderId
+
+			if (!orderId) {
+				logger.error(
+					{ eventId, rawMessage },
+					'❌ [Order] ORDER_CONFIRMED without orderId, sending to DLQ'
+				)
+				throw new Error('ORDER_CONFIRMED event is missing orderId')
+			}
+
+			const updated = await cartService.handleOrderConfirmed(String(orderId))
+			logger.info(
+				{ orderId, eventId, correlationId, cartUpdated: updated },
+				'✓ [Order] order.confirmed processed for cart'
+			)
+		},
+		null, // No schema validation at broker level
+		routingKeys
+	)
+
+	logger.info(
+		{ queue: queueName, routingKeys },
+		'✓ [Order] Cart consumer ready (Event-Driven: order.confirmed)'
+	)
+}
+
+module.exports = { registerCartConsumer }
@@ -4,6 +4,7 @@ const {
 	InventoryReservedFailedSchema,
 	PaymentSucceededSchema,
 	PaymentFailedSchema,
+	PaymentRefundedSchema,
 } = require('../schemas/orderEvents.schema')
 
 /**
@@ -76,6 +77,20 @@ function parseAndValidateEvent(rawMessage, metadata = {}) {
 			)
 			throw error
 		}
+	} else if (
+		rawType === 'PAYMENT_REFUNDED' ||
+		rawType === 'payment.refunded'
+	) {
+		try {
+			validatedMessage = PaymentRefundedSchema.parse(rawMessage)
+			eventType = 'PAYMENT_REFUNDED'
+		} catch (error) {
+			logger.error(
+				{ error: error.message, eventId, rawMessage },
+				'❌ [Order] PAYMENT_REFUNDED schema validation failed'
+			)
+			throw error
+		}
 	} else if (
 		rawType === 'PAYMENT_COMPLETED' // Backward compatibility
 	) {
@@ -91,7 +106,7 @@ function parseAndValidateEvent(rawMessage, metadata = {}) {
 		}
 	} else {
 		const error = new Error(
-			`Unknown event type: ${rawType}. Supported types: INVENTORY_RESERVED_SUCCESS, INVENTORY_RESERVED_FAILED, PAYMENT_SUCCEEDED, PAYMENT_FAILED`
+			`Unknown event type: ${rawType}. Supported types: INVENTORY_RESERVED_SUCCESS, INVENTORY_RESERVED_FAILED, PAYMENT_SUCCEEDED, PAYMENT_FAILED, PAYMENT_REFUNDED`
 		)
 		logger.error(
 			{ type: rawType, eventId, correlationId },
@@ -111,6 +126,7 @@ function parseAndValidateEvent(rawMessage, metadata = {}) {
  * - INVENTORY_RESERVED_FAILED: Inventory reservation failed → Cancel order
  * - PAYMENT_SUCCEEDED: Payment processed → Mark order as PAID
  * - PAYMENT_FAILED: Payment failed → Cancel order and release inventory
+ * - PAYMENT_REFUNDED: Payment (partially) refunded → Record refund on the order
  * 
  * @param {object} params
  * @param {object} params.broker - Message broker instance
@@ -130,6 +146,7 @@ async function registerOrderEventsConsumer({
 		'inventory.reserved.failed',  // INVENTORY_RESERVED_FAILED
 		'payment.succeeded',          // PAYMENT_SUCCEEDED
 		'payment.failed',             // PAYMENT_FAILED
+		'payment.refunded',           // PAYMENT_REFUNDED
 	]
 
 	await broker.consume(
@@ -146,6 +163,10 @@ async function registerOrderEventsConsumer({
 			)
 
 			const orderId = validatedMessage.orderId
+			// An order can be refunded several times (partial refunds)
+			const idempotencyRef = eventType === 'PAYMENT_REFUNDED'
+				? `${orderId}:${validatedMessage.refundId}`
+				: orderId
 
 			logger.info(
 				{
@@ -163,7 +184,7 @@ async function registerOrderEventsConsumer({
 			// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 			const alreadyProcessed = await idempotencyService.isProcessed(
 				eventType,
-				orderId
+				idempotencyRef
 			)
 			if (alreadyProcessed) {
 				logger.warn(
@@ -181,28 +202,40 @@ async function registerOrderEventsConsumer({
 					case 'INVENTORY_RESERVED_SUCCESS':
 						await orderService.handleInventoryReserved(
 							validatedMessage,
-							correlationId
+							correlationId,
+							eventId
 						)
 						break
 
 					case 'INVENTORY_RESERVED_FAILED':
 						await orderService.handleInventoryReserveFailed(
 							validatedMessage,
-							correlationId
+							correlationId,
+							eventId
 						)
 						break
 
 					case 'PAYMENT_SUCCEEDED':
 						await orderService.handlePaymentSucceeded(
 							validatedMessage,
-							correlationId
+							correlationId,
+							eventId
 						)
 						break
 
 					case 'PAYMENT_FAILED':
 						await orderService.handlePaymentFailed(
 							validatedMessage,
-							correlationId
+							correlationId,
+							eventId
+						)
+						break
+
+					case 'PAYMENT_REFUNDED':
+						await orderService.handlePaymentRefunded(
+							validatedMessage,
+							correlationId,
+							eventId
 						)
 						break
 
@@ -217,7 +250,7 @@ async function registerOrderEventsConsumer({
 				// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 				// STEP 4: Mark as Processed (Redis Idempotency)
 				// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-				await idempotencyService.markAsProcessed(eventType, orderId)
+				await idempotencyService.markAsProcessed(eventType, idempotencyRef)
 
 				logger.info(
 					{ eventType, orderId, eventId, correlationId },
@@ -2,6 +2,7 @@ const mongoose = require('mongoose')
 const { v4: uuidv4 } = require('uuid')
 const logger = require('@ecommerce/logger')
 const { z } = require('zod')
+const config = require('../config')
 
 // Helper function for getting traceId as correlationId
 const { getCurrentTraceId } = require('@ecommerce/tracing')
@@ -12,6 +13,7 @@ const SeckillOrderWonSchema = z
 		userId: z.string().min(1, 'userId is required'),
 		productId: z.string().min(1, 'productId is required'),
 		price: z.number().positive('price must be positive'),
+		currency: z.string().regex(/^[A-Za-z]{3}$/).optional(), // Campaign currency (default currency when absent)
 		quantity: z.number().int().positive().default(1),
 		timestamp: z.number().int().optional(),
 		metadata: z
@@ -27,6 +29,7 @@ const SeckillOrderWonSchema = z
 // Module-level references (injected at registration)
 let outboxManager = null
 let orderRepository = null
+let statusStream = null
 
 /**
  * Handle seckill.order.won event
@@ -35,6 +38,7 @@ let orderRepository = null
  * Flow:
  * 1. Validate incoming event
  * 2. Create order with status: PENDING, metadata: { source: 'seckill' }
+ *    for the quantity reserved by the seckill service (multi-unit campaigns)
  * 3. Publish ORDER_CREATED event via Outbox
  * 
  * @param {Object} message - Event data from seckill service
@@ -61,15 +65,15 @@ async function handleSeckillOrderWon(message, metadata = {}) {
 		throw error
 	}
 
-	const { userId, productId, price, quantity = 1, metadata: eventMetadata } = validated
+	const { userId, productId, price, currency, quantity = 1, metadata: eventMetadata } = validated
 
 	// Get traceId from OpenTelemetry context (extracted by Message Broker from seckill event)
 	// This ensures the same traceId is used throughout the entire flow
 	const traceId = getCurrentTraceId()
 
-	// Use traceId as correlationId if available, otherwise fallback to correlationId from metadata
-	// This ensures distributed tracing works correctly across services
-	const finalCorrelationId = traceId || eventMetadata?.correlationId || baseCorrelationId
+	// Prefer the correlationId seckill stamped at buy time (the buy request's traceId):
+	// an emergency replay runs under a new trace, and replay looks orders up by the original ID
+	const finalCorrelationId = eventMetadata?.correlationId || traceId || baseCorrelationId
 
 	const session = await mongoose.startSession()
 	session.startTransaction()
@@ -89,7 +93,16 @@ async function handleSeckillOrderWon(message, metadata = {}) {
 			],
 			user: userId,
 			totalPrice: price * quantity,
+			currency: (currency || config.defaultCurrency).toUpperCase(),
 			status: 'PENDING',
+			statusHistory: [{
+				from: null,
+				to: 'PENDING',
+				event: 'SECKILL_ORDER_WON',
+				eventId,
+				correlationId: finalCorrelationId,
+				actor: 'system',
+			}],
 			metadata: {
 				source: 'seckill',
 				seckillRef: eventId || uuidv4(), // Reference to original seckill event
@@ -102,7 +115,7 @@ async function handleSeckillOrderWon(message, metadata = {}) {
 		const orderId = order._id.toString()
 
 		logger.info(
-			{ orderId, userId, productId, source: 'seckill', correlationId: finalCorrelationId, traceId },
+			{ orderId, userId, productId, quantity, source: 'seckill', correlationId: finalCorrelationId, traceId },
 			'✓ [Order] Created seckill order with PENDING status'
 		)
 
@@ -134,8 +147,13 @@ async function handleSeckillOrderWon(message, metadata = {}) {
 
 		await session.commitTransaction()
 
+		// The winner learns the orderId of their seckill order from the status stream
+		if (statusStream) {
+			await statusStream.publishChange(order)
+		}
+
 		logger.info(
-			{ orderId, userId, productId, correlationId: finalCorrelationId },
+			{ orderId, userId, productId, quantity, correlationId: finalCorrelationId },
 			'✓ [Order] Seckill order created and ORDER_CREATED event queued via Outbox'
 		)
 
@@ -160,16 +178,19 @@ async function handleSeckillOrderWon(message, metadata = {}) {
  * @param {Object} params.outbox - OutboxManager instance
  * @param {Object} params.repository - Order repository instance
  * @param {Object} params.idempotencyService - Idempotency service instance
+ * @param {Object} [params.statusStream] - OrderStatusStream notified of new orders
  */
 async function registerSeckillConsumer({
 	broker,
 	outbox,
 	repository,
 	idempotencyService,
+	statusStream: stream,
 }) {
 	// Store instances for use in handlers
 	outboxManager = outbox
 	orderRepository = repository
+	statusStream = stream || null
 
 	const queueName = 'q.order-seckill'
 	const routingKeys = ['seckill.order.won']
@@ -179,8 +200,11 @@ async function registerSeckillConsumer({
 		async (rawMessage, metadata = {}) => {
 			const { eventId, correlationId } = metadata
 
-			// Idempotency check
-			const idempotencyKey = `seckill:${rawMessage.userId}:${rawMessage.productId}:${rawMessage.timestamp || Date.now()}`
+			// Idempotency check (a user may win several times in multi-unit campaigns,
+			// so prefer the unique eventId over the user/product pair)
+			const idempotencyKey = eventId
+				? `seckill:${eventId}`
+				: `seckill:${rawMessage.userId}:${rawMessage.productId}:${rawMessage.timestamp || Date.now()}`
 			
 			if (idempotencyService) {
 				const alreadyProcessed = await idempotencyService.isProcessed(
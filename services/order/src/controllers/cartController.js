@@ -0,0 +1,212 @@
+const logger = require('@ecommerce/logger')
+const { recordCartOperation } = require('../metrics')
+const { parseShipping } = require('../schemas/shipping.schema')
+
+// HTTP status of refused cart actions (see createCartError in cartService)
+const CART_ERROR_STATUS = {
+	INVALID_ITEM: 400,
+	CART_EMPTY: 400,
+	PRODUCT_NOT_FOUND: 404,
+	ITEM_NOT_FOUND: 404,
+	CART_FULL: 409,
+	COUPON_NOT_FOUND: 400,
+	COUPON_INACTIVE: 400,
+	COUPON_NOT_APPLICABLE: 400,
+	COUPON_LIMIT_REACHED: 409,
+	UNSUPPORTED_CURRENCY: 400,
+	EXCHANGE_RATE_UNAVAILABLE: 503,
+	SHIPPING_METHOD_UNAVAILABLE: 400,
+	ADDRESS_NOT_FOUND: 400,
+	ADDRESS_BOOK_UNAVAILABLE: 503,
+}
+
+const CURRENCY_PATTERN = /^[A-Za-z]{3}$/
+
+class CartController {
+	constructor(cartService) {
+		this.cartService = cartService
+		this.getCart = this.getCart.bind(this)
+		this.addItem = this.addItem.bind(this)
+		this.updateItem = this.updateItem.bind(this)
+		this.removeItem = this.removeItem.bind(this)
+		this.clearCart = this.clearCart.bind(this)
+		this.checkout = this.checkout.bind(this)
+	}
+
+	/**
+	 * GET /api/cart
+	 * Return the cart with current prices and availability hints
+	 * Optional ?currency=EUR prices the total in that display currency.
+	 */
+	async getCart(req, res) {
+		const userId = req.headers['x-user-id']
+		if (!userId) {
+			return res.status(401).json({ message: 'Unauthorized' })
+		}
+
+		const { currency } = req.query
+		if (currency !== undefined && !CURRENCY_PATTERN.test(currency)) {
+			recordCartOperation('read', 'rejected')
+			return res.status(400).json({ message: 'currency must be a 3-letter ISO 4217 code' })
+		}
+
+		try {
+			const cart = await this.cartService.getCart(userId, req.headers.authorization, { currency })
+			recordCartOperation('read', 'success')
+			return res.status(200).json(cart)
+		} catch (error) {
+			return this._handleError(res, error, 'read', userId)
+		}
+	}
+
+	/**
+	 * POST /api/cart/items
+	 * Add a product to the cart
+	 * Body: { productId, quantity }
+	 */
+	async addItem(req, res) {
+		const userId = req.headers['x-user-id']
+		if (!userId) {
+			return res.status(401).json({ message: 'Unauthorized' })
+		}
+
+		const { productId, quantity = 1 } = req.body || {}
+		if (!productId || typeof productId !== 'string') {
+			recordCartOperation('add', 'rejected')
+			return res.status(400).json({ message: 'productId is required' })
+		}
+
+		try {
+			const item = await this.cartService.addItem(userId, productId, quantity, req.headers.authorization)
+			recordCartOperation('add', 'success')
+			return res.status(200).json(item)
+		} catch (error) {
+			return this._handleError(res, error, 'add', userId)
+		}
+	}
+
+	/**
+	 * PUT /api/cart/items/:productId
+	 * Set the quantity of a cart line
+	 * Body: { quantity }
+	 */
+	async updateItem(req, res) {
+		const userId = req.headers['x-user-id']
+		if (!userId) {
+			return res.status(401).json({ message: 'Unauthorized' })
+		}
+
+		try {
+			const item = await this.cartService.updateItem(userId, req.params.productId, (req.body || {}).quantity)
+			recordCartOperation('update', 'success')
+			return res.status(200).json(item)
+		} catch (error) {
+			return this._handleError(res, error, 'update', userId)
+		}
+	}
+
+	/**
+	 * DELETE /api/cart/items/:productId
+	 * Remove a product from the cart
+	 */
+	async removeItem(req, res) {
+		const userId = req.headers['x-user-id']
+		if (!userId) {
+			return res.status(401).json({ message: 'Unauthorized' })
+		}
+
+		try {
+			await this.cartService.removeItem(userId, req.params.productId)
+			recordCartOperation('remove', 'success')
+			return res.status(204).send()
+		} catch (error) {
+			return this._handleError(res, error, 'remove', userId)
+		}
+	}
+
+	/**
+	 * DELETE /api/cart
+	 * Empty the cart
+	 */
+	async clearCart(req, res) {
+		const userId = req.headers['x-user-id']
+		if (!userId) {
+			return res.status(401).json({ message: 'Unauthorized' })
+		}
+
+		try {
+			await this.cartService.clear(userId)
+			recordCartOperation('clear', 'success')
+			return res.status(204).send()
+		} catch (error) {
+			return this._handleError(res, error, 'clear', userId)
+		}
+	}
+
+	/**
+	 * POST /api/cart/checkout
+	 * Create an order from the cart (same saga as POST /api/orders)
+	 * The cart is emptied once the order is CONFIRMED.
+	 * Optional body: { couponCode, currency, shippingAddress or addressId, shippingMethod }
+	 */
+	async checkout(req, res) {
+		const userId = req.headers['x-user-id']
+		if (!userId) {
+			return res.status(401).json({ message: 'Unauthorized' })
+		}
+
+		const { couponCode, currency, shippingAddress, addressId, shippingMethod } = req.body || {}
+		if (couponCode !== undefined && (typeof couponCode !== 'string' || !couponCode.trim())) {
+			recordCartOperation('checkout', 'rejected')
+			return res.status(400).json({ message: 'couponCode must be a non-empty string' })
+		}
+		if (currency !== undefined && (typeof currency !== 'string' || !CURRENCY_PATTERN.test(currency))) {
+			recordCartOperation('checkout', 'rejected')
+			return res.status(400).json({ message: 'currency must be a 3-letter ISO 4217 code' })
+		}
+		const shipping = parseShipping({ shippingAddress, addressId, shippingMethod })
+		if (shipping.error) {
+			recordCartOperation('checkout', 'rejected')
+			return res.status(400).json({ message: shipping.error })
+		}
+
+		try {
+			const result = await this.cartService.checkout(userId, req.headers.authorization, {
+				couponCode,
+				currency,
+				...shipping.value,
+			})
+			recordCartOperation('checkout', 'success')
+			return res.status(201).json(result)
+		} catch (error) {
+			if (!error.code && error.message.includes('not found')) {
+				recordCartOperation('checkout', 'rejected')
+				return res.status(404).json({ message: error.message })
+			}
+			return this._handleError(res, error, 'checkout', userId)
+		}
+	}
+
+	/**
+	 * Map a cart error to its HTTP response
+	 * @private
+	 */
+	_handleError(res, error, operation, userId) {
+		const status = CART_ERROR_STATUS[error.code]
+		if (status) {
+			recordCartOperation(operation, 'rejected')
+			return res.status(status).json({ message: error.message, code: error.code })
+		}
+
+		logger.error({ error: error.message, userId, operation }, 'Cart operation failed')
+		recordCartOperation(operation, 'failed')
+
+		if (error.code === 'ECONNREFUSED' || error.message.includes('timeout')) {
+			return res.status(503).json({ message: 'Product Service unavailable' })
+		}
+
+		return res.status(500).json({ message: 'Server error' })
+	}
+}
+
+module.exports = CartController
@@ -0,0 +1,112 @@
+const logger = require('@ecommerce/logger')
+const { CreateCouponSchema, UpdateCouponSchema } = require('../schemas/coupon.schema')
+
+/**
+ * Coupon administration (admin only, see couponRoutes)
+ */
+class CouponController {
+	constructor(promotionService) {
+		this.promotionService = promotionService
+		this.createCoupon = this.createCoupon.bind(this)
+		this.listCoupons = this.listCoupons.bind(this)
+		this.getCoupon = this.getCoupon.bind(this)
+		this.updateCoupon = this.updateCoupon.bind(this)
+	}
+
+	/**
+	 * POST /api/orders/admin/coupons
+	 * Create a coupon
+	 */
+	async createCoupon(req, res) {
+		const parsed = CreateCouponSchema.safeParse(req.body || {})
+		if (!parsed.success) {
+			return res.status(400).json(this._validationError(parsed.error))
+		}
+
+		try {
+			const coupon = await this.promotionService.createCoupon(parsed.data, req.user.userId)
+			return res.status(201).json(coupon)
+		} catch (error) {
+			if (error.code === 'COUPON_EXISTS') {
+				return res.status(409).json({ message: error.message, code: error.code })
+			}
+			logger.error({ error: error.message, code: parsed.data.code }, 'Failed to create coupon')
+			return res.status(500).json({ message: 'Server error' })
+		}
+	}
+
+	/**
+	 * GET /api/orders/admin/coupons
+	 * List coupons (optional ?active=true|false)
+	 */
+	async listCoupons(req, res) {
+		try {
+			const { active } = req.query
+			const coupons = await this.promotionService.listCoupons({
+				active: active === undefined ? undefined : active === 'true',
+			})
+			return res.status(200).json({ coupons })
+		} catch (error) {
+			logger.error({ error: error.message }, 'Failed to list coupons')
+			return res.status(500).json({ message: 'Server error' })
+		}
+	}
+
+	/**
+	 * GET /api/orders/admin/coupons/:code
+	 * Coupon details including redeemedCount (active redemptions)
+	 */
+	async getCoupon(req, res) {
+		try {
+			const coupon = await this.promotionService.getCoupon(req.params.code)
+			if (!coupon) {
+				return res.status(404).json({ message: 'Coupon not found' })
+			}
+			return res.status(200).json(coupon)
+		} catch (error) {
+			logger.error({ error: error.message, code: req.params.code }, 'Failed to fetch coupon')
+			return res.status(500).json({ message: 'Server error' })
+		}
+	}
+
+	/**
+	 * PATCH /api/orders/admin/coupons/:code
+	 * Update a coupon (e.g. { active: false } to disable it)
+	 * Orders already placed keep their discount.
+	 */
+	async updateCoupon(req, res) {
+		const parsed = UpdateCouponSchema.safeParse(req.body || {})
+		if (!parsed.success) {
+			return res.status(400).json(this._validationError(parsed.error))
+		}
+
+		try {
+			const coupon = await this.promotionService.updateCoupon(req.params.code, parsed.data)
+			if (!coupon) {
+				return res.status(404).json({ message: 'Coupon not found' })
+			}
+			return res.status(200).json(coupon)
+		} catch (error) {
+			if (error.code === 'COUPON_NOT_APPLICABLE') {
+				return res.status(400).json({ message: error.message })
+			}
+			logger.error({ error: error.message, code: req.params.code }, 'Failed to update coupon')
+			return res.status(500).json({ message: 'Server error' })
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	_validationError(error) {
+		return {
+			message: 'Invalid coupon',
+			errors: error.issues.map((issue) => ({
+				field: issue.path.join('.'),
+				message: issue.message,
+			})),
+		}
+	}
+}
+
+module.exports = CouponController
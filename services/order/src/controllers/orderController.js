@@ -1,32 +1,190 @@
 const logger = require('@ecommerce/logger')
-const { recordOrderOperation } = require('../metrics')
+const config = require('../config')
+const { recordOrderOperation, recordStatusStreamConnection } = require('../metrics')
+const { OrderSearchQuerySchema } = require('../schemas/orderSearch.schema')
+const { parseShipping } = require('../schemas/shipping.schema')
+const { isValidEventId, compareEventIds } = require('../services/orderStatusStream')
+
+// Same limit as common payment APIs (UUIDs and client-generated tokens fit easily)
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255
+
+// HTTP status of coupons refused at order creation (see createCouponError in promotionService)
+const COUPON_ERROR_STATUS = {
+	COUPON_NOT_FOUND: 400,
+	COUPON_INACTIVE: 400,
+	COUPON_NOT_APPLICABLE: 400,
+	COUPON_LIMIT_REACHED: 409,
+}
+
+// HTTP status of currencies that can't be priced (see createCurrencyError in exchangeRateService)
+const CURRENCY_ERROR_STATUS = {
+	UNSUPPORTED_CURRENCY: 400,
+	EXCHANGE_RATE_UNAVAILABLE: 503,
+}
+
+// HTTP status of shipping methods and addresses that can't be used
+// (see createShippingError in shippingService, snapshotAddress in orderService)
+const SHIPPING_ERROR_STATUS = {
+	SHIPPING_METHOD_UNAVAILABLE: 400,
+	ADDRESS_NOT_FOUND: 400,
+	ADDRESS_BOOK_UNAVAILABLE: 503,
+}
+
+const CURRENCY_PATTERN = /^[A-Za-z]{3}$/
+
+// Largest batch of POST /admin/lookup
+const MAX_LOOKUP_IDS = 200
+
+// Seckill correlationIds are trace IDs (32 hex) or UUIDs
+const CORRELATION_ID_PATTERN = /^[A-Za-z0-9-]{1,64}$/
+
+const EXPORT_COLUMNS = ['orderId', 'user', 'status', 'source', 'subtotal', 'discountTotal', 'couponCode', 'taxTotal', 'shippingTotal', 'totalPrice', 'currency', 'itemCount', 'productIds', 'correlationId', 'createdAt']
+
+/**
+ * Parse an optional fulfilment timestamp
+ * @returns {Date|undefined|null} Date, undefined when not given, null when invalid or in the future
+ */
+function parsePastTime(value) {
+	if (value === undefined) {
+		return undefined
+	}
+	const time = typeof value === 'string' ? new Date(value) : null
+	if (!time || Number.isNaN(time.getTime()) || time.getTime() > Date.now()) {
+		return null
+	}
+	return time
+}
+
+/**
+ * Quote a CSV field when needed (RFC 4180)
+ */
+function csvField(value) {
+	const text = value === undefined || value === null ? '' : String(value)
+	return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
 
 class OrderController {
-	constructor(orderService) {
+	/**
+	 * @param {Object} orderService - OrderService instance
+	 * @param {Object} [idempotencyService] - Enables Idempotency-Key support on createOrder
+	 * @param {Object} [statusStream] - OrderStatusStream serving GET /api/orders/stream
+	 */
+	constructor(orderService, idempotencyService, statusStream) {
 		this.orderService = orderService
+		this.idempotencyService = idempotencyService
+		this.statusStream = statusStream
 		this.createOrder = this.createOrder.bind(this)
 		this.getOrderById = this.getOrderById.bind(this)
+		this.getOrderHistory = this.getOrderHistory.bind(this)
 		this.getMyOrders = this.getMyOrders.bind(this)
+		this.getOrderByCorrelation = this.getOrderByCorrelation.bind(this)
+		this.streamOrderStatus = this.streamOrderStatus.bind(this)
+		this.getSeckillOrdersByProduct = this.getSeckillOrdersByProduct.bind(this)
+		this.lookupOrders = this.lookupOrders.bind(this)
+		this.searchOrders = this.searchOrders.bind(this)
+		this.exportOrders = this.exportOrders.bind(this)
+		this.cancelOrder = this.cancelOrder.bind(this)
+		this.shipOrder = this.shipOrder.bind(this)
+		this.deliverOrder = this.deliverOrder.bind(this)
+		this.updateShipment = this.updateShipment.bind(this)
+		this.returnOrder = this.returnOrder.bind(this)
+		this.refundOrder = this.refundOrder.bind(this)
 	}
 
 	/**
 	 * POST /api/orders
 	 * Create a new order
+	 * 
+	 * Optional Idempotency-Key header: the first successful response is stored
+	 * (per user) and replayed for retries with the same body; reusing the key
+	 * with a different body is rejected with 409.
 	 */
 	async createOrder(req, res) {
-		try {
-			const token = req.headers.authorization
-			// Get user info from headers (set by API Gateway)
-			const userId = req.headers['x-user-id']
-			if (!userId) {
-				return res.status(401).json({ message: 'Unauthorized' })
+		// Get user info from headers (set by API Gateway)
+		const userId = req.headers['x-user-id']
+		if (!userId) {
+			return res.status(401).json({ message: 'Unauthorized' })
+		}
+
+		const idempotencyKey = req.headers['idempotency-key']
+		if (idempotencyKey === undefined || !this.idempotencyService) {
+			const { statusCode, body } = await this._placeOrder(req, userId)
+			return res.status(statusCode).json(body)
+		}
+
+		if (!idempotencyKey.trim() || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH) {
+			return res.status(400).json({
+				message: `Idempotency-Key must be 1-${MAX_IDEMPOTENCY_KEY_LENGTH} characters`,
+			})
+		}
+
+		const fingerprint = this.idempotencyService.fingerprint(req.body)
+		const claim = await this.idempotencyService.beginRequest(userId, idempotencyKey, fingerprint)
+
+		switch (claim.status) {
+			case 'completed':
+				recordOrderOperation('create', 'replayed')
+				res.set('Idempotent-Replayed', 'true')
+				return res.status(claim.response.statusCode).json(claim.response.body)
+			case 'mismatch':
+				recordOrderOperation('create', 'rejected')
+				return res.status(409).json({
+					message: 'Idempotency-Key was already used with a different request body',
+					code: 'IDEMPOTENCY_KEY_REUSED',
+				})
+			case 'in_progress':
+				recordOrderOperation('create', 'rejected')
+				res.set('Retry-After', '1')
+				return res.status(409).json({
+					message: 'A request with this Idempotency-Key is still being processed',
+					code: 'IDEMPOTENCY_KEY_IN_PROGRESS',
+				})
+		}
+
+		const { statusCode, body } = await this._placeOrder(req, userId)
+
+		// 'unavailable' (Redis down): the order was created without idempotency
+		if (claim.status === 'started') {
+			if (statusCode === 201) {
+				await this.idempotencyService.completeRequest(
+					userId,
+					idempotencyKey,
+					fingerprint,
+					{ statusCode, body },
+					config.idempotencyKeyTtlSeconds
+				)
+			} else {
+				// Failed requests don't consume the key, so the client can retry
+				await this.idempotencyService.releaseRequest(userId, idempotencyKey)
 			}
+		}
 
-			const { ids, quantities } = req.body
+		return res.status(statusCode).json(body)
+	}
+
+	/**
+	 * Validate the body and create the order
+	 * @private
+	 * @returns {Promise<Object>} { statusCode, body }
+	 */
+	async _placeOrder(req, userId) {
+		try {
+			const token = req.headers.authorization
+			const { ids, quantities, couponCode, currency, shippingAddress, addressId, shippingMethod } = req.body
 
 			// Validate input
 			if (!ids || !Array.isArray(ids) || ids.length === 0) {
-				return res.status(400).json({ message: 'Product IDs are required' })
+				return { statusCode: 400, body: { message: 'Product IDs are required' } }
+			}
+			if (couponCode !== undefined && (typeof couponCode !== 'string' || !couponCode.trim())) {
+				return { statusCode: 400, body: { message: 'couponCode must be a non-empty string' } }
+			}
+			if (currency !== undefined && (typeof currency !== 'string' || !CURRENCY_PATTERN.test(currency))) {
+				return { statusCode: 400, body: { message: 'currency must be a 3-letter ISO 4217 code' } }
+			}
+			const shipping = parseShipping({ shippingAddress, addressId, shippingMethod })
+			if (shipping.error) {
+				return { statusCode: 400, body: { message: shipping.error } }
 			}
 
 			const username = userId
@@ -36,34 +194,43 @@ class OrderController {
 				ids,
 				quantities,
 				username,
-				token
+				token,
+				{ couponCode, currency, ...shipping.value }
 			)
 
 			recordOrderOperation('create', 'success')
-			return res.status(201).json(result)
+			return { statusCode: 201, body: result }
 		} catch (error) {
 			logger.error(
 				{ error: error.message, body: req.body },
 				'Failed to create order'
 			)
 
+			const rejectedStatus =
+				COUPON_ERROR_STATUS[error.code] || CURRENCY_ERROR_STATUS[error.code] || SHIPPING_ERROR_STATUS[error.code]
+			if (rejectedStatus) {
+				recordOrderOperation('create', 'rejected')
+				return { statusCode: rejectedStatus, body: { message: error.message, code: error.code } }
+			}
+
 			recordOrderOperation('create', 'failed')
 
 			if (error.message.includes('not found')) {
-				return res.status(404).json({ message: error.message })
+				return { statusCode: 404, body: { message: error.message } }
 			}
 
 			if (error.code === 'ECONNREFUSED' || error.message.includes('timeout')) {
-				return res.status(503).json({ message: 'Product Service unavailable' })
+				return { statusCode: 503, body: { message: 'Product Service unavailable' } }
 			}
 
-			return res.status(500).json({ message: 'Server error' })
+			return { statusCode: 500, body: { message: 'Server error' } }
 		}
 	}
 
 	/**
 	 * GET /api/orders/:id
 	 * Return order details including status
+	 * Optional ?currency=EUR adds the totals converted to that display currency.
 	 */
 	async getOrderById(req, res) {
 		try {
@@ -76,29 +243,136 @@ class OrderController {
 			const { id } = req.params
 			if (!id) return res.status(400).json({ message: 'Order id required' })
 
+			const displayCurrency = req.query.currency
+			if (displayCurrency !== undefined && !CURRENCY_PATTERN.test(displayCurrency)) {
+				return res.status(400).json({ message: 'currency must be a 3-letter ISO 4217 code' })
+			}
+
 			const order = await this.orderService.getOrderById(id)
 			if (!order) {
 				recordOrderOperation('read', 'not_found')
 				return res.status(404).json({ message: 'Order not found' })
 			}
 
+			const display = displayCurrency
+				? await this.orderService.convertTotals(order, displayCurrency)
+				: undefined
+
 			recordOrderOperation('read', 'success')
 			return res.status(200).json({
 				orderId: order._id,
 				products: order.products,
+				subtotal: order.subtotal,
+				discounts: order.discounts,
+				discountTotal: order.discountTotal,
+				taxTotal: order.taxTotal,
+				shippingTotal: order.shippingTotal,
 				totalPrice: order.totalPrice,
+				currency: order.currency,
+				exchangeRates: order.exchangeRates,
+				shippingAddress: order.shippingAddress,
+				shippingMethod: order.shippingMethod,
+				display,
 				user: order.user,
 				status: order.status,
 				cancellationReason: order.cancellationReason,
+				shipment: order.shipment,
+				returnReason: order.returnReason,
+				refundReason: order.refundReason,
+				refundedTotal: order.refundedTotal,
+				refunds: order.refunds,
+				statusHistory: order.statusHistory,
 				createdAt: order.createdAt,
 			})
 		} catch (error) {
+			const currencyStatus = CURRENCY_ERROR_STATUS[error.code]
+			if (currencyStatus) {
+				recordOrderOperation('read', 'rejected')
+				return res.status(currencyStatus).json({ message: error.message, code: error.code })
+			}
 			logger.error({ error: error.message }, 'Failed to fetch order')
 			recordOrderOperation('read', 'failed')
 			return res.status(500).json({ message: 'Server error' })
 		}
 	}
 
+	/**
+	 * GET /api/orders/:id/history
+	 * Return the status timeline of an order (oldest first)
+	 * Only the order owner (or an admin) may read it.
+	 */
+	async getOrderHistory(req, res) {
+		try {
+			// Get user info from headers (set by API Gateway)
+			const userId = req.headers['x-user-id']
+			if (!userId) {
+				return res.status(401).json({ message: 'Unauthorized' })
+			}
+
+			const timeline = await this.orderService.getStatusHistory(req.params.id)
+			if (!timeline) {
+				recordOrderOperation('history', 'not_found')
+				return res.status(404).json({ message: 'Order not found' })
+			}
+
+			if (timeline.user !== userId && req.headers['x-user-role'] !== 'admin') {
+				recordOrderOperation('history', 'forbidden')
+				return res.status(403).json({ message: 'Forbidden' })
+			}
+
+			recordOrderOperation('history', 'success')
+			return res.status(200).json(timeline)
+		} catch (error) {
+			logger.error({ error: error.message, orderId: req.params.id }, 'Failed to fetch order history')
+			recordOrderOperation('history', 'failed')
+			return res.status(500).json({ message: 'Server error' })
+		}
+	}
+
+	/**
+	 * DELETE /api/orders/:id
+	 * Cancel an order of the current user (PENDING or CONFIRMED only)
+	 * Optional body: { reason }
+	 */
+	async cancelOrder(req, res) {
+		// Get user info from headers (set by API Gateway)
+		const userId = req.headers['x-user-id']
+		if (!userId) {
+			return res.status(401).json({ message: 'Unauthorized' })
+		}
+
+		const { id } = req.params
+		try {
+			const result = await this.orderService.cancelOrder(id, userId, this._reason(req))
+
+			recordOrderOperation('cancel', result.alreadyCancelled ? 'skipped' : 'success')
+			return res.status(200).json({
+				orderId: result.orderId,
+				status: result.status,
+				cancellationReason: result.cancellationReason,
+				message: result.alreadyCancelled
+					? 'Order was already cancelled'
+					: 'Order cancelled',
+			})
+		} catch (error) {
+			switch (error.code) {
+				case 'ORDER_NOT_FOUND':
+					recordOrderOperation('cancel', 'not_found')
+					return res.status(404).json({ message: 'Order not found' })
+				case 'FORBIDDEN':
+					recordOrderOperation('cancel', 'forbidden')
+					return res.status(403).json({ message: 'Forbidden' })
+				case 'ORDER_NOT_CANCELLABLE':
+					recordOrderOperation('cancel', 'rejected')
+					return res.status(409).json({ message: error.message })
+				default:
+					logger.error({ error: error.message, orderId: id }, 'Failed to cancel order')
+					recordOrderOperation('cancel', 'failed')
+					return res.status(500).json({ message: 'Server error' })
+			}
+		}
+	}
+
 	/**
 	 * GET /api/orders
 	 * Return list of orders for current user with pagination
@@ -130,6 +404,7 @@ class OrderController {
 					orderId: order._id,
 					products: order.products,
 					totalPrice: order.totalPrice,
+					currency: order.currency,
 					status: order.status,
 					cancellationReason: order.cancellationReason,
 					createdAt: order.createdAt,
@@ -148,14 +423,65 @@ class OrderController {
 		}
 	}
 
+	/**
+	 * GET /api/orders/by-correlation/:correlationId
+	 * Look up the order created for a seckill purchase (correlationId from /seckill/buy)
+	 * Query: wait - seconds to hold the request until the order exists (long polling,
+	 * up to ORDER_LOOKUP_MAX_WAIT_SECONDS). 202 PROCESSING while not created yet.
+	 */
+	async getOrderByCorrelation(req, res) {
+		const userId = req.headers['x-user-id']
+		if (!userId) {
+			return res.status(401).json({ message: 'Unauthorized' })
+		}
+
+		const { correlationId } = req.params
+		if (!CORRELATION_ID_PATTERN.test(correlationId)) {
+			recordOrderOperation('read_by_correlation', 'rejected')
+			return res.status(400).json({ message: 'Invalid correlationId' })
+		}
+
+		const wait = req.query.wait === undefined ? 0 : Number(req.query.wait)
+		if (!Number.isInteger(wait) || wait < 0 || wait > config.orderLookupMaxWaitSeconds) {
+			recordOrderOperation('read_by_correlation', 'rejected')
+			return res.status(400).json({
+				message: `wait must be a whole number of seconds between 0 and ${config.orderLookupMaxWaitSeconds}`,
+			})
+		}
+
+		return this.getOrderByCorrelationId(req, res, correlationId, userId, wait * 1000)
+	}
+
 	/**
 	 * GET /api/orders?correlationId=xxx
 	 * Look up order by correlationId (for seckill orders)
 	 * Returns the order associated with the given correlationId
+	 *
+	 * @param {number} [waitMs] - Set by GET /by-correlation: long-poll for up to waitMs,
+	 *   then answer 202 PROCESSING instead of 404 while the order does not exist
 	 */
-	async getOrderByCorrelationId(req, res, correlationId, userId) {
+	async getOrderByCorrelationId(req, res, correlationId, userId, waitMs) {
 		try {
-			const order = await this.orderService.getOrderByCorrelationId(correlationId)
+			let order
+			if (waitMs > 0) {
+				const abort = new AbortController()
+				req.on('close', () => abort.abort())
+				order = await this.orderService.waitForOrderByCorrelationId(correlationId, userId, waitMs, abort.signal)
+				if (abort.signal.aborted) return
+			} else {
+				order = await this.orderService.getOrderByCorrelationId(correlationId)
+			}
+
+			if (!order && waitMs !== undefined) {
+				// The seckill.order.won event has not been processed yet
+				recordOrderOperation('read_by_correlation', 'not_found')
+				res.set('Retry-After', '1')
+				return res.status(202).json({
+					status: 'PROCESSING',
+					message: 'Order is being created. Retry later or long-poll with ?wait=<seconds>.',
+					correlationId,
+				})
+			}
 
 			if (!order) {
 				// Order might not be created yet (async processing)
@@ -178,6 +504,7 @@ class OrderController {
 				correlationId: order.metadata?.correlationId,
 				products: order.products,
 				totalPrice: order.totalPrice,
+				currency: order.currency,
 				user: order.user,
 				status: order.status,
 				cancellationReason: order.cancellationReason,
@@ -189,6 +516,441 @@ class OrderController {
 			return res.status(500).json({ message: 'Server error' })
 		}
 	}
+
+	/**
+	 * GET /api/orders/stream
+	 * Server-Sent Events stream of the status changes of the user's orders
+	 * Query: orderId or correlationId to follow a single order.
+	 * A reconnecting client gets the events after its Last-Event-ID header
+	 * (or ?lastEventId=) first; events may then repeat but are never skipped.
+	 */
+	async streamOrderStatus(req, res) {
+		const userId = req.headers['x-user-id']
+		if (!userId) {
+			return res.status(401).json({ message: 'Unauthorized' })
+		}
+		if (!this.statusStream || !this.statusStream.isReady()) {
+			recordOrderOperation('stream', 'failed')
+			return res.status(503).json({ message: 'Order status stream is temporarily unavailable' })
+		}
+
+		const { orderId, correlationId } = req.query
+		const lastEventId = req.headers['last-event-id'] || req.query.lastEventId
+		if (lastEventId !== undefined && !isValidEventId(lastEventId)) {
+			recordOrderOperation('stream', 'rejected')
+			return res.status(400).json({ message: 'Last-Event-ID must be an event ID from this stream' })
+		}
+		if (orderId !== undefined && !/^[a-f0-9]{24}$/i.test(orderId)) {
+			recordOrderOperation('stream', 'rejected')
+			return res.status(400).json({ message: 'orderId must be an order ID' })
+		}
+
+		const matches = (event) =>
+			(!orderId || event.orderId === orderId) && (!correlationId || event.correlationId === correlationId)
+		const send = ({ id, event }) => {
+			if (matches(event)) {
+				res.write(`id: ${id}\nevent: status\ndata: ${JSON.stringify(event)}\n\n`)
+			}
+		}
+
+		// Redis hands out stream IDs in order, so an entry up to the last replayed
+		// one was already in the replay (or received before reconnecting)
+		let replayedUpTo = lastEventId
+		const isNew = (entry) => !replayedUpTo || compareEventIds(entry.id, replayedUpTo) > 0
+
+		// Live events that arrive while the missed ones are replayed wait in `pending`
+		let pending = []
+		const unsubscribe = this.statusStream.subscribe(userId, (entry) => {
+			if (pending) {
+				pending.push(entry)
+			} else if (isNew(entry)) {
+				send(entry)
+			}
+		})
+		const heartbeat = setInterval(() => res.write(': ping\n\n'), config.orderStatusHeartbeatMs)
+		req.on('close', () => {
+			clearInterval(heartbeat)
+			unsubscribe()
+			recordStatusStreamConnection('closed')
+		})
+
+		res.writeHead(200, {
+			'Content-Type': 'text/event-stream',
+			'Cache-Control': 'no-cache',
+			Connection: 'keep-alive',
+			'X-Accel-Buffering': 'no',
+		})
+		res.write(': connected\n\n')
+		recordStatusStreamConnection('opened')
+		recordOrderOperation('stream', 'success')
+
+		if (lastEventId) {
+			try {
+				for (const entry of await this.statusStream.replay(userId, lastEventId)) {
+					send(entry)
+					replayedUpTo = entry.id
+				}
+			} catch (error) {
+				logger.warn({ error: error.message, userId, lastEventId }, 'Failed to replay order status events')
+			}
+		}
+
+		const live = pending
+		pending = null
+		live.filter(isNew).forEach(send)
+	}
+
+	/**
+	 * GET /api/orders/admin/seckill/:productId
+	 * Return all seckill orders of a product (admin only)
+	 * Used by Seckill Service reconciliation to compare Redis winners against orders
+	 */
+	async getSeckillOrdersByProduct(req, res) {
+		const { productId } = req.params
+		try {
+			const orders = await this.orderService.getSeckillOrdersByProduct(productId)
+
+			recordOrderOperation('list_seckill', 'success')
+			return res.status(200).json({
+				productId,
+				orders: orders.map((order) => ({
+					orderId: order._id,
+					user: order.user,
+					quantity: order.products
+						.filter((product) => product._id.toString() === productId)
+						.reduce((sum, product) => sum + product.quantity, 0),
+					status: order.status,
+					correlationId: order.metadata?.correlationId,
+					createdAt: order.createdAt,
+				})),
+			})
+		} catch (error) {
+			logger.error({ error: error.message, productId }, 'Failed to fetch seckill orders')
+			recordOrderOperation('list_seckill', 'failed')
+			return res.status(500).json({ message: 'Server error' })
+		}
+	}
+
+	/**
+	 * POST /api/orders/admin/lookup
+	 * Return the orders of a list of IDs (admin only)
+	 * Body: { orderIds: string[] } (at most MAX_LOOKUP_IDS); unknown IDs are left out
+	 * Used by Payment Service reconciliation to compare payments against order statuses
+	 */
+	async lookupOrders(req, res) {
+		const { orderIds } = req.body || {}
+		if (
+			!Array.isArray(orderIds) ||
+			orderIds.length === 0 ||
+			orderIds.length > MAX_LOOKUP_IDS ||
+			!orderIds.every((id) => typeof id === 'string' && id.length > 0)
+		) {
+			recordOrderOperation('lookup', 'rejected')
+			return res.status(400).json({ message: `orderIds must be a list of 1 to ${MAX_LOOKUP_IDS} order IDs` })
+		}
+
+		try {
+			const orders = await this.orderService.getOrdersByIds([...new Set(orderIds)])
+
+			recordOrderOperation('lookup', 'success')
+			return res.status(200).json({
+				orders: orders.map((order) => this._toAdminSummary(order)),
+			})
+		} catch (error) {
+			logger.error({ error: error.message, count: orderIds.length }, 'Failed to look up orders')
+			recordOrderOperation('lookup', 'failed')
+			return res.status(500).json({ message: 'Server error' })
+		}
+	}
+
+	/**
+	 * GET /api/orders/admin/search
+	 * Search orders across users (admin only)
+	 * Query: status, source, userId, productId, correlationId, from, to,
+	 * minPrice, maxPrice, sort, order, limit, cursor
+	 */
+	async searchOrders(req, res) {
+		const query = this._parseSearchQuery(req, res, 'search')
+		if (!query) return
+
+		try {
+			const { items, nextCursor } = await this.orderService.searchOrders(query)
+
+			recordOrderOperation('search', 'success')
+			return res.status(200).json({
+				orders: items.map((order) => this._toAdminSummary(order)),
+				pagination: {
+					limit: query.limit,
+					nextCursor,
+				},
+			})
+		} catch (error) {
+			if (error.code === 'INVALID_CURSOR') {
+				recordOrderOperation('search', 'rejected')
+				return res.status(400).json({ message: error.message })
+			}
+			logger.error({ error: error.message, query: req.query }, 'Failed to search orders')
+			recordOrderOperation('search', 'failed')
+			return res.status(500).json({ message: 'Server error' })
+		}
+	}
+
+	/**
+	 * GET /api/orders/admin/export?format=csv|json
+	 * Export orders matching the search filters (admin only)
+	 * Streams up to ORDER_EXPORT_MAX_ROWS orders; cursor and limit are ignored.
+	 */
+	async exportOrders(req, res) {
+		const query = this._parseSearchQuery(req, res, 'export')
+		if (!query) return
+
+		const filename = `orders-${new Date().toISOString().replace(/[:.]/g, '-')}.${query.format}`
+		res.status(200)
+		res.set('Content-Type', query.format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8')
+		res.set('Content-Disposition', `attachment; filename="${filename}"`)
+
+		let rows = 0
+		try {
+			res.write(query.format === 'csv' ? `${EXPORT_COLUMNS.join(',')}\n` : '[')
+			for await (const order of this.orderService.exportOrders(query)) {
+				const row = this._toExportRow(order)
+				if (query.format === 'csv') {
+					res.write(`${EXPORT_COLUMNS.map((column) => csvField(row[column])).join(',')}\n`)
+				} else {
+					res.write(`${rows > 0 ? ',' : ''}\n${JSON.stringify(row)}`)
+				}
+				rows++
+			}
+			res.end(query.format === 'csv' ? '' : '\n]\n')
+
+			recordOrderOperation('export', 'success')
+			logger.info({ format: query.format, rows, adminId: req.user.userId }, 'Orders exported')
+		} catch (error) {
+			logger.error({ error: error.message, query: req.query, rows }, 'Failed to export orders')
+			recordOrderOperation('export', 'failed')
+			// Headers are already sent: abort so the client sees a truncated download
+			res.destroy(error)
+		}
+	}
+
+	/**
+	 * Validate search/export query parameters (responds 400 when invalid)
+	 * @private
+	 * @returns {Object|null} Parsed query or null if a response was sent
+	 */
+	_parseSearchQuery(req, res, operation) {
+		const parsed = OrderSearchQuerySchema.safeParse(req.query)
+		if (!parsed.success) {
+			recordOrderOperation(operation, 'rejected')
+			res.status(400).json({
+				message: 'Invalid search parameters',
+				errors: parsed.error.issues.map((issue) => ({
+					field: issue.path.join('.'),
+					message: issue.message,
+				})),
+			})
+			return null
+		}
+		return parsed.data
+	}
+
+	/**
+	 * @private
+	 */
+	_toAdminSummary(order) {
+		return {
+			orderId: order._id,
+			user: order.user,
+			status: order.status,
+			source: order.metadata?.source || 'regular',
+			correlationId: order.metadata?.correlationId,
+			products: order.products,
+			totalPrice: order.totalPrice,
+			currency: order.currency || 'USD',
+			createdAt: order.createdAt,
+		}
+	}
+
+	/**
+	 * Flat export row (one line per order)
+	 * @private
+	 */
+	_toExportRow(order) {
+		return {
+			orderId: String(order._id),
+			user: order.user,
+			status: order.status,
+			source: order.metadata?.source || 'regular',
+			subtotal: order.subtotal ?? order.totalPrice,
+			discountTotal: order.discountTotal || 0,
+			couponCode: order.discounts?.[0]?.code,
+			taxTotal: order.taxTotal || 0,
+			shippingTotal: order.shippingTotal || 0,
+			totalPrice: order.totalPrice,
+			currency: order.currency || 'USD',
+			itemCount: order.products.reduce((sum, product) => sum + product.quantity, 0),
+			productIds: order.products.map((product) => String(product._id)).join(';'),
+			correlationId: order.metadata?.correlationId,
+			createdAt: order.createdAt instanceof Date ? order.createdAt.toISOString() : order.createdAt,
+		}
+	}
+
+	/**
+	 * POST /api/orders/admin/:id/ship
+	 * Mark a PAID order as shipped (admin only)
+	 * Body: { carrier, trackingNumber, shippedAt? }
+	 */
+	async shipOrder(req, res) {
+		const { carrier, trackingNumber, shippedAt } = req.body || {}
+		if (typeof carrier !== 'string' || !carrier.trim() ||
+			typeof trackingNumber !== 'string' || !trackingNumber.trim()) {
+			return res.status(400).json({ message: 'carrier and trackingNumber are required' })
+		}
+		const shippedTime = parsePastTime(shippedAt)
+		if (shippedTime === null) {
+			return res.status(400).json({ message: 'shippedAt must be an ISO date that is not in the future' })
+		}
+
+		return this._respondToTransition(req, res, 'ship', () =>
+			this.orderService.shipOrder(req.params.id, {
+				carrier: carrier.trim(),
+				trackingNumber: trackingNumber.trim(),
+				shippedAt: shippedTime,
+			}, req.user.userId)
+		)
+	}
+
+	/**
+	 * POST /api/orders/admin/:id/deliver
+	 * Mark a SHIPPED order as delivered (admin only)
+	 * Optional body: { deliveredAt }
+	 */
+	async deliverOrder(req, res) {
+		const deliveredTime = parsePastTime(req.body?.deliveredAt)
+		if (deliveredTime === null) {
+			return res.status(400).json({ message: 'deliveredAt must be an ISO date that is not in the future' })
+		}
+
+		return this._respondToTransition(req, res, 'deliver', () =>
+			this.orderService.deliverOrder(req.params.id, req.user.userId, deliveredTime)
+		)
+	}
+
+	/**
+	 * PATCH /api/orders/admin/:id/shipment
+	 * Correct the fulfilment data of a shipped order (admin only)
+	 * Body: any of { carrier, trackingNumber, shippedAt, deliveredAt }
+	 */
+	async updateShipment(req, res) {
+		const body = req.body || {}
+		const changes = {}
+
+		for (const field of ['carrier', 'trackingNumber']) {
+			if (body[field] === undefined) continue
+			if (typeof body[field] !== 'string' || !body[field].trim()) {
+				return res.status(400).json({ message: `${field} must be a non-empty string` })
+			}
+			changes[field] = body[field].trim()
+		}
+		for (const field of ['shippedAt', 'deliveredAt']) {
+			if (body[field] === undefined) continue
+			const time = parsePastTime(body[field])
+			if (time === null) {
+				return res.status(400).json({ message: `${field} must be an ISO date that is not in the future` })
+			}
+			changes[field] = time
+		}
+		if (Object.keys(changes).length === 0) {
+			return res.status(400).json({ message: 'Nothing to update' })
+		}
+
+		try {
+			const result = await this.orderService.updateShipment(req.params.id, changes, req.user.userId)
+			recordOrderOperation('update_shipment', 'success')
+			return res.status(200).json(result)
+		} catch (error) {
+			switch (error.code) {
+				case 'ORDER_NOT_FOUND':
+					recordOrderOperation('update_shipment', 'not_found')
+					return res.status(404).json({ message: 'Order not found' })
+				case 'INVALID_TRANSITION':
+					recordOrderOperation('update_shipment', 'rejected')
+					return res.status(409).json({ message: error.message })
+				case 'INVALID_SHIPMENT':
+					recordOrderOperation('update_shipment', 'rejected')
+					return res.status(400).json({ message: error.message })
+				default:
+					logger.error({ error: error.message, orderId: req.params.id }, 'Failed to update shipment')
+					recordOrderOperation('update_shipment', 'failed')
+					return res.status(500).json({ message: 'Server error' })
+			}
+		}
+	}
+
+	/**
+	 * POST /api/orders/admin/:id/return
+	 * Record the return of a DELIVERED order (admin only)
+	 * Optional body: { reason }
+	 */
+	async returnOrder(req, res) {
+		return this._respondToTransition(req, res, 'return', () =>
+			this.orderService.returnOrder(req.params.id, this._reason(req), req.user.userId)
+		)
+	}
+
+	/**
+	 * POST /api/orders/admin/:id/refund
+	 * Refund a PAID (not shipped) or RETURNED order (admin only)
+	 * Optional body: { reason }
+	 */
+	async refundOrder(req, res) {
+		return this._respondToTransition(req, res, 'refund', () =>
+			this.orderService.refundOrder(req.params.id, this._reason(req), req.user.userId)
+		)
+	}
+
+	/**
+	 * Run an admin lifecycle transition and map the outcome to a response
+	 * @private
+	 */
+	async _respondToTransition(req, res, operation, run) {
+		const { id } = req.params
+		try {
+			const result = await run()
+
+			recordOrderOperation(operation, result.alreadyInState ? 'skipped' : 'success')
+			return res.status(200).json({
+				orderId: result.orderId,
+				status: result.status,
+				message: result.alreadyInState
+					? `Order already ${result.status}`
+					: `Order ${result.status}`,
+			})
+		} catch (error) {
+			switch (error.code) {
+				case 'ORDER_NOT_FOUND':
+					recordOrderOperation(operation, 'not_found')
+					return res.status(404).json({ message: 'Order not found' })
+				case 'INVALID_TRANSITION':
+					recordOrderOperation(operation, 'rejected')
+					return res.status(409).json({ message: error.message })
+				default:
+					logger.error({ error: error.message, orderId: id, operation }, 'Failed to update order lifecycle')
+					recordOrderOperation(operation, 'failed')
+					return res.status(500).json({ message: 'Server error' })
+			}
+		}
+	}
+
+	/**
+	 * Optional free-text reason from the request body
+	 * @private
+	 */
+	_reason(req) {
+		return typeof req.body?.reason === 'string'
+			? req.body.reason.trim().slice(0, 500) || undefined
+			: undefined
+	}
 }
 
 module.exports = OrderController
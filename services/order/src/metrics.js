@@ -17,7 +17,7 @@ const ordersCreated = new promClient.Counter({
 const orderStateTransitions = new promClient.Counter({
   name: 'order_state_transitions_total',
   help: 'Order state machine transitions',
-  labelNames: ['from_state', 'to_state', 'trigger'] // trigger: inventory_reserved, inventory_failed, payment_success, payment_failed
+  labelNames: ['from_state', 'to_state', 'trigger'] // trigger: inventory_reserved, inventory_failed, payment_success, payment_failed, customer_cancelled, timeout, admin_ship, admin_deliver, admin_return, admin_refund, payment_refunded
 });
 
 // Order processing duration histogram
@@ -32,7 +32,7 @@ const orderProcessingDuration = new promClient.Histogram({
 const sagaOperations = new promClient.Counter({
   name: 'order_saga_operations_total',
   help: 'Saga pattern operations',
-  labelNames: ['saga_type', 'step', 'status'] // saga_type: order_flow; step: create, reserve, payment; status: success, compensated, failed
+  labelNames: ['saga_type', 'step', 'status'] // saga_type: order_flow; step: create, reserve, payment, cancel, timeout; status: success, compensated, failed
 });
 
 // Circuit breaker state gauge
@@ -52,21 +52,21 @@ const outboxPendingMessages = new promClient.Gauge({
 const orderValueTotal = new promClient.Counter({
   name: 'order_value_total',
   help: 'Total order value processed',
-  labelNames: ['currency', 'status'] // status: created, confirmed, paid, cancelled
+  labelNames: ['currency', 'status'] // status: created, confirmed, paid, cancelled, refunded
 });
 
 // Order operations counter (CRUD)
 const orderOperations = new promClient.Counter({
   name: 'order_operations_total',
   help: 'Order CRUD operations',
-  labelNames: ['operation', 'status'] // operation: create, read, list; status: success, failed, not_found
+  labelNames: ['operation', 'status'] // operation: create, read, history, list, search, export, cancel, ship, deliver, return, refund; status: success, failed, not_found, replayed
 });
 
 // Event processing counter
 const eventProcessing = new promClient.Counter({
   name: 'order_event_processing_total',
   help: 'Order event processing operations',
-  labelNames: ['event_type', 'status'] // event_type: inventory_reserved, inventory_failed, payment_success, payment_failed
+  labelNames: ['event_type', 'status'] // event_type: inventory_reserved, inventory_failed, payment_success, payment_failed, payment_refunded
 });
 
 // Event processing duration histogram
@@ -77,6 +77,40 @@ const eventProcessingDuration = new promClient.Histogram({
   buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2, 5]
 });
 
+// Auto-expired orders counter (timeout scheduler)
+const ordersExpired = new promClient.Counter({
+  name: 'order_auto_expired_total',
+  help: 'Orders cancelled automatically after exceeding their status deadline',
+  labelNames: ['from_status'] // pending, confirmed
+});
+
+// Cart operations counter
+const cartOperations = new promClient.Counter({
+  name: 'order_cart_operations_total',
+  help: 'Shopping cart operations',
+  labelNames: ['operation', 'status'] // operation: read, add, update, remove, clear, checkout; status: success, rejected, failed
+});
+
+// Coupon redemptions counter
+const couponRedemptions = new promClient.Counter({
+  name: 'order_coupon_redemptions_total',
+  help: 'Coupon redemptions reserved at order creation and released on cancellation',
+  labelNames: ['status'] // reserved, released, rejected
+});
+
+// Open order status streams (SSE connections on this instance)
+const statusStreamConnections = new promClient.Gauge({
+  name: 'order_status_stream_connections',
+  help: 'Open order status stream connections'
+});
+
+// Order status stream events
+const statusStreamEvents = new promClient.Counter({
+  name: 'order_status_stream_events_total',
+  help: 'Order status changes published to and replayed from the status stream',
+  labelNames: ['operation', 'status'] // operation: publish, replay; status: success, failed
+});
+
 // Product validation duration histogram
 const productValidationDuration = new promClient.Histogram({
   name: 'order_product_validation_duration_seconds',
@@ -160,8 +194,8 @@ function recordOrderValue(amount, currency, status) {
 
 /**
  * Record an order operation
- * @param {'create'|'read'|'list'} operation 
- * @param {'success'|'failed'|'not_found'} status 
+ * @param {'create'|'read'|'history'|'list'|'search'|'export'|'cancel'|'ship'|'deliver'|'update_shipment'|'return'|'refund'|'stream'|'lookup'} operation 
+ * @param {'success'|'failed'|'not_found'|'replayed'|'rejected'|'forbidden'} status 
  */
 function recordOrderOperation(operation, status) {
   orderOperations.inc({ operation, status });
@@ -194,6 +228,52 @@ function startProductValidationTimer() {
   return (status) => timer({ status });
 }
 
+/**
+ * Record an order cancelled by the timeout scheduler
+ * @param {'PENDING'|'CONFIRMED'} fromStatus 
+ */
+function recordOrderExpired(fromStatus) {
+  ordersExpired.inc({ from_status: fromStatus.toLowerCase() });
+}
+
+/**
+ * Record a shopping cart operation
+ * @param {'read'|'add'|'update'|'remove'|'clear'|'checkout'} operation 
+ * @param {'success'|'rejected'|'failed'} status 
+ */
+function recordCartOperation(operation, status) {
+  cartOperations.inc({ operation, status });
+}
+
+/**
+ * Record a coupon redemption change
+ * @param {'reserved'|'released'|'rejected'} status 
+ */
+function recordCouponRedemption(status) {
+  couponRedemptions.inc({ status });
+}
+
+/**
+ * Track an order status stream connection
+ * @param {'opened'|'closed'} change 
+ */
+function recordStatusStreamConnection(change) {
+  if (change === 'opened') {
+    statusStreamConnections.inc();
+  } else {
+    statusStreamConnections.dec();
+  }
+}
+
+/**
+ * Record an order status stream event operation
+ * @param {'publish'|'replay'} operation 
+ * @param {'success'|'failed'} status 
+ */
+function recordStatusStreamEvent(operation, status) {
+  statusStreamEvents.inc({ operation, status });
+}
+
 /**
  * Update circuit breaker metrics from stats
  * @param {Object} stats - Circuit breaker stats from productClient
@@ -217,6 +297,11 @@ module.exports = {
   eventProcessing,
   eventProcessingDuration,
   productValidationDuration,
+  ordersExpired,
+  cartOperations,
+  couponRedemptions,
+  statusStreamConnections,
+  statusStreamEvents,
 
   // Helper functions
   recordOrderCreated,
@@ -230,5 +315,10 @@ module.exports = {
   recordEventProcessing,
   startEventProcessingTimer,
   startProductValidationTimer,
+  recordOrderExpired,
+  recordCartOperation,
+  recordCouponRedemption,
+  recordStatusStreamConnection,
+  recordStatusStreamEvent,
   updateCircuitBreakerFromStats
 };
@@ -0,0 +1,30 @@
+const mongoose = require('mongoose')
+
+const couponSchema = new mongoose.Schema(
+	{
+		code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+		description: { type: String },
+		type: { type: String, enum: ['percentage', 'fixed'], required: true },
+		value: { type: Number, required: true, min: 0 }, // Percent (0-100) or fixed amount
+		maxDiscount: { type: Number, min: 0, default: null }, // Cap for percentage coupons
+		minOrderValue: { type: Number, min: 0, default: 0 }, // Compared with the order subtotal
+		// Currency of the fixed value, maxDiscount and minOrderValue (converted for orders in other currencies)
+		currency: { type: String, uppercase: true, default: 'USD' },
+		// Products the discount applies to (empty = whole order)
+		productIds: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+		usageLimit: { type: Number, min: 1, default: null }, // Total redemptions (null = unlimited)
+		perUserLimit: { type: Number, min: 1, default: null }, // Redemptions per user (null = unlimited)
+		// Active (RESERVED) redemptions, kept in step with couponRedemptions for the atomic limit check
+		redeemedCount: { type: Number, min: 0, default: 0 },
+		startsAt: { type: Date, default: null },
+		expiresAt: { type: Date, default: null },
+		active: { type: Boolean, default: true },
+		createdBy: { type: String },
+		createdAt: { type: Date, default: Date.now },
+	},
+	{ collection: 'coupons' }
+)
+
+const Coupon = mongoose.model('Coupon', couponSchema)
+
+module.exports = Coupon
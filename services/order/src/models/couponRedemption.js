@@ -0,0 +1,27 @@
+const mongoose = require('mongoose')
+
+/**
+ * One coupon use by one order
+ * RESERVED when the order is created, RELEASED when it is cancelled
+ * (the coupon can then be used again).
+ */
+const couponRedemptionSchema = new mongoose.Schema(
+	{
+		code: { type: String, required: true },
+		orderId: { type: mongoose.Schema.Types.ObjectId, required: true, unique: true },
+		user: { type: String, required: true },
+		amount: { type: Number, required: true, min: 0 },
+		status: { type: String, enum: ['RESERVED', 'RELEASED'], default: 'RESERVED' },
+		reservedAt: { type: Date, default: Date.now },
+		releasedAt: { type: Date },
+		releaseReason: { type: String },
+	},
+	{ collection: 'couponRedemptions' }
+)
+
+// Per-user limit check
+couponRedemptionSchema.index({ code: 1, user: 1, status: 1 })
+
+const CouponRedemption = mongoose.model('CouponRedemption', couponRedemptionSchema)
+
+module.exports = CouponRedemption
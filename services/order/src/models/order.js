@@ -4,25 +4,118 @@ const productSubSchema = new mongoose.Schema(
 	{
 		_id: { type: mongoose.Schema.Types.ObjectId, ref: 'products' },
 		name: String,
-		price: Number,
+		price: Number, // In the order currency
+		// Catalog price when the product is priced in another currency
+		originalPrice: Number,
+		originalCurrency: String,
 		description: String,
+		category: String,
+		weight: Number, // kg per unit (weight-based shipping)
 		quantity: { type: Number, required: true, min: 1 },
+		taxRate: { type: Number, default: 0 },
+		taxAmount: { type: Number, default: 0 }, // Tax of the whole line, after its share of the discounts
 		reserved: { type: Boolean, default: false },
 	},
 	{ _id: false }
 )
 
+const discountSubSchema = new mongoose.Schema(
+	{
+		code: { type: String, required: true },
+		type: { type: String, enum: ['percentage', 'fixed'], required: true },
+		value: { type: Number, required: true },
+		amount: { type: Number, required: true, min: 0 },
+		productIds: { type: [mongoose.Schema.Types.ObjectId], default: [] }, // Lines the discount applied to
+	},
+	{ _id: false }
+)
+
+const shippingAddressSubSchema = new mongoose.Schema(
+	{
+		recipient: { type: String, required: true },
+		phone: String,
+		line1: { type: String, required: true },
+		line2: String,
+		city: { type: String, required: true },
+		region: String,
+		postalCode: String,
+		country: { type: String, required: true }, // ISO 3166-1 alpha-2
+		addressId: String, // Address book entry (Auth Service) this copy was taken from
+	},
+	{ _id: false }
+)
+
+const statusHistorySubSchema = new mongoose.Schema(
+	{
+		from: { type: String, default: null }, // null for the creation entry
+		to: { type: String, required: true },
+		event: { type: String, required: true }, // Event or action that caused the transition
+		eventId: { type: String },
+		correlationId: { type: String },
+		actor: { type: String, required: true }, // 'system' for saga events, 'user:<id>' or 'admin:<id>' for API actions
+		reason: { type: String },
+		timestamp: { type: Date, default: Date.now },
+	},
+	{ _id: false }
+)
+
+// Refund of the order's payment (from PAYMENT_REFUNDED, Payment Service owns the refund)
+const refundSubSchema = new mongoose.Schema(
+	{
+		refundId: { type: String, required: true }, // Payment Service refund ID
+		amount: { type: Number, required: true, min: 0 }, // In the order currency
+		currency: String,
+		reason: String,
+		refundTransactionId: String,
+		refundedAt: Date,
+	},
+	{ _id: false }
+)
+
 const orderSchema = new mongoose.Schema(
 	{
 		products: { type: [productSubSchema], required: true },
+		subtotal: { type: Number, min: 0 }, // Sum of price * quantity before discounts
+		discounts: {
+			type: [discountSubSchema],
+			default: [],
+		},
+		discountTotal: { type: Number, min: 0, default: 0 },
+		taxTotal: { type: Number, min: 0, default: 0 },
+		shippingTotal: { type: Number, min: 0, default: 0 },
+		// Amount charged (subtotal - discountTotal + taxTotal + shippingTotal)
 		totalPrice: { type: Number, required: true, min: 0 },
+		// ISO 4217 code of every amount above (orders created before multi-currency were charged in USD)
+		currency: { type: String, uppercase: true, default: 'USD' },
+		// Rates used to convert product prices into the order currency (source currency → rate)
+		exchangeRates: { type: Map, of: Number },
 		user: { type: String },
 		status: {
 			type: String,
-			enum: ['PENDING', 'CONFIRMED', 'CANCELLED', 'PAID'],
+			enum: ['PENDING', 'CONFIRMED', 'CANCELLED', 'PAID', 'SHIPPED', 'DELIVERED', 'RETURNED', 'REFUNDED'],
 			default: 'PENDING',
 		},
+		// When the order entered its current status (timeout deadlines count from it, see recordStatusChange)
+		statusChangedAt: { type: Date },
 		cancellationReason: { type: String },
+		shippingAddress: { type: shippingAddressSubSchema },
+		shippingMethod: { type: String },
+		// Fulfilment (set by admin transitions, corrected via PATCH /admin/:id/shipment)
+		shipment: {
+			carrier: { type: String },
+			trackingNumber: { type: String },
+			shippedAt: { type: Date },
+			deliveredAt: { type: Date },
+		},
+		returnReason: { type: String },
+		returnedAt: { type: Date },
+		refundReason: { type: String },
+		refundedAt: { type: Date },
+		// Payment refunds, full or partial (refundedTotal is their sum)
+		refunds: { type: [refundSubSchema], default: [] },
+		refundedTotal: { type: Number, min: 0, default: 0 },
+		// Append-only timeline of status transitions (see recordStatusChange)
+		statusHistory: { type: [statusHistorySubSchema], default: [] },
 		// Metadata for tracking order source and references
 		metadata: {
 			source: { type: String, enum: ['regular', 'seckill'], default: 'regular' },
@@ -34,6 +127,47 @@ const orderSchema = new mongoose.Schema(
 	{ collection: 'orders' }
 )
 
+// Timeout scheduler: orders per status, longest in that status first
+orderSchema.index({ status: 1, statusChangedAt: 1 })
+// Timeout scheduler: orders saved before statusChangedAt existed
+orderSchema.index({ status: 1, createdAt: 1 })
+
+// Admin search (sort field + _id tie-breaker for cursor pagination)
+orderSchema.index({ createdAt: -1, _id: -1 })
+orderSchema.index({ totalPrice: -1, _id: -1 })
+orderSchema.index({ 'metadata.source': 1, createdAt: -1 })
+orderSchema.index({ 'products._id': 1, createdAt: -1 })
+orderSchema.index({ user: 1, createdAt: -1 })
+
+// New orders entered PENDING when they were created. No schema default: orders
+// saved before statusChangedAt existed must not look like they just changed status.
+orderSchema.pre('save', function () {
+	if (this.isNew && !this.statusChangedAt) {
+		this.statusChangedAt = this.createdAt
+	}
+})
+
+/**
+ * Append a status transition to the order timeline
+ * Call after setting the new status, inside the same transaction as the save.
+ *
+ * @param {Object} entry - { from, to, event, eventId, correlationId, actor, reason }
+ */
+orderSchema.methods.recordStatusChange = function ({ from, to, event, eventId, correlationId, actor = 'system', reason }) {
+	const timestamp = new Date()
+	this.statusHistory.push({
+		from,
+		to,
+		event,
+		eventId,
+		correlationId,
+		actor,
+		reason,
+		timestamp,
+	})
+	this.statusChangedAt = timestamp
+}
+
 const Order = mongoose.model('Order', orderSchema)
 
 module.exports = Order
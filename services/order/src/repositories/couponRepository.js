@@ -0,0 +1,181 @@
+const Coupon = require('../models/coupon')
+const CouponRedemption = require('../models/couponRedemption')
+const logger = require('@ecommerce/logger')
+
+/**
+ * Repository layer for coupons and their redemptions
+ * Redemption methods take the session of the order transaction they belong to.
+ */
+class CouponRepository {
+	/**
+	 * Create a coupon
+	 */
+	async create(couponData) {
+		try {
+			return await Coupon.create(couponData)
+		} catch (error) {
+			logger.error(
+				{ error: error.message, code: couponData.code },
+				'[CouponRepository] Error creating coupon'
+			)
+			throw error
+		}
+	}
+
+	/**
+	 * Find coupon by code
+	 */
+	async findByCode(code, session = null) {
+		try {
+			const query = Coupon.findOne({ code })
+			if (session) {
+				query.session(session)
+			}
+			return await query
+		} catch (error) {
+			logger.error(
+				{ error: error.message, code },
+				'[CouponRepository] Error finding coupon'
+			)
+			throw error
+		}
+	}
+
+	/**
+	 * List coupons (newest first)
+	 * @param {Object} filter - { active }
+	 */
+	async findAll({ active } = {}) {
+		try {
+			const query = active === undefined ? {} : { active }
+			return await Coupon.find(query).sort({ createdAt: -1 }).lean()
+		} catch (error) {
+			logger.error(
+				{ error: error.message },
+				'[CouponRepository] Error listing coupons'
+			)
+			throw error
+		}
+	}
+
+	/**
+	 * Update coupon fields by code
+	 */
+	async updateByCode(code, fields) {
+		try {
+			return await Coupon.findOneAndUpdate(
+				{ code },
+				{ $set: fields },
+				{ new: true, runValidators: true }
+			)
+		} catch (error) {
+			logger.error(
+				{ error: error.message, code },
+				'[CouponRepository] Error updating coupon'
+			)
+			throw error
+		}
+	}
+
+	/**
+	 * Count one more redemption if the global usage limit allows it
+	 * @returns {Promise<Object|null>} Updated coupon or null if the limit is reached
+	 */
+	async incrementRedeemed(code, session) {
+		try {
+			return await Coupon.findOneAndUpdate(
+				{
+					code,
+					$or: [
+						{ usageLimit: null },
+						{ $expr: { $lt: ['$redeemedCount', '$usageLimit'] } },
+					],
+				},
+				{ $inc: { redeemedCount: 1 } },
+				{ new: true, session }
+			)
+		} catch (error) {
+			logger.error(
+				{ error: error.message, code },
+				'[CouponRepository] Error incrementing redemptions'
+			)
+			throw error
+		}
+	}
+
+	/**
+	 * Give a released redemption back to the coupon
+	 */
+	async decrementRedeemed(code, session) {
+		try {
+			return await Coupon.updateOne(
+				{ code, redeemedCount: { $gt: 0 } },
+				{ $inc: { redeemedCount: -1 } },
+				{ session }
+			)
+		} catch (error) {
+			logger.error(
+				{ error: error.message, code },
+				'[CouponRepository] Error decrementing redemptions'
+			)
+			throw error
+		}
+	}
+
+	/**
+	 * Count active redemptions of a coupon by a user
+	 */
+	async countUserRedemptions(code, user, session = null) {
+		try {
+			const query = CouponRedemption.countDocuments({ code, user, status: 'RESERVED' })
+			if (session) {
+				query.session(session)
+			}
+			return await query
+		} catch (error) {
+			logger.error(
+				{ error: error.message, code, user },
+				'[CouponRepository] Error counting user redemptions'
+			)
+			throw error
+		}
+	}
+
+	/**
+	 * Record a reserved redemption for an order
+	 */
+	async createRedemption(redemptionData, session) {
+		try {
+			const [redemption] = await CouponRedemption.create([redemptionData], { session })
+			return redemption
+		} catch (error) {
+			logger.error(
+				{ error: error.message, orderId: redemptionData.orderId },
+				'[CouponRepository] Error creating redemption'
+			)
+			throw error
+		}
+	}
+
+	/**
+	 * Mark the reserved redemption of an order as released
+	 * @returns {Promise<Object|null>} Released redemption or null if none was reserved
+	 */
+	async releaseRedemption(orderId, reason, session) {
+		try {
+			return await CouponRedemption.findOneAndUpdate(
+				{ orderId, status: 'RESERVED' },
+				{ $set: { status: 'RELEASED', releasedAt: new Date(), releaseReason: reason } },
+				{ new: true, session }
+			)
+		} catch (error) {
+			logger.error(
+				{ error: error.message, orderId },
+				'[CouponRepository] Error releasing redemption'
+			)
+			throw error
+		}
+	}
+}
+
+module.exports = new CouponRepository()
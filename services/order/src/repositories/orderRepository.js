@@ -1,3 +1,4 @@
+const mongoose = require('mongoose')
 const Order = require('../models/order')
 const logger = require('@ecommerce/logger')
 
@@ -78,6 +79,40 @@ class OrderRepository {
 		}
 	}
 
+	/**
+	 * Find IDs of orders that entered a status before a cutoff (longest in it first)
+	 * Used by the timeout scheduler. Orders saved before statusChangedAt existed
+	 * fall back to createdAt.
+	 *
+	 * @param {string} status - Order status
+	 * @param {Date} enteredBefore - Cutoff date
+	 * @param {number} limit - Maximum number of orders
+	 * @returns {Promise<string[]>} Order IDs
+	 */
+	async findExpiredIds(status, enteredBefore, limit = 100) {
+		try {
+			const [orders, legacyOrders] = await Promise.all([
+				Order.find({ status, statusChangedAt: { $lt: enteredBefore } })
+					.sort({ statusChangedAt: 1 })
+					.limit(limit)
+					.select({ _id: 1 })
+					.lean(),
+				Order.find({ status, statusChangedAt: { $exists: false }, createdAt: { $lt: enteredBefore } })
+					.sort({ createdAt: 1 })
+					.limit(limit)
+					.select({ _id: 1 })
+					.lean(),
+			])
+			return [...legacyOrders, ...orders].slice(0, limit).map((order) => order._id.toString())
+		} catch (error) {
+			logger.error(
+				{ error: error.message, status },
+				'[OrderRepository] Error finding expired orders'
+			)
+			throw error
+		}
+	}
+
 	/**
 	 * Create new order
 	 */
@@ -230,6 +265,148 @@ class OrderRepository {
 		}
 	}
 
+	/**
+	 * Find orders by IDs (invalid IDs are ignored)
+	 * @param {string[]} orderIds - Order IDs
+	 * @returns {Promise<Object[]>} Plain order objects
+	 */
+	async findByIds(orderIds) {
+		try {
+			const ids = orderIds.filter((id) => mongoose.Types.ObjectId.isValid(id))
+			return await Order.find({ _id: { $in: ids } }).lean()
+		} catch (error) {
+			logger.error(
+				{ error: error.message, count: orderIds.length },
+				'[OrderRepository] Error finding orders by IDs'
+			)
+			throw error
+		}
+	}
+
+	/**
+	 * Find all seckill orders containing a product
+	 * @param {string} productId - Product ID of the seckill campaign
+	 * @returns {Promise<Object[]>} Order documents (empty for invalid IDs)
+	 */
+	async findSeckillOrdersByProduct(productId) {
+		try {
+			if (!mongoose.Types.ObjectId.isValid(productId)) {
+				return []
+			}
+			return await Order.find({
+				'metadata.source': 'seckill',
+				'products._id': new mongoose.Types.ObjectId(productId),
+			})
+				.sort({ createdAt: 1 })
+				.lean()
+		} catch (error) {
+			logger.error(
+				{ error: error.message, productId },
+				'[OrderRepository] Error finding seckill orders by product'
+			)
+			throw error
+		}
+	}
+
+	/**
+	 * Search orders across users (admin listing)
+	 * Keyset pagination on (sort field, _id) keeps pages stable while new orders arrive.
+	 *
+	 * @param {Object} filters - { status[], source, userId, productId, correlationId, from, to, minPrice, maxPrice }
+	 * @param {Object} options - { sort: 'createdAt'|'totalPrice', order: 'asc'|'desc', limit, after: { value, id } }
+	 * @returns {Promise<Object[]>} Lean order documents
+	 */
+	async search(filters, { sort, order, limit, after }) {
+		try {
+			return await Order.find(this._searchQuery(filters, { sort, order, after }))
+				.sort(this._searchSort(sort, order))
+				.limit(limit)
+				.lean()
+		} catch (error) {
+			logger.error(
+				{ error: error.message, filters },
+				'[OrderRepository] Error searching orders'
+			)
+			throw error
+		}
+	}
+
+	/**
+	 * Stream orders matching search filters (admin export)
+	 *
+	 * @param {Object} filters - Same as search
+	 * @param {Object} options - { sort, order, limit }
+	 * @returns {Object} Mongoose QueryCursor of lean documents (for await...of)
+	 */
+	streamSearch(filters, { sort, order, limit }) {
+		return Order.find(this._searchQuery(filters, { sort, order }))
+			.sort(this._searchSort(sort, order))
+			.limit(limit)
+			.lean()
+			.cursor()
+	}
+
+	/**
+	 * Build the MongoDB filter for search / streamSearch
+	 * @private
+	 */
+	_searchQuery(filters, { sort, order, after }) {
+		const query = {}
+		const and = []
+
+		if (filters.status?.length) {
+			query.status = { $in: filters.status }
+		}
+		if (filters.source === 'seckill') {
+			query['metadata.source'] = 'seckill'
+		} else if (filters.source === 'regular') {
+			// Orders created before metadata existed count as regular
+			query['metadata.source'] = { $in: ['regular', null] }
+		}
+		if (filters.userId) {
+			query.user = filters.userId
+		}
+		if (filters.productId) {
+			query['products._id'] = new mongoose.Types.ObjectId(filters.productId)
+		}
+		if (filters.correlationId) {
+			query['metadata.correlationId'] = filters.correlationId
+		}
+		if (filters.from || filters.to) {
+			query.createdAt = {
+				...(filters.from && { $gte: filters.from }),
+				...(filters.to && { $lte: filters.to }),
+			}
+		}
+		if (filters.minPrice !== undefined || filters.maxPrice !== undefined) {
+			query.totalPrice = {
+				...(filters.minPrice !== undefined && { $gte: filters.minPrice }),
+				...(filters.maxPrice !== undefined && { $lte: filters.maxPrice }),
+			}
+		}
+
+		// Continue after the last order of the previous page
+		if (after) {
+			const op = order === 'asc' ? '$gt' : '$lt'
+			and.push({
+				$or: [
+					{ [sort]: { [op]: after.value } },
+					{ [sort]: after.value, _id: { [op]: new mongoose.Types.ObjectId(after.id) } },
+				],
+			})
+		}
+
+		return and.length > 0 ? { ...query, $and: and } : query
+	}
+
+	/**
+	 * @private
+	 */
+	_searchSort(sort, order) {
+		const direction = order === 'asc' ? 1 : -1
+		return { [sort]: direction, _id: direction }
+	}
+
 	/**
 	 * Get order statistics
 	 */
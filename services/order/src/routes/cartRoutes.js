@@ -0,0 +1,19 @@
+const express = require("express");
+
+const router = express.Router();
+
+// API Gateway handles authentication; the cart owner comes from X-User-ID
+module.exports = (cartController) => {
+  // Cart with refreshed prices and availability hints
+  router.get("/", cartController.getCart);
+  // Empty the cart
+  router.delete("/", cartController.clearCart);
+  // Add, update and remove lines
+  router.post("/items", cartController.addItem);
+  router.put("/items/:productId", cartController.updateItem);
+  router.delete("/items/:productId", cartController.removeItem);
+  // Create an order from the cart
+  router.post("/checkout", cartController.checkout);
+
+  return router;
+};
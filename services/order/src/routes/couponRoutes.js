@@ -0,0 +1,16 @@
+const express = require("express");
+const isAdmin = require("../middlewares/isAdmin");
+
+const router = express.Router();
+
+// Admin: coupon codes applied at order creation (POST /api/orders { couponCode })
+module.exports = (couponController) => {
+  router.use(isAdmin);
+
+  router.get("/", couponController.listCoupons);
+  router.post("/", couponController.createCoupon);
+  router.get("/:code", couponController.getCoupon);
+  router.patch("/:code", couponController.updateCoupon);
+
+  return router;
+};
@@ -1,4 +1,5 @@
 const express = require("express");
+const isAdmin = require("../middlewares/isAdmin");
 
 const router = express.Router();
 
@@ -9,8 +10,29 @@ module.exports = (orderController) => {
   router.get("/", orderController.getMyOrders);
   // Create order endpoint
   router.post("/", orderController.createOrder);
+  // Status changes of the user's orders (Server-Sent Events, must be before /:id)
+  router.get("/stream", orderController.streamOrderStatus);
+  // Seckill order lookup by the correlationId from /seckill/buy (?wait= long polling)
+  router.get("/by-correlation/:correlationId", orderController.getOrderByCorrelation);
+  // Admin: seckill orders of a product (used by seckill reconciliation)
+  router.get("/admin/seckill/:productId", isAdmin, orderController.getSeckillOrdersByProduct);
+  // Admin: search across users (cursor pagination) and CSV/JSON export
+  router.get("/admin/search", isAdmin, orderController.searchOrders);
+  router.get("/admin/export", isAdmin, orderController.exportOrders);
+  // Admin: batch lookup by IDs (used by payment reconciliation)
+  router.post("/admin/lookup", isAdmin, orderController.lookupOrders);
+  // Admin: fulfilment and refund lifecycle (PAID → SHIPPED → DELIVERED → RETURNED → REFUNDED)
+  router.post("/admin/:id/ship", isAdmin, orderController.shipOrder);
+  router.post("/admin/:id/deliver", isAdmin, orderController.deliverOrder);
+  router.patch("/admin/:id/shipment", isAdmin, orderController.updateShipment);
+  router.post("/admin/:id/return", isAdmin, orderController.returnOrder);
+  router.post("/admin/:id/refund", isAdmin, orderController.refundOrder);
+  // Status timeline of an order
+  router.get("/:id/history", orderController.getOrderHistory);
   // Get order by id (status/details)
   router.get("/:id", orderController.getOrderById);
+  // Cancel own order (PENDING or CONFIRMED; refused once PAID)
+  router.delete("/:id", orderController.cancelOrder);
 
   return router;
 };
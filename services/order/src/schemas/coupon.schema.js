@@ -0,0 +1,64 @@
+const { z } = require('zod')
+const mongoose = require('mongoose')
+
+const objectId = z.string().refine((value) => mongoose.isValidObjectId(value), 'Must be a valid ObjectId')
+const optionalDate = z.coerce.date().refine((value) => !Number.isNaN(value.getTime()), 'Invalid date').nullable().optional()
+const optionalLimit = z.number().int().min(1).nullable().optional()
+
+/**
+ * Fields shared by coupon creation and update
+ */
+const couponFields = {
+	description: z.string().max(500).optional(),
+	type: z.enum(['percentage', 'fixed']),
+	value: z.number().positive(),
+	maxDiscount: z.number().positive().nullable().optional(),
+	minOrderValue: z.number().min(0).optional(),
+	currency: z
+		.string()
+		.regex(/^[A-Za-z]{3}$/, 'currency must be a 3-letter ISO 4217 code')
+		.transform((currency) => currency.toUpperCase())
+		.optional(),
+	productIds: z.array(objectId).max(500).optional(),
+	usageLimit: optionalLimit,
+	perUserLimit: optionalLimit,
+	startsAt: optionalDate,
+	expiresAt: optionalDate,
+	active: z.boolean().optional(),
+}
+
+const validWindow = (coupon) => !coupon.startsAt || !coupon.expiresAt || coupon.startsAt < coupon.expiresAt
+const validPercentage = (coupon) => coupon.type !== 'percentage' || coupon.value === undefined || coupon.value <= 100
+
+/**
+ * Schema for POST /api/orders/admin/coupons
+ */
+const CreateCouponSchema = z
+	.object({
+		code: z
+			.string()
+			.trim()
+			.regex(/^[A-Za-z0-9_-]{3,32}$/, 'code must be 3-32 letters, digits, - or _')
+			.transform((code) => code.toUpperCase()),
+		...couponFields,
+	})
+	.strict()
+	.refine(validPercentage, { message: 'percentage value must be at most 100', path: ['value'] })
+	.refine(validWindow, { message: 'startsAt must be before expiresAt', path: ['startsAt'] })
+
+/**
+ * Schema for PATCH /api/orders/admin/coupons/:code
+ * The code and discount type can't change (existing orders reference them).
+ */
+const UpdateCouponSchema = z
+	.object(couponFields)
+	.omit({ type: true })
+	.partial()
+	.strict()
+	.refine((fields) => Object.keys(fields).length > 0, { message: 'No fields to update' })
+	.refine(validWindow, { message: 'startsAt must be before expiresAt', path: ['startsAt'] })
+
+module.exports = {
+	CreateCouponSchema,
+	UpdateCouponSchema,
+}
@@ -95,7 +95,7 @@ const PaymentSucceededSchema = z
 			orderId: data.orderId,
 			transactionId: data.transactionId,
 			amount: data.amount,
-			currency: data.currency || 'USD',
+			currency: data.currency,
 			processedAt: data.processedAt || message.timestamp,
 			rawType: message.type || 'PAYMENT_SUCCEEDED',
 		}
@@ -137,9 +137,51 @@ const PaymentFailedSchema = z
 		}
 	})
 
+/**
+ * Schema for PAYMENT_REFUNDED event
+ * Order receives this when (part of) the captured payment has been refunded
+ */
+const PaymentRefundedSchema = z
+	.object({
+		type: z.string().optional(),
+		data: z
+			.object({
+				orderId: z.string().min(1, 'orderId is required'),
+				refundId: z.string().optional(),
+				refundTransactionId: z.string().optional(),
+				amount: z.number().nonnegative(),
+				currency: z.string().optional(),
+				refundedAmount: z.number().nonnegative().optional(),
+				fullyRefunded: z.boolean().optional(),
+				reason: z.string().optional(),
+				refundedAt: z.string().optional(),
+			})
+			.passthrough()
+			.refine((data) => data.refundId || data.refundTransactionId, 'refundId is required'),
+		timestamp: z.string().optional(),
+	})
+	.passthrough()
+	.transform((message) => {
+		const data = message.data || message
+		return {
+			orderId: data.orderId,
+			// Events before partial refunds carried no refundId (one full refund per order)
+			refundId: data.refundId || data.refundTransactionId,
+			refundTransactionId: data.refundTransactionId,
+			amount: data.amount,
+			currency: data.currency,
+			refundedAmount: data.refundedAmount,
+			fullyRefunded: data.fullyRefunded ?? data.refundedAmount === undefined,
+			reason: data.reason || 'Payment refunded',
+			refundedAt: data.refundedAt || message.timestamp,
+			rawType: message.type || 'PAYMENT_REFUNDED',
+		}
+	})
+
 module.exports = {
 	InventoryReservedSuccessSchema,
 	InventoryReservedFailedSchema,
 	PaymentSucceededSchema,
 	PaymentFailedSchema,
+	PaymentRefundedSchema,
 }
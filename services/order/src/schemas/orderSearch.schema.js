@@ -0,0 +1,59 @@
+const { z } = require('zod')
+const mongoose = require('mongoose')
+
+const ORDER_STATUSES = ['PENDING', 'CONFIRMED', 'CANCELLED', 'PAID', 'SHIPPED', 'DELIVERED', 'RETURNED', 'REFUNDED']
+
+// Comma separated list (?status=PAID,SHIPPED) or repeated param (?status=PAID&status=SHIPPED)
+const csvList = (value) => {
+	if (value === undefined || value === '') {
+		return undefined
+	}
+	return (Array.isArray(value) ? value : [value])
+		.flatMap((item) => String(item).split(','))
+		.map((item) => item.trim())
+		.filter(Boolean)
+}
+
+const date = z.coerce.date().refine((value) => !Number.isNaN(value.getTime()), 'Invalid date')
+const price = z.coerce.number().min(0)
+
+/**
+ * Schema for admin order search / export query parameters
+ * GET /api/orders/admin/search and GET /api/orders/admin/export
+ */
+const OrderSearchQuerySchema = z
+	.object({
+		status: z.preprocess(
+			(value) => csvList(value)?.map((status) => status.toUpperCase()),
+			z.array(z.enum(ORDER_STATUSES)).optional()
+		),
+		source: z.enum(['regular', 'seckill']).optional(),
+		userId: z.string().min(1).optional(),
+		productId: z
+			.string()
+			.refine((value) => mongoose.isValidObjectId(value), 'productId must be a valid ObjectId')
+			.optional(),
+		correlationId: z.string().min(1).optional(),
+		from: date.optional(),
+		to: date.optional(),
+		minPrice: price.optional(),
+		maxPrice: price.optional(),
+		sort: z.enum(['createdAt', 'totalPrice']).default('createdAt'),
+		order: z.enum(['asc', 'desc']).default('desc'),
+		limit: z.coerce.number().int().min(1).max(100).default(20),
+		cursor: z.string().min(1).optional(),
+		format: z.enum(['json', 'csv']).default('json'),
+	})
+	.refine((query) => !query.from || !query.to || query.from <= query.to, {
+		message: 'from must be before to',
+		path: ['from'],
+	})
+	.refine((query) => query.minPrice === undefined || query.maxPrice === undefined || query.minPrice <= query.maxPrice, {
+		message: 'minPrice must not exceed maxPrice',
+		path: ['minPrice'],
+	})
+
+module.exports = {
+	ORDER_STATUSES,
+	OrderSearchQuerySchema,
+}
@@ -0,0 +1,60 @@
+const { z } = require('zod')
+
+const text = (max) => z.string().trim().min(1).max(max)
+
+/**
+ * Schema for the shipping address of an order (POST /api/orders, POST /api/cart/checkout)
+ * country (ISO 3166-1 alpha-2) and region (state/province code) select the tax rules.
+ */
+const ShippingAddressSchema = z
+	.object({
+		recipient: text(100),
+		phone: z.string().trim().regex(/^\+?[0-9 ()-]{6,20}$/, 'phone must be 6-20 digits').optional(),
+		line1: text(200),
+		line2: z.string().trim().max(200).optional(),
+		city: text(100),
+		region: z.string().trim().max(50).transform((region) => region.toUpperCase()).optional(),
+		postalCode: z.string().trim().max(20).optional(),
+		country: z
+			.string()
+			.trim()
+			.regex(/^[A-Za-z]{2}$/, 'country must be a 2-letter ISO 3166 code')
+			.transform((country) => country.toUpperCase()),
+	})
+	.strict()
+
+const ShippingMethodSchema = z.string().trim().regex(/^[a-z0-9_-]{1,50}$/i, 'shippingMethod must be a method name')
+
+const AddressIdSchema = z.string().regex(/^[a-f0-9]{24}$/i, 'addressId must be an address ID')
+
+/**
+ * Validate the optional shipping fields of an order request
+ * The address is given inline (shippingAddress) or picked from the address book (addressId), not both.
+ * @returns {Object} { value: { shippingAddress, addressId, shippingMethod } } or { error } (message for a 400)
+ */
+function parseShipping({ shippingAddress, addressId, shippingMethod }) {
+	if (shippingAddress !== undefined && addressId !== undefined) {
+		return { error: 'Use either shippingAddress or addressId, not both' }
+	}
+	const address = shippingAddress === undefined ? null : ShippingAddressSchema.safeParse(shippingAddress)
+	if (address && !address.success) {
+		const issue = address.error.issues[0]
+		const field = ['shippingAddress', ...issue.path].join('.')
+		return { error: `${field}: ${issue.message}` }
+	}
+	const id = addressId === undefined ? null : AddressIdSchema.safeParse(addressId)
+	if (id && !id.success) {
+		return { error: id.error.issues[0].message }
+	}
+	const method = shippingMethod === undefined ? null : ShippingMethodSchema.safeParse(shippingMethod)
+	if (method && !method.success) {
+		return { error: method.error.issues[0].message }
+	}
+	return { value: { shippingAddress: address?.data, addressId: id?.data, shippingMethod: method?.data } }
+}
+
+module.exports = {
+	ShippingAddressSchema,
+	ShippingMethodSchema,
+	parseShipping,
+}
@@ -0,0 +1,390 @@
+const { createClient } = require('redis')
+const mongoose = require('mongoose')
+const logger = require('@ecommerce/logger')
+const config = require('../config')
+const { getProductsByIds } = require('../clients/productClient')
+const { checkAvailability } = require('../clients/inventoryClient')
+const { normalizeCurrency, roundToCurrency } = require('./exchangeRateService')
+
+// Upper bounds to keep carts (and the orders created from them) reasonable
+const MAX_ITEMS = 50
+const MAX_QUANTITY = 100
+
+/**
+ * Helper: Create an error for a refused cart action (mapped to HTTP status by the controller)
+ * @param {string} code - INVALID_ITEM, PRODUCT_NOT_FOUND, ITEM_NOT_FOUND, CART_FULL or CART_EMPTY
+ * @param {string} message - Error message
+ */
+function createCartError(code, message) {
+	const error = new Error(message)
+	error.code = code
+	return error
+}
+
+/**
+ * Cart Service - Per-user shopping carts in Redis
+ *
+ * Key format:
+ * - cart:{userId} - hash productId → { quantity, price, addedAt } (price = last seen price)
+ * - cart:checkout:{orderId} - userId and lines of an order created from the cart
+ *
+ * Checkout creates the order through OrderService.createOrder (the regular
+ * order saga). The checked-out lines are removed from the cart once the order
+ * is CONFIRMED (ORDER_CONFIRMED, see cartConsumer), so a cart survives orders
+ * that fail on inventory.
+ */
+class CartService {
+	/**
+	 * @param {Object} orderService - OrderService instance used for checkout
+	 * @param {string} [redisUrl]
+	 */
+	constructor(orderService, redisUrl) {
+		this.orderService = orderService
+		this.redisUrl = redisUrl || config.redisUrl
+		this.client = null
+	}
+
+	/**
+	 * Initialize Redis connection
+	 */
+	async connect() {
+		if (this.client && this.client.isOpen) {
+			return
+		}
+
+		this.client = createClient({ url: this.redisUrl })
+		this.client.on('error', (err) => {
+			logger.error({ error: err.message }, '[Cart] Redis connection error')
+		})
+
+		await this.client.connect()
+		logger.info('[Cart] ✓ Redis connected for carts')
+	}
+
+	_cartKey(userId) {
+		return `cart:${userId}`
+	}
+
+	_checkoutKey(orderId) {
+		return `cart:checkout:${orderId}`
+	}
+
+	/**
+	 * Read the stored lines of a cart
+	 * @private
+	 * @returns {Promise<Object[]>} [{ productId, quantity, price, addedAt }] oldest first
+	 */
+	async _readLines(userId) {
+		const raw = await this.client.hGetAll(this._cartKey(userId))
+		return Object.entries(raw)
+			.map(([productId, value]) => ({ productId, ...JSON.parse(value) }))
+			.sort((a, b) => new Date(a.addedAt) - new Date(b.addedAt))
+	}
+
+	/**
+	 * Write lines and refresh the cart TTL
+	 * @private
+	 */
+	async _writeLines(userId, lines) {
+		const key = this._cartKey(userId)
+		await this.client
+			.multi()
+			.hSet(key, Object.fromEntries(lines.map(({ productId, ...line }) => [productId, JSON.stringify(line)])))
+			.expire(key, config.cartTtlSeconds)
+			.exec()
+	}
+
+	/**
+	 * Get the cart with current prices and availability hints
+	 *
+	 * Prices are refreshed from Product Service (lines whose price changed carry
+	 * previousPrice). Availability comes from Inventory Service and is null when
+	 * it cannot be reached.
+	 *
+	 * Items keep the product currency; totalPrice is in the requested display
+	 * currency, else the common product currency, else the default currency
+	 * (the same rule checkout uses for the order currency).
+	 *
+	 * @param {string} userId - Cart owner
+	 * @param {string} token - Authorization header forwarded to Product Service
+	 * @param {Object} [options] - { currency } display currency
+	 * @returns {Promise<Object>} { items, totalPrice, currency, itemCount, availabilityChecked }
+	 * @throws {Error} code UNSUPPORTED_CURRENCY or EXCHANGE_RATE_UNAVAILABLE
+	 */
+	async getCart(userId, token, { currency: displayCurrency } = {}) {
+		const lines = await this._readLines(userId)
+		if (lines.length === 0) {
+			return {
+				items: [],
+				totalPrice: 0,
+				currency: normalizeCurrency(displayCurrency || config.defaultCurrency),
+				itemCount: 0,
+				availabilityChecked: false,
+			}
+		}
+
+		const productIds = lines.map((line) => line.productId)
+		const [{ products }, availability] = await Promise.all([
+			getProductsByIds(productIds, token),
+			checkAvailability(productIds).catch((error) => {
+				logger.warn({ error: error.message, userId }, '[Cart] Availability check failed, returning cart without hints')
+				return null
+			}),
+		])
+
+		const productsById = new Map(products.map((product) => [String(product._id), product]))
+		const stockById = new Map((availability || []).map((stock) => [String(stock.productId), stock]))
+
+		const refreshed = []
+		const items = lines.map((line) => {
+			const product = productsById.get(line.productId.toLowerCase())
+			if (!product) {
+				return { productId: line.productId, quantity: line.quantity, unavailable: true, reason: 'PRODUCT_NOT_FOUND' }
+			}
+
+			const item = {
+				productId: line.productId,
+				name: product.name,
+				price: product.price,
+				currency: normalizeCurrency(product.currency || config.defaultCurrency),
+				quantity: line.quantity,
+				subtotal: product.price * line.quantity,
+			}
+			if (line.price !== product.price) {
+				item.previousPrice = line.price
+				refreshed.push({ ...line, price: product.price })
+			}
+
+			const stock = stockById.get(line.productId)
+			if (stock) {
+				item.availability = {
+					available: stock.available,
+					inStock: stock.inStock,
+					sufficient: stock.available >= line.quantity,
+				}
+			} else if (availability) {
+				item.availability = { available: 0, inStock: false, sufficient: false }
+			}
+
+			return item
+		})
+
+		// Remember refreshed prices so the change is only reported once
+		if (refreshed.length > 0) {
+			await this._writeLines(userId, refreshed)
+		}
+
+		const { currency, totalPrice } = await this._priceTotal(items, displayCurrency)
+
+		return {
+			items,
+			totalPrice,
+			currency,
+			itemCount: items.reduce((total, item) => total + item.quantity, 0),
+			availabilityChecked: availability !== null,
+		}
+	}
+
+	/**
+	 * Sum the available items in the cart currency
+	 * @private
+	 */
+	async _priceTotal(items, displayCurrency) {
+		const priced = items.filter((item) => !item.unavailable)
+		const currencies = [...new Set(priced.map((item) => item.currency))]
+		const currency = displayCurrency
+			? normalizeCurrency(displayCurrency)
+			: currencies.length === 1 ? currencies[0] : config.defaultCurrency
+
+		const exchangeRateService = this.orderService.exchangeRateService
+		let totalPrice = 0
+		for (const item of priced) {
+			totalPrice += item.subtotal * await exchangeRateService.getRate(item.currency, currency)
+		}
+
+		return { currency, totalPrice: roundToCurrency(totalPrice, currency) }
+	}
+
+	/**
+	 * Add a product to the cart (quantities of an existing line are summed)
+	 *
+	 * @param {string} userId - Cart owner
+	 * @param {string} productId - Product ID
+	 * @param {number} quantity - Units to add
+	 * @param {string} token - Authorization header forwarded to Product Service
+	 * @returns {Promise<Object>} Stored line { productId, quantity, price }
+	 */
+	async addItem(userId, productId, quantity, token) {
+		this._validateQuantity(quantity)
+
+		const { products } = await getProductsByIds([productId], token)
+		if (products.length === 0) {
+			throw createCartError('PRODUCT_NOT_FOUND', `Product not found: ${productId}`)
+		}
+
+		const lines = await this._readLines(userId)
+		const existing = lines.find((line) => line.productId === productId)
+		if (!existing && lines.length >= MAX_ITEMS) {
+			throw createCartError('CART_FULL', `Cart cannot hold more than ${MAX_ITEMS} products`)
+		}
+
+		const line = {
+			productId,
+			quantity: Math.min(MAX_QUANTITY, (existing?.quantity || 0) + quantity),
+			price: products[0].price,
+			addedAt: existing?.addedAt || new Date().toISOString(),
+		}
+		await this._writeLines(userId, [line])
+
+		return { productId, quantity: line.quantity, price: line.price }
+	}
+
+	/**
+	 * Set the quantity of a cart line
+	 *
+	 * @param {string} userId - Cart owner
+	 * @param {string} productId - Product ID
+	 * @param {number} quantity - New quantity
+	 * @returns {Promise<Object>} Stored line { productId, quantity, price }
+	 */
+	async updateItem(userId, productId, quantity) {
+		this._validateQuantity(quantity)
+
+		const raw = await this.client.hGet(this._cartKey(userId), productId)
+		if (!raw) {
+			throw createCartError('ITEM_NOT_FOUND', 'Product is not in the cart')
+		}
+
+		const line = { productId, ...JSON.parse(raw), quantity }
+		await this._writeLines(userId, [line])
+
+		return { productId, quantity, price: line.price }
+	}
+
+	/**
+	 * Remove a product from the cart
+	 * @throws {Error} code ITEM_NOT_FOUND
+	 */
+	async removeItem(userId, productId) {
+		const removed = await this.client.hDel(this._cartKey(userId), productId)
+		if (removed === 0) {
+			throw createCartError('ITEM_NOT_FOUND', 'Product is not in the cart')
+		}
+	}
+
+	/**
+	 * Empty the cart
+	 */
+	async clear(userId) {
+		await this.client.del(this._cartKey(userId))
+	}
+
+	/**
+	 * Create an order from the cart through the regular order saga
+	 * The cart is left untouched until the order is confirmed.
+	 *
+	 * @param {string} userId - Cart owner
+	 * @param {string} token - Authorization header forwarded to Product Service
+	 * @param {Object} [options] - { couponCode, currency, shippingAddress, addressId, shippingMethod }
+	 * @returns {Promise<Object>} Result of OrderService.createOrder
+	 * @throws {Error} code CART_EMPTY (or COUPON_*, currency and shipping errors from createOrder)
+	 */
+	async checkout(userId, token, { couponCode, currency, shippingAddress, addressId, shippingMethod } = {}) {
+		const lines = await this._readLines(userId)
+		if (lines.length === 0) {
+			throw createCartError('CART_EMPTY', 'Cart is empty')
+		}
+
+		// The checkout record is written before the order exists, so it is there
+		// when ORDER_CONFIRMED arrives however fast the saga runs
+		const orderId = new mongoose.Types.ObjectId().toString()
+		await this.client.set(
+			this._checkoutKey(orderId),
+			JSON.stringify({
+				userId,
+				lines: lines.map(({ productId, quantity }) => ({ productId, quantity })),
+			}),
+			{ EX: config.cartCheckoutTtlSeconds }
+		)
+
+		let result
+		try {
+			result = await this.orderService.createOrder(
+				lines.map((line) => line.productId),
+				lines.map((line) => line.quantity),
+				userId,
+				token,
+				{ couponCode, currency, shippingAddress, addressId, shippingMethod, orderId }
+			)
+		} catch (error) {
+			await this.client.del(this._checkoutKey(orderId))
+			throw error
+		}
+
+		logger.info({ userId, orderId: result.orderId, items: lines.length }, '[Cart] Checkout created order')
+		return result
+	}
+
+	/**
+	 * Remove the lines of a confirmed order from its cart (ORDER_CONFIRMED)
+	 * Orders not created by checkout are ignored. Lines the user changed after
+	 * checkout keep the units that were not ordered.
+	 *
+	 * @param {string} orderId - Confirmed order
+	 * @returns {Promise<boolean>} true if a cart was updated
+	 */
+	async handleOrderConfirmed(orderId) {
+		const raw = await this.client.get(this._checkoutKey(orderId))
+		if (!raw) {
+			return false
+		}
+
+		const { userId, lines: ordered } = JSON.parse(raw)
+		const key = this._cartKey(userId)
+		const current = new Map((await this._readLines(userId)).map((line) => [line.productId, line]))
+
+		const multi = this.client.multi()
+		for (const { productId, quantity } of ordered) {
+			const line = current.get(productId)
+			if (!line) {
+				continue
+			}
+			if (line.quantity > quantity) {
+				multi.hSet(key, productId, JSON.stringify({
+					quantity: line.quantity - quantity,
+					price: line.price,
+					addedAt: line.addedAt,
+				}))
+			} else {
+				multi.hDel(key, productId)
+			}
+		}
+		multi.del(this._checkoutKey(orderId))
+		await multi.exec()
+
+		logger.info({ userId, orderId }, '[Cart] Removed confirmed order lines from cart')
+		return true
+	}
+
+	/**
+	 * @private
+	 * @throws {Error} code INVALID_ITEM
+	 */
+	_validateQuantity(quantity) {
+		if (!Number.isInteger(quantity) || quantity < 1 || quantity > MAX_QUANTITY) {
+			throw createCartError('INVALID_ITEM', `quantity must be an integer between 1 and ${MAX_QUANTITY}`)
+		}
+	}
+
+	/**
+	 * Close Redis connection
+	 */
+	async close() {
+		if (this.client && this.client.isOpen) {
+			await this.client.quit()
+			logger.info('[Cart] Redis connection closed')
+		}
+	}
+}
+
+module.exports = CartService
@@ -0,0 +1,201 @@
+const fs = require('fs/promises')
+const logger = require('@ecommerce/logger')
+const config = require('../config')
+
+/**
+ * Helper: Create an error for a currency that can't be priced (mapped to HTTP status by the controllers)
+ * @param {string} code - UNSUPPORTED_CURRENCY or EXCHANGE_RATE_UNAVAILABLE
+ * @param {string} message - Error message
+ */
+function createCurrencyError(code, message) {
+	const error = new Error(message)
+	error.code = code
+	return error
+}
+
+/**
+ * Normalize a currency code (ISO 4217, e.g. ' eur' → 'EUR')
+ */
+function normalizeCurrency(currency) {
+	return String(currency).trim().toUpperCase()
+}
+
+/**
+ * Number of decimals of a currency (2 for USD, 0 for VND and JPY)
+ */
+function currencyDecimals(currency) {
+	try {
+		return new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits
+	} catch (error) {
+		return 2
+	}
+}
+
+/**
+ * Round a money amount to the minor unit of its currency
+ */
+function roundToCurrency(amount, currency) {
+	const factor = 10 ** currencyDecimals(currency)
+	return Math.round(amount * factor) / factor
+}
+
+/**
+ * Static provider - rates from a JSON table file (loaded once)
+ *
+ * File format: { "base": "USD", "rates": { "USD": 1, "EUR": 0.92, ... } }
+ * where each rate is the amount of that currency worth 1 unit of the base.
+ */
+class StaticRateProvider {
+	/**
+	 * @param {string} filePath - Path to the rate table
+	 */
+	constructor(filePath) {
+		this.name = 'static'
+		this.filePath = filePath
+		this.table = null
+	}
+
+	/**
+	 * @returns {Promise<Object>} { base, rates, updatedAt }
+	 */
+	async getRates() {
+		if (this.table) {
+			return this.table
+		}
+
+		const raw = JSON.parse(await fs.readFile(this.filePath, 'utf8'))
+		const base = normalizeCurrency(raw.base)
+		const rates = {}
+		for (const [currency, rate] of Object.entries(raw.rates || {})) {
+			if (!Number.isFinite(rate) || rate <= 0) {
+				throw new Error(`Invalid exchange rate for ${currency} in ${this.filePath}`)
+			}
+			rates[normalizeCurrency(currency)] = rate
+		}
+		rates[base] = 1
+
+		this.table = { base, rates, updatedAt: raw.updatedAt || null }
+		logger.info({ file: this.filePath, currencies: Object.keys(rates).length }, '[ExchangeRate] ✓ Static rate table loaded')
+		return this.table
+	}
+}
+
+// Built-in providers, selected by EXCHANGE_RATE_PROVIDER (see registerProvider)
+const providerFactories = {
+	static: () => new StaticRateProvider(config.exchangeRatesFile),
+}
+
+/**
+ * Make a provider available to createExchangeRateService
+ * A provider is any object with { name, getRates() } where getRates resolves
+ * to { base, rates } in the StaticRateProvider format.
+ *
+ * @param {string} name - Value of EXCHANGE_RATE_PROVIDER
+ * @param {Function} factory - () => provider
+ */
+function registerProvider(name, factory) {
+	providerFactories[name] = factory
+}
+
+/**
+ * Exchange Rate Service - Converts prices between currencies
+ *
+ * Used when an order or cart mixes product currencies, or when the user asks
+ * for a display currency. Converted amounts are rounded to the minor unit of
+ * the target currency.
+ */
+class ExchangeRateService {
+	/**
+	 * @param {Object} provider - Rate provider { name, getRates() }
+	 */
+	constructor(provider) {
+		this.provider = provider
+	}
+
+	/**
+	 * Replace the rate provider (e.g. a live feed instead of the static table)
+	 */
+	setProvider(provider) {
+		this.provider = provider
+	}
+
+	/**
+	 * Check that a currency has a rate
+	 * @returns {Promise<boolean>}
+	 */
+	async isSupported(currency) {
+		const { rates } = await this._getRates()
+		return Boolean(rates[normalizeCurrency(currency)])
+	}
+
+	/**
+	 * Get the rate to convert an amount from one currency to another
+	 *
+	 * @param {string} from - Source currency
+	 * @param {string} to - Target currency
+	 * @returns {Promise<number>} Amount of `to` worth 1 unit of `from`
+	 * @throws {Error} code UNSUPPORTED_CURRENCY or EXCHANGE_RATE_UNAVAILABLE
+	 */
+	async getRate(from, to) {
+		const source = normalizeCurrency(from)
+		const target = normalizeCurrency(to)
+		if (source === target) {
+			return 1
+		}
+
+		const { rates } = await this._getRates()
+		for (const currency of [source, target]) {
+			if (!rates[currency]) {
+				throw createCurrencyError('UNSUPPORTED_CURRENCY', `Currency ${currency} is not supported`)
+			}
+		}
+
+		return rates[target] / rates[source]
+	}
+
+	/**
+	 * Convert an amount between currencies
+	 *
+	 * @param {number} amount - Amount in `from`
+	 * @param {string} from - Source currency
+	 * @param {string} to - Target currency
+	 * @returns {Promise<Object>} { amount, rate } with amount rounded for `to`
+	 */
+	async convert(amount, from, to) {
+		const rate = await this.getRate(from, to)
+		return { amount: roundToCurrency(amount * rate, normalizeCurrency(to)), rate }
+	}
+
+	/**
+	 * @private
+	 * @throws {Error} code EXCHANGE_RATE_UNAVAILABLE
+	 */
+	async _getRates() {
+		try {
+			return await this.provider.getRates()
+		} catch (error) {
+			logger.error({ error: error.message, provider: this.provider.name }, '[ExchangeRate] Failed to load exchange rates')
+			throw createCurrencyError('EXCHANGE_RATE_UNAVAILABLE', 'Exchange rates are temporarily unavailable')
+		}
+	}
+}
+
+/**
+ * Create the service with the provider configured by EXCHANGE_RATE_PROVIDER
+ */
+function createExchangeRateService(providerName = config.exchangeRateProvider) {
+	const factory = providerFactories[providerName]
+	if (!factory) {
+		throw new Error(`Unknown exchange rate provider: ${providerName}`)
+	}
+	return new ExchangeRateService(factory())
+}
+
+module.exports = {
+	ExchangeRateService,
+	StaticRateProvider,
+	createExchangeRateService,
+	registerProvider,
+	normalizeCurrency,
+	roundToCurrency,
+}
@@ -1,13 +1,39 @@
+const crypto = require('crypto')
 const redis = require('redis')
 const { createClient } = redis
 const logger = require('@ecommerce/logger')
 
+// How long an in-flight request holds its key (released early on completion or failure)
+const REQUEST_LOCK_SECONDS = 60
+
+/**
+ * Serialize a value with sorted object keys (same body → same fingerprint)
+ * @param {*} value
+ * @returns {string}
+ */
+function canonicalJson(value) {
+	if (Array.isArray(value)) {
+		return `[${value.map(canonicalJson).join(',')}]`
+	}
+	if (value && typeof value === 'object') {
+		return `{${Object.keys(value).sort()
+			.filter((key) => value[key] !== undefined)
+			.map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+			.join(',')}}`
+	}
+	return JSON.stringify(value === undefined ? null : value)
+}
+
 /**
  * Idempotency Service for Order Service
  * 
  * Prevents duplicate event processing using Redis
  * Key format: order:event:processed:{eventType}:{orderId}
  * TTL: 24 hours
+ * 
+ * Also stores client Idempotency-Key requests (POST /api/orders)
+ * Key format: order:request:{userId}:{idempotencyKey}
+ * Value: { state: in_progress | completed, fingerprint, response }
  */
 class IdempotencyService {
 	constructor(redisUrl) {
@@ -112,6 +138,117 @@ class IdempotencyService {
 		}
 	}
 
+	/**
+	 * Hash a request body into a fingerprint
+	 * @param {Object} body - Request body
+	 * @returns {string} SHA-256 hex digest
+	 */
+	fingerprint(body) {
+		return crypto.createHash('sha256').update(canonicalJson(body || {})).digest('hex')
+	}
+
+	_requestKey(scope, idempotencyKey) {
+		return `order:request:${scope}:${idempotencyKey}`
+	}
+
+	/**
+	 * Claim a client idempotency key before handling the request
+	 * 
+	 * Results:
+	 * - started: key claimed, handle the request then completeRequest/releaseRequest
+	 * - completed: same request already handled, replay response
+	 * - in_progress: same request is still being handled
+	 * - mismatch: key already used with a different body
+	 * - unavailable: Redis error, handle the request without idempotency
+	 * 
+	 * @param {string} scope - Key owner (user ID)
+	 * @param {string} idempotencyKey - Client supplied key
+	 * @param {string} fingerprint - Request fingerprint
+	 * @returns {Promise<Object>} { status, response }
+	 */
+	async beginRequest(scope, idempotencyKey, fingerprint) {
+		try {
+			if (!this.isConnected || !this.client) {
+				await this.connect()
+			}
+
+			const key = this._requestKey(scope, idempotencyKey)
+			// Two attempts: the stored record may expire between SET NX and GET
+			for (let attempt = 0; attempt < 2; attempt++) {
+				const claimed = await this.client.set(key, JSON.stringify({
+					state: 'in_progress',
+					fingerprint,
+					startedAt: new Date().toISOString(),
+				}), { NX: true, EX: REQUEST_LOCK_SECONDS })
+				if (claimed) {
+					return { status: 'started' }
+				}
+
+				const raw = await this.client.get(key)
+				if (!raw) {
+					continue
+				}
+
+				const record = JSON.parse(raw)
+				if (record.fingerprint !== fingerprint) {
+					return { status: 'mismatch' }
+				}
+				if (record.state !== 'completed') {
+					return { status: 'in_progress' }
+				}
+				return { status: 'completed', response: record.response }
+			}
+			return { status: 'in_progress' }
+		} catch (error) {
+			logger.error(
+				{ error: error.message, scope, idempotencyKey },
+				'[Order] Error claiming idempotency key'
+			)
+			return { status: 'unavailable' }
+		}
+	}
+
+	/**
+	 * Store the response of a handled request for replays
+	 * @param {string} scope - Key owner (user ID)
+	 * @param {string} idempotencyKey - Client supplied key
+	 * @param {string} fingerprint - Request fingerprint
+	 * @param {Object} response - { statusCode, body }
+	 * @param {number} ttlSeconds - How long the key can be replayed
+	 */
+	async completeRequest(scope, idempotencyKey, fingerprint, response, ttlSeconds) {
+		try {
+			await this.client.set(this._requestKey(scope, idempotencyKey), JSON.stringify({
+				state: 'completed',
+				fingerprint,
+				response,
+				completedAt: new Date().toISOString(),
+			}), { EX: ttlSeconds })
+		} catch (error) {
+			logger.error(
+				{ error: error.message, scope, idempotencyKey },
+				'[Order] Error storing idempotent response'
+			)
+			// Don't throw - the request itself succeeded
+		}
+	}
+
+	/**
+	 * Free a claimed key so the client can retry (request failed without a result)
+	 * @param {string} scope - Key owner (user ID)
+	 * @param {string} idempotencyKey - Client supplied key
+	 */
+	async releaseRequest(scope, idempotencyKey) {
+		try {
+			await this.client.del(this._requestKey(scope, idempotencyKey))
+		} catch (error) {
+			logger.error(
+				{ error: error.message, scope, idempotencyKey },
+				'[Order] Error releasing idempotency key'
+			)
+		}
+	}
+
 	/**
 	 * Close Redis connection
 	 */
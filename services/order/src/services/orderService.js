@@ -1,8 +1,14 @@
 const mongoose = require('mongoose')
+const config = require('../config')
 const orderRepository = require('../repositories/orderRepository')
 const logger = require('@ecommerce/logger')
 const { createOrderStateMachine } = require('./orderStateMachine')
-const { productClient } = require('../clients/productClient')
+const PromotionService = require('./promotionService')
+const TaxService = require('./taxService')
+const ShippingService = require('./shippingService')
+const { createExchangeRateService, normalizeCurrency, roundToCurrency } = require('./exchangeRateService')
+const { productClient, getProductsByIds } = require('../clients/productClient')
+const { getAddress } = require('../clients/authClient')
 const {
 	recordOrderCreated,
 	recordStateTransition,
@@ -12,6 +18,7 @@ const {
 	recordEventProcessing,
 	startEventProcessingTimer,
 	startProductValidationTimer,
+	recordOrderExpired,
 	updateCircuitBreakerFromStats
 } = require('../metrics')
 
@@ -31,7 +38,8 @@ function isWriteConflict(error) {
 
 /**
  * Helper: Execute transaction with retry logic for Write Conflicts
- * @param {Function} transactionFn - Async function that receives session
+ * @param {Function} transactionFn - Async function that receives (session, onCommit);
+ *   callbacks passed to onCommit run once the transaction has committed
  * @param {Object} options - { maxRetries, retryDelayMs, operationName }
  */
 async function withRetryTransaction(transactionFn, options = {}) {
@@ -39,11 +47,14 @@ async function withRetryTransaction(transactionFn, options = {}) {
 
 	for (let attempt = 1; attempt <= maxRetries; attempt++) {
 		const session = await mongoose.startSession()
+		const afterCommit = []
 		try {
 			await session.withTransaction(async () => {
-				await transactionFn(session)
+				afterCommit.length = 0 // withTransaction may run the function again
+				await transactionFn(session, (callback) => afterCommit.push(callback))
 			})
 			session.endSession()
+			afterCommit.forEach((callback) => callback())
 			return // Success
 		} catch (error) {
 			session.endSession()
@@ -62,14 +73,94 @@ async function withRetryTransaction(transactionFn, options = {}) {
 	}
 }
 
+/**
+ * Helper: Create an error for a refused order action (mapped to HTTP status by the controller)
+ * @param {string} code - ORDER_NOT_FOUND, FORBIDDEN, ORDER_NOT_CANCELLABLE, INVALID_TRANSITION, INVALID_CURSOR,
+ *   UNSUPPORTED_CURRENCY, PAYMENT_MISMATCH, ADDRESS_NOT_FOUND, ADDRESS_BOOK_UNAVAILABLE or INVALID_SHIPMENT
+ * @param {string} message - Error message
+ */
+function createOrderError(code, message) {
+	const error = new Error(message)
+	error.code = code
+	return error
+}
+
+/**
+ * Helper: Encode the position of an order in a search result as an opaque cursor
+ * The sort and order are included so a cursor can't be replayed with another sort.
+ */
+function encodeSearchCursor(order, sort, direction) {
+	const value = order[sort] instanceof Date ? order[sort].toISOString() : order[sort]
+	return Buffer.from(JSON.stringify({ s: sort, o: direction, v: value, id: String(order._id) })).toString('base64url')
+}
+
+/**
+ * Helper: Decode a search cursor into { value, id }
+ * @throws {Error} code INVALID_CURSOR
+ */
+function decodeSearchCursor(cursor, sort, direction) {
+	let decoded
+	try {
+		decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'))
+	} catch (error) {
+		throw createOrderError('INVALID_CURSOR', 'Invalid cursor')
+	}
+
+	if (decoded.s !== sort || decoded.o !== direction || !mongoose.isValidObjectId(decoded.id)) {
+		throw createOrderError('INVALID_CURSOR', 'Cursor does not match the requested sort')
+	}
+
+	return {
+		value: sort === 'createdAt' ? new Date(decoded.v) : decoded.v,
+		id: decoded.id,
+	}
+}
+
 class OrderService {
-	constructor(outboxManager) {
+	/**
+	 * @param {Object} outboxManager - OutboxManager instance
+	 * @param {Object} [promotionService] - Coupon handling (shared with the coupon admin API)
+	 * @param {Object} [exchangeRateService] - Currency conversion (shared with carts and coupons)
+	 * @param {Object} [taxService] - Tax rules
+	 * @param {Object} [shippingService] - Shipping rate tables
+	 */
+	constructor(
+		outboxManager,
+		promotionService,
+		exchangeRateService = createExchangeRateService(),
+		taxService = new TaxService(),
+		shippingService = new ShippingService(exchangeRateService)
+	) {
 		this.outboxManager = outboxManager
+		this.exchangeRateService = exchangeRateService
+		this.promotionService = promotionService || new PromotionService(exchangeRateService)
+		this.taxService = taxService
+		this.shippingService = shippingService
+		this.statusStream = null
+	}
+
+	/**
+	 * Push committed status changes to connected clients (see OrderStatusStream)
+	 * @param {Object} statusStream - OrderStatusStream instance
+	 */
+	setStatusStream(statusStream) {
+		this.statusStream = statusStream
+	}
+
+	/**
+	 * Publish the latest status change of an order (after its transaction committed)
+	 * @private
+	 */
+	_notifyStatusChange(order) {
+		if (this.statusStream) {
+			this.statusStream.publishChange(order)
+		}
 	}
 
 	/**
 	 * Fetch product details from the Product service and validate the IDs.
-	 * Uses circuit breaker for resilient HTTP calls.
+	 * Uses the batch lookup (only the requested products) through the circuit breaker.
+	 * Products are returned in the order of productIds.
 	 */
 	async validateProducts(productIds, token) {
 		const endTimer = startProductValidationTimer()
@@ -78,21 +169,18 @@ class OrderService {
 				token && token.startsWith('Bearer ') ? token : `Bearer ${token}`
 
 			// Use resilient client with circuit breaker
-			const allProducts = await productClient.get('/api/products', {
-				headers: { Authorization: authHeader },
-			})
+			const { products, missing } = await getProductsByIds(productIds, authHeader)
 
-			const validProducts = allProducts.filter((product) =>
-				productIds.includes(product._id.toString())
-			)
-
-			if (validProducts.length !== productIds.length) {
-				const foundIds = validProducts.map((product) => product._id.toString())
-				const missingIds = productIds.filter((id) => !foundIds.includes(id))
+			if (missing.length > 0) {
 				endTimer('failed')
-				throw new Error(`Products not found: ${missingIds.join(', ')}`)
+				throw new Error(`Products not found: ${missing.join(', ')}`)
 			}
 
+			const productsById = new Map(
+				products.map((product) => [product._id.toString(), product])
+			)
+			const validProducts = productIds.map((id) => productsById.get(String(id).toLowerCase()))
+
 			// Update circuit breaker metrics
 			updateCircuitBreakerFromStats(productClient.getStats())
 			endTimer('success')
@@ -132,14 +220,103 @@ class OrderService {
 		}
 	}
 
+	/**
+	 * Pick the order currency and convert product prices into it
+	 * The requested currency wins; otherwise products sharing one currency keep
+	 * it and mixed carts are priced in the default currency.
+	 *
+	 * @param {Object[]} products - Catalog products ({ price, currency })
+	 * @param {string} [requested] - Currency asked for by the client
+	 * @returns {Promise<Object>} { currency, prices, originals, exchangeRates }
+	 * @throws {Error} code UNSUPPORTED_CURRENCY or EXCHANGE_RATE_UNAVAILABLE
+	 */
+	async priceInCurrency(products, requested) {
+		const productCurrencies = products.map((product) =>
+			normalizeCurrency(product.currency || config.defaultCurrency)
+		)
+		const distinct = [...new Set(productCurrencies)]
+		const currency = requested
+			? normalizeCurrency(requested)
+			: distinct.length === 1 ? distinct[0] : config.defaultCurrency
+
+		if (requested && !(await this.exchangeRateService.isSupported(currency))) {
+			throw createOrderError('UNSUPPORTED_CURRENCY', `Currency ${currency} is not supported`)
+		}
+
+		const exchangeRates = {}
+		for (const source of distinct) {
+			if (source !== currency) {
+				exchangeRates[source] = await this.exchangeRateService.getRate(source, currency)
+			}
+		}
+
+		const prices = products.map((product, index) => {
+			const price = Number(product?.price || 0)
+			const rate = exchangeRates[productCurrencies[index]] || 1
+			return roundToCurrency((Number.isFinite(price) ? price : 0) * rate, currency)
+		})
+		const originals = products.map((product, index) =>
+			exchangeRates[productCurrencies[index]]
+				? { originalPrice: product.price, originalCurrency: productCurrencies[index] }
+				: {}
+		)
+
+		return { currency, prices, originals, exchangeRates }
+	}
+
+	/**
+	 * Copy an address from the user's address book (Auth Service)
+	 * The order keeps this copy even if the user later edits or deletes the address.
+	 *
+	 * @param {string} username - Address book owner
+	 * @param {string} addressId - Address ID
+	 * @returns {Promise<Object>} Shipping address with the addressId it was copied from
+	 * @throws {Error} code ADDRESS_NOT_FOUND or ADDRESS_BOOK_UNAVAILABLE
+	 */
+	async snapshotAddress(username, addressId) {
+		let address
+		try {
+			address = await getAddress(username, addressId)
+		} catch (error) {
+			logger.error({ error: error.message, addressId }, '[Order] Failed to fetch address from Auth Service')
+			throw createOrderError('ADDRESS_BOOK_UNAVAILABLE', 'Address book is temporarily unavailable')
+		}
+		if (!address) {
+			throw createOrderError('ADDRESS_NOT_FOUND', `Address ${addressId} not found`)
+		}
+
+		const { recipient, phone, line1, line2, city, region, postalCode, country } = address
+		return { addressId: String(address.id), recipient, phone, line1, line2, city, region, postalCode, country }
+	}
+
 	/**
 	 * Create a new order and enqueue reserve requests via the outbox.
+	 * A coupon is validated and its redemption reserved in the same transaction.
+	 * Tax (by shipping address and product category) and shipping (by method)
+	 * are added to the discounted items total.
+	 *
+	 * @param {string[]} productIds - Product IDs
+	 * @param {number[]} [quantities] - Quantities (default 1 each)
+	 * @param {string} username - Ordering user
+	 * @param {string} token - Authorization header forwarded to Product Service
+	 * @param {Object} [options] - { couponCode, currency, shippingAddress, addressId, shippingMethod, orderId }
+	 *   where addressId picks the shipping address from the user's address book and
+	 *   orderId is a pre-generated order ID (cart checkout)
+	 * @throws {Error} COUPON_* codes when the coupon can't be applied, UNSUPPORTED_CURRENCY
+	 *   or EXCHANGE_RATE_UNAVAILABLE when prices can't be converted, SHIPPING_METHOD_UNAVAILABLE,
+	 *   ADDRESS_NOT_FOUND or ADDRESS_BOOK_UNAVAILABLE
 	 */
-	async createOrder(productIds, quantities = [], username, token) {
+	async createOrder(productIds, quantities = [], username, token, options = {}) {
+		const { couponCode, currency: requestedCurrency, addressId, shippingMethod } = options
+
 		if (!Array.isArray(productIds) || productIds.length === 0) {
 			throw new Error('Product IDs are required')
 		}
 
+		const shippingAddress = addressId
+			? await this.snapshotAddress(username, addressId)
+			: options.shippingAddress
+
 		const normalizedQuantities =
 			Array.isArray(quantities) && quantities.length === productIds.length
 				? quantities.map((quantity) => {
@@ -149,90 +326,123 @@ class OrderService {
 				: productIds.map(() => 1)
 
 		const products = await this.validateProducts(productIds, token)
+		const { currency, prices, originals, exchangeRates } = await this.priceInCurrency(products, requestedCurrency)
 
-		const totalPrice = products.reduce((total, product, index) => {
-			const price = Number(product?.price || 0)
-			return (
-				total +
-				(Number.isFinite(price) ? price : 0) * normalizedQuantities[index]
-			)
-		}, 0)
+		const subtotal = roundToCurrency(
+			prices.reduce((total, price, index) => total + price * normalizedQuantities[index], 0),
+			currency
+		)
 
-		const session = await mongoose.startSession()
-		session.startTransaction()
+		// Get traceId from OpenTelemetry context for correlation
+		// This ensures the same traceId is used throughout the entire order flow
+		const traceId = getCurrentTraceId()
 
+		// Retried on write conflicts, e.g. concurrent checkouts redeeming the same coupon
+		let order
 		try {
-			const orderData = {
-				products: products.map((product, index) => ({
-					_id: product._id,
-					name: product.name,
-					price: product.price,
-					description: product.description,
+			await withRetryTransaction(async (session, onCommit) => {
+				const lines = products.map((product, index) => ({
+					productId: product._id.toString(),
+					price: prices[index],
 					quantity: normalizedQuantities[index],
-					reserved: false,
-				})),
-				user: username,
-				totalPrice,
-				status: 'PENDING',
-			}
+					category: product.category,
+					weight: product.weight,
+				}))
+
+				const discount = couponCode
+					? await this.promotionService.calculateDiscount(couponCode, username, lines, currency, session)
+					: null
+				const discounts = discount ? [discount] : []
+				const discountTotal = discount ? discount.amount : 0
+				const itemsTotal = Math.max(0, roundToCurrency(subtotal - discountTotal, currency))
+
+				const tax = await this.taxService.calculateTax(lines, shippingAddress, discounts, currency)
+				const shipping = await this.shippingService.quote(shippingMethod, {
+					address: shippingAddress,
+					lines,
+					itemsTotal,
+					currency,
+				})
+				const totalPrice = roundToCurrency(itemsTotal + tax.taxTotal + shipping.cost, currency)
+
+				const orderData = {
+					_id: options.orderId,
+					products: products.map((product, index) => ({
+						_id: product._id,
+						name: product.name,
+						price: prices[index],
+						...originals[index],
+						description: product.description,
+						category: product.category,
+						weight: product.weight,
+						quantity: normalizedQuantities[index],
+						taxRate: tax.lines[index].taxRate,
+						taxAmount: tax.lines[index].taxAmount,
+						reserved: false,
+					})),
+					user: username,
+					subtotal,
+					discounts,
+					discountTotal,
+					taxTotal: tax.taxTotal,
+					shippingTotal: shipping.cost,
+					totalPrice,
+					currency,
+					shippingAddress,
+					shippingMethod: shipping.method,
+					exchangeRates: Object.keys(exchangeRates).length > 0 ? exchangeRates : undefined,
+					status: 'PENDING',
+					statusHistory: [{
+						from: null,
+						to: 'PENDING',
+						event: 'ORDER_CREATED',
+						correlationId: traceId,
+						actor: `user:${username}`,
+					}],
+				}
 
-			const order = await orderRepository.create(orderData, session)
-			const orderId = order._id.toString()
+				order = await orderRepository.create(orderData, session)
+				const orderId = order._id.toString()
 
-			if (!this.outboxManager) {
-				throw new Error('OutboxManager not initialized')
-			}
+				if (!this.outboxManager) {
+					throw new Error('OutboxManager not initialized')
+				}
 
-			// Get traceId from OpenTelemetry context for correlation
-			// This ensures the same traceId is used throughout the entire order flow
-			const traceId = getCurrentTraceId()
+				if (discount) {
+					await this.promotionService.reserveRedemption(discount, orderId, username, session)
+				}
 
-			const timestamp = new Date().toISOString()
-			await this.outboxManager.createEvent({
-				eventType: 'ORDER_CREATED',
-				payload: {
-					type: 'ORDER_CREATED',
-					data: {
-						orderId,
-						products: order.products.map((product) => ({
-							productId: product._id.toString(),
-							quantity: product.quantity,
-						})),
+				const timestamp = new Date().toISOString()
+				await this.outboxManager.createEvent({
+					eventType: 'ORDER_CREATED',
+					payload: {
+						type: 'ORDER_CREATED',
+						data: {
+							orderId,
+							products: order.products.map((product) => ({
+								productId: product._id.toString(),
+								quantity: product.quantity,
+							})),
+							subtotal,
+							discountTotal,
+							taxTotal: tax.taxTotal,
+							shippingTotal: shipping.cost,
+							totalPrice,
+							currency,
+							couponCode: discount?.code,
+						},
+						timestamp,
 					},
-					timestamp,
-				},
-				session,
-				// Use traceId as correlationId for distributed tracing
-				// If no active span, OutboxManager will auto-generate correlationId
-				correlationId: traceId,
-				routingKey: 'order.created',
-			})
-
-			await session.commitTransaction()
-			logger.info(
-				{ orderId, username },
-				'Order created via transactional outbox'
-			)
-
-			// Record metrics
-			recordOrderCreated('pending')
-			recordOrderValue(totalPrice, 'USD', 'created')
-			recordSagaOperation('order_flow', 'create', 'success')
+					session,
+					// Use traceId as correlationId for distributed tracing
+					// If no active span, OutboxManager will auto-generate correlationId
+					correlationId: traceId,
+					routingKey: 'order.created',
+				})
 
-			return {
-				orderId,
-				message: 'Order created and reservation requests queued',
-				products: order.products.map((product) => ({
-					id: product._id,
-					name: product.name,
-					price: product.price,
-					quantity: product.quantity,
-				})),
-				totalPrice,
-				status: order.status,
-			}
+				onCommit(() => this._notifyStatusChange(order))
+			}, { operationName: 'createOrder' })
 		} catch (error) {
-			await session.abortTransaction()
 			logger.error(
 				{ error: error.message, username },
 				'Failed to create order, transaction rolled back'
@@ -240,8 +450,41 @@ class OrderService {
 			recordOrderCreated('failed')
 			recordSagaOperation('order_flow', 'create', 'failed')
 			throw error
-		} finally {
-			session.endSession()
+		}
+
+		const orderId = order._id.toString()
+		logger.info(
+			{ orderId, username },
+			'Order created via transactional outbox'
+		)
+
+		// Record metrics
+		recordOrderCreated('pending')
+		recordOrderValue(order.totalPrice, order.currency, 'created')
+		recordSagaOperation('order_flow', 'create', 'success')
+
+		return {
+			orderId,
+			message: 'Order created and reservation requests queued',
+			products: order.products.map((product) => ({
+				id: product._id,
+				name: product.name,
+				price: product.price,
+				originalPrice: product.originalPrice,
+				originalCurrency: product.originalCurrency,
+				quantity: product.quantity,
+				taxRate: product.taxRate,
+				taxAmount: product.taxAmount,
+			})),
+			subtotal: order.subtotal,
+			discounts: order.discounts,
+			discountTotal: order.discountTotal,
+			taxTotal: order.taxTotal,
+			shippingTotal: order.shippingTotal,
+			shippingMethod: order.shippingMethod,
+			totalPrice: order.totalPrice,
+			currency: order.currency,
+			status: order.status,
 		}
 	}
 
@@ -257,6 +500,55 @@ class OrderService {
 		}
 	}
 
+	/**
+	 * Convert the totals of an order to a display currency (the order itself is
+	 * still charged in its own currency)
+	 *
+	 * @param {Object} order - Order document
+	 * @param {string} displayCurrency - Currency to show the totals in
+	 * @returns {Promise<Object>} { currency, rate, subtotal, discountTotal, taxTotal, shippingTotal, totalPrice }
+	 * @throws {Error} code UNSUPPORTED_CURRENCY or EXCHANGE_RATE_UNAVAILABLE
+	 */
+	async convertTotals(order, displayCurrency) {
+		const currency = normalizeCurrency(displayCurrency)
+		const rate = await this.exchangeRateService.getRate(order.currency, currency)
+		const convert = (amount) => roundToCurrency((amount || 0) * rate, currency)
+
+		return {
+			currency,
+			rate,
+			subtotal: convert(order.subtotal ?? order.totalPrice),
+			discountTotal: convert(order.discountTotal),
+			taxTotal: convert(order.taxTotal),
+			shippingTotal: convert(order.shippingTotal),
+			totalPrice: convert(order.totalPrice),
+		}
+	}
+
+	/**
+	 * Get the status timeline of an order
+	 *
+	 * @param {string} orderId - Order ID
+	 * @returns {Promise<Object|null>} { orderId, user, status, history } or null if not found
+	 */
+	async getStatusHistory(orderId) {
+		if (!mongoose.isValidObjectId(orderId)) {
+			return null
+		}
+
+		const order = await this.getOrderById(orderId)
+		if (!order) {
+			return null
+		}
+
+		return {
+			orderId: order._id,
+			user: order.user,
+			status: order.status,
+			history: order.statusHistory || [],
+		}
+	}
+
 	/**
 	 * Get orders by user with pagination
 	 */
@@ -291,10 +583,561 @@ class OrderService {
 		}
 	}
 
+	/**
+	 * Wait until the order of a correlationId exists (long polling)
+	 * Wakes up on the user's status stream event for the correlationId (seckill
+	 * orders are published when created) and re-reads the order every
+	 * ORDER_LOOKUP_POLL_MS in case the event is missed.
+	 *
+	 * @param {string} correlationId - Correlation ID from seckill service
+	 * @param {string} userId - Expected owner (whose status events are watched)
+	 * @param {number} timeoutMs - Maximum wait
+	 * @param {AbortSignal} [signal] - Stops waiting (client disconnected)
+	 * @returns {Promise<Object|null>} Order document or null if still not created
+	 */
+	async waitForOrderByCorrelationId(correlationId, userId, timeoutMs, signal) {
+		const deadline = Date.now() + timeoutMs
+		let order = await this.getOrderByCorrelationId(correlationId)
+
+		while (!order && !signal?.aborted && Date.now() < deadline) {
+			await this._waitForStatusEvent(
+				userId,
+				(event) => event.correlationId === correlationId,
+				Math.min(config.orderLookupPollMs, deadline - Date.now()),
+				signal
+			)
+			order = await this.getOrderByCorrelationId(correlationId)
+		}
+
+		return order
+	}
+
+	/**
+	 * Resolve on the first status event of a user matching a predicate, or after delayMs
+	 * @private
+	 */
+	_waitForStatusEvent(userId, predicate, delayMs, signal) {
+		return new Promise((resolve) => {
+			let unsubscribe = null
+			const done = () => {
+				clearTimeout(timer)
+				if (unsubscribe) unsubscribe()
+				signal?.removeEventListener('abort', done)
+				resolve()
+			}
+			const timer = setTimeout(done, delayMs)
+			signal?.addEventListener('abort', done)
+
+			if (this.statusStream && this.statusStream.isReady()) {
+				unsubscribe = this.statusStream.subscribe(userId, ({ event }) => {
+					if (predicate(event)) done()
+				})
+			}
+		})
+	}
+
+	/**
+	 * Get all seckill orders for a product
+	 * Used by Seckill Service to reconcile Redis winners against orders
+	 *
+	 * @param {string} productId - Product ID of the seckill campaign
+	 * @returns {Promise<Object[]>} Order documents
+	 */
+	async getSeckillOrdersByProduct(productId) {
+		try {
+			return await orderRepository.findSeckillOrdersByProduct(productId)
+		} catch (error) {
+			logger.error(
+				{ error: error.message, productId },
+				'Failed to get seckill orders by product'
+			)
+			throw error
+		}
+	}
+
+	/**
+	 * Get orders by IDs (admin)
+	 * Used by Payment Service reconciliation to compare payments against order statuses
+	 *
+	 * @param {string[]} orderIds - Order IDs
+	 * @returns {Promise<Object[]>} Orders found (missing IDs are left out)
+	 */
+	async getOrdersByIds(orderIds) {
+		try {
+			return await orderRepository.findByIds(orderIds)
+		} catch (error) {
+			logger.error(
+				{ error: error.message, count: orderIds.length },
+				'Failed to get orders by IDs'
+			)
+			throw error
+		}
+	}
+
+	/**
+	 * Search orders across users (admin)
+	 *
+	 * @param {Object} query - Validated OrderSearchQuerySchema output
+	 * @returns {Promise<Object>} { items, nextCursor } (nextCursor null on the last page)
+	 * @throws {Error} code INVALID_CURSOR
+	 */
+	async searchOrders(query) {
+		const { sort, order, limit, cursor } = query
+		const after = cursor ? decodeSearchCursor(cursor, sort, order) : undefined
+
+		// One extra document tells whether there is a next page
+		const items = await orderRepository.search(query, { sort, order, limit: limit + 1, after })
+		const hasMore = items.length > limit
+		const page = hasMore ? items.slice(0, limit) : items
+
+		return {
+			items: page,
+			nextCursor: hasMore ? encodeSearchCursor(page[page.length - 1], sort, order) : null,
+		}
+	}
+
+	/**
+	 * Stream orders matching search filters for export (admin)
+	 * Capped at config.orderExportMaxRows; the cursor is ignored.
+	 *
+	 * @param {Object} query - Validated OrderSearchQuerySchema output
+	 * @returns {Object} Async iterable of lean order documents
+	 */
+	exportOrders(query) {
+		return orderRepository.streamSearch(query, {
+			sort: query.sort,
+			order: query.order,
+			limit: config.orderExportMaxRows,
+		})
+	}
+
+	/**
+	 * Cancel an order on behalf of its owner
+	 * Allowed from PENDING and CONFIRMED; refused once PAID.
+	 * Reserved inventory and seckill slots are released via the outbox.
+	 *
+	 * @param {string} orderId - Order ID
+	 * @param {string} userId - Requesting user (X-User-ID), must own the order
+	 * @param {string} [reason] - Cancellation reason given by the customer
+	 * @returns {Promise<Object>} { orderId, status, cancellationReason, alreadyCancelled }
+	 * @throws {Error} code ORDER_NOT_FOUND, FORBIDDEN or ORDER_NOT_CANCELLABLE
+	 */
+	async cancelOrder(orderId, userId, reason) {
+		if (!mongoose.isValidObjectId(orderId)) {
+			throw createOrderError('ORDER_NOT_FOUND', 'Order not found')
+		}
+
+		let result
+		await withRetryTransaction(async (session, onCommit) => {
+			// Read order INSIDE transaction with session for proper locking
+			const order = await orderRepository.findById(orderId, session)
+			if (!order) {
+				throw createOrderError('ORDER_NOT_FOUND', 'Order not found')
+			}
+
+			if (order.user !== userId) {
+				throw createOrderError('FORBIDDEN', 'Forbidden')
+			}
+
+			const fsm = createOrderStateMachine(order.status)
+			if (order.status === 'CANCELLED') {
+				// Idempotent: nothing to release again
+				result = {
+					orderId,
+					status: order.status,
+					cancellationReason: order.cancellationReason,
+					alreadyCancelled: true,
+				}
+				return
+			}
+
+			if (!fsm.can('cancel')) {
+				throw createOrderError(
+					'ORDER_NOT_CANCELLABLE',
+					`Order cannot be cancelled in status ${order.status}`
+				)
+			}
+
+			const correlationId = order.metadata?.correlationId || getCurrentTraceId()
+
+			const oldStatus = order.status
+			fsm.cancel()
+			order.status = fsm.getState()
+			order.cancellationReason = reason || 'Cancelled by customer'
+			order.recordStatusChange({
+				from: oldStatus,
+				to: order.status,
+				event: 'CUSTOMER_CANCEL',
+				correlationId,
+				actor: `user:${userId}`,
+				reason: order.cancellationReason,
+			})
+			onCommit(() => this._notifyStatusChange(order))
+			await orderRepository.save(order, session)
+
+			await this._publishCancellation(order, session, correlationId, 'CUSTOMER_CANCELLED')
+
+			logger.info(
+				{
+					orderId,
+					userId,
+					oldStatus,
+					newStatus: order.status,
+					cancellationReason: order.cancellationReason,
+					correlationId,
+				},
+				'[Order] Order cancelled by customer'
+			)
+
+			recordStateTransition(oldStatus, 'CANCELLED', 'customer_cancelled')
+			recordSagaOperation('order_flow', 'cancel', 'success')
+			recordOrderValue(order.totalPrice, order.currency, 'cancelled')
+
+			result = {
+				orderId,
+				status: order.status,
+				cancellationReason: order.cancellationReason,
+				alreadyCancelled: false,
+			}
+		}, { operationName: 'cancelOrder' })
+
+		return result
+	}
+
+	/**
+	 * Cancel an order that exceeded its status deadline (timeout scheduler)
+	 * The status and age are re-checked inside the transaction, so an order that
+	 * moved on since it was selected (or was expired by another instance) is skipped.
+	 *
+	 * @param {string} orderId - Order ID
+	 * @param {string} expectedStatus - Status the order was selected in (PENDING or CONFIRMED)
+	 * @param {Date} enteredBefore - Deadline cutoff: the order must have entered that status before it
+	 * @returns {Promise<boolean>} true if the order was cancelled
+	 */
+	async expireOrder(orderId, expectedStatus, enteredBefore) {
+		let expired = false
+		await withRetryTransaction(async (session, onCommit) => {
+			const order = await orderRepository.findById(orderId, session)
+			const enteredAt = order?.statusChangedAt || order?.createdAt
+			if (!order || order.status !== expectedStatus || enteredAt >= enteredBefore) {
+				return
+			}
+
+			const fsm = createOrderStateMachine(order.status)
+			if (!fsm.can('cancel')) {
+				return
+			}
+
+			const correlationId = order.metadata?.correlationId || getCurrentTraceId()
+
+			const oldStatus = order.status
+			fsm.cancel()
+			order.status = fsm.getState()
+			order.cancellationReason = `Order timed out in ${oldStatus}`
+			order.recordStatusChange({
+				from: oldStatus,
+				to: order.status,
+				event: 'ORDER_TIMEOUT',
+				correlationId,
+				reason: order.cancellationReason,
+			})
+			onCommit(() => this._notifyStatusChange(order))
+			await orderRepository.save(order, session)
+
+			await this._publishCancellation(order, session, correlationId, 'ORDER_TIMEOUT')
+
+			logger.warn(
+				{ orderId, oldStatus, enteredAt, correlationId },
+				'⏰ [Order] Order cancelled after timeout'
+			)
+
+			recordStateTransition(oldStatus, 'CANCELLED', 'timeout')
+			recordSagaOperation('order_flow', 'timeout', 'compensated')
+			recordOrderValue(order.totalPrice, order.currency, 'cancelled')
+			recordOrderExpired(oldStatus)
+			expired = true
+		}, { operationName: 'expireOrder' })
+
+		return expired
+	}
+
+	/**
+	 * Mark a PAID order as shipped (admin)
+	 * Inventory Service consumes the reserved units on order.shipped.
+	 *
+	 * @param {string} orderId - Order ID
+	 * @param {Object} shipment - { carrier, trackingNumber, shippedAt } (shippedAt defaults to now)
+	 * @param {string} [adminId] - Acting admin (X-User-ID), recorded in the status history
+	 * @returns {Promise<Object>} { orderId, status, alreadyInState }
+	 */
+	async shipOrder(orderId, { carrier, trackingNumber, shippedAt } = {}, adminId) {
+		return this._applyAdminTransition(orderId, {
+			transition: 'ship',
+			trigger: 'admin_ship',
+			adminId,
+			apply: (order) => {
+				order.shipment = {
+					...order.shipment,
+					carrier,
+					trackingNumber,
+					shippedAt: shippedAt || new Date(),
+				}
+			},
+			event: (order) => ({
+				eventType: 'ORDER_SHIPPED',
+				routingKey: 'order.shipped',
+				payload: {
+					orderId: order._id,
+					carrier,
+					trackingNumber,
+					products: this._productLines(order),
+					timestamp: new Date().toISOString(),
+				},
+			}),
+		})
+	}
+
+	/**
+	 * Mark a SHIPPED order as delivered (admin)
+	 *
+	 * @param {string} orderId - Order ID
+	 * @param {string} [adminId] - Acting admin (X-User-ID)
+	 * @param {Date} [deliveredAt] - Delivery time reported by the carrier (default: now)
+	 * @returns {Promise<Object>} { orderId, status, alreadyInState }
+	 */
+	async deliverOrder(orderId, adminId, deliveredAt) {
+		return this._applyAdminTransition(orderId, {
+			transition: 'deliver',
+			trigger: 'admin_deliver',
+			adminId,
+			apply: (order) => {
+				order.shipment = { ...order.shipment, deliveredAt: deliveredAt || new Date() }
+			},
+			event: (order) => ({
+				eventType: 'ORDER_DELIVERED',
+				routingKey: 'order.delivered',
+				payload: {
+					orderId: order._id,
+					userId: order.user,
+					timestamp: new Date().toISOString(),
+				},
+			}),
+		})
+	}
+
+	/**
+	 * Correct the fulfilment data of a shipped order (admin)
+	 * Only updates the shipment (carrier, tracking number, timestamps); the status
+	 * doesn't change and no event is published.
+	 *
+	 * @param {string} orderId - Order ID
+	 * @param {Object} changes - Any of { carrier, trackingNumber, shippedAt, deliveredAt }
+	 * @param {string} [adminId] - Acting admin (X-User-ID)
+	 * @returns {Promise<Object>} { orderId, status, shipment }
+	 * @throws {Error} code ORDER_NOT_FOUND, INVALID_TRANSITION (order not shipped yet) or INVALID_SHIPMENT
+	 */
+	async updateShipment(orderId, changes, adminId) {
+		if (!mongoose.isValidObjectId(orderId)) {
+			throw createOrderError('ORDER_NOT_FOUND', 'Order not found')
+		}
+
+		const order = await orderRepository.findById(orderId)
+		if (!order) {
+			throw createOrderError('ORDER_NOT_FOUND', 'Order not found')
+		}
+		if (!order.shipment?.shippedAt) {
+			throw createOrderError('INVALID_TRANSITION', `Order ${order.status} has not been shipped`)
+		}
+		if (changes.deliveredAt && !order.shipment.deliveredAt) {
+			throw createOrderError('INVALID_TRANSITION', `Order ${order.status} has not been delivered`)
+		}
+
+		const shipment = {
+			carrier: order.shipment.carrier,
+			trackingNumber: order.shipment.trackingNumber,
+			shippedAt: order.shipment.shippedAt,
+			deliveredAt: order.shipment.deliveredAt,
+			...changes,
+		}
+		if (shipment.deliveredAt && shipment.deliveredAt < shipment.shippedAt) {
+			throw createOrderError('INVALID_SHIPMENT', 'deliveredAt cannot be before shippedAt')
+		}
+
+		order.shipment = shipment
+		await orderRepository.save(order)
+		logger.info({ orderId, adminId, changes: Object.keys(changes) }, '[Order] Shipment updated')
+
+		return { orderId, status: order.status, shipment }
+	}
+
+	/**
+	 * Record a customer return of a DELIVERED order (admin)
+	 * Inventory Service restocks the returned units on order.returned.
+	 *
+	 * @param {string} orderId - Order ID
+	 * @param {string} [reason] - Return reason
+	 * @param {string} [adminId] - Acting admin (X-User-ID)
+	 * @returns {Promise<Object>} { orderId, status, alreadyInState }
+	 */
+	async returnOrder(orderId, reason, adminId) {
+		return this._applyAdminTransition(orderId, {
+			transition: 'requestReturn',
+			trigger: 'admin_return',
+			adminId,
+			apply: (order) => {
+				order.returnReason = reason || 'Returned by customer'
+				order.returnedAt = new Date()
+				return order.returnReason
+			},
+			event: (order) => ({
+				eventType: 'ORDER_RETURNED',
+				routingKey: 'order.returned',
+				payload: {
+					orderId: order._id,
+					reason: order.returnReason,
+					products: this._productLines(order),
+					timestamp: new Date().toISOString(),
+				},
+			}),
+		})
+	}
+
+	/**
+	 * Refund a PAID (not shipped) or RETURNED order (admin)
+	 * Payment Service refunds the captured payment on order.refunded.
+	 * Orders refunded before shipping still hold reserved units, so the event
+	 * asks Inventory Service to release them (restock: true); returned orders
+	 * were already restocked on order.returned.
+	 *
+	 * @param {string} orderId - Order ID
+	 * @param {string} [reason] - Refund reason
+	 * @param {string} [adminId] - Acting admin (X-User-ID)
+	 * @returns {Promise<Object>} { orderId, status, alreadyInState }
+	 */
+	async refundOrder(orderId, reason, adminId) {
+		return this._applyAdminTransition(orderId, {
+			transition: 'refund',
+			trigger: 'admin_refund',
+			adminId,
+			apply: (order) => {
+				order.refundReason = reason || 'Refunded by admin'
+				order.refundedAt = new Date()
+				return order.refundReason
+			},
+			event: (order, oldStatus) => ({
+				eventType: 'ORDER_REFUNDED',
+				routingKey: 'order.refunded',
+				payload: {
+					orderId: order._id,
+					userId: order.user,
+					amount: order.totalPrice,
+					currency: order.currency,
+					reason: order.refundReason,
+					restock: oldStatus === 'PAID',
+					products: this._productLines(order),
+					timestamp: new Date().toISOString(),
+				},
+			}),
+			onApplied: (order) => recordOrderValue(order.totalPrice, order.currency, 'refunded'),
+		})
+	}
+
+	/**
+	 * Apply an admin lifecycle transition inside a transaction and emit its event via the outbox
+	 * Idempotent: an order already in the target state is returned unchanged without an event.
+	 *
+	 * @private
+	 * @param {string} orderId - Order ID
+	 * @param {Object} options
+	 * @param {string} options.transition - State machine transition (ship, deliver, requestReturn, refund)
+	 * @param {string} options.trigger - Trigger label for state transition metrics (upper-cased as history event)
+	 * @param {string} [options.adminId] - Acting admin, recorded as history actor
+	 * @param {Function} options.apply - (order) => reason|void, sets transition-specific fields
+	 * @param {Function} options.event - (order, oldStatus) => { eventType, routingKey, payload }
+	 * @param {Function} [options.onApplied] - (order) => void, extra metrics
+	 * @returns {Promise<Object>} { orderId, status, alreadyInState }
+	 * @throws {Error} code ORDER_NOT_FOUND or INVALID_TRANSITION
+	 */
+	async _applyAdminTransition(orderId, { transition, trigger, adminId, apply, event, onApplied }) {
+		if (!mongoose.isValidObjectId(orderId)) {
+			throw createOrderError('ORDER_NOT_FOUND', 'Order not found')
+		}
+
+		let result
+		await withRetryTransaction(async (session, onCommit) => {
+			const order = await orderRepository.findById(orderId, session)
+			if (!order) {
+				throw createOrderError('ORDER_NOT_FOUND', 'Order not found')
+			}
+
+			const fsm = createOrderStateMachine(order.status)
+			const oldStatus = order.status
+			try {
+				fsm[transition]()
+			} catch (error) {
+				throw createOrderError('INVALID_TRANSITION', error.message)
+			}
+
+			if (fsm.getState() === oldStatus) {
+				result = { orderId, status: oldStatus, alreadyInState: true }
+				return
+			}
+
+			const correlationId = order.metadata?.correlationId || getCurrentTraceId()
+
+			order.status = fsm.getState()
+			const reason = apply(order)
+			order.recordStatusChange({
+				from: oldStatus,
+				to: order.status,
+				event: trigger.toUpperCase(),
+				correlationId,
+				actor: adminId ? `admin:${adminId}` : 'admin',
+				reason,
+			})
+			onCommit(() => this._notifyStatusChange(order))
+			await orderRepository.save(order, session)
+			const { eventType, routingKey, payload } = event(order, oldStatus)
+			await this.outboxManager.createEvent({
+				eventType,
+				payload,
+				session,
+				correlationId,
+				routingKey,
+			})
+
+			logger.info(
+				{ orderId, oldStatus, newStatus: order.status, correlationId },
+				`[Order] Order status updated to ${order.status} (${trigger})`
+			)
+
+			recordStateTransition(oldStatus, order.status, trigger)
+			if (onApplied) {
+				onApplied(order)
+			}
+
+			result = { orderId, status: order.status, alreadyInState: false }
+		}, { operationName: transition })
+
+		return result
+	}
+
+	/**
+	 * Product lines of an order for outbox events
+	 * @private
+	 */
+	_productLines(order) {
+		return order.products.map((product) => ({
+			productId: product._id.toString(),
+			quantity: product.quantity,
+		}))
+	}
+
 	/**
 	 * Handle INVENTORY_RESERVED event
+	 * eventId (broker metadata) is recorded in the status history.
 	 */
-	async handleInventoryReserved(payload, correlationId) {
+	async handleInventoryReserved(payload, correlationId, eventId) {
 		const endTimer = startEventProcessingTimer('inventory_reserved')
 		logger.info(
 			{ orderId: payload.orderId, productId: payload.productId, correlationId },
@@ -302,7 +1145,7 @@ class OrderService {
 		)
 
 		try {
-			await withRetryTransaction(async (session) => {
+			await withRetryTransaction(async (session, onCommit) => {
 				// Read order INSIDE transaction with session for proper locking
 				const order = await orderRepository.findById(payload.orderId, session)
 				if (!order) {
@@ -320,39 +1163,32 @@ class OrderService {
 					logger.warn(
 						{
 							orderId: payload.orderId,
-							productId: payload.productId,
 							currentStatus: order.status,
 							correlationId,
 						},
 						'[Order] Order already in final state, need to release this reserved inventory'
 					)
 
-					// If order is already CANCELLED, release this inventory immediately
-					if (order.status === 'CANCELLED') {
+					// Cancelled before the reservation landed (customer cancel or PENDING timeout):
+					// its ORDER_CANCELLED had nothing to release, so release the stock reserved now
+					const releasedOnCancel = order.products.some((product) => product.reserved)
+					if (order.status === 'CANCELLED' && !releasedOnCancel) {
+						const products = payload.products.length > 0 ? payload.products : this._productLines(order)
 						await this.outboxManager.createEvent({
-							eventType: 'INVENTORY_RELEASE_REQUEST',
+							eventType: 'ORDER_CANCELLED',
 							payload: {
-								type: 'RELEASE',
-								data: {
-									orderId: order._id,
-									productId: payload.productId,
-									quantity: payload.quantity,
-									reason: 'ORDER_ALREADY_CANCELLED',
-								},
+								orderId: order._id,
+								reason: order.cancellationReason,
+								products,
 								timestamp: new Date().toISOString(),
 							},
 							session,
 							correlationId,
-							routingKey: 'order.release',
+							routingKey: 'order.cancelled',
 						})
 
 						logger.info(
-							{
-								orderId: order._id,
-								productId: payload.productId,
-								quantity: payload.quantity,
-								correlationId,
-							},
+							{ orderId: order._id, productsCount: products.length, correlationId },
 							'[Order] Released inventory for cancelled order (race condition compensation)'
 						)
 						recordSagaOperation('order_flow', 'reserve', 'compensated')
@@ -382,6 +1218,15 @@ class OrderService {
 					return
 				}
 
+				order.recordStatusChange({
+					from: oldStatus,
+					to: order.status,
+					event: 'INVENTORY_RESERVED_SUCCESS',
+					eventId,
+					correlationId,
+				})
+				onCommit(() => this._notifyStatusChange(order))
+
 				logger.info(
 					{
 						orderId: order._id,
@@ -395,14 +1240,18 @@ class OrderService {
 				// Record state transition metrics
 				recordStateTransition(oldStatus, 'CONFIRMED', 'inventory_reserved')
 				recordSagaOperation('order_flow', 'reserve', 'success')
-				recordOrderValue(order.totalPrice, 'USD', 'confirmed')
+				recordOrderValue(order.totalPrice, order.currency, 'confirmed')
 
 				await this.outboxManager.createEvent({
 					eventType: 'ORDER_CONFIRMED',
 					payload: {
 						orderId: order._id,
+						subtotal: order.subtotal,
+						discountTotal: order.discountTotal,
+						taxTotal: order.taxTotal,
+						shippingTotal: order.shippingTotal,
 						totalPrice: order.totalPrice,
-						currency: 'USD',
+						currency: order.currency,
 						products: order.products.map((p) => ({
 							productId: p._id.toString(),
 							quantity: p.quantity,
@@ -440,7 +1289,7 @@ class OrderService {
 	 * Handle INVENTORY_RESERVE_FAILED event
 	 * Includes compensation logic for partial failures
 	 */
-	async handleInventoryReserveFailed(payload, correlationId) {
+	async handleInventoryReserveFailed(payload, correlationId, eventId) {
 		const endTimer = startEventProcessingTimer('inventory_reserve_failed')
 		logger.warn(
 			{
@@ -454,7 +1303,7 @@ class OrderService {
 		)
 
 		try {
-			await withRetryTransaction(async (session) => {
+			await withRetryTransaction(async (session, onCommit) => {
 				// Read order INSIDE transaction with session for proper locking
 				const order = await orderRepository.findById(payload.orderId, session)
 				if (!order) {
@@ -513,6 +1362,15 @@ class OrderService {
 
 				const failureReason = payload.reason || payload.message || 'Inventory reserve failed'
 				order.cancellationReason = failureReason
+				order.recordStatusChange({
+					from: oldStatus,
+					to: order.status,
+					event: 'INVENTORY_RESERVED_FAILED',
+					eventId,
+					correlationId,
+					reason: failureReason,
+				})
+				onCommit(() => this._notifyStatusChange(order))
 
 				await orderRepository.save(order, session)
 
@@ -530,7 +1388,7 @@ class OrderService {
 				// Record state transition and saga metrics
 				recordStateTransition(oldStatus, 'CANCELLED', 'inventory_failed')
 				recordSagaOperation('order_flow', 'reserve', 'failed')
-				recordOrderValue(order.totalPrice, 'USD', 'cancelled')
+				recordOrderValue(order.totalPrice, order.currency, 'cancelled')
 
 				// Compensation: Release seckill slot if this is a seckill order
 				const isSeckill = order.metadata?.source === 'seckill'
@@ -538,11 +1396,14 @@ class OrderService {
 					await this._publishSeckillRelease(order, session, correlationId, 'INVENTORY_RESERVE_FAILED')
 				}
 
+				await this._releaseCoupon(order, session, 'INVENTORY_RESERVE_FAILED')
+
 				await this.outboxManager.createEvent({
 					eventType: 'ORDER_CANCELLED',
 					payload: {
 						orderId: order._id,
 						reason: order.cancellationReason,
+						couponCode: order.discounts?.[0]?.code,
 						timestamp: new Date().toISOString(),
 					},
 					session,
@@ -571,7 +1432,7 @@ class OrderService {
 	/**
 	 * Handle PAYMENT_SUCCEEDED event
 	 */
-	async handlePaymentSucceeded(payload, correlationId) {
+	async handlePaymentSucceeded(payload, correlationId, eventId) {
 		const endTimer = startEventProcessingTimer('payment_succeeded')
 		logger.info(
 			{
@@ -583,7 +1444,7 @@ class OrderService {
 		)
 
 		try {
-			await withRetryTransaction(async (session) => {
+			await withRetryTransaction(async (session, onCommit) => {
 				// Read order INSIDE transaction with session for proper locking
 				const order = await orderRepository.findById(payload.orderId, session)
 				if (!order) {
@@ -606,6 +1467,11 @@ class OrderService {
 						},
 						'[Order] Order already in final state, skipping transition'
 					)
+					// Payment captured after the order was cancelled (e.g. timed out while
+					// the payment was in flight): ask Payment Service to give it back
+					if (order.status === 'CANCELLED') {
+						await this._requestRefundOfCancelledOrder(order, payload, session, correlationId)
+					}
 					recordEventProcessing('payment_succeeded', 'skipped')
 					return
 				}
@@ -625,6 +1491,24 @@ class OrderService {
 					return
 				}
 
+				// The captured payment must match what the order charges; a mismatch
+				// goes to the DLQ for review instead of marking the order PAID
+				const mismatch = this._findPaymentMismatch(order, payload)
+				if (mismatch) {
+					logger.error(
+						{
+							orderId: payload.orderId,
+							totalPrice: order.totalPrice,
+							currency: order.currency,
+							paymentAmount: payload.amount,
+							paymentCurrency: payload.currency,
+							correlationId,
+						},
+						'[Order] PAYMENT_SUCCEEDED does not match the order'
+					)
+					throw createOrderError('PAYMENT_MISMATCH', mismatch)
+				}
+
 				// Use state machine to validate transition: CONFIRMED → PAID
 				const oldStatus = order.status
 				fsm.pay()
@@ -640,6 +1524,14 @@ class OrderService {
 					return
 				}
 
+				order.recordStatusChange({
+					from: oldStatus,
+					to: order.status,
+					event: 'PAYMENT_SUCCEEDED',
+					eventId,
+					correlationId,
+				})
+				onCommit(() => this._notifyStatusChange(order))
 				await orderRepository.save(order, session)
 
 				logger.info(
@@ -656,7 +1548,7 @@ class OrderService {
 				// Record state transition and saga metrics
 				recordStateTransition(oldStatus, 'PAID', 'payment_success')
 				recordSagaOperation('order_flow', 'payment', 'success')
-				recordOrderValue(order.totalPrice, 'USD', 'paid')
+				recordOrderValue(order.totalPrice, order.currency, 'paid')
 
 				await this.outboxManager.createEvent({
 					eventType: 'ORDER_PAID',
@@ -664,7 +1556,7 @@ class OrderService {
 						orderId: order._id,
 						transactionId: payload.transactionId,
 						amount: payload.amount,
-						currency: payload.currency,
+						currency: order.currency,
 						timestamp: new Date().toISOString(),
 					},
 					session,
@@ -690,11 +1582,62 @@ class OrderService {
 		}
 	}
 
+	/**
+	 * Publish ORDER_REFUNDED for a payment captured on a cancelled order
+	 * The order stays CANCELLED; inventory was already released on cancellation
+	 * (restock: false), so only Payment Service acts on the event.
+	 * @private
+	 */
+	async _requestRefundOfCancelledOrder(order, payment, session, correlationId) {
+		await this.outboxManager.createEvent({
+			eventType: 'ORDER_REFUNDED',
+			payload: {
+				orderId: order._id,
+				userId: order.user,
+				amount: payment.amount ?? order.totalPrice,
+				currency: order.currency,
+				reason: 'Payment captured after the order was cancelled',
+				restock: false,
+				products: this._productLines(order),
+				timestamp: new Date().toISOString(),
+			},
+			session,
+			correlationId,
+			routingKey: 'order.refunded',
+		})
+
+		logger.warn(
+			{ orderId: order._id, transactionId: payment.transactionId, correlationId },
+			'[Order] Payment captured for a cancelled order, refund requested'
+		)
+	}
+
+	/**
+	 * Compare a payment event with the order it pays for
+	 * Events without amount or currency (older payment versions) are not checked.
+	 *
+	 * @param {Object} order - Order document
+	 * @param {Object} payment - { amount, currency } from the payment event
+	 * @returns {string|null} Mismatch description or null when they agree
+	 */
+	_findPaymentMismatch(order, payment) {
+		if (payment.currency && normalizeCurrency(payment.currency) !== order.currency) {
+			return `Payment currency ${payment.currency} does not match order currency ${order.currency}`
+		}
+		if (
+			payment.amount !== undefined &&
+			roundToCurrency(payment.amount, order.currency) !== roundToCurrency(order.totalPrice, order.currency)
+		) {
+			return `Payment amount ${payment.amount} does not match order total ${order.totalPrice} ${order.currency}`
+		}
+		return null
+	}
+
 	/**
 	 * Handle PAYMENT_FAILED event
 	 * Includes compensation logic to release reserved inventory
 	 */
-	async handlePaymentFailed(payload, correlationId) {
+	async handlePaymentFailed(payload, correlationId, eventId) {
 		const endTimer = startEventProcessingTimer('payment_failed')
 		logger.warn(
 			{
@@ -707,7 +1650,7 @@ class OrderService {
 		)
 
 		try {
-			await withRetryTransaction(async (session) => {
+			await withRetryTransaction(async (session, onCommit) => {
 				// Read order INSIDE transaction with session for proper locking
 				const order = await orderRepository.findById(payload.orderId, session)
 				if (!order) {
@@ -765,6 +1708,15 @@ class OrderService {
 				}
 
 				order.cancellationReason = payload.reason || 'Payment failed'
+				order.recordStatusChange({
+					from: oldStatus,
+					to: order.status,
+					event: 'PAYMENT_FAILED',
+					eventId,
+					correlationId,
+					reason: order.cancellationReason,
+				})
+				onCommit(() => this._notifyStatusChange(order))
 				await orderRepository.save(order, session)
 
 				logger.info(
@@ -782,29 +1734,11 @@ class OrderService {
 				// Record state transition and saga metrics
 				recordStateTransition(oldStatus, 'CANCELLED', 'payment_failed')
 				recordSagaOperation('order_flow', 'payment', 'failed')
-				recordOrderValue(order.totalPrice, 'USD', 'cancelled')
+				recordOrderValue(order.totalPrice, order.currency, 'cancelled')
 
-				// Release reserved inventory (compensation)
-				for (const product of order.products) {
-					if (product.reserved) {
-						await this.outboxManager.createEvent({
-							eventType: 'INVENTORY_RELEASE_REQUEST',
-							payload: {
-								type: 'RELEASE',
-								data: {
-									orderId: order._id,
-									productId: product._id.toString(),
-									quantity: product.quantity,
-									reason: 'PAYMENT_FAILED',
-								},
-								timestamp: new Date().toISOString(),
-							},
-							session,
-							correlationId,
-							routingKey: 'order.release',
-						})
-						recordSagaOperation('order_flow', 'release', 'compensated')
-					}
+				// Reserved inventory is released by Inventory Service on payment.failed (compensation)
+				if (order.products.some((product) => product.reserved)) {
+					recordSagaOperation('order_flow', 'release', 'compensated')
 				}
 
 				// Compensation: Release seckill slot if this is a seckill order
@@ -813,11 +1747,14 @@ class OrderService {
 					await this._publishSeckillRelease(order, session, correlationId, 'PAYMENT_FAILED')
 				}
 
+				await this._releaseCoupon(order, session, 'PAYMENT_FAILED')
+
 				await this.outboxManager.createEvent({
 					eventType: 'ORDER_CANCELLED',
 					payload: {
 						orderId: order._id,
 						reason: order.cancellationReason,
+						couponCode: order.discounts?.[0]?.code,
 						timestamp: new Date().toISOString(),
 					},
 					session,
@@ -843,6 +1780,182 @@ class OrderService {
 		}
 	}
 
+	/**
+	 * Handle PAYMENT_REFUNDED event
+	 * Records the refund (full or partial) on the order. A payment refunded in
+	 * full outside the order refund flow (payment admin API) also moves a PAID
+	 * or RETURNED order to REFUNDED; its ORDER_REFUNDED event releases reserved
+	 * stock, and Payment Service skips it since nothing is left to refund.
+	 */
+	async handlePaymentRefunded(payload, correlationId, eventId) {
+		const endTimer = startEventProcessingTimer('payment_refunded')
+		logger.info(
+			{
+				orderId: payload.orderId,
+				refundId: payload.refundId,
+				amount: payload.amount,
+				fullyRefunded: payload.fullyRefunded,
+				correlationId,
+			},
+			'[Order] Processing PAYMENT_REFUNDED'
+		)
+
+		try {
+			await withRetryTransaction(async (session, onCommit) => {
+				const order = await orderRepository.findById(payload.orderId, session)
+				if (!order) {
+					logger.warn(
+						{ orderId: payload.orderId, correlationId },
+						'[Order] Order not found for PAYMENT_REFUNDED'
+					)
+					recordEventProcessing('payment_refunded', 'skipped')
+					return
+				}
+
+				if (order.refunds.some((refund) => refund.refundId === payload.refundId)) {
+					logger.info(
+						{ orderId: order._id, refundId: payload.refundId, correlationId },
+						'[Order] Refund already recorded, skipping (idempotent)'
+					)
+					recordEventProcessing('payment_refunded', 'skipped')
+					return
+				}
+
+				order.refunds.push({
+					refundId: payload.refundId,
+					amount: payload.amount,
+					currency: payload.currency || order.currency,
+					reason: payload.reason,
+					refundTransactionId: payload.refundTransactionId,
+					refundedAt: payload.refundedAt ? new Date(payload.refundedAt) : new Date(),
+				})
+				// Payment Service owns the running total; add up locally for older events
+				order.refundedTotal = payload.refundedAmount ??
+					roundToCurrency((order.refundedTotal || 0) + payload.amount, order.currency)
+
+				const fsm = createOrderStateMachine(order.status)
+				const oldStatus = order.status
+				if (payload.fullyRefunded && fsm.can('refund')) {
+					fsm.refund()
+					order.status = fsm.getState()
+					order.refundReason = payload.reason
+					order.refundedAt = new Date()
+					order.recordStatusChange({
+						from: oldStatus,
+						to: order.status,
+						event: 'PAYMENT_REFUNDED',
+						eventId,
+						correlationId,
+						reason: order.refundReason,
+					})
+					onCommit(() => this._notifyStatusChange(order))
+
+					await this.outboxManager.createEvent({
+						eventType: 'ORDER_REFUNDED',
+						payload: {
+							orderId: order._id,
+							userId: order.user,
+							amount: order.totalPrice,
+							currency: order.currency,
+							reason: order.refundReason,
+							restock: oldStatus === 'PAID',
+							products: this._productLines(order),
+							timestamp: new Date().toISOString(),
+						},
+						session,
+						correlationId,
+						routingKey: 'order.refunded',
+					})
+
+					recordStateTransition(oldStatus, order.status, 'payment_refunded')
+					recordOrderValue(order.totalPrice, order.currency, 'refunded')
+				}
+
+				await orderRepository.save(order, session)
+
+				logger.info(
+					{
+						orderId: order._id,
+						refundId: payload.refundId,
+						refundedTotal: order.refundedTotal,
+						oldStatus,
+						newStatus: order.status,
+						correlationId,
+					},
+					'[Order] Payment refund recorded'
+				)
+			}, { operationName: 'handlePaymentRefunded' })
+
+			endTimer()
+			recordEventProcessing('payment_refunded', 'success')
+		} catch (error) {
+			logger.error(
+				{
+					error: error.message,
+					orderId: payload.orderId,
+					correlationId,
+				},
+				'[Order] Error processing PAYMENT_REFUNDED'
+			)
+			endTimer()
+			recordEventProcessing('payment_refunded', 'failed')
+			throw error
+		}
+	}
+
+	/**
+	 * Publish the compensation events of a cancelled order via the outbox:
+	 * the seckill slot release and ORDER_CANCELLED listing the reserved products
+	 * (Inventory Service releases them on order.cancelled). Products reserved
+	 * after the cancellation are released when INVENTORY_RESERVED arrives.
+	 *
+	 * @private
+	 * @param {Object} order - Cancelled order document (cancellationReason set)
+	 * @param {Object} session - MongoDB session
+	 * @param {string} correlationId - Correlation ID for tracing
+	 * @param {string} releaseReason - Reason code for release events (e.g. CUSTOMER_CANCELLED, ORDER_TIMEOUT)
+	 */
+	async _publishCancellation(order, session, correlationId, releaseReason) {
+		const reservedProducts = order.products.filter((product) => product.reserved)
+		if (reservedProducts.length > 0) {
+			recordSagaOperation('order_flow', 'release', 'compensated')
+		}
+
+		// Give the seckill slot back so another user can purchase
+		if (order.metadata?.source === 'seckill') {
+			await this._publishSeckillRelease(order, session, correlationId, releaseReason)
+		}
+
+		await this._releaseCoupon(order, session, releaseReason)
+
+		await this.outboxManager.createEvent({
+			eventType: 'ORDER_CANCELLED',
+			payload: {
+				orderId: order._id,
+				reason: order.cancellationReason,
+				products: reservedProducts.map((product) => ({
+					productId: product._id.toString(),
+					quantity: product.quantity,
+				})),
+				couponCode: order.discounts?.[0]?.code,
+				timestamp: new Date().toISOString(),
+			},
+			session,
+			correlationId,
+			routingKey: 'order.cancelled',
+		})
+	}
+
+	/**
+	 * Give the coupon use of a cancelled order back (same transaction as ORDER_CANCELLED)
+	 * @private
+	 */
+	async _releaseCoupon(order, session, reason) {
+		if (order.discounts?.length > 0) {
+			await this.promotionService.releaseRedemption(order._id, reason, session)
+		}
+	}
+
 	/**
 	 * Publish seckill release event for compensation
 	 * Called when a seckill order is cancelled (either due to inventory or payment failure)
@@ -857,6 +1970,7 @@ class OrderService {
 		// For seckill orders, we need to release the slot back to Redis
 		// so another user can purchase
 		const productId = order.products[0]?._id?.toString()
+		const quantity = order.products[0]?.quantity || 1
 
 		if (!productId) {
 			logger.warn(
@@ -872,6 +1986,7 @@ class OrderService {
 				orderId: order._id.toString(),
 				userId: order.user,
 				productId: productId,
+				quantity,
 				reason: reason,
 			},
 			session,
@@ -884,6 +1999,7 @@ class OrderService {
 				orderId: order._id,
 				userId: order.user,
 				productId,
+				quantity,
 				reason,
 				correlationId,
 			},
@@ -9,15 +9,23 @@ const logger = require('@ecommerce/logger')
  * - PENDING → CANCELLED (when inventory reserve failed)
  * - CONFIRMED → PAID (when payment succeeded)
  * - CONFIRMED → CANCELLED (when payment failed)
+ * - PAID → SHIPPED (admin hands the order to a carrier)
+ * - SHIPPED → DELIVERED (admin confirms delivery)
+ * - DELIVERED → RETURNED (admin receives a customer return)
+ * - PAID → REFUNDED (refund before shipping)
+ * - RETURNED → REFUNDED (refund after the return is received)
  * 
  * Flow: PENDING → CONFIRMED → PAID (happy path)
  *       PENDING → CANCELLED (inventory failed)
  *       CONFIRMED → CANCELLED (payment failed)
+ *       PAID → SHIPPED → DELIVERED (fulfilment)
+ *       DELIVERED → RETURNED → REFUNDED (return)
  * 
  * Rules:
  * - Order MUST be CONFIRMED before it can be PAID
  * - Cannot transition directly from PENDING → PAID
- * - Final states: PAID, CANCELLED (cannot transition from these)
+ * - Shipped orders can only be refunded after they are returned
+ * - Final states: CANCELLED, REFUNDED (cannot transition from these)
  */
 class OrderStateMachine {
 	constructor(initialState = 'PENDING') {
@@ -27,6 +35,10 @@ class OrderStateMachine {
 				{ name: 'confirm', from: 'PENDING', to: 'CONFIRMED' },
 				{ name: 'pay', from: 'CONFIRMED', to: 'PAID' },
 				{ name: 'cancel', from: ['PENDING', 'CONFIRMED'], to: 'CANCELLED' },
+				{ name: 'ship', from: 'PAID', to: 'SHIPPED' },
+				{ name: 'deliver', from: 'SHIPPED', to: 'DELIVERED' },
+				{ name: 'requestReturn', from: 'DELIVERED', to: 'RETURNED' },
+				{ name: 'refund', from: ['PAID', 'RETURNED'], to: 'REFUNDED' },
 			],
 			methods: {
 				onEnterState: (lifecycle) => {
@@ -63,10 +75,12 @@ class OrderStateMachine {
 	}
 
 	/**
-	 * Check if current state is final state
+	 * Check if the checkout saga is over for this order
+	 * PAID and every fulfilment state after it only move through admin
+	 * transitions, so saga events (inventory/payment) must skip them.
 	 */
 	isFinalState() {
-		const finalStates = ['PAID', 'CANCELLED']
+		const finalStates = ['PAID', 'SHIPPED', 'DELIVERED', 'RETURNED', 'REFUNDED', 'CANCELLED']
 		return finalStates.includes(this.fsm.state)
 	}
 
@@ -129,6 +143,82 @@ class OrderStateMachine {
 		this.fsm.cancel()
 		return this.fsm.state
 	}
+
+	/**
+	 * Transition to SHIPPED (order handed to a carrier)
+	 * Can ONLY transition from PAID
+	 * Idempotent: returns success if already SHIPPED
+	 */
+	ship() {
+		if (this.fsm.state === 'SHIPPED') {
+			logger.debug('[OrderStateMachine] Order already SHIPPED, skipping transition')
+			return this.fsm.state
+		}
+		if (!this.can('ship')) {
+			throw new Error(
+				`Cannot ship order from state: ${this.fsm.state}. Order must be PAID before shipping.`
+			)
+		}
+		this.fsm.ship()
+		return this.fsm.state
+	}
+
+	/**
+	 * Transition to DELIVERED (carrier delivered the order)
+	 * Can ONLY transition from SHIPPED
+	 * Idempotent: returns success if already DELIVERED
+	 */
+	deliver() {
+		if (this.fsm.state === 'DELIVERED') {
+			logger.debug('[OrderStateMachine] Order already DELIVERED, skipping transition')
+			return this.fsm.state
+		}
+		if (!this.can('deliver')) {
+			throw new Error(
+				`Cannot deliver order from state: ${this.fsm.state}. Order must be SHIPPED first.`
+			)
+		}
+		this.fsm.deliver()
+		return this.fsm.state
+	}
+
+	/**
+	 * Transition to RETURNED (customer sent the goods back)
+	 * Can ONLY transition from DELIVERED
+	 * Idempotent: returns success if already RETURNED
+	 */
+	requestReturn() {
+		if (this.fsm.state === 'RETURNED') {
+			logger.debug('[OrderStateMachine] Order already RETURNED, skipping transition')
+			return this.fsm.state
+		}
+		if (!this.can('requestReturn')) {
+			throw new Error(
+				`Cannot return order from state: ${this.fsm.state}. Order must be DELIVERED first.`
+			)
+		}
+		this.fsm.requestReturn()
+		return this.fsm.state
+	}
+
+	/**
+	 * Transition to REFUNDED
+	 * Can transition from PAID (not shipped yet) or RETURNED (goods received back)
+	 * Idempotent: returns success if already REFUNDED
+	 */
+	refund() {
+		if (this.fsm.state === 'REFUNDED') {
+			logger.debug('[OrderStateMachine] Order already REFUNDED, skipping transition')
+			return this.fsm.state
+		}
+		if (!this.can('refund')) {
+			throw new Error(
+				`Cannot refund order from state: ${this.fsm.state}. Allowed from: PAID, RETURNED`
+			)
+		}
+		this.fsm.refund()
+		return this.fsm.state
+	}
 }
 
 /**
@@ -151,6 +241,14 @@ function canTransition(order, targetStatus) {
 			return fsm.can('pay')
 		case 'CANCELLED':
 			return fsm.can('cancel')
+		case 'SHIPPED':
+			return fsm.can('ship')
+		case 'DELIVERED':
+			return fsm.can('deliver')
+		case 'RETURNED':
+			return fsm.can('requestReturn')
+		case 'REFUNDED':
+			return fsm.can('refund')
 		default:
 			return false
 	}
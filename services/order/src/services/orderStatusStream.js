@@ -0,0 +1,193 @@
+const { EventEmitter } = require('events')
+const { createClient } = require('redis')
+const logger = require('@ecommerce/logger')
+const config = require('../config')
+const { recordStatusStreamEvent } = require('../metrics')
+
+// Pub/sub channel fanning new entries out to every Order Service instance
+const CHANNEL = 'order:status'
+
+const EVENT_ID_PATTERN = /^\d+-\d+$/
+
+/**
+ * Check that a client-supplied Last-Event-ID is a stream entry ID ('<ms>-<seq>')
+ */
+function isValidEventId(id) {
+	return typeof id === 'string' && EVENT_ID_PATTERN.test(id)
+}
+
+/**
+ * Compare two stream entry IDs
+ * @returns {number} < 0, 0 or > 0 like a sort comparator
+ */
+function compareEventIds(a, b) {
+	const [aMs, aSeq] = a.split('-').map(Number)
+	const [bMs, bSeq] = b.split('-').map(Number)
+	return aMs - bMs || aSeq - bSeq
+}
+
+/**
+ * Order Status Stream - Push channel of order status changes, per user
+ *
+ * Key format:
+ * - order:status:{userId} - Redis stream of the user's recent status changes
+ *   (about ORDER_STATUS_STREAM_MAX_LEN entries, expires ORDER_STATUS_STREAM_TTL_SECONDS
+ *   after the last change)
+ *
+ * The stream entry ID is the event ID, so a reconnecting client resumes with
+ * Last-Event-ID. New entries are also published on the order:status channel so
+ * that every instance can forward them to its open connections.
+ *
+ * Publishing is best effort: a Redis outage never fails the saga, clients can
+ * still read the status with GET /api/orders/:id.
+ */
+class OrderStatusStream {
+	/**
+	 * @param {string} [redisUrl]
+	 */
+	constructor(redisUrl) {
+		this.redisUrl = redisUrl || config.redisUrl
+		this.client = null
+		this.subscriber = null
+		// userId → listeners of this instance
+		this.listeners = new EventEmitter()
+		this.listeners.setMaxListeners(0)
+	}
+
+	/**
+	 * Initialize Redis connections (commands + pub/sub subscriber)
+	 */
+	async connect() {
+		if (this.client && this.client.isOpen) {
+			return
+		}
+
+		this.client = createClient({ url: this.redisUrl })
+		this.client.on('error', (err) => {
+			logger.error({ error: err.message }, '[OrderStatus] Redis connection error')
+		})
+		this.subscriber = this.client.duplicate()
+		this.subscriber.on('error', (err) => {
+			logger.error({ error: err.message }, '[OrderStatus] Redis subscriber error')
+		})
+
+		await this.client.connect()
+		await this.subscriber.connect()
+		await this.subscriber.subscribe(CHANNEL, (message) => this._dispatch(message))
+		logger.info('[OrderStatus] ✓ Redis connected for order status stream')
+	}
+
+	async close() {
+		for (const connection of [this.subscriber, this.client]) {
+			if (connection && connection.isOpen) {
+				await connection.quit()
+			}
+		}
+	}
+
+	/**
+	 * @returns {boolean} True when connections can be served
+	 */
+	isReady() {
+		return Boolean(this.client?.isReady && this.subscriber?.isReady)
+	}
+
+	_streamKey(userId) {
+		return `order:status:${userId}`
+	}
+
+	/**
+	 * Publish the latest status change of an order (last statusHistory entry)
+	 * Call once the transaction that recorded the change has committed.
+	 *
+	 * @param {Object} order - Order document
+	 * @returns {Promise<string|null>} Event ID, or null when it could not be published
+	 */
+	async publishChange(order) {
+		if (!order.user || !this.client?.isReady) {
+			return null
+		}
+
+		const change = order.statusHistory?.[order.statusHistory.length - 1]
+		const event = {
+			orderId: order._id.toString(),
+			status: order.status,
+			from: change?.from ?? null,
+			event: change?.event,
+			reason: change?.reason,
+			correlationId: order.metadata?.correlationId,
+			timestamp: (change?.timestamp || new Date()).toISOString(),
+		}
+
+		try {
+			const key = this._streamKey(order.user)
+			const id = await this.client.xAdd(key, '*', { data: JSON.stringify(event) }, {
+				TRIM: { strategy: 'MAXLEN', strategyModifier: '~', threshold: config.orderStatusStreamMaxLen },
+			})
+			await this.client.expire(key, config.orderStatusStreamTtlSeconds)
+			await this.client.publish(CHANNEL, JSON.stringify({ userId: order.user, id, event }))
+
+			recordStatusStreamEvent('publish', 'success')
+			return id
+		} catch (error) {
+			logger.warn(
+				{ error: error.message, orderId: event.orderId, status: event.status },
+				'[OrderStatus] Failed to publish status change'
+			)
+			recordStatusStreamEvent('publish', 'failed')
+			return null
+		}
+	}
+
+	/**
+	 * Events of a user recorded after an event ID (oldest first)
+	 * Events older than the kept history are gone; the client should then
+	 * re-read its orders.
+	 *
+	 * @param {string} userId
+	 * @param {string} lastEventId - Last event the client received
+	 * @returns {Promise<Object[]>} [{ id, event }]
+	 */
+	async replay(userId, lastEventId) {
+		try {
+			const entries = await this.client.xRange(this._streamKey(userId), lastEventId, '+')
+			recordStatusStreamEvent('replay', 'success')
+			return entries
+				.filter((entry) => compareEventIds(entry.id, lastEventId) > 0)
+				.map((entry) => ({ id: entry.id, event: JSON.parse(entry.message.data) }))
+		} catch (error) {
+			recordStatusStreamEvent('replay', 'failed')
+			throw error
+		}
+	}
+
+	/**
+	 * Listen to new events of a user on this instance
+	 *
+	 * @param {string} userId
+	 * @param {Function} listener - ({ id, event }) => void
+	 * @returns {Function} Unsubscribe
+	 */
+	subscribe(userId, listener) {
+		this.listeners.on(userId, listener)
+		return () => this.listeners.off(userId, listener)
+	}
+
+	/**
+	 * @private
+	 */
+	_dispatch(message) {
+		try {
+			const { userId, id, event } = JSON.parse(message)
+			this.listeners.emit(userId, { id, event })
+		} catch (error) {
+			logger.warn({ error: error.message }, '[OrderStatus] Ignoring malformed status message')
+		}
+	}
+}
+
+module.exports = {
+	OrderStatusStream,
+	isValidEventId,
+	compareEventIds,
+}
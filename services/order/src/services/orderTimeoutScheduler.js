@@ -0,0 +1,129 @@
+const logger = require('@ecommerce/logger')
+const config = require('../config')
+const orderRepository = require('../repositories/orderRepository')
+
+/**
+ * Order Timeout Scheduler - Cancels orders stuck in PENDING or CONFIRMED
+ *
+ * If Inventory Service never replies (PENDING) or Payment Service never returns
+ * (CONFIRMED), the order would keep its reserved stock forever. Every interval
+ * this job selects orders that have been in their status (statusChangedAt)
+ * longer than its deadline and cancels them through OrderService.expireOrder,
+ * which publishes the same compensation events as a customer cancellation
+ * (seckill slot release, ORDER_CANCELLED with the reserved products). Stock
+ * that inventory reserves after a PENDING order expired is released when its
+ * INVENTORY_RESERVED reaches the cancelled order.
+ *
+ * Several instances may run the job: expireOrder re-checks status and age in a
+ * transaction, so an order is only cancelled once.
+ */
+class OrderTimeoutScheduler {
+	/**
+	 * @param {Object} orderService - OrderService instance
+	 * @param {Object} [options]
+	 * @param {number} [options.pendingTimeoutSeconds=config.pendingTimeoutSeconds]
+	 * @param {number} [options.confirmedTimeoutSeconds=config.confirmedTimeoutSeconds]
+	 * @param {number} [options.batchSize=config.orderTimeoutBatchSize] - Max orders per status per run
+	 */
+	constructor(orderService, {
+		pendingTimeoutSeconds = config.pendingTimeoutSeconds,
+		confirmedTimeoutSeconds = config.confirmedTimeoutSeconds,
+		batchSize = config.orderTimeoutBatchSize,
+	} = {}) {
+		this.orderService = orderService
+		this.deadlines = {
+			PENDING: pendingTimeoutSeconds,
+			CONFIRMED: confirmedTimeoutSeconds,
+		}
+		this.batchSize = batchSize
+		this.timer = null
+		this.running = false
+	}
+
+	/**
+	 * Start the periodic timeout job
+	 * @param {number} [intervalMs=config.orderTimeoutIntervalMs] - 0 disables the job
+	 */
+	start(intervalMs = config.orderTimeoutIntervalMs) {
+		if (this.timer || intervalMs <= 0) {
+			return
+		}
+
+		this.timer = setInterval(() => {
+			this.run().catch((error) => {
+				logger.error({ error: error.message }, '❌ [Order] Scheduled order timeout run failed')
+			})
+		}, intervalMs)
+
+		logger.info(
+			{ intervalMs, deadlines: this.deadlines },
+			'✓ [Order] Order timeout scheduler started'
+		)
+	}
+
+	/**
+	 * Stop the periodic timeout job
+	 */
+	stop() {
+		if (this.timer) {
+			clearInterval(this.timer)
+			this.timer = null
+		}
+	}
+
+	/**
+	 * Cancel every order past the deadline of its status
+	 * A run is skipped while the previous one is still in progress.
+	 *
+	 * @returns {Promise<Object|null>} { PENDING: n, CONFIRMED: n } cancelled per status, or null if skipped
+	 */
+	async run() {
+		if (this.running) {
+			return null
+		}
+
+		this.running = true
+		try {
+			const expired = {}
+			for (const [status, timeoutSeconds] of Object.entries(this.deadlines)) {
+				expired[status] = timeoutSeconds > 0
+					? await this._expireStatus(status, timeoutSeconds)
+					: 0
+			}
+
+			if (expired.PENDING > 0 || expired.CONFIRMED > 0) {
+				logger.warn({ expired }, '⏰ [Order] Cancelled orders past their deadline')
+			}
+			return expired
+		} finally {
+			this.running = false
+		}
+	}
+
+	/**
+	 * Expire one batch of orders in a status
+	 * @private
+	 * @param {string} status - PENDING or CONFIRMED
+	 * @param {number} timeoutSeconds - Deadline for this status
+	 * @returns {Promise<number>} Orders cancelled
+	 */
+	async _expireStatus(status, timeoutSeconds) {
+		const enteredBefore = new Date(Date.now() - timeoutSeconds * 1000)
+		const orderIds = await orderRepository.findExpiredIds(status, enteredBefore, this.batchSize)
+
+		let count = 0
+		for (const orderId of orderIds) {
+			try {
+				if (await this.orderService.expireOrder(orderId, status, enteredBefore)) {
+					count++
+				}
+			} catch (error) {
+				// Leave it for the next run
+				logger.error({ error: error.message, orderId, status }, '❌ [Order] Failed to expire order')
+			}
+		}
+		return count
+	}
+}
+
+module.exports = OrderTimeoutScheduler
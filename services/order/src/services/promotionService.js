@@ -0,0 +1,223 @@
+const logger = require('@ecommerce/logger')
+const config = require('../config')
+const couponRepository = require('../repositories/couponRepository')
+const { createExchangeRateService, roundToCurrency } = require('./exchangeRateService')
+const { recordCouponRedemption } = require('../metrics')
+
+/**
+ * Helper: Create an error for a refused coupon (mapped to HTTP status by the controllers)
+ * @param {string} code - COUPON_NOT_FOUND, COUPON_INACTIVE, COUPON_NOT_APPLICABLE, COUPON_LIMIT_REACHED or COUPON_EXISTS
+ * @param {string} message - Error message
+ */
+function createCouponError(code, message) {
+	const error = new Error(message)
+	error.code = code
+	return error
+}
+
+/**
+ * Promotion Service - Coupon codes applied at order creation
+ *
+ * Flow (inside the createOrder transaction, next to the ORDER_CREATED outbox event):
+ * 1. calculateDiscount - validate the coupon for the user and order lines
+ * 2. reserveRedemption - count the use against the usage limits (RESERVED)
+ *
+ * When the order is cancelled the redemption is released in the same
+ * transaction as the ORDER_CANCELLED outbox event, so the coupon can be used
+ * again. Paid, shipped and refunded orders keep their redemption.
+ *
+ * Fixed amounts of a coupon (value, maxDiscount, minOrderValue) are in the
+ * coupon currency and converted to the order currency when they differ.
+ */
+class PromotionService {
+	/**
+	 * @param {Object} [exchangeRateService] - Converts coupon amounts to the order currency
+	 */
+	constructor(exchangeRateService = createExchangeRateService()) {
+		this.exchangeRateService = exchangeRateService
+	}
+
+	/**
+	 * Create a coupon (admin)
+	 * @param {Object} data - Validated CreateCouponSchema output
+	 * @param {string} adminId - Creating admin
+	 * @throws {Error} code COUPON_EXISTS
+	 */
+	async createCoupon(data, adminId) {
+		try {
+			const coupon = await couponRepository.create({
+				...data,
+				currency: data.currency || config.defaultCurrency,
+				createdBy: adminId,
+			})
+			logger.info({ code: coupon.code, adminId }, '[Promotion] Coupon created')
+			return coupon
+		} catch (error) {
+			if (error.code === 11000) {
+				throw createCouponError('COUPON_EXISTS', `Coupon ${data.code} already exists`)
+			}
+			throw error
+		}
+	}
+
+	async listCoupons(filter) {
+		return couponRepository.findAll(filter)
+	}
+
+	async getCoupon(code) {
+		return couponRepository.findByCode(this._normalize(code))
+	}
+
+	/**
+	 * Update a coupon (admin)
+	 * @param {string} code - Coupon code
+	 * @param {Object} fields - Validated UpdateCouponSchema output
+	 * @returns {Promise<Object|null>} Updated coupon or null if not found
+	 * @throws {Error} code COUPON_NOT_APPLICABLE when the new values are inconsistent with the coupon
+	 */
+	async updateCoupon(code, fields) {
+		const coupon = await couponRepository.findByCode(this._normalize(code))
+		if (!coupon) {
+			return null
+		}
+
+		if (coupon.type === 'percentage' && fields.value > 100) {
+			throw createCouponError('COUPON_NOT_APPLICABLE', 'percentage value must be at most 100')
+		}
+		const startsAt = fields.startsAt !== undefined ? fields.startsAt : coupon.startsAt
+		const expiresAt = fields.expiresAt !== undefined ? fields.expiresAt : coupon.expiresAt
+		if (startsAt && expiresAt && startsAt >= expiresAt) {
+			throw createCouponError('COUPON_NOT_APPLICABLE', 'startsAt must be before expiresAt')
+		}
+
+		return couponRepository.updateByCode(coupon.code, fields)
+	}
+
+	/**
+	 * Validate a coupon for an order and compute its discount
+	 *
+	 * @param {string} code - Coupon code given by the customer
+	 * @param {string} user - Ordering user
+	 * @param {Object[]} lines - [{ productId, price, quantity }] priced in the order currency
+	 * @param {string} currency - Order currency (the discount amount is in this currency)
+	 * @param {Object} [session] - Order transaction
+	 * @returns {Promise<Object>} Discount line { code, type, value, amount, productIds }
+	 * @throws {Error} code COUPON_NOT_FOUND, COUPON_INACTIVE, COUPON_NOT_APPLICABLE, COUPON_LIMIT_REACHED
+	 *   or UNSUPPORTED_CURRENCY (no rate between the coupon and order currencies)
+	 */
+	async calculateDiscount(code, user, lines, currency, session = null) {
+		const coupon = await couponRepository.findByCode(this._normalize(code), session)
+		if (!coupon) {
+			throw createCouponError('COUPON_NOT_FOUND', `Coupon ${code} not found`)
+		}
+
+		const now = new Date()
+		if (!coupon.active) {
+			throw createCouponError('COUPON_INACTIVE', `Coupon ${coupon.code} is not active`)
+		}
+		if (coupon.startsAt && coupon.startsAt > now) {
+			throw createCouponError('COUPON_INACTIVE', `Coupon ${coupon.code} is not valid yet`)
+		}
+		if (coupon.expiresAt && coupon.expiresAt <= now) {
+			throw createCouponError('COUPON_INACTIVE', `Coupon ${coupon.code} has expired`)
+		}
+
+		const rate = await this.exchangeRateService.getRate(coupon.currency, currency)
+		const subtotal = lines.reduce((total, line) => total + line.price * line.quantity, 0)
+		if (subtotal < coupon.minOrderValue * rate) {
+			throw createCouponError(
+				'COUPON_NOT_APPLICABLE',
+				`Coupon ${coupon.code} requires a minimum order value of ${coupon.minOrderValue} ${coupon.currency}`
+			)
+		}
+
+		const applicableIds = new Set(coupon.productIds.map((id) => id.toString()))
+		const eligible = applicableIds.size === 0
+			? lines
+			: lines.filter((line) => applicableIds.has(String(line.productId)))
+		if (eligible.length === 0) {
+			throw createCouponError('COUPON_NOT_APPLICABLE', `Coupon ${coupon.code} does not apply to these products`)
+		}
+
+		if (coupon.usageLimit !== null && coupon.redeemedCount >= coupon.usageLimit) {
+			throw createCouponError('COUPON_LIMIT_REACHED', `Coupon ${coupon.code} has been fully redeemed`)
+		}
+		if (coupon.perUserLimit !== null) {
+			const used = await couponRepository.countUserRedemptions(coupon.code, user, session)
+			if (used >= coupon.perUserLimit) {
+				throw createCouponError('COUPON_LIMIT_REACHED', `Coupon ${coupon.code} usage limit reached for this user`)
+			}
+		}
+
+		const eligibleTotal = eligible.reduce((total, line) => total + line.price * line.quantity, 0)
+		let amount = coupon.type === 'percentage'
+			? eligibleTotal * coupon.value / 100
+			: coupon.value * rate
+		if (coupon.type === 'percentage' && coupon.maxDiscount !== null) {
+			amount = Math.min(amount, coupon.maxDiscount * rate)
+		}
+
+		return {
+			code: coupon.code,
+			type: coupon.type,
+			value: coupon.value,
+			amount: roundToCurrency(Math.min(amount, eligibleTotal), currency),
+			productIds: applicableIds.size === 0 ? [] : eligible.map((line) => line.productId),
+		}
+	}
+
+	/**
+	 * Reserve a coupon use for a created order
+	 * The global limit is enforced atomically on the coupon document.
+	 *
+	 * @param {Object} discount - Result of calculateDiscount
+	 * @param {string} orderId - Created order
+	 * @param {string} user - Ordering user
+	 * @param {Object} session - Order transaction
+	 * @throws {Error} code COUPON_LIMIT_REACHED
+	 */
+	async reserveRedemption(discount, orderId, user, session) {
+		const coupon = await couponRepository.incrementRedeemed(discount.code, session)
+		if (!coupon) {
+			recordCouponRedemption('rejected')
+			throw createCouponError('COUPON_LIMIT_REACHED', `Coupon ${discount.code} has been fully redeemed`)
+		}
+
+		await couponRepository.createRedemption({
+			code: discount.code,
+			orderId,
+			user,
+			amount: discount.amount,
+		}, session)
+
+		recordCouponRedemption('reserved')
+		logger.info({ code: discount.code, orderId, user, amount: discount.amount }, '[Promotion] Coupon redemption reserved')
+	}
+
+	/**
+	 * Release the coupon use of a cancelled order (no-op without a reserved redemption)
+	 *
+	 * @param {string} orderId - Cancelled order
+	 * @param {string} reason - Cancellation trigger (e.g. CUSTOMER_CANCELLED)
+	 * @param {Object} session - Transaction that cancels the order
+	 * @returns {Promise<boolean>} true if a redemption was released
+	 */
+	async releaseRedemption(orderId, reason, session) {
+		const redemption = await couponRepository.releaseRedemption(orderId, reason, session)
+		if (!redemption) {
+			return false
+		}
+
+		await couponRepository.decrementRedeemed(redemption.code, session)
+
+		recordCouponRedemption('released')
+		logger.info({ code: redemption.code, orderId, reason }, '[Promotion] Coupon redemption released')
+		return true
+	}
+
+	_normalize(code) {
+		return String(code).trim().toUpperCase()
+	}
+}
+
+module.exports = PromotionService
@@ -0,0 +1,119 @@
+const fs = require('fs/promises')
+const logger = require('@ecommerce/logger')
+const config = require('../config')
+const { createExchangeRateService, normalizeCurrency, roundToCurrency } = require('./exchangeRateService')
+
+const METHOD_TYPES = ['flat', 'weight']
+
+/**
+ * Helper: Create an error for a shipping method that can't be used (mapped to HTTP status by the controllers)
+ * @param {string} code - SHIPPING_METHOD_UNAVAILABLE
+ * @param {string} message - Error message
+ */
+function createShippingError(code, message) {
+	const error = new Error(message)
+	error.code = code
+	return error
+}
+
+/**
+ * Shipping Service - Shipping cost from rate tables (SHIPPING_RATES_FILE)
+ *
+ * File format: { "currency": "USD", "methods": { "<name>": method } } with
+ * - flat:   { type: 'flat', fee }
+ * - weight: { type: 'weight', baseFee, perKg } (billed per started kg of product weight)
+ * Any method may also set:
+ * - currency  - currency of its amounts (default: table currency)
+ * - freeOver  - free shipping when the order items total (after discounts) reaches it
+ * - countries - ISO country codes served (default: all)
+ *
+ * Amounts are converted to the order currency.
+ */
+class ShippingService {
+	/**
+	 * @param {Object} [exchangeRateService] - Converts table amounts to the order currency
+	 * @param {string} [ratesFile] - Path to the rate table
+	 */
+	constructor(exchangeRateService = createExchangeRateService(), ratesFile = config.shippingRatesFile) {
+		this.exchangeRateService = exchangeRateService
+		this.ratesFile = ratesFile
+		this.methods = null
+	}
+
+	/**
+	 * Load the rate table (once)
+	 * @private
+	 * @returns {Promise<Object>} name → method (with its currency resolved)
+	 */
+	async _getMethods() {
+		if (this.methods) {
+			return this.methods
+		}
+
+		const raw = JSON.parse(await fs.readFile(this.ratesFile, 'utf8'))
+		const tableCurrency = raw.currency || config.defaultCurrency
+		const methods = {}
+		for (const [name, method] of Object.entries(raw.methods || {})) {
+			if (!METHOD_TYPES.includes(method.type)) {
+				throw new Error(`Invalid shipping method type for ${name} in ${this.ratesFile}`)
+			}
+			methods[name] = { ...method, name, currency: normalizeCurrency(method.currency || tableCurrency) }
+		}
+
+		this.methods = methods
+		logger.info({ file: this.ratesFile, methods: Object.keys(methods) }, '[Shipping] ✓ Shipping rates loaded')
+		return this.methods
+	}
+
+	/**
+	 * Compute the shipping cost of an order
+	 *
+	 * @param {string} [methodName] - Shipping method (default: DEFAULT_SHIPPING_METHOD)
+	 * @param {Object} params
+	 * @param {Object} [params.address] - Shipping address
+	 * @param {Object[]} params.lines - [{ quantity, weight }] (weight in kg per unit)
+	 * @param {number} params.itemsTotal - Items total after discounts, in the order currency
+	 * @param {string} params.currency - Order currency
+	 * @returns {Promise<Object>} { method, cost } with cost in the order currency
+	 * @throws {Error} code SHIPPING_METHOD_UNAVAILABLE (or currency errors)
+	 */
+	async quote(methodName, { address, lines, itemsTotal, currency }) {
+		const name = methodName || config.defaultShippingMethod
+		const method = (await this._getMethods())[name]
+		if (!method) {
+			throw createShippingError('SHIPPING_METHOD_UNAVAILABLE', `Shipping method ${name} does not exist`)
+		}
+		if (!this._serves(method, address)) {
+			throw createShippingError(
+				'SHIPPING_METHOD_UNAVAILABLE',
+				`Shipping method ${name} does not ship to ${address?.country || 'unknown country'}`
+			)
+		}
+
+		const rate = await this.exchangeRateService.getRate(method.currency, currency)
+		if (method.freeOver !== undefined && itemsTotal >= method.freeOver * rate) {
+			return { method: name, cost: 0 }
+		}
+
+		let fee = method.fee || 0
+		if (method.type === 'weight') {
+			const weight = lines.reduce((total, line) => total + (line.weight || 0) * line.quantity, 0)
+			fee = (method.baseFee || 0) + (method.perKg || 0) * Math.ceil(weight)
+		}
+
+		return { method: name, cost: roundToCurrency(fee * rate, currency) }
+	}
+
+	/**
+	 * @private
+	 */
+	_serves(method, address) {
+		if (!method.countries || method.countries.length === 0) {
+			return true
+		}
+		const destination = String(address?.country || '').toUpperCase()
+		return method.countries.some((country) => country.toUpperCase() === destination)
+	}
+}
+
+module.exports = ShippingService
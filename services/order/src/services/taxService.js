@@ -0,0 +1,140 @@
+const fs = require('fs/promises')
+const logger = require('@ecommerce/logger')
+const config = require('../config')
+const { roundToCurrency } = require('./exchangeRateService')
+
+/**
+ * How specific a matching rule is: a product category beats geography,
+ * a region beats its country
+ */
+function ruleScore(rule) {
+	return (rule.category ? 4 : 0) + (rule.region ? 2 : 0) + (rule.country ? 1 : 0)
+}
+
+function sameCode(a, b) {
+	return String(a).trim().toUpperCase() === String(b).trim().toUpperCase()
+}
+
+/**
+ * Tax Service - Sales tax from a rule table (TAX_RULES_FILE)
+ *
+ * File format: { "rules": [{ country?, region?, category?, rate }] }
+ * where rate is a fraction (0.1 = 10%). A rule applies when all of its fields
+ * match the shipping address and product category; the most specific rule wins
+ * (category > region > country, first rule on a tie). Lines without a matching
+ * rule are not taxed.
+ *
+ * Tax is charged on the line amount after its share of the order discounts.
+ * Shipping is not taxed.
+ */
+class TaxService {
+	/**
+	 * @param {string} [rulesFile] - Path to the rule table
+	 */
+	constructor(rulesFile = config.taxRulesFile) {
+		this.rulesFile = rulesFile
+		this.rules = null
+	}
+
+	/**
+	 * Load the rule table (once)
+	 * @private
+	 */
+	async _getRules() {
+		if (this.rules) {
+			return this.rules
+		}
+
+		const raw = JSON.parse(await fs.readFile(this.rulesFile, 'utf8'))
+		this.rules = (raw.rules || []).map((rule, index) => {
+			if (!Number.isFinite(rule.rate) || rule.rate < 0 || rule.rate > 1) {
+				throw new Error(`Invalid tax rate in rule ${index} of ${this.rulesFile}`)
+			}
+			return rule
+		})
+
+		logger.info({ file: this.rulesFile, rules: this.rules.length }, '[Tax] ✓ Tax rules loaded')
+		return this.rules
+	}
+
+	/**
+	 * Find the tax rate of a product category at an address
+	 *
+	 * @param {Object} [address] - Shipping address { country, region }
+	 * @param {string} [category] - Product category
+	 * @returns {Promise<number>} Rate (0 when no rule matches)
+	 */
+	async rateFor(address, category) {
+		const rules = await this._getRules()
+		let best = null
+
+		for (const rule of rules) {
+			if (rule.country && !(address?.country && sameCode(rule.country, address.country))) continue
+			if (rule.region && !(address?.region && sameCode(rule.region, address.region))) continue
+			if (rule.category && !(category && sameCode(rule.category, category))) continue
+
+			if (!best || ruleScore(rule) > ruleScore(best)) {
+				best = rule
+			}
+		}
+
+		return best ? best.rate : 0
+	}
+
+	/**
+	 * Compute the tax of each order line
+	 *
+	 * @param {Object[]} lines - [{ productId, price, quantity, category }] in the order currency
+	 * @param {Object} [address] - Shipping address
+	 * @param {Object[]} discounts - Order discounts [{ amount, productIds }]
+	 * @param {string} currency - Order currency (for rounding)
+	 * @returns {Promise<Object>} { lines: [{ taxRate, taxAmount }] in line order, taxTotal }
+	 */
+	async calculateTax(lines, address, discounts, currency) {
+		const lineDiscounts = this._allocateDiscounts(lines, discounts, currency)
+
+		const taxed = []
+		for (const [index, line] of lines.entries()) {
+			const taxRate = await this.rateFor(address, line.category)
+			const taxable = Math.max(0, line.price * line.quantity - lineDiscounts[index])
+			taxed.push({ taxRate, taxAmount: roundToCurrency(taxable * taxRate, currency) })
+		}
+
+		return {
+			lines: taxed,
+			taxTotal: roundToCurrency(taxed.reduce((total, line) => total + line.taxAmount, 0), currency),
+		}
+	}
+
+	/**
+	 * Spread each discount over the lines it applies to, in proportion to their amount
+	 * The last line absorbs the rounding so the shares add up to the discount.
+	 * @private
+	 * @returns {number[]} Discount share per line
+	 */
+	_allocateDiscounts(lines, discounts, currency) {
+		const shares = lines.map(() => 0)
+
+		for (const discount of discounts) {
+			const applicable = new Set((discount.productIds || []).map(String))
+			const targets = lines
+				.map((line, index) => ({ index, amount: line.price * line.quantity }))
+				.filter(({ index }) => applicable.size === 0 || applicable.has(String(lines[index].productId)))
+			const base = targets.reduce((total, target) => total + target.amount, 0)
+			if (base <= 0) continue
+
+			let remaining = discount.amount
+			targets.forEach((target, position) => {
+				const share = position === targets.length - 1
+					? remaining
+					: roundToCurrency(discount.amount * target.amount / base, currency)
+				shares[target.index] += share
+				remaining -= share
+			})
+		}
+
+		return shares
+	}
+}
+
+module.exports = TaxService
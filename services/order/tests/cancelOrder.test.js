@@ -0,0 +1,162 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { expect } = require('chai')
+const sinon = require('sinon')
+const mongoose = require('mongoose')
+const Order = require('../src/models/order')
+const orderRepository = require('../src/repositories/orderRepository')
+const OrderService = require('../src/services/orderService')
+
+/**
+ * Order document as loaded by the repository (not persisted)
+ */
+function buildOrder({ status = 'PENDING', reserved = false, ...fields } = {}) {
+	return new Order({
+		user: 'alice',
+		products: [
+			{ _id: new mongoose.Types.ObjectId(), name: 'Keyboard', price: 50, quantity: 2, reserved },
+			{ _id: new mongoose.Types.ObjectId(), name: 'Mouse', price: 20, quantity: 1, reserved },
+		],
+		totalPrice: 120,
+		currency: 'USD',
+		status,
+		...fields,
+	})
+}
+
+describe('OrderService.cancelOrder', () => {
+	let orderService
+	let outboxManager
+	let promotionService
+	let order
+
+	beforeEach(() => {
+		// Transactions run the callback once, without MongoDB
+		sinon.stub(mongoose, 'startSession').resolves({
+			withTransaction: async (fn) => fn(),
+			endSession: () => {},
+		})
+		sinon.stub(orderRepository, 'findById').callsFake(async () => order)
+		sinon.stub(orderRepository, 'save').callsFake(async (document) => document)
+
+		outboxManager = { createEvent: sinon.stub().resolves() }
+		promotionService = { releaseRedemption: sinon.stub().resolves() }
+		orderService = new OrderService(outboxManager, promotionService)
+	})
+
+	afterEach(() => {
+		sinon.restore()
+	})
+
+	const eventsOf = (eventType) =>
+		outboxManager.createEvent.getCalls()
+			.map((call) => call.args[0])
+			.filter((event) => event.eventType === eventType)
+
+	/**
+	 * Error code of a refused cancellation
+	 */
+	async function refusal(orderId, userId = 'alice') {
+		try {
+			await orderService.cancelOrder(orderId, userId)
+		} catch (error) {
+			return error.code
+		}
+		throw new Error('Expected the cancellation to be refused')
+	}
+
+	it('should cancel a PENDING order without releasing stock it never reserved', async () => {
+		order = buildOrder()
+
+		const result = await orderService.cancelOrder(order._id.toString(), 'alice', 'Changed my mind')
+
+		expect(result).to.deep.equal({
+			orderId: order._id.toString(),
+			status: 'CANCELLED',
+			cancellationReason: 'Changed my mind',
+			alreadyCancelled: false,
+		})
+		expect(orderRepository.save.calledOnce).to.be.true
+		expect(order.statusHistory.at(-1)).to.include({ from: 'PENDING', to: 'CANCELLED', event: 'CUSTOMER_CANCEL', actor: 'user:alice' })
+
+		const [cancelled] = eventsOf('ORDER_CANCELLED')
+		expect(cancelled.routingKey).to.equal('order.cancelled')
+		expect(cancelled.payload.products).to.deep.equal([])
+		expect(cancelled.payload.reason).to.equal('Changed my mind')
+	})
+
+	it('should release the reserved products of a CONFIRMED order', async () => {
+		order = buildOrder({ status: 'CONFIRMED', reserved: true })
+
+		await orderService.cancelOrder(order._id.toString(), 'alice')
+
+		const [cancelled] = eventsOf('ORDER_CANCELLED')
+		expect(order.status).to.equal('CANCELLED')
+		expect(order.cancellationReason).to.equal('Cancelled by customer')
+		expect(cancelled.payload.products).to.deep.equal([
+			{ productId: order.products[0]._id.toString(), quantity: 2 },
+			{ productId: order.products[1]._id.toString(), quantity: 1 },
+		])
+	})
+
+	it('should refuse to cancel a PAID order', async () => {
+		order = buildOrder({ status: 'PAID', reserved: true })
+
+		expect(await refusal(order._id.toString())).to.equal('ORDER_NOT_CANCELLABLE')
+		expect(order.status).to.equal('PAID')
+		expect(orderRepository.save.called).to.be.false
+		expect(outboxManager.createEvent.called).to.be.false
+	})
+
+	it('should refuse to cancel another user\'s order', async () => {
+		order = buildOrder()
+
+		expect(await refusal(order._id.toString(), 'bob')).to.equal('FORBIDDEN')
+		expect(order.status).to.equal('PENDING')
+		expect(outboxManager.createEvent.called).to.be.false
+	})
+
+	it('should report unknown and malformed order IDs as not found', async () => {
+		order = null
+
+		expect(await refusal(new mongoose.Types.ObjectId().toString())).to.equal('ORDER_NOT_FOUND')
+		expect(await refusal('not-an-id')).to.equal('ORDER_NOT_FOUND')
+	})
+
+	it('should answer an already cancelled order without releasing again', async () => {
+		order = buildOrder({ status: 'CANCELLED', reserved: true, cancellationReason: 'Order timeout' })
+
+		const result = await orderService.cancelOrder(order._id.toString(), 'alice')
+
+		expect(result).to.include({ status: 'CANCELLED', cancellationReason: 'Order timeout', alreadyCancelled: true })
+		expect(outboxManager.createEvent.called).to.be.false
+		expect(promotionService.releaseRedemption.called).to.be.false
+	})
+
+	it('should give the coupon use back', async () => {
+		order = buildOrder({ discounts: [{ code: 'SAVE10', type: 'percentage', value: 10, amount: 12 }] })
+
+		await orderService.cancelOrder(order._id.toString(), 'alice')
+
+		expect(promotionService.releaseRedemption.calledOnce).to.be.true
+		expect(promotionService.releaseRedemption.firstCall.args.slice(0, 2)).to.deep.equal([order._id, 'CUSTOMER_CANCELLED'])
+		expect(eventsOf('ORDER_CANCELLED')[0].payload.couponCode).to.equal('SAVE10')
+	})
+
+	it('should release the seckill slot of a seckill order', async () => {
+		order = buildOrder({ metadata: { source: 'seckill', correlationId: 'corr-1' } })
+
+		await orderService.cancelOrder(order._id.toString(), 'alice')
+
+		const [release] = eventsOf('SECKILL_RELEASE')
+		expect(release.routingKey).to.equal('order.seckill.release')
+		expect(release.correlationId).to.equal('corr-1')
+		expect(release.payload).to.include({
+			orderId: order._id.toString(),
+			userId: 'alice',
+			productId: order.products[0]._id.toString(),
+			quantity: 2,
+			reason: 'CUSTOMER_CANCELLED',
+		})
+		expect(promotionService.releaseRedemption.called).to.be.false
+	})
+})
@@ -0,0 +1,101 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { expect } = require('chai')
+const sinon = require('sinon')
+const CartService = require('../src/services/cartService')
+
+/**
+ * Redis stand-in with the commands checkout and ORDER_CONFIRMED use
+ */
+function createFakeRedis() {
+	const values = new Map()
+	const hashes = new Map()
+
+	const client = {
+		values,
+		hashes,
+		get: async (key) => values.get(key) ?? null,
+		set: async (key, value) => {
+			values.set(key, value)
+			return 'OK'
+		},
+		del: async (key) => (values.delete(key) || hashes.delete(key) ? 1 : 0),
+		hGetAll: async (key) => Object.fromEntries(hashes.get(key) || []),
+		multi() {
+			const queued = []
+			const queue = (command) => {
+				queued.push(command)
+				return multi
+			}
+			const multi = {
+				hSet: (key, field, value) => queue(() => {
+					if (!hashes.has(key)) hashes.set(key, new Map())
+					hashes.get(key).set(field, value)
+				}),
+				hDel: (key, field) => queue(() => hashes.get(key)?.delete(field)),
+				del: (key) => queue(() => client.del(key)),
+				exec: async () => Promise.all(queued.map((command) => command())),
+			}
+			return multi
+		},
+	}
+	return client
+}
+
+describe('Cart checkout', () => {
+	let cartService
+	let orderService
+	let client
+
+	beforeEach(() => {
+		client = createFakeRedis()
+		client.hashes.set('cart:alice', new Map([
+			['p1', JSON.stringify({ quantity: 2, price: 10, addedAt: '2026-01-01T00:00:00.000Z' })],
+			['p2', JSON.stringify({ quantity: 1, price: 5, addedAt: '2026-01-01T00:00:01.000Z' })],
+		]))
+
+		orderService = { createOrder: sinon.stub() }
+		cartService = new CartService(orderService)
+		cartService.client = client
+	})
+
+	afterEach(() => {
+		sinon.restore()
+	})
+
+	it('should store the checkout record before the order is created', async () => {
+		// ORDER_CONFIRMED may be handled before createOrder returns
+		orderService.createOrder.callsFake(async (productIds, quantities, username, token, { orderId }) => {
+			expect(await cartService.handleOrderConfirmed(orderId)).to.be.true
+			return { orderId }
+		})
+
+		const result = await cartService.checkout('alice', 'Bearer token')
+
+		const [productIds, quantities, , , options] = orderService.createOrder.firstCall.args
+		expect(productIds).to.deep.equal(['p1', 'p2'])
+		expect(quantities).to.deep.equal([2, 1])
+		expect(options.orderId).to.match(/^[0-9a-f]{24}$/)
+		expect(result.orderId).to.equal(options.orderId)
+		expect(client.hashes.get('cart:alice').size).to.equal(0)
+	})
+
+	it('should drop the checkout record when the order is not created', async () => {
+		orderService.createOrder.rejects(new Error('COUPON_EXPIRED'))
+
+		let error
+		try {
+			await cartService.checkout('alice', 'Bearer token', { couponCode: 'OLD' })
+		} catch (err) {
+			error = err
+		}
+
+		expect(error.message).to.equal('COUPON_EXPIRED')
+		expect([...client.values.keys()].filter((key) => key.startsWith('cart:checkout:'))).to.deep.equal([])
+		expect(client.hashes.get('cart:alice').size).to.equal(2)
+	})
+
+	it('should ignore ORDER_CONFIRMED for orders not created from the cart', async () => {
+		expect(await cartService.handleOrderConfirmed('652f1c2b9d3e4a0012345678')).to.be.false
+		expect(client.hashes.get('cart:alice').size).to.equal(2)
+	})
+})
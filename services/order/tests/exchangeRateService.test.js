@@ -0,0 +1,112 @@
+const { describe, it, before, after } = require('mocha')
+const { expect } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const {
+	ExchangeRateService,
+	StaticRateProvider,
+	normalizeCurrency,
+	roundToCurrency,
+} = require('../src/services/exchangeRateService')
+
+describe('Exchange rates', () => {
+	let tmpDir
+	let ratesFile
+
+	before(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-rates-'))
+		ratesFile = path.join(tmpDir, 'rates.json')
+		fs.writeFileSync(ratesFile, JSON.stringify({ base: 'usd', rates: { EUR: 0.8, vnd: 25000, JPY: 150 } }))
+	})
+
+	after(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true })
+	})
+
+	describe('roundToCurrency', () => {
+		it('should round to the minor unit of the currency', () => {
+			expect(roundToCurrency(10.005, 'USD')).to.equal(10.01)
+			expect(roundToCurrency(19.994, 'EUR')).to.equal(19.99)
+			expect(roundToCurrency(24999.5, 'VND')).to.equal(25000)
+			expect(roundToCurrency(149.4, 'JPY')).to.equal(149)
+		})
+
+		it('should use 2 decimals for unknown currency codes', () => {
+			expect(roundToCurrency(1.234, 'ZZZ')).to.equal(1.23)
+			expect(roundToCurrency(1.234, 'not-a-currency')).to.equal(1.23)
+		})
+	})
+
+	describe('normalizeCurrency', () => {
+		it('should trim and upper-case codes', () => {
+			expect(normalizeCurrency(' eur ')).to.equal('EUR')
+		})
+	})
+
+	describe('ExchangeRateService.getRate', () => {
+		const service = () => new ExchangeRateService(new StaticRateProvider(ratesFile))
+
+		it('should return 1 between the same currency without loading rates', async () => {
+			const rates = new ExchangeRateService({
+				name: 'broken',
+				getRates: async () => {
+					throw new Error('feed down')
+				},
+			})
+
+			expect(await rates.getRate('eur', 'EUR')).to.equal(1)
+		})
+
+		it('should convert through the base currency', async () => {
+			const rates = service()
+
+			expect(await rates.getRate('USD', 'EUR')).to.equal(0.8)
+			expect(await rates.getRate('EUR', 'USD')).to.equal(1.25)
+			expect(await rates.getRate('eur', 'vnd')).to.equal(31250)
+			expect(await rates.getRate('JPY', 'VND')).to.be.closeTo(166.6667, 1e-4)
+		})
+
+		it('should refuse currencies without a rate', async () => {
+			let error
+			try {
+				await service().getRate('USD', 'GBP')
+			} catch (err) {
+				error = err
+			}
+
+			expect(error.code).to.equal('UNSUPPORTED_CURRENCY')
+			expect(error.message).to.include('GBP')
+		})
+
+		it('should report a failing provider as EXCHANGE_RATE_UNAVAILABLE', async () => {
+			let error
+			try {
+				await new ExchangeRateService(new StaticRateProvider(path.join(tmpDir, 'missing.json'))).getRate('USD', 'EUR')
+			} catch (err) {
+				error = err
+			}
+
+			expect(error.code).to.equal('EXCHANGE_RATE_UNAVAILABLE')
+		})
+
+		it('should reject a rate table with invalid rates', async () => {
+			const invalidFile = path.join(tmpDir, 'invalid.json')
+			fs.writeFileSync(invalidFile, JSON.stringify({ base: 'USD', rates: { EUR: 0 } }))
+
+			let error
+			try {
+				await new StaticRateProvider(invalidFile).getRates()
+			} catch (err) {
+				error = err
+			}
+
+			expect(error.message).to.include('Invalid exchange rate for EUR')
+		})
+
+		it('should convert and round amounts', async () => {
+			expect(await service().convert(19.99, 'USD', 'VND')).to.deep.equal({ amount: 499750, rate: 25000 })
+			expect(await service().convert(10, 'VND', 'EUR')).to.deep.equal({ amount: 0, rate: 0.8 / 25000 })
+		})
+	})
+})
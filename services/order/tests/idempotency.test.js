@@ -0,0 +1,193 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { expect } = require('chai')
+const sinon = require('sinon')
+const IdempotencyService = require('../src/services/idempotencyService')
+const OrderController = require('../src/controllers/orderController')
+
+/**
+ * Redis stand-in with GET, SET (NX) and DEL
+ */
+function createFakeRedis() {
+	const values = new Map()
+	return {
+		values,
+		isOpen: true,
+		get: async (key) => values.get(key) ?? null,
+		set: async (key, value, options = {}) => {
+			if (options.NX && values.has(key)) {
+				return null
+			}
+			values.set(key, value)
+			return 'OK'
+		},
+		del: async (key) => (values.delete(key) ? 1 : 0),
+	}
+}
+
+function createResponse() {
+	const res = { headers: {} }
+	res.status = sinon.stub().returns(res)
+	res.json = sinon.stub().returns(res)
+	res.set = (name, value) => {
+		res.headers[name] = value
+		return res
+	}
+	return res
+}
+
+describe('Idempotency-Key on POST /api/orders', () => {
+	let idempotencyService
+
+	beforeEach(() => {
+		idempotencyService = new IdempotencyService()
+		idempotencyService.client = createFakeRedis()
+		idempotencyService.isConnected = true
+	})
+
+	afterEach(() => {
+		sinon.restore()
+	})
+
+	describe('fingerprint', () => {
+		it('should not depend on key order or undefined fields', () => {
+			const a = idempotencyService.fingerprint({ ids: ['p1', 'p2'], quantities: [1, 2], couponCode: undefined })
+			const b = idempotencyService.fingerprint({ quantities: [1, 2], ids: ['p1', 'p2'] })
+
+			expect(a).to.equal(b)
+			expect(a).to.match(/^[0-9a-f]{64}$/)
+		})
+
+		it('should sort keys of nested objects', () => {
+			const a = idempotencyService.fingerprint({ ids: ['p1'], shippingAddress: { country: 'VN', city: 'Hanoi' } })
+			const b = idempotencyService.fingerprint({ shippingAddress: { city: 'Hanoi', country: 'VN' }, ids: ['p1'] })
+
+			expect(a).to.equal(b)
+		})
+
+		it('should differ for different bodies', () => {
+			const base = idempotencyService.fingerprint({ ids: ['p1', 'p2'] })
+
+			expect(idempotencyService.fingerprint({ ids: ['p2', 'p1'] })).to.not.equal(base)
+			expect(idempotencyService.fingerprint({ ids: ['p1', 'p2'], quantities: [1, 1] })).to.not.equal(base)
+			expect(idempotencyService.fingerprint({ ids: ['p1', 'p2'], couponCode: null })).to.not.equal(base)
+		})
+	})
+
+	describe('beginRequest', () => {
+		it('should claim a key once and replay the completed response', async () => {
+			const fingerprint = idempotencyService.fingerprint({ ids: ['p1'] })
+
+			expect(await idempotencyService.beginRequest('alice', 'key-1', fingerprint)).to.deep.equal({ status: 'started' })
+			expect(await idempotencyService.beginRequest('alice', 'key-1', fingerprint)).to.deep.equal({ status: 'in_progress' })
+
+			const response = { statusCode: 201, body: { orderId: 'order-1' } }
+			await idempotencyService.completeRequest('alice', 'key-1', fingerprint, response, 3600)
+
+			expect(await idempotencyService.beginRequest('alice', 'key-1', fingerprint)).to.deep.equal({ status: 'completed', response })
+		})
+
+		it('should reject a key reused with a different body', async () => {
+			await idempotencyService.beginRequest('alice', 'key-1', idempotencyService.fingerprint({ ids: ['p1'] }))
+
+			const claim = await idempotencyService.beginRequest('alice', 'key-1', idempotencyService.fingerprint({ ids: ['p2'] }))
+
+			expect(claim).to.deep.equal({ status: 'mismatch' })
+		})
+
+		it('should scope keys per user', async () => {
+			const fingerprint = idempotencyService.fingerprint({ ids: ['p1'] })
+			await idempotencyService.beginRequest('alice', 'key-1', fingerprint)
+
+			expect(await idempotencyService.beginRequest('bob', 'key-1', fingerprint)).to.deep.equal({ status: 'started' })
+		})
+
+		it('should free a released key', async () => {
+			const fingerprint = idempotencyService.fingerprint({ ids: ['p1'] })
+			await idempotencyService.beginRequest('alice', 'key-1', fingerprint)
+			await idempotencyService.releaseRequest('alice', 'key-1')
+
+			expect(await idempotencyService.beginRequest('alice', 'key-1', fingerprint)).to.deep.equal({ status: 'started' })
+		})
+
+		it('should report Redis errors as unavailable', async () => {
+			idempotencyService.client.set = async () => {
+				throw new Error('Connection lost')
+			}
+
+			expect(await idempotencyService.beginRequest('alice', 'key-1', 'fingerprint')).to.deep.equal({ status: 'unavailable' })
+		})
+	})
+
+	describe('OrderController.createOrder', () => {
+		let orderService
+		let controller
+
+		const request = (body, idempotencyKey = 'key-1') => ({
+			headers: { 'x-user-id': 'alice', authorization: 'Bearer token', 'idempotency-key': idempotencyKey },
+			body,
+		})
+
+		beforeEach(() => {
+			orderService = { createOrder: sinon.stub().resolves({ orderId: 'order-1', status: 'PENDING' }) }
+			controller = new OrderController(orderService, idempotencyService)
+		})
+
+		it('should create the order once and replay it for a retry', async () => {
+			const first = createResponse()
+			const retry = createResponse()
+
+			await controller.createOrder(request({ ids: ['p1'] }), first)
+			await controller.createOrder(request({ ids: ['p1'] }), retry)
+
+			expect(orderService.createOrder.calledOnce).to.be.true
+			expect(retry.status.calledWith(201)).to.be.true
+			expect(retry.json.firstCall.args[0]).to.deep.equal(first.json.firstCall.args[0])
+			expect(retry.headers['Idempotent-Replayed']).to.equal('true')
+		})
+
+		it('should answer 409 when the key is reused with a different body', async () => {
+			await controller.createOrder(request({ ids: ['p1'] }), createResponse())
+			const res = createResponse()
+
+			await controller.createOrder(request({ ids: ['p2'] }), res)
+
+			expect(orderService.createOrder.calledOnce).to.be.true
+			expect(res.status.calledWith(409)).to.be.true
+			expect(res.json.firstCall.args[0].code).to.equal('IDEMPOTENCY_KEY_REUSED')
+		})
+
+		it('should answer 409 with Retry-After while the first request is running', async () => {
+			await idempotencyService.beginRequest('alice', 'key-1', idempotencyService.fingerprint({ ids: ['p1'] }))
+			const res = createResponse()
+
+			await controller.createOrder(request({ ids: ['p1'] }), res)
+
+			expect(orderService.createOrder.called).to.be.false
+			expect(res.status.calledWith(409)).to.be.true
+			expect(res.json.firstCall.args[0].code).to.equal('IDEMPOTENCY_KEY_IN_PROGRESS')
+			expect(res.headers['Retry-After']).to.equal('1')
+		})
+
+		it('should let the client retry a key whose request failed', async () => {
+			orderService.createOrder.onFirstCall().rejects(new Error('Database unavailable'))
+			const failed = createResponse()
+			const retry = createResponse()
+
+			await controller.createOrder(request({ ids: ['p1'] }), failed)
+			await controller.createOrder(request({ ids: ['p1'] }), retry)
+
+			expect(failed.status.calledWith(500)).to.be.true
+			expect(retry.status.calledWith(201)).to.be.true
+			expect(orderService.createOrder.calledTwice).to.be.true
+		})
+
+		it('should reject empty and oversized keys', async () => {
+			for (const key of ['  ', 'k'.repeat(256)]) {
+				const res = createResponse()
+				await controller.createOrder(request({ ids: ['p1'] }, key), res)
+				expect(res.status.calledWith(400), JSON.stringify(key)).to.be.true
+			}
+			expect(orderService.createOrder.called).to.be.false
+		})
+	})
+})
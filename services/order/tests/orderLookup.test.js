@@ -0,0 +1,195 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { expect } = require('chai')
+const sinon = require('sinon')
+const { EventEmitter } = require('events')
+const config = require('../src/config')
+const orderRepository = require('../src/repositories/orderRepository')
+const OrderService = require('../src/services/orderService')
+const OrderController = require('../src/controllers/orderController')
+
+const CORRELATION_ID = '4bf92f3577b34da6a3ce929d0e0e4736'
+
+function createResponse() {
+	const res = { headers: {} }
+	res.status = sinon.stub().returns(res)
+	res.json = sinon.stub().returns(res)
+	res.set = (name, value) => {
+		res.headers[name] = value
+		return res
+	}
+	return res
+}
+
+/**
+ * Status stream stand-in delivering events to this instance's listeners
+ */
+function createStatusStream() {
+	const listeners = new EventEmitter()
+	return {
+		listeners,
+		isReady: () => true,
+		subscribe(userId, listener) {
+			listeners.on(userId, listener)
+			return () => listeners.off(userId, listener)
+		},
+		emit: (userId, event) => listeners.emit(userId, { id: '1-0', event }),
+	}
+}
+
+describe('Order lookup by correlationId (long polling)', () => {
+	afterEach(() => {
+		sinon.restore()
+	})
+
+	describe('OrderService.waitForOrderByCorrelationId', () => {
+		let orderService
+		let statusStream
+		let order
+
+		beforeEach(() => {
+			order = null
+			sinon.stub(orderRepository, 'findByCorrelationId').callsFake(async () => order)
+			statusStream = createStatusStream()
+			orderService = new OrderService({ createEvent: sinon.stub().resolves() })
+			orderService.setStatusStream(statusStream)
+		})
+
+		it('should answer at once when the order exists', async () => {
+			order = { _id: 'order-1', user: 'alice' }
+
+			expect(await orderService.waitForOrderByCorrelationId(CORRELATION_ID, 'alice', 5000)).to.equal(order)
+			expect(statusStream.listeners.listenerCount('alice')).to.equal(0)
+		})
+
+		it('should wake up when the order is created during the wait', async () => {
+			sinon.stub(config, 'orderLookupPollMs').value(10000)
+			const startedAt = Date.now()
+
+			const waiting = orderService.waitForOrderByCorrelationId(CORRELATION_ID, 'alice', 5000)
+			await new Promise((resolve) => setTimeout(resolve, 20))
+			// Events of other orders don't end the wait
+			statusStream.emit('alice', { correlationId: 'other', status: 'PENDING' })
+			order = { _id: 'order-1', user: 'alice' }
+			statusStream.emit('alice', { correlationId: CORRELATION_ID, status: 'PENDING' })
+
+			expect(await waiting).to.equal(order)
+			expect(Date.now() - startedAt).to.be.below(1000)
+			expect(statusStream.listeners.listenerCount('alice')).to.equal(0)
+		})
+
+		it('should re-read the order when no event arrives', async () => {
+			sinon.stub(config, 'orderLookupPollMs').value(20)
+			setTimeout(() => {
+				order = { _id: 'order-1', user: 'alice' }
+			}, 30)
+
+			expect(await orderService.waitForOrderByCorrelationId(CORRELATION_ID, 'alice', 5000)).to.equal(order)
+		})
+
+		it('should give up at the timeout', async () => {
+			sinon.stub(config, 'orderLookupPollMs').value(20)
+			const startedAt = Date.now()
+
+			const result = await orderService.waitForOrderByCorrelationId(CORRELATION_ID, 'alice', 100)
+
+			expect(result).to.be.null
+			expect(Date.now() - startedAt).to.be.within(90, 500)
+			expect(orderRepository.findByCorrelationId.callCount).to.be.above(2)
+			expect(statusStream.listeners.listenerCount('alice')).to.equal(0)
+		})
+
+		it('should stop waiting and unsubscribe when aborted', async () => {
+			sinon.stub(config, 'orderLookupPollMs').value(10000)
+			const abort = new AbortController()
+			const startedAt = Date.now()
+
+			const waiting = orderService.waitForOrderByCorrelationId(CORRELATION_ID, 'alice', 5000, abort.signal)
+			await new Promise((resolve) => setTimeout(resolve, 20))
+			expect(statusStream.listeners.listenerCount('alice')).to.equal(1)
+			abort.abort()
+
+			expect(await waiting).to.be.null
+			expect(Date.now() - startedAt).to.be.below(1000)
+			expect(statusStream.listeners.listenerCount('alice')).to.equal(0)
+		})
+	})
+
+	describe('OrderController.getOrderByCorrelation', () => {
+		let orderService
+		let controller
+
+		const request = (query = {}, userId = 'alice') => {
+			const req = new EventEmitter()
+			req.headers = { 'x-user-id': userId }
+			req.params = { correlationId: CORRELATION_ID }
+			req.query = query
+			return req
+		}
+
+		beforeEach(() => {
+			orderService = {
+				getOrderByCorrelationId: sinon.stub().resolves(null),
+				waitForOrderByCorrelationId: sinon.stub().resolves(null),
+			}
+			controller = new OrderController(orderService)
+		})
+
+		it('should answer 202 PROCESSING while the order is not created', async () => {
+			const res = createResponse()
+
+			await controller.getOrderByCorrelation(request(), res)
+
+			expect(orderService.waitForOrderByCorrelationId.called).to.be.false
+			expect(res.status.calledWith(202)).to.be.true
+			expect(res.json.firstCall.args[0]).to.include({ status: 'PROCESSING', correlationId: CORRELATION_ID })
+			expect(res.headers['Retry-After']).to.equal('1')
+		})
+
+		it('should long-poll for the requested seconds', async () => {
+			orderService.waitForOrderByCorrelationId.resolves({ _id: 'order-1', user: 'alice', status: 'PENDING', metadata: { correlationId: CORRELATION_ID } })
+			const res = createResponse()
+
+			await controller.getOrderByCorrelation(request({ wait: '20' }), res)
+
+			expect(orderService.waitForOrderByCorrelationId.firstCall.args.slice(0, 3)).to.deep.equal([CORRELATION_ID, 'alice', 20000])
+			expect(res.status.calledWith(200)).to.be.true
+			expect(res.json.firstCall.args[0]).to.include({ orderId: 'order-1', status: 'PENDING' })
+		})
+
+		it('should cap the wait at ORDER_LOOKUP_MAX_WAIT_SECONDS', async () => {
+			for (const wait of [String(config.orderLookupMaxWaitSeconds + 1), '-1', '1.5', 'soon']) {
+				const res = createResponse()
+				await controller.getOrderByCorrelation(request({ wait }), res)
+				expect(res.status.calledWith(400), wait).to.be.true
+			}
+			expect(orderService.waitForOrderByCorrelationId.called).to.be.false
+
+			await controller.getOrderByCorrelation(request({ wait: String(config.orderLookupMaxWaitSeconds) }), createResponse())
+			expect(orderService.waitForOrderByCorrelationId.firstCall.args[2]).to.equal(config.orderLookupMaxWaitSeconds * 1000)
+		})
+
+		it('should stop waiting without answering when the client disconnects', async () => {
+			orderService.waitForOrderByCorrelationId.callsFake((correlationId, userId, timeoutMs, signal) =>
+				new Promise((resolve) => signal.addEventListener('abort', () => resolve(null)))
+			)
+			const req = request({ wait: '20' })
+			const res = createResponse()
+
+			const handling = controller.getOrderByCorrelation(req, res)
+			req.emit('close')
+			await handling
+
+			expect(orderService.waitForOrderByCorrelationId.firstCall.args[3].aborted).to.be.true
+			expect(res.status.called).to.be.false
+		})
+
+		it('should not return another user\'s order', async () => {
+			orderService.waitForOrderByCorrelationId.resolves({ _id: 'order-1', user: 'bob', status: 'PENDING' })
+			const res = createResponse()
+
+			await controller.getOrderByCorrelation(request({ wait: '5' }), res)
+
+			expect(res.status.calledWith(403)).to.be.true
+		})
+	})
+})
@@ -0,0 +1,272 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { expect } = require('chai')
+const sinon = require('sinon')
+const mongoose = require('mongoose')
+const orderRepository = require('../src/repositories/orderRepository')
+const OrderService = require('../src/services/orderService')
+const OrderController = require('../src/controllers/orderController')
+const { OrderSearchQuerySchema } = require('../src/schemas/orderSearch.schema')
+
+const MINUTE = 60 * 1000
+
+function createResponse() {
+	const res = { headers: {}, body: '' }
+	res.status = sinon.stub().returns(res)
+	res.json = sinon.stub().returns(res)
+	res.set = (name, value) => {
+		res.headers[name] = value
+		return res
+	}
+	res.write = (chunk) => {
+		res.body += chunk
+		return true
+	}
+	res.end = sinon.stub().callsFake((chunk = '') => {
+		res.body += chunk
+	})
+	res.destroy = sinon.stub()
+	return res
+}
+
+function buildOrder(fields = {}) {
+	return {
+		_id: new mongoose.Types.ObjectId(),
+		user: 'alice',
+		status: 'PAID',
+		products: [{ _id: new mongoose.Types.ObjectId(), name: 'Keyboard', price: 50, quantity: 2 }],
+		totalPrice: 100,
+		currency: 'USD',
+		createdAt: new Date(),
+		...fields,
+	}
+}
+
+describe('Admin order search and export', () => {
+	afterEach(() => {
+		sinon.restore()
+	})
+
+	describe('OrderService.searchOrders', () => {
+		let orderService
+		let orders
+
+		beforeEach(() => {
+			const base = Date.now() - 60 * MINUTE
+			// Two orders share a createdAt: the _id breaks the tie
+			orders = [0, 1, 1, 2, 3].map((minutes) => buildOrder({ createdAt: new Date(base + minutes * MINUTE) }))
+
+			// In-memory keyset pagination on (createdAt, _id), newest first
+			sinon.stub(orderRepository, 'search').callsFake(async (filters, { limit, after }) => {
+				const key = (order) => [order.createdAt.getTime(), String(order._id)]
+				const sorted = [...orders].sort((a, b) => {
+					const [ta, ia] = key(a)
+					const [tb, ib] = key(b)
+					return tb - ta || (ib > ia ? 1 : ib < ia ? -1 : 0)
+				})
+				const rest = after
+					? sorted.filter((order) => {
+						const [time, id] = key(order)
+						return time < after.value.getTime() || (time === after.value.getTime() && id < after.id)
+					})
+					: sorted
+				return rest.slice(0, limit)
+			})
+
+			orderService = new OrderService({ createEvent: sinon.stub().resolves() })
+		})
+
+		const query = (fields = {}) => OrderSearchQuerySchema.parse({ limit: '2', ...fields })
+
+		it('should page through every order exactly once', async () => {
+			const seen = []
+			let cursor
+			let pages = 0
+			do {
+				const { items, nextCursor } = await orderService.searchOrders(query({ cursor }))
+				seen.push(...items.map((order) => String(order._id)))
+				cursor = nextCursor
+				pages++
+			} while (cursor)
+
+			expect(pages).to.equal(3)
+			expect(seen).to.have.length(5)
+			expect(new Set(seen).size).to.equal(5)
+			expect(orderRepository.search.firstCall.args[1].limit).to.equal(3)
+		})
+
+		it('should continue after the last order of the previous page', async () => {
+			const first = await orderService.searchOrders(query())
+			const last = first.items[1]
+
+			await orderService.searchOrders(query({ cursor: first.nextCursor }))
+
+			const { after } = orderRepository.search.secondCall.args[1]
+			expect(after.id).to.equal(String(last._id))
+			expect(after.value.getTime()).to.equal(last.createdAt.getTime())
+		})
+
+		it('should return no cursor on the last page', async () => {
+			const { items, nextCursor } = await orderService.searchOrders(query({ limit: '5' }))
+
+			expect(items).to.have.length(5)
+			expect(nextCursor).to.be.null
+		})
+
+		it('should reject malformed cursors and cursors of another sort', async () => {
+			const { nextCursor } = await orderService.searchOrders(query())
+
+			for (const [fields, message] of [
+				[{ cursor: 'not-a-cursor' }, 'Invalid cursor'],
+				[{ cursor: nextCursor, sort: 'totalPrice' }, 'Cursor does not match the requested sort'],
+				[{ cursor: nextCursor, order: 'asc' }, 'Cursor does not match the requested sort'],
+			]) {
+				let error
+				try {
+					await orderService.searchOrders(query(fields))
+				} catch (err) {
+					error = err
+				}
+				expect(error.code).to.equal('INVALID_CURSOR')
+				expect(error.message).to.equal(message)
+			}
+		})
+	})
+
+	describe('OrderRepository._searchQuery', () => {
+		it('should continue on the sort field, then on _id for ties', () => {
+			const id = new mongoose.Types.ObjectId()
+			const value = new Date('2026-01-01T00:00:00.000Z')
+
+			const query = orderRepository._searchQuery({ status: ['PAID'] }, { sort: 'createdAt', order: 'desc', after: { value, id: String(id) } })
+
+			expect(query.status).to.deep.equal({ $in: ['PAID'] })
+			expect(query.$and).to.deep.equal([{
+				$or: [
+					{ createdAt: { $lt: value } },
+					{ createdAt: value, _id: { $lt: id } },
+				],
+			}])
+		})
+	})
+
+	describe('OrderController search filters', () => {
+		let orderService
+		let controller
+
+		const request = (query) => ({ query, headers: { 'x-user-id': 'admin-1' }, user: { userId: 'admin-1' } })
+
+		beforeEach(() => {
+			orderService = { searchOrders: sinon.stub().resolves({ items: [], nextCursor: null }) }
+			controller = new OrderController(orderService)
+		})
+
+		it('should parse status lists, dates and defaults', async () => {
+			await controller.searchOrders(request({ status: 'paid, shipped', from: '2026-01-01', minPrice: '10' }), createResponse())
+
+			const query = orderService.searchOrders.firstCall.args[0]
+			expect(query.status).to.deep.equal(['PAID', 'SHIPPED'])
+			expect(query.from).to.be.an.instanceOf(Date)
+			expect(query.minPrice).to.equal(10)
+			expect(query).to.include({ sort: 'createdAt', order: 'desc', limit: 20 })
+		})
+
+		it('should reject invalid filters with the offending field', async () => {
+			for (const [params, field] of [
+				[{ status: 'PAID,LOST' }, 'status.1'],
+				[{ from: 'yesterday' }, 'from'],
+				[{ from: '2026-02-01', to: '2026-01-01' }, 'from'],
+				[{ minPrice: '50', maxPrice: '10' }, 'minPrice'],
+				[{ limit: '101' }, 'limit'],
+				[{ productId: 'not-an-id' }, 'productId'],
+				[{ sort: 'user' }, 'sort'],
+			]) {
+				const res = createResponse()
+				await controller.searchOrders(request(params), res)
+
+				expect(res.status.calledWith(400), JSON.stringify(params)).to.be.true
+				expect(res.json.firstCall.args[0].errors.map((error) => error.field), JSON.stringify(params)).to.include(field)
+			}
+			expect(orderService.searchOrders.called).to.be.false
+		})
+
+		it('should answer 400 for an invalid cursor', async () => {
+			const error = new Error('Invalid cursor')
+			error.code = 'INVALID_CURSOR'
+			orderService.searchOrders.rejects(error)
+			const res = createResponse()
+
+			await controller.searchOrders(request({ cursor: 'garbage' }), res)
+
+			expect(res.status.calledWith(400)).to.be.true
+			expect(res.json.firstCall.args[0]).to.deep.equal({ message: 'Invalid cursor' })
+		})
+
+		it('should return the next cursor with the page', async () => {
+			orderService.searchOrders.resolves({ items: [buildOrder()], nextCursor: 'next-page' })
+			const res = createResponse()
+
+			await controller.searchOrders(request({ limit: '1' }), res)
+
+			expect(res.json.firstCall.args[0].pagination).to.deep.equal({ limit: 1, nextCursor: 'next-page' })
+		})
+	})
+
+	describe('OrderController.exportOrders', () => {
+		let controller
+
+		const request = (query) => ({ query, headers: { 'x-user-id': 'admin-1' }, user: { userId: 'admin-1' } })
+
+		beforeEach(() => {
+			const orders = [
+				buildOrder({ user: 'Doe, Jane', discounts: [{ code: 'SAY "HI"' }], metadata: { correlationId: 'line one\nline two' } }),
+				buildOrder({ user: 'bob' }),
+			]
+			controller = new OrderController({
+				exportOrders: async function* () {
+					yield* orders
+				},
+			})
+		})
+
+		it('should quote CSV fields with commas, quotes and newlines', async () => {
+			const res = createResponse()
+
+			await controller.exportOrders(request({ format: 'csv' }), res)
+
+			const [header, ...rest] = res.body.split('\n')
+			expect(res.headers['Content-Type']).to.equal('text/csv; charset=utf-8')
+			expect(header.split(',')).to.have.length(15)
+			expect(res.body).to.include(',"Doe, Jane",')
+			expect(res.body).to.include(',"SAY ""HI""",')
+			expect(res.body).to.include(',"line one\nline two",')
+			// The quoted newline continues the first row; the second row starts with its own orderId
+			expect(rest.filter((line) => line.includes(',bob,'))).to.have.length(1)
+			expect(res.destroy.called).to.be.false
+		})
+
+		it('should export the same rows as a JSON array', async () => {
+			const res = createResponse()
+
+			await controller.exportOrders(request({ format: 'json' }), res)
+
+			const rows = JSON.parse(res.body)
+			expect(rows.map((row) => row.user)).to.deep.equal(['Doe, Jane', 'bob'])
+			expect(rows[0]).to.include({ couponCode: 'SAY "HI"', correlationId: 'line one\nline two', itemCount: 2 })
+		})
+
+		it('should abort the download when the export fails midway', async () => {
+			controller = new OrderController({
+				exportOrders: async function* () {
+					yield buildOrder()
+					throw new Error('Cursor killed')
+				},
+			})
+			const res = createResponse()
+
+			await controller.exportOrders(request({ format: 'csv' }), res)
+
+			expect(res.destroy.calledOnce).to.be.true
+			expect(res.end.called).to.be.false
+		})
+	})
+})
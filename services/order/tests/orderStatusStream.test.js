@@ -0,0 +1,159 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { expect } = require('chai')
+const sinon = require('sinon')
+const { EventEmitter } = require('events')
+const mongoose = require('mongoose')
+const config = require('../src/config')
+const Order = require('../src/models/order')
+const { OrderStatusStream } = require('../src/services/orderStatusStream')
+const OrderController = require('../src/controllers/orderController')
+
+/**
+ * Redis stand-in with a single stream per key; PUBLISH is delivered to the
+ * stream's own dispatcher as the subscriber connection would
+ */
+function connectFakeRedis(statusStream) {
+	const streams = new Map()
+	let sequence = 0
+	statusStream.subscriber = { isReady: true }
+	statusStream.client = {
+		isReady: true,
+		xAdd: async (key, id, message) => {
+			const entryId = `${Date.now()}-${sequence++}`
+			streams.set(key, [...(streams.get(key) || []), { id: entryId, message }])
+			return entryId
+		},
+		expire: async () => true,
+		publish: async (channel, message) => {
+			statusStream._dispatch(message)
+			return 1
+		},
+		xRange: async (key) => streams.get(key) || [],
+	}
+}
+
+function buildOrder(user, status = 'CONFIRMED') {
+	const order = new Order({
+		user,
+		products: [{ _id: new mongoose.Types.ObjectId(), name: 'Keyboard', price: 50, quantity: 1 }],
+		totalPrice: 50,
+		status,
+		metadata: { correlationId: `corr-${user}` },
+	})
+	order.recordStatusChange({ from: 'PENDING', to: status, event: 'INVENTORY_RESERVED_SUCCESS' })
+	return order
+}
+
+/**
+ * Open an SSE connection; returns the request (emit 'close' to disconnect) and the written events
+ */
+async function connect(controller, userId, { query = {}, headers = {} } = {}) {
+	const req = new EventEmitter()
+	req.headers = { 'x-user-id': userId, ...headers }
+	req.query = query
+
+	const res = { chunks: [] }
+	res.status = sinon.stub().returns(res)
+	res.json = sinon.stub().returns(res)
+	res.writeHead = sinon.stub()
+	res.write = (chunk) => {
+		res.chunks.push(chunk)
+		return true
+	}
+	res.events = () => res.chunks
+		.filter((chunk) => chunk.startsWith('id: '))
+		.map((chunk) => JSON.parse(chunk.split('data: ')[1]))
+
+	await controller.streamOrderStatus(req, res)
+	return { req, res }
+}
+
+describe('GET /api/orders/stream', () => {
+	let statusStream
+	let controller
+	let clock
+
+	beforeEach(() => {
+		clock = sinon.useFakeTimers({ toFake: ['setInterval', 'clearInterval'] })
+		statusStream = new OrderStatusStream()
+		connectFakeRedis(statusStream)
+		controller = new OrderController({}, undefined, statusStream)
+	})
+
+	afterEach(() => {
+		clock.restore()
+		sinon.restore()
+	})
+
+	it('should only send a user the events of their own orders', async () => {
+		const alice = await connect(controller, 'alice')
+		const bob = await connect(controller, 'bob')
+		const order = buildOrder('alice')
+
+		await statusStream.publishChange(order)
+
+		expect(alice.res.writeHead.firstCall.args[0]).to.equal(200)
+		expect(alice.res.events()).to.have.length(1)
+		expect(alice.res.events()[0]).to.include({ orderId: order._id.toString(), status: 'CONFIRMED', from: 'PENDING', correlationId: 'corr-alice' })
+		expect(bob.res.events()).to.deep.equal([])
+	})
+
+	it('should only follow the requested order', async () => {
+		const first = buildOrder('alice')
+		const second = buildOrder('alice', 'CANCELLED')
+		const { res } = await connect(controller, 'alice', { query: { orderId: second._id.toString() } })
+
+		await statusStream.publishChange(first)
+		await statusStream.publishChange(second)
+
+		expect(res.events().map((event) => event.orderId)).to.deep.equal([second._id.toString()])
+	})
+
+	it('should remove the listener and the heartbeat when the client disconnects', async () => {
+		const { req, res } = await connect(controller, 'alice')
+		expect(statusStream.listeners.listenerCount('alice')).to.equal(1)
+
+		req.emit('close')
+		await statusStream.publishChange(buildOrder('alice'))
+		clock.tick(config.orderStatusHeartbeatMs * 3)
+
+		expect(statusStream.listeners.listenerCount('alice')).to.equal(0)
+		expect(res.events()).to.deep.equal([])
+		expect(res.chunks).to.deep.equal([': connected\n\n'])
+	})
+
+	it('should send heartbeats while connected', async () => {
+		const { res } = await connect(controller, 'alice')
+
+		clock.tick(config.orderStatusHeartbeatMs)
+
+		expect(res.chunks.at(-1)).to.equal(': ping\n\n')
+	})
+
+	it('should replay the events missed since Last-Event-ID once', async () => {
+		const first = buildOrder('alice')
+		const lastEventId = await statusStream.publishChange(first)
+		const missed = buildOrder('alice', 'CANCELLED')
+		await statusStream.publishChange(missed)
+
+		const { res } = await connect(controller, 'alice', { headers: { 'last-event-id': lastEventId } })
+
+		expect(res.events().map((event) => event.orderId)).to.deep.equal([missed._id.toString()])
+	})
+
+	it('should refuse connections while the stream is unavailable', async () => {
+		statusStream.subscriber.isReady = false
+
+		const { res } = await connect(controller, 'alice')
+
+		expect(res.status.calledWith(503)).to.be.true
+		expect(statusStream.listeners.listenerCount('alice')).to.equal(0)
+	})
+
+	it('should reject an invalid Last-Event-ID', async () => {
+		const { res } = await connect(controller, 'alice', { headers: { 'last-event-id': 'yesterday' } })
+
+		expect(res.status.calledWith(400)).to.be.true
+		expect(statusStream.listeners.listenerCount('alice')).to.equal(0)
+	})
+})
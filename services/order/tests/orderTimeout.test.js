@@ -0,0 +1,115 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { expect } = require('chai')
+const sinon = require('sinon')
+const mongoose = require('mongoose')
+const Order = require('../src/models/order')
+const orderRepository = require('../src/repositories/orderRepository')
+const OrderService = require('../src/services/orderService')
+
+const MINUTE = 60 * 1000
+
+/**
+ * Order document as loaded by the repository (not persisted)
+ */
+function buildOrder({ status = 'PENDING', createdAt, statusChangedAt, reserved = false } = {}) {
+	return new Order({
+		user: 'alice',
+		products: [
+			{ _id: new mongoose.Types.ObjectId(), name: 'Keyboard', price: 50, quantity: 2, reserved },
+			{ _id: new mongoose.Types.ObjectId(), name: 'Mouse', price: 20, quantity: 1, reserved },
+		],
+		totalPrice: 120,
+		currency: 'USD',
+		status,
+		createdAt,
+		statusChangedAt,
+	})
+}
+
+describe('Order timeout', () => {
+	let orderService
+	let outboxManager
+	let order
+
+	beforeEach(() => {
+		// Transactions run the callback once, without MongoDB
+		sinon.stub(mongoose, 'startSession').resolves({
+			withTransaction: async (fn) => fn(),
+			endSession: () => {},
+		})
+		sinon.stub(orderRepository, 'findById').callsFake(async () => order)
+		sinon.stub(orderRepository, 'save').callsFake(async (document) => document)
+
+		outboxManager = { createEvent: sinon.stub().resolves() }
+		orderService = new OrderService(outboxManager, { releaseRedemption: sinon.stub().resolves() })
+	})
+
+	afterEach(() => {
+		sinon.restore()
+	})
+
+	const eventsOf = (eventType) =>
+		outboxManager.createEvent.getCalls()
+			.map((call) => call.args[0])
+			.filter((event) => event.eventType === eventType)
+
+	it('should cancel a PENDING order past its deadline', async () => {
+		order = buildOrder({ createdAt: new Date(Date.now() - 10 * MINUTE) })
+
+		const expired = await orderService.expireOrder(order._id.toString(), 'PENDING', new Date(Date.now() - 5 * MINUTE))
+
+		expect(expired).to.be.true
+		expect(order.status).to.equal('CANCELLED')
+		expect(order.statusHistory.at(-1)).to.include({ from: 'PENDING', to: 'CANCELLED', event: 'ORDER_TIMEOUT' })
+		expect(eventsOf('ORDER_CANCELLED')).to.have.length(1)
+		expect(eventsOf('ORDER_CANCELLED')[0].payload.products).to.deep.equal([])
+	})
+
+	it('should release stock that inventory reserves after a PENDING order expired', async () => {
+		order = buildOrder({ createdAt: new Date(Date.now() - 10 * MINUTE) })
+		await orderService.expireOrder(order._id.toString(), 'PENDING', new Date(Date.now() - 5 * MINUTE))
+		outboxManager.createEvent.resetHistory()
+
+		const reservedLines = order.products.map((product) => ({ productId: product._id.toString(), quantity: product.quantity }))
+		await orderService.handleInventoryReserved({ orderId: order._id.toString(), products: reservedLines }, 'corr-1', 'event-1')
+
+		const [release] = eventsOf('ORDER_CANCELLED')
+		expect(outboxManager.createEvent.callCount).to.equal(1)
+		expect(release.routingKey).to.equal('order.cancelled')
+		expect(release.payload.products).to.deep.equal(reservedLines)
+		expect(order.status).to.equal('CANCELLED')
+	})
+
+	it('should not release twice when the cancellation already released the reserved stock', async () => {
+		order = buildOrder({ status: 'CANCELLED', reserved: true, createdAt: new Date(Date.now() - 10 * MINUTE) })
+
+		await orderService.handleInventoryReserved({ orderId: order._id.toString(), products: [] }, 'corr-1', 'event-1')
+
+		expect(outboxManager.createEvent.called).to.be.false
+	})
+
+	it('should count the CONFIRMED deadline from when the order was confirmed', async () => {
+		order = buildOrder({
+			status: 'CONFIRMED',
+			reserved: true,
+			createdAt: new Date(Date.now() - 20 * MINUTE),
+			statusChangedAt: new Date(Date.now() - MINUTE),
+		})
+
+		const expired = await orderService.expireOrder(order._id.toString(), 'CONFIRMED', new Date(Date.now() - 15 * MINUTE))
+
+		expect(expired).to.be.false
+		expect(order.status).to.equal('CONFIRMED')
+		expect(outboxManager.createEvent.called).to.be.false
+	})
+
+	it('should record when the order entered its status', () => {
+		order = buildOrder({ createdAt: new Date(Date.now() - 10 * MINUTE) })
+
+		order.status = 'CONFIRMED'
+		order.recordStatusChange({ from: 'PENDING', to: 'CONFIRMED', event: 'INVENTORY_RESERVED' })
+
+		expect(order.statusChangedAt).to.be.an.instanceOf(Date)
+		expect(order.statusChangedAt.getTime()).to.equal(order.statusHistory.at(-1).timestamp.getTime())
+	})
+})
@@ -0,0 +1,42 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { expect } = require('chai')
+const sinon = require('sinon')
+const { productClient, getProductsByIds } = require('../src/clients/productClient')
+
+const hexId = (n) => n.toString(16).padStart(24, '0')
+
+describe('Product client', () => {
+	beforeEach(() => {
+		// Product Service answers like POST /api/products/batch: known IDs are even
+		sinon.stub(productClient, 'post').callsFake(async (path, { ids }) => ({
+			products: ids.filter((id) => parseInt(id, 16) % 2 === 0).map((id) => ({ _id: id, name: `Product ${id}` })),
+			missing: ids.filter((id) => parseInt(id, 16) % 2 === 1),
+		}))
+	})
+
+	afterEach(() => {
+		sinon.restore()
+	})
+
+	it('should look up more than 100 IDs in batches of at most 100', async () => {
+		const ids = Array.from({ length: 250 }, (_, i) => hexId(i))
+
+		const { products, missing } = await getProductsByIds(ids, 'Bearer token')
+
+		const batches = productClient.post.getCalls().map((call) => call.args[1].ids)
+		expect(batches.map((batch) => batch.length)).to.deep.equal([100, 100, 50])
+		expect(batches.flat()).to.deep.equal(ids)
+		expect(products).to.have.length(125)
+		expect(missing).to.have.length(125)
+		expect(productClient.post.firstCall.args[2]).to.deep.equal({ headers: { Authorization: 'Bearer token' } })
+	})
+
+	it('should send lower-cased, deduplicated IDs', async () => {
+		const id = 'ABCDEF0123456789ABCDEF00'
+
+		const { products } = await getProductsByIds([id, id.toLowerCase()], 'Bearer token')
+
+		expect(productClient.post.firstCall.args[1]).to.deep.equal({ ids: [id.toLowerCase()] })
+		expect(products.map((product) => product._id)).to.deep.equal([id.toLowerCase()])
+	})
+})
@@ -0,0 +1,157 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { expect } = require('chai')
+const sinon = require('sinon')
+const couponRepository = require('../src/repositories/couponRepository')
+const PromotionService = require('../src/services/promotionService')
+const { ExchangeRateService } = require('../src/services/exchangeRateService')
+
+const DAY = 24 * 3600 * 1000
+
+// 1 USD = 0.5 EUR keeps the converted amounts exact
+const rates = new ExchangeRateService({
+	name: 'test',
+	getRates: async () => ({ base: 'USD', rates: { USD: 1, EUR: 0.5, VND: 25000 } }),
+})
+
+function buildCoupon(fields = {}) {
+	return {
+		code: 'SAVE10',
+		type: 'percentage',
+		value: 10,
+		currency: 'USD',
+		active: true,
+		startsAt: null,
+		expiresAt: null,
+		minOrderValue: 0,
+		maxDiscount: null,
+		productIds: [],
+		usageLimit: null,
+		redeemedCount: 0,
+		perUserLimit: null,
+		...fields,
+	}
+}
+
+const lines = [
+	{ productId: 'p1', price: 40, quantity: 2 },
+	{ productId: 'p2', price: 20, quantity: 1 },
+]
+
+describe('PromotionService.calculateDiscount', () => {
+	let promotionService
+	let coupon
+
+	beforeEach(() => {
+		promotionService = new PromotionService(rates)
+		coupon = buildCoupon()
+		sinon.stub(couponRepository, 'findByCode').callsFake(async () => coupon)
+		sinon.stub(couponRepository, 'countUserRedemptions').resolves(0)
+	})
+
+	afterEach(() => {
+		sinon.restore()
+	})
+
+	/**
+	 * Error code of a refused coupon
+	 */
+	async function refusal(code = 'SAVE10', orderLines = lines, currency = 'USD') {
+		try {
+			await promotionService.calculateDiscount(code, 'alice', orderLines, currency)
+		} catch (error) {
+			return error.code
+		}
+		throw new Error('Expected the coupon to be refused')
+	}
+
+	it('should take a percentage of the order subtotal', async () => {
+		const discount = await promotionService.calculateDiscount(' save10 ', 'alice', lines, 'USD')
+
+		expect(couponRepository.findByCode.firstCall.args[0]).to.equal('SAVE10')
+		expect(discount).to.deep.equal({ code: 'SAVE10', type: 'percentage', value: 10, amount: 10, productIds: [] })
+	})
+
+	it('should cap a percentage at maxDiscount', async () => {
+		coupon = buildCoupon({ value: 50, maxDiscount: 15 })
+
+		const discount = await promotionService.calculateDiscount('SAVE10', 'alice', lines, 'USD')
+
+		expect(discount.amount).to.equal(15)
+	})
+
+	it('should only discount the products a coupon applies to', async () => {
+		coupon = buildCoupon({ value: 25, productIds: ['p2'] })
+
+		const discount = await promotionService.calculateDiscount('SAVE10', 'alice', lines, 'USD')
+
+		expect(discount.amount).to.equal(5)
+		expect(discount.productIds).to.deep.equal(['p2'])
+	})
+
+	it('should not discount more than the eligible lines', async () => {
+		coupon = buildCoupon({ type: 'fixed', value: 50, productIds: ['p2'] })
+
+		const discount = await promotionService.calculateDiscount('SAVE10', 'alice', lines, 'USD')
+
+		expect(discount.amount).to.equal(20)
+	})
+
+	it('should convert fixed amounts to the order currency', async () => {
+		coupon = buildCoupon({ type: 'fixed', value: 10 })
+
+		const eur = await promotionService.calculateDiscount('SAVE10', 'alice', lines, 'EUR')
+		const vnd = await promotionService.calculateDiscount('SAVE10', 'alice', [{ productId: 'p1', price: 2500000, quantity: 1 }], 'VND')
+
+		expect(eur.amount).to.equal(5)
+		expect(vnd.amount).to.equal(250000)
+	})
+
+	it('should round the discount to the order currency', async () => {
+		coupon = buildCoupon({ value: 15 })
+
+		const usd = await promotionService.calculateDiscount('SAVE10', 'alice', [{ productId: 'p1', price: 9.99, quantity: 1 }], 'USD')
+		const vnd = await promotionService.calculateDiscount('SAVE10', 'alice', [{ productId: 'p1', price: 99999, quantity: 1 }], 'VND')
+
+		expect(usd.amount).to.equal(1.5)
+		expect(vnd.amount).to.equal(15000)
+	})
+
+	it('should check the minimum order value in the coupon currency', async () => {
+		// The lines add up to 100 EUR, worth 200 USD
+		coupon = buildCoupon({ minOrderValue: 200 })
+		expect((await promotionService.calculateDiscount('SAVE10', 'alice', lines, 'EUR')).amount).to.equal(10)
+
+		coupon = buildCoupon({ minOrderValue: 200.01 })
+		expect(await refusal('SAVE10', lines, 'EUR')).to.equal('COUPON_NOT_APPLICABLE')
+	})
+
+	it('should refuse unknown, inactive, not yet valid and expired coupons', async () => {
+		coupon = null
+		expect(await refusal()).to.equal('COUPON_NOT_FOUND')
+
+		coupon = buildCoupon({ active: false })
+		expect(await refusal()).to.equal('COUPON_INACTIVE')
+
+		coupon = buildCoupon({ startsAt: new Date(Date.now() + DAY) })
+		expect(await refusal()).to.equal('COUPON_INACTIVE')
+
+		coupon = buildCoupon({ expiresAt: new Date(Date.now() - DAY) })
+		expect(await refusal()).to.equal('COUPON_INACTIVE')
+	})
+
+	it('should refuse coupons for other products', async () => {
+		coupon = buildCoupon({ productIds: ['p3'] })
+
+		expect(await refusal()).to.equal('COUPON_NOT_APPLICABLE')
+	})
+
+	it('should refuse coupons past their usage limits', async () => {
+		coupon = buildCoupon({ usageLimit: 100, redeemedCount: 100 })
+		expect(await refusal()).to.equal('COUPON_LIMIT_REACHED')
+
+		coupon = buildCoupon({ perUserLimit: 1 })
+		couponRepository.countUserRedemptions.resolves(1)
+		expect(await refusal()).to.equal('COUPON_LIMIT_REACHED')
+		expect(couponRepository.countUserRedemptions.lastCall.args.slice(0, 2)).to.deep.equal(['SAVE10', 'alice'])
+	})
+})
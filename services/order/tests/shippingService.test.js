@@ -0,0 +1,106 @@
+const { describe, it, before, after } = require('mocha')
+const { expect } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const ShippingService = require('../src/services/shippingService')
+const { ExchangeRateService } = require('../src/services/exchangeRateService')
+
+const RATES = {
+	currency: 'USD',
+	methods: {
+		standard: { type: 'weight', baseFee: 2.5, perKg: 1, freeOver: 50 },
+		express: { type: 'weight', baseFee: 8, perKg: 2.5 },
+		'vn-flat': { type: 'flat', currency: 'VND', fee: 30000, freeOver: 500000, countries: ['VN'] },
+		pickup: { type: 'flat', fee: 0 },
+	},
+}
+
+const exchangeRates = new ExchangeRateService({
+	name: 'test',
+	getRates: async () => ({ base: 'USD', rates: { USD: 1, EUR: 0.5, VND: 25000 } }),
+})
+
+describe('ShippingService.quote', () => {
+	let tmpDir
+	let shippingService
+
+	before(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-shipping-'))
+		const ratesFile = path.join(tmpDir, 'shipping-rates.json')
+		fs.writeFileSync(ratesFile, JSON.stringify(RATES))
+		shippingService = new ShippingService(exchangeRates, ratesFile)
+	})
+
+	after(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true })
+	})
+
+	const vn = { country: 'VN', city: 'Hanoi' }
+
+	/**
+	 * Error code of a refused quote
+	 */
+	async function refusal(method, params) {
+		try {
+			await shippingService.quote(method, params)
+		} catch (error) {
+			return error.code
+		}
+		throw new Error('Expected the quote to be refused')
+	}
+
+	it('should bill weight methods per started kg', async () => {
+		const quote = await shippingService.quote('express', {
+			address: vn,
+			lines: [{ quantity: 2, weight: 0.6 }, { quantity: 1, weight: 0.5 }],
+			itemsTotal: 100,
+			currency: 'USD',
+		})
+
+		// 1.7 kg → 2 kg
+		expect(quote).to.deep.equal({ method: 'express', cost: 13 })
+	})
+
+	it('should count lines without a weight as weightless', async () => {
+		const quote = await shippingService.quote('express', { address: vn, lines: [{ quantity: 3 }], itemsTotal: 10, currency: 'USD' })
+
+		expect(quote.cost).to.equal(8)
+	})
+
+	it('should use the default method when none is given', async () => {
+		const quote = await shippingService.quote(undefined, { address: vn, lines: [{ quantity: 1, weight: 1 }], itemsTotal: 10, currency: 'USD' })
+
+		expect(quote).to.deep.equal({ method: 'standard', cost: 3.5 })
+	})
+
+	it('should ship for free from the freeOver items total', async () => {
+		const lines = [{ quantity: 1, weight: 1 }]
+
+		expect((await shippingService.quote('standard', { address: vn, lines, itemsTotal: 50, currency: 'USD' })).cost).to.equal(0)
+		expect((await shippingService.quote('standard', { address: vn, lines, itemsTotal: 49.99, currency: 'USD' })).cost).to.equal(3.5)
+	})
+
+	it('should convert fees and thresholds to the order currency', async () => {
+		const lines = [{ quantity: 1, weight: 1 }]
+
+		expect((await shippingService.quote('standard', { address: vn, lines, itemsTotal: 10, currency: 'EUR' })).cost).to.equal(1.75)
+		// 50 USD is worth 25 EUR
+		expect((await shippingService.quote('standard', { address: vn, lines, itemsTotal: 25, currency: 'EUR' })).cost).to.equal(0)
+		expect((await shippingService.quote('vn-flat', { address: vn, lines, itemsTotal: 10, currency: 'USD' })).cost).to.equal(1.2)
+		expect((await shippingService.quote('vn-flat', { address: vn, lines, itemsTotal: 499999, currency: 'VND' })).cost).to.equal(30000)
+		expect((await shippingService.quote('vn-flat', { address: vn, lines, itemsTotal: 500000, currency: 'VND' })).cost).to.equal(0)
+	})
+
+	it('should refuse unknown methods', async () => {
+		expect(await refusal('drone', { address: vn, lines: [], itemsTotal: 10, currency: 'USD' })).to.equal('SHIPPING_METHOD_UNAVAILABLE')
+	})
+
+	it('should refuse methods that do not serve the destination', async () => {
+		const params = { lines: [{ quantity: 1 }], itemsTotal: 10, currency: 'USD' }
+
+		expect(await refusal('vn-flat', { ...params, address: { country: 'US' } })).to.equal('SHIPPING_METHOD_UNAVAILABLE')
+		expect(await refusal('vn-flat', params)).to.equal('SHIPPING_METHOD_UNAVAILABLE')
+		expect((await shippingService.quote('vn-flat', { ...params, address: { country: 'vn' } })).cost).to.equal(1.2)
+	})
+})
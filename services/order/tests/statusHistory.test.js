@@ -0,0 +1,134 @@
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { expect } = require('chai')
+const sinon = require('sinon')
+const mongoose = require('mongoose')
+const Order = require('../src/models/order')
+const orderRepository = require('../src/repositories/orderRepository')
+const OrderService = require('../src/services/orderService')
+const OrderController = require('../src/controllers/orderController')
+
+function createResponse() {
+	const res = {}
+	res.status = sinon.stub().returns(res)
+	res.json = sinon.stub().returns(res)
+	return res
+}
+
+describe('Order status history', () => {
+	afterEach(() => {
+		sinon.restore()
+	})
+
+	describe('OrderService transitions', () => {
+		let orderService
+		let order
+
+		beforeEach(() => {
+			// Transactions run the callback once, without MongoDB
+			sinon.stub(mongoose, 'startSession').resolves({
+				withTransaction: async (fn) => fn(),
+				endSession: () => {},
+			})
+			sinon.stub(orderRepository, 'findById').callsFake(async () => order)
+			sinon.stub(orderRepository, 'save').callsFake(async (document) => document)
+
+			orderService = new OrderService({ createEvent: sinon.stub().resolves() }, { releaseRedemption: sinon.stub().resolves() })
+			order = new Order({
+				user: 'alice',
+				products: [{ _id: new mongoose.Types.ObjectId(), name: 'Keyboard', price: 60, quantity: 2 }],
+				totalPrice: 120,
+				currency: 'USD',
+				status: 'PENDING',
+				metadata: { correlationId: 'corr-1' },
+			})
+		})
+
+		it('should append an entry for every transition', async () => {
+			const orderId = order._id.toString()
+
+			await orderService.handleInventoryReserved({ orderId, products: [] }, 'corr-1', 'event-1')
+			await orderService.handlePaymentSucceeded({ orderId, amount: 120, currency: 'USD' }, 'corr-1', 'event-2')
+			await orderService.shipOrder(orderId, { carrier: 'DHL', trackingNumber: 'TRACK-1' }, 'admin-1')
+
+			const history = order.statusHistory.map(({ from, to, event, eventId, correlationId, actor }) => ({ from, to, event, eventId, correlationId, actor }))
+			expect(history).to.deep.equal([
+				{ from: 'PENDING', to: 'CONFIRMED', event: 'INVENTORY_RESERVED_SUCCESS', eventId: 'event-1', correlationId: 'corr-1', actor: 'system' },
+				{ from: 'CONFIRMED', to: 'PAID', event: 'PAYMENT_SUCCEEDED', eventId: 'event-2', correlationId: 'corr-1', actor: 'system' },
+				{ from: 'PAID', to: 'SHIPPED', event: 'ADMIN_SHIP', eventId: undefined, correlationId: 'corr-1', actor: 'admin:admin-1' },
+			])
+			expect(order.statusHistory.every(({ timestamp }) => timestamp instanceof Date)).to.be.true
+			expect(order.statusChangedAt).to.equal(order.statusHistory.at(-1).timestamp)
+		})
+
+		it('should not append an entry for a redelivered event', async () => {
+			const orderId = order._id.toString()
+			await orderService.handleInventoryReserved({ orderId, products: [] }, 'corr-1', 'event-1')
+			await orderService.handlePaymentSucceeded({ orderId, amount: 120, currency: 'USD' }, 'corr-1', 'event-2')
+
+			await orderService.handlePaymentSucceeded({ orderId, amount: 120, currency: 'USD' }, 'corr-1', 'event-2')
+
+			expect(order.statusHistory).to.have.length(2)
+		})
+
+		it('should return the timeline with the order owner', async () => {
+			order.recordStatusChange({ from: null, to: 'PENDING', event: 'ORDER_CREATED', correlationId: 'corr-1', actor: 'user:alice' })
+			sinon.stub(orderService, 'getOrderById').resolves(order)
+
+			const timeline = await orderService.getStatusHistory(order._id.toString())
+
+			expect(timeline).to.include({ user: 'alice', status: 'PENDING' })
+			expect(timeline.history).to.have.length(1)
+			expect(await orderService.getStatusHistory('not-an-id')).to.be.null
+		})
+	})
+
+	describe('OrderController.getOrderHistory', () => {
+		let orderService
+		let controller
+		const timeline = { orderId: 'order-1', user: 'alice', status: 'PENDING', history: [{ from: null, to: 'PENDING', event: 'ORDER_CREATED' }] }
+
+		const request = (headers) => ({ headers, params: { id: 'order-1' } })
+
+		beforeEach(() => {
+			orderService = { getStatusHistory: sinon.stub().resolves(timeline) }
+			controller = new OrderController(orderService)
+		})
+
+		it('should return the timeline to the order owner', async () => {
+			const res = createResponse()
+
+			await controller.getOrderHistory(request({ 'x-user-id': 'alice' }), res)
+
+			expect(res.status.calledWith(200)).to.be.true
+			expect(res.json.firstCall.args[0]).to.equal(timeline)
+		})
+
+		it('should reject other users', async () => {
+			const res = createResponse()
+
+			await controller.getOrderHistory(request({ 'x-user-id': 'bob' }), res)
+
+			expect(res.status.calledWith(403)).to.be.true
+			expect(res.json.firstCall.args[0]).to.deep.equal({ message: 'Forbidden' })
+		})
+
+		it('should let admins read any timeline', async () => {
+			const res = createResponse()
+
+			await controller.getOrderHistory(request({ 'x-user-id': 'admin-1', 'x-user-role': 'admin' }), res)
+
+			expect(res.status.calledWith(200)).to.be.true
+		})
+
+		it('should answer 401 without a user and 404 for unknown orders', async () => {
+			const anonymous = createResponse()
+			await controller.getOrderHistory(request({}), anonymous)
+			expect(anonymous.status.calledWith(401)).to.be.true
+
+			orderService.getStatusHistory.resolves(null)
+			const missing = createResponse()
+			await controller.getOrderHistory(request({ 'x-user-id': 'alice' }), missing)
+			expect(missing.status.calledWith(404)).to.be.true
+		})
+	})
+})
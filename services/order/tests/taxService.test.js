@@ -0,0 +1,151 @@
+const { describe, it, before, after } = require('mocha')
+const { expect } = require('chai')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const TaxService = require('../src/services/taxService')
+
+const RULES = [
+	{ country: 'VN', rate: 0.1 },
+	{ country: 'VN', category: 'books', rate: 0.05 },
+	{ country: 'US', region: 'CA', rate: 0.0725 },
+	{ category: 'books', rate: 0.02 },
+	{ country: 'DE', rate: 0.19 },
+	{ country: 'DE', rate: 0.07 },
+]
+
+describe('TaxService', () => {
+	let tmpDir
+	let taxService
+
+	before(() => {
+		tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'order-tax-'))
+		const rulesFile = path.join(tmpDir, 'tax-rules.json')
+		fs.writeFileSync(rulesFile, JSON.stringify({ rules: RULES }))
+		taxService = new TaxService(rulesFile)
+	})
+
+	after(() => {
+		fs.rmSync(tmpDir, { recursive: true, force: true })
+	})
+
+	describe('rateFor', () => {
+		it('should pick the most specific matching rule', async () => {
+			expect(await taxService.rateFor({ country: 'VN' }, 'electronics')).to.equal(0.1)
+			expect(await taxService.rateFor({ country: 'vn' }, 'Books')).to.equal(0.05)
+			expect(await taxService.rateFor({ country: 'US', region: 'CA' }, 'toys')).to.equal(0.0725)
+			// A category rule beats a region rule
+			expect(await taxService.rateFor({ country: 'US', region: 'CA' }, 'books')).to.equal(0.02)
+		})
+
+		it('should keep the first rule on a tie', async () => {
+			expect(await taxService.rateFor({ country: 'DE' }, 'toys')).to.equal(0.19)
+		})
+
+		it('should not tax addresses without a matching rule', async () => {
+			expect(await taxService.rateFor({ country: 'US', region: 'NY' }, 'toys')).to.equal(0)
+			expect(await taxService.rateFor(undefined, 'toys')).to.equal(0)
+		})
+	})
+
+	describe('_allocateDiscounts', () => {
+		const lines = [
+			{ productId: 'p1', price: 10, quantity: 1 },
+			{ productId: 'p2', price: 10, quantity: 1 },
+			{ productId: 'p3', price: 10, quantity: 1 },
+		]
+
+		it('should spread an order discount in proportion to the line amounts', () => {
+			const shares = taxService._allocateDiscounts(
+				[{ productId: 'p1', price: 30, quantity: 2 }, { productId: 'p2', price: 40, quantity: 1 }],
+				[{ amount: 10, productIds: [] }],
+				'USD'
+			)
+
+			expect(shares).to.deep.equal([6, 4])
+		})
+
+		it('should let the last line absorb the rounding', () => {
+			const shares = taxService._allocateDiscounts(lines, [{ amount: 10, productIds: [] }], 'USD')
+
+			expect(shares.slice(0, 2)).to.deep.equal([3.33, 3.33])
+			expect(shares[2]).to.be.closeTo(3.34, 1e-9)
+			expect(shares.reduce((total, share) => total + share, 0)).to.be.closeTo(10, 1e-9)
+		})
+
+		it('should only spread a discount over the lines it applies to', () => {
+			const shares = taxService._allocateDiscounts(lines, [{ amount: 4, productIds: ['p1', 'p3'] }], 'USD')
+
+			expect(shares).to.deep.equal([2, 0, 2])
+		})
+
+		it('should add up several discounts', () => {
+			const shares = taxService._allocateDiscounts(
+				lines,
+				[{ amount: 3, productIds: [] }, { amount: 5, productIds: ['p2'] }],
+				'USD'
+			)
+
+			expect(shares).to.deep.equal([1, 6, 1])
+		})
+
+		it('should skip discounts that apply to none of the lines', () => {
+			expect(taxService._allocateDiscounts(lines, [{ amount: 5, productIds: ['p9'] }], 'USD')).to.deep.equal([0, 0, 0])
+		})
+	})
+
+	describe('calculateTax', () => {
+		it('should tax each line after its share of the discounts', async () => {
+			const lines = [
+				{ productId: 'p1', price: 100, quantity: 2, category: 'electronics' },
+				{ productId: 'p2', price: 50, quantity: 2, category: 'books' },
+			]
+
+			const tax = await taxService.calculateTax(lines, { country: 'VN' }, [{ amount: 30, productIds: [] }], 'USD')
+
+			// Discount shares: 20 and 10
+			expect(tax.lines).to.deep.equal([
+				{ taxRate: 0.1, taxAmount: 18 },
+				{ taxRate: 0.05, taxAmount: 4.5 },
+			])
+			expect(tax.taxTotal).to.equal(22.5)
+		})
+
+		it('should round line taxes to the order currency', async () => {
+			const tax = await taxService.calculateTax(
+				[{ productId: 'p1', price: 99999, quantity: 1, category: 'toys' }],
+				{ country: 'US', region: 'CA' },
+				[],
+				'VND'
+			)
+
+			expect(tax.lines[0]).to.deep.equal({ taxRate: 0.0725, taxAmount: 7250 })
+			expect(tax.taxTotal).to.equal(7250)
+		})
+
+		it('should not tax a line below zero', async () => {
+			const tax = await taxService.calculateTax(
+				[{ productId: 'p1', price: 10, quantity: 1, category: 'toys' }],
+				{ country: 'VN' },
+				[{ amount: 15, productIds: [] }],
+				'USD'
+			)
+
+			expect(tax.lines[0].taxAmount).to.equal(0)
+		})
+	})
+
+	it('should reject a rule table with an invalid rate', async () => {
+		const invalidFile = path.join(tmpDir, 'invalid.json')
+		fs.writeFileSync(invalidFile, JSON.stringify({ rules: [{ country: 'VN', rate: 10 }] }))
+
+		let error
+		try {
+			await new TaxService(invalidFile).rateFor({ country: 'VN' })
+		} catch (err) {
+			error = err
+		}
+
+		expect(error.message).to.include('Invalid tax rate in rule 0')
+	})
+})
@@ -1,5 +1,15 @@
 // Quick test to verify OrderStateMachine works correctly
-const { createOrderStateMachine } = require('./src/services/orderStateMachine')
+// Run: node tests/test-state-machine.js
+const assert = require('assert')
+const { createOrderStateMachine, canTransition } = require('../src/services/orderStateMachine')
+
+/**
+ * Run a transition that must be rejected
+ */
+function expectInvalid(fsm, transition) {
+	assert.strictEqual(fsm.can(transition), false, `${transition} should not be allowed from ${fsm.getState()}`)
+	assert.throws(() => fsm[transition](), /Cannot/)
+}
 
 console.log('Testing OrderStateMachine...\n')
 
@@ -55,14 +65,70 @@ try {
 		console.log('  ✅ PASS\n')
 	}
 
-	// Test 6: Cannot transition from final state
-	console.log('Test 6: Cannot transition from final state PAID')
+	// Test 6: PAID ends the checkout saga, only fulfilment and refund transitions remain
+	console.log('Test 6: PAID ends the checkout saga')
 	const fsm6 = createOrderStateMachine('PAID')
 	console.log('  Initial state:', fsm6.getState())
 	console.log('  Is final state?', fsm6.isFinalState())
 	console.log('  Can confirm?', fsm6.can('confirm'))
 	console.log('  Can pay?', fsm6.can('pay'))
 	console.log('  Can cancel?', fsm6.can('cancel'))
+	console.log('  Can ship?', fsm6.can('ship'))
+	console.log('  Can refund?', fsm6.can('refund'))
+	assert.strictEqual(fsm6.isFinalState(), true)
+	expectInvalid(fsm6, 'confirm')
+	expectInvalid(fsm6, 'cancel')
+	assert.strictEqual(fsm6.can('ship'), true)
+	assert.strictEqual(fsm6.can('refund'), true)
+	console.log('  ✅ PASS\n')
+
+	// Test 7: PAID → SHIPPED → DELIVERED → RETURNED → REFUNDED
+	console.log('Test 7: PAID → SHIPPED → DELIVERED → RETURNED → REFUNDED')
+	const fsm7 = createOrderStateMachine('PAID')
+	for (const [transition, state] of [['ship', 'SHIPPED'], ['deliver', 'DELIVERED'], ['requestReturn', 'RETURNED'], ['refund', 'REFUNDED']]) {
+		assert.strictEqual(fsm7[transition](), state)
+		console.log(`  After ${transition}:`, fsm7.getState())
+		// Repeating a transition is idempotent (admin retries, redelivered events)
+		assert.strictEqual(fsm7[transition](), state)
+	}
+	console.log('  ✅ PASS\n')
+
+	// Test 8: PAID → REFUNDED (refund before shipping)
+	console.log('Test 8: PAID → REFUNDED (refund before shipping)')
+	const fsm8 = createOrderStateMachine('PAID')
+	fsm8.refund()
+	console.log('  After refund:', fsm8.getState())
+	assert.strictEqual(fsm8.getState(), 'REFUNDED')
+	console.log('  ✅ PASS\n')
+
+	// Test 9: Invalid fulfilment transitions (should fail)
+	console.log('Test 9: Invalid fulfilment transitions (should fail)')
+	expectInvalid(createOrderStateMachine('CONFIRMED'), 'ship')
+	expectInvalid(createOrderStateMachine('PAID'), 'deliver')
+	expectInvalid(createOrderStateMachine('PAID'), 'requestReturn')
+	expectInvalid(createOrderStateMachine('SHIPPED'), 'refund')
+	expectInvalid(createOrderStateMachine('DELIVERED'), 'refund')
+	expectInvalid(createOrderStateMachine('SHIPPED'), 'cancel')
+	console.log('  Ship before payment, deliver/return before shipping, refund of goods not returned rejected')
+	console.log('  ✅ PASS\n')
+
+	// Test 10: REFUNDED is final
+	console.log('Test 10: Cannot transition from final state REFUNDED')
+	const fsm10 = createOrderStateMachine('REFUNDED')
+	for (const transition of ['confirm', 'pay', 'cancel', 'ship', 'deliver', 'requestReturn']) {
+		expectInvalid(fsm10, transition)
+	}
+	console.log('  Is final state?', fsm10.isFinalState())
+	console.log('  ✅ PASS\n')
+
+	// Test 11: canTransition maps target statuses to transitions
+	console.log('Test 11: canTransition')
+	assert.strictEqual(canTransition({ status: 'PAID' }, 'SHIPPED'), true)
+	assert.strictEqual(canTransition({ status: 'SHIPPED' }, 'DELIVERED'), true)
+	assert.strictEqual(canTransition({ status: 'DELIVERED' }, 'RETURNED'), true)
+	assert.strictEqual(canTransition({ status: 'RETURNED' }, 'REFUNDED'), true)
+	assert.strictEqual(canTransition({ status: 'SHIPPED' }, 'REFUNDED'), false)
+	assert.strictEqual(canTransition({ status: 'PAID' }, 'UNKNOWN'), false)
 	console.log('  ✅ PASS\n')
 
 	console.log('✅ All tests passed!')
@@ -0,0 +1,27 @@
+/**
+ * Local payment gateway stub
+ * Serves the scripted gateway over HTTP for PAYMENT_GATEWAY=http.
+ *
+ * Usage:
+ *   node scripts/gateway-stub.js
+ *
+ * Port: PAYMENT_GATEWAY_STUB_PORT (default 4010)
+ * Decline rules: PAYMENT_GATEWAY_RULES_FILE (default data/gateway-rules.json)
+ * Transactions are kept in memory and lost when the stub stops.
+ */
+const logger = require('@ecommerce/logger')
+const config = require('../src/config')
+const ScriptedGateway = require('../src/gateways/scriptedGateway')
+const { createGatewayStubApp } = require('../src/gateways/gatewayStub')
+
+const gateway = ScriptedGateway.fromFile(config.gateway.rulesFile, { defaultCurrency: config.defaultCurrency })
+
+const server = createGatewayStubApp(gateway).listen(config.gateway.stubPort, () => {
+	logger.info({ port: config.gateway.stubPort, rulesFile: config.gateway.rulesFile }, '✓ [GatewayStub] Listening')
+})
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+	process.on(signal, () => {
+		server.close(() => process.exit(0))
+	})
+}
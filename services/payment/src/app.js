@@ -4,12 +4,18 @@ const logger = require('@ecommerce/logger')
 const { metricsMiddleware, metricsHandler } = require('@ecommerce/metrics')
 const config = require('./config')
 const createHealthRouter = require('./routes/healthRoutes')
+const createPaymentRouter = require('./routes/paymentRoutes')
+const PaymentController = require('./controllers/paymentController')
 const PaymentProcessor = require('./services/paymentProcessor')
+const { createPaymentGateway } = require('./gateways')
 const IdempotencyService = require('./services/idempotencyService')
 const PaymentService = require('./services/paymentService')
 const {
 	registerOrderConfirmedConsumer,
 } = require('./consumers/orderConfirmedConsumer')
+const {
+	registerOrderRefundedConsumer,
+} = require('./consumers/orderRefundedConsumer')
 
 let OutboxManager
 
@@ -20,7 +26,8 @@ class App {
 		this.broker = null
 		this.outboxManager = null
 		this.paymentProcessor = new PaymentProcessor({
-			successRate: config.payment.successRate,
+			gateway: createPaymentGateway(),
+			defaultCurrency: config.defaultCurrency,
 		})
 		this.idempotencyService = new IdempotencyService(config.redisUrl)
 		this.paymentService = null
@@ -50,6 +57,9 @@ class App {
 			logger.error({ error: error.message }, 'Failed to initialize Outbox')
 			throw error
 		}
+
+		// Initialize PaymentService with OutboxManager (used by consumers and HTTP API)
+		this.paymentService = new PaymentService(this.outboxManager, this.paymentProcessor)
 	}
 
 	setMiddlewares() {
@@ -65,6 +75,11 @@ class App {
 		this.app.get('/metrics', metricsHandler)
 
 		this.app.use('/health', createHealthRouter())
+
+		// HTTP API (API Gateway forwards /payments/* as /api/payments/*)
+		this.app.use('/api/payments/health', createHealthRouter())
+		this.app.use('/api/payments', createPaymentRouter(new PaymentController(this.paymentService)))
+
 		this.app.get('/', (_req, res) => {
 			res.json({ service: 'payment', status: 'ok' })
 		})
@@ -77,9 +92,6 @@ class App {
 		// Initialize idempotency service
 		await this.idempotencyService.connect()
 
-		// Initialize PaymentService with OutboxManager
-		this.paymentService = new PaymentService(this.outboxManager)
-
 		// Register ORDER_CONFIRMED consumer
 		await registerOrderConfirmedConsumer({
 			broker: this.broker,
@@ -88,14 +100,19 @@ class App {
 			idempotencyService: this.idempotencyService,
 			paymentService: this.paymentService,
 		})
+
+		// Register ORDER_REFUNDED consumer
+		await registerOrderRefundedConsumer({
+			broker: this.broker,
+			paymentService: this.paymentService,
+		})
 	}
 
 	async start() {
 		await this.connectDB()
 		this.setMiddlewares()
-		this.setRoutes()
-
 		await this.initOutbox()
+		this.setRoutes()
 		await this.setupBroker()
 
 		this.server = this.app.listen(config.port, () => {
@@ -119,6 +136,11 @@ class App {
 			logger.info('✓ [Payment] Outbox processor stopped')
 		}
 
+		// Shutdown circuit breakers
+		const { orderClient } = require('./clients/orderClient')
+		orderClient.shutdown()
+		this.paymentProcessor.close()
+
 		await this.disconnectDB()
 
 		if (this.server) {
@@ -0,0 +1,53 @@
+/**
+ * Resilient HTTP client for Order Service
+ *
+ * Used by reconciliation to compare SUCCEEDED payments against order statuses.
+ */
+
+const { createResilientClient } = require('@ecommerce/circuit-breaker')
+const logger = require('@ecommerce/logger')
+const config = require('../config')
+
+// Largest batch accepted by POST /api/orders/admin/lookup
+const LOOKUP_BATCH_SIZE = 200
+
+const orderClient = createResilientClient('order-service', config.orderServiceUrl, {
+	timeout: 5000,
+	retry: {
+		retries: 2,
+		retryDelay: (retryCount) => Math.min(1000, 100 * Math.pow(2, retryCount)),
+	},
+	circuitBreaker: {
+		errorThresholdPercentage: 50,
+		resetTimeout: 30000,
+		volumeThreshold: 10,
+		rollingCountTimeout: 10000,
+	},
+})
+
+logger.info({ service: 'order-service', baseURL: config.orderServiceUrl }, '[Payment] Order client initialized with circuit breaker')
+
+/**
+ * Look up orders by ID, in batches
+ * Calls the admin-only Order Service endpoint as the payment service itself.
+ *
+ * @param {string[]} orderIds - Order IDs
+ * @returns {Promise<Object[]>} [{ orderId, user, status, totalPrice, currency, ... }] (unknown IDs left out)
+ */
+async function lookupOrders(orderIds) {
+	const orders = []
+	for (let i = 0; i < orderIds.length; i += LOOKUP_BATCH_SIZE) {
+		const result = await orderClient.post(
+			'/api/orders/admin/lookup',
+			{ orderIds: orderIds.slice(i, i + LOOKUP_BATCH_SIZE) },
+			{ headers: { 'X-User-ID': config.serviceName, 'X-User-Role': 'admin' } }
+		)
+		orders.push(...(result?.orders || []))
+	}
+	return orders
+}
+
+module.exports = {
+	orderClient,
+	lookupOrders,
+}
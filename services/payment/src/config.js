@@ -1,3 +1,4 @@
+const path = require('path')
 const baseConfig = require('@ecommerce/config')
 
 const parseNumber = (value, fallback) => {
@@ -17,9 +18,27 @@ const config = {
 	mongoURI: baseConfig.getMongoURI('payment'),
 	payment: {
 		successRate: clampRate(process.env.PAYMENT_SUCCESS_RATE, 0.9),
+		// Share of mock gateway refund attempts that succeed (failures are mostly transient)
+		refundSuccessRate: clampRate(process.env.PAYMENT_REFUND_SUCCESS_RATE, 0.98),
+	},
+	// Payment gateway adapter behind PaymentProcessor (mock, scripted or http, see src/gateways)
+	gateway: {
+		provider: (process.env.PAYMENT_GATEWAY || 'mock').toLowerCase(),
+		// scripted: decline rules by card and amount
+		rulesFile: process.env.PAYMENT_GATEWAY_RULES_FILE || path.join(__dirname, '..', 'data', 'gateway-rules.json'),
+		// http: gateway base URL (local stub: pnpm --filter @ecommerce/payment gateway:stub)
+		url: process.env.PAYMENT_GATEWAY_URL || 'http://127.0.0.1:4010',
+		timeoutMs: parseNumber(process.env.PAYMENT_GATEWAY_TIMEOUT_MS, 5000),
+		stubPort: parseNumber(process.env.PAYMENT_GATEWAY_STUB_PORT, 4010),
 	},
 	rabbitMQUrl: process.env.RABBITMQ_URL || baseConfig.getRabbitMQUrl(),
 	redisUrl: process.env.REDIS_URL || 'redis://127.0.0.1:6379',
+	// Currency of ORDER_CONFIRMED events that don't carry one (orders before multi-currency)
+	defaultCurrency: (process.env.DEFAULT_CURRENCY || 'USD').toUpperCase(),
+	// Order Service (reconciliation reads order statuses)
+	orderServiceUrl: process.env.ORDER_SERVICE_URL || 'http://order:3002',
+	// Admin reconciliation report: SUCCEEDED payments checked at most per report
+	reconciliationMaxPayments: parseNumber(process.env.PAYMENT_RECONCILIATION_MAX_PAYMENTS, 1000),
 }
 
 if (!process.env.RABBITMQ_URL) {
@@ -20,9 +20,11 @@ const {
  * This consumer:
  * 1. Checks idempotency (prevents duplicate processing)
  * 2. Creates/updates payment record in database
- * 3. Processes payment
- * 4. Updates payment record with result
- * 5. Publishes PAYMENT_SUCCEEDED or PAYMENT_FAILED
+ * 3. Validates the payment amount and currency against the order
+ *    (a mismatch fails the payment without charging)
+ * 4. Processes payment
+ * 5. Updates payment record with result
+ * 6. Publishes PAYMENT_SUCCEEDED or PAYMENT_FAILED
  */
 async function registerOrderConfirmedConsumer({
 	broker,
@@ -89,7 +91,8 @@ async function registerOrderConfirmedConsumer({
 			let payment = await paymentService.createOrGetPayment({
 				orderId,
 				amount: payload.totalPrice,
-				currency: payload.currency || 'USD',
+				currency: payload.currency,
+				userId: payload.userId,
 				correlationId,
 			})
 
@@ -102,6 +105,30 @@ async function registerOrderConfirmedConsumer({
 				return
 			}
 
+			// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+			// STEP 2b: Validate amount & currency against the order
+			// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+			const mismatch = paymentService.findOrderMismatch(payment, payload)
+			if (mismatch) {
+				logger.error(
+					{ orderId, mismatch, correlationId, eventId },
+					'❌ [Payment] Payment does not match the order, failing without charging'
+				)
+				await paymentService.markAsFailed(
+					orderId,
+					{ reason: `AMOUNT_MISMATCH: ${mismatch}` },
+					payload.products || [],
+					correlationId
+				)
+				recordPaymentProcessed('FAILED', 'validation')
+				recordPaymentAmount(payload.totalPrice, payload.currency, 'FAILED')
+				recordOutboxEvent('PAYMENT_FAILED', 'queued')
+				await idempotencyService.markAsProcessed(orderId)
+				recordEventProcessing('ORDER_CONFIRMED', 'processed')
+				endEventTimer()
+				return
+			}
+
 			// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 			// STEP 3: Mark as Processing
 			// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -120,13 +147,14 @@ async function registerOrderConfirmedConsumer({
 				'💳 [Payment] Processing payment...'
 			)
 
-			// Start timer for payment processing duration
-			const endProcessingTimer = startPaymentProcessingTimer('mock_gateway')
+			// Start timer for payment processing duration (labelled by gateway adapter, e.g. mock_gateway)
+			const paymentMethod = `${paymentProcessor.gateway.name}_gateway`
+			const endProcessingTimer = startPaymentProcessingTimer(paymentMethod)
 
 			const result = await paymentProcessor.process({
 				orderId,
-				amount: payload.totalPrice,
-				currency: payload.currency || 'USD',
+				amount: payment.amount,
+				currency: payment.currency,
 			})
 
 			// Record retry metrics if attempts > 1
@@ -144,7 +172,7 @@ async function registerOrderConfirmedConsumer({
 			// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 			// STEP 5: Update Payment Record & Publish Event (Transactional via Outbox)
 			// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
-			const currency = payload.currency || 'USD'
+			const currency = payload.currency
 			if (result.status === 'SUCCEEDED') {
 				await paymentService.markAsSucceeded(
 					orderId,
@@ -155,7 +183,7 @@ async function registerOrderConfirmedConsumer({
 					correlationId
 				)
 				// Record successful payment metrics
-				recordPaymentProcessed('SUCCEEDED', 'mock_gateway')
+				recordPaymentProcessed('SUCCEEDED', paymentMethod)
 				recordPaymentAmount(payload.totalPrice, currency, 'SUCCEEDED')
 				recordOutboxEvent('PAYMENT_SUCCEEDED', 'queued')
 			} else {
@@ -166,7 +194,7 @@ async function registerOrderConfirmedConsumer({
 					correlationId
 				)
 				// Record failed payment metrics
-				recordPaymentProcessed('FAILED', 'mock_gateway')
+				recordPaymentProcessed('FAILED', paymentMethod)
 				recordPaymentAmount(payload.totalPrice, currency, 'FAILED')
 				recordOutboxEvent('PAYMENT_FAILED', 'queued')
 			}
@@ -0,0 +1,121 @@
+const logger = require('@ecommerce/logger')
+const { OrderRefundedEventSchema } = require('../schemas/orderRefunded.schema')
+const {
+	recordRefund,
+	recordEventProcessing,
+	startEventProcessingTimer,
+	recordOutboxEvent,
+} = require('../metrics')
+
+/**
+ * Register consumer for ORDER_REFUNDED events
+ * 
+ * This consumer refunds whatever is left of the captured payment of the order
+ * (admins may have refunded part of it already through the payment API):
+ * 1. Reserves the amount and records a PENDING refund
+ * 2. Refunds it through the payment gateway (with retry/backoff)
+ * 3. Records the refund and publishes PAYMENT_REFUNDED (Outbox)
+ * 
+ * Idempotency: one refund per order for this event (idempotency key
+ * order-refunded:{orderId}), so redelivered events are a no-op. A refund that
+ * failed at the gateway goes to the DLQ and is attempted again on replay.
+ */
+async function registerOrderRefundedConsumer({
+	broker,
+	paymentService,
+}) {
+	const queueName = 'q.payment-service.refunds' // Separate queue: q.payment-service only carries ORDER_CONFIRMED
+	const routingKeys = ['order.refunded']
+
+	await broker.consume(
+		queueName,
+		async (rawPayload, metadata = {}) => {
+			const { eventId, correlationId } = metadata
+
+			let payload
+			try {
+				payload = OrderRefundedEventSchema.parse(rawPayload)
+			} catch (validationError) {
+				logger.error(
+					{ error: validationError.message, eventId, rawPayload },
+					'❌ [Payment] ORDER_REFUNDED schema validation failed'
+				)
+				throw validationError // Will be sent to DLQ by broker
+			}
+
+			const { orderId, reason } = payload
+
+			recordEventProcessing('ORDER_REFUNDED', 'received')
+			const endEventTimer = startEventProcessingTimer('ORDER_REFUNDED')
+
+			logger.info(
+				{ orderId, queue: queueName, correlationId, eventId, reason },
+				'⏳ [Payment] Received ORDER_REFUNDED event'
+			)
+
+			let outcome
+			try {
+				outcome = await paymentService.refund({
+					orderId,
+					reason,
+					source: 'ORDER_REFUNDED',
+					idempotencyKey: `order-refunded:${orderId}`,
+					correlationId,
+				})
+			} catch (error) {
+				// Nothing captured (or nothing left) to refund
+				if (['PAYMENT_NOT_FOUND', 'PAYMENT_NOT_REFUNDABLE'].includes(error.code)) {
+					logger.warn(
+						{ orderId, reason: error.message, correlationId },
+						'⚠️ [Payment] No captured payment to refund, skipping'
+					)
+					recordEventProcessing('ORDER_REFUNDED', 'skipped')
+					endEventTimer()
+					return
+				}
+
+				logger.error(
+					{ error: error.message, orderId, correlationId },
+					'❌ [Payment] Refund failed'
+				)
+				recordEventProcessing('ORDER_REFUNDED', 'failed')
+				endEventTimer()
+				throw error // Will be sent to DLQ by broker
+			}
+
+			const { refund, alreadyProcessed } = outcome
+			if (alreadyProcessed) {
+				recordEventProcessing('ORDER_REFUNDED', 'skipped')
+				endEventTimer()
+				return
+			}
+
+			if (refund.status !== 'SUCCEEDED') {
+				logger.error(
+					{ orderId, refundId: refund._id, reason: refund.failureReason, correlationId },
+					'❌ [Payment] Gateway refund failed'
+				)
+				recordRefund('failed', 'order_refunded')
+				recordEventProcessing('ORDER_REFUNDED', 'failed')
+				endEventTimer()
+				throw new Error(`Gateway refund failed: ${refund.failureReason}`) // Will be sent to DLQ by broker
+			}
+
+			recordRefund('success', 'order_refunded', refund.amount, refund.currency)
+			recordOutboxEvent('PAYMENT_REFUNDED', 'queued')
+			recordEventProcessing('ORDER_REFUNDED', 'processed')
+			endEventTimer()
+		},
+		null, // No schema at broker level - we validate in handler
+		routingKeys
+	)
+
+	logger.info(
+		{ queue: queueName, routingKeys },
+		'✓ [Payment] ORDER_REFUNDED consumer ready'
+	)
+}
+
+module.exports = {
+	registerOrderRefundedConsumer,
+}
@@ -0,0 +1,332 @@
+const { v4: uuidv4 } = require('uuid')
+const logger = require('@ecommerce/logger')
+const { recordApiOperation, recordRefund, recordOutboxEvent } = require('../metrics')
+const { PaymentListQuerySchema, PaymentRangeQuerySchema } = require('../schemas/paymentQuery.schema')
+const { RefundRequestSchema } = require('../schemas/refund.schema')
+
+const MAX_IDEMPOTENCY_KEY_LENGTH = 255
+
+// HTTP status of refused payment API requests (see createPaymentError in paymentService)
+const PAYMENT_ERROR_STATUS = {
+	INVALID_REFUND_AMOUNT: 400,
+	PAYMENT_NOT_FOUND: 404,
+	PAYMENT_NOT_REFUNDABLE: 409,
+	REFUND_EXCEEDS_CAPTURED: 422,
+	IDEMPOTENCY_KEY_REUSED: 422,
+	ORDER_SERVICE_UNAVAILABLE: 503,
+}
+
+/**
+ * Payment Controller - HTTP API over payment records
+ * Payments are created by the saga (ORDER_CONFIRMED); this API reads them and
+ * lets admins refund them.
+ */
+class PaymentController {
+	/**
+	 * @param {Object} paymentService - PaymentService instance
+	 */
+	constructor(paymentService) {
+		this.paymentService = paymentService
+
+		this.getPaymentByOrderId = this.getPaymentByOrderId.bind(this)
+		this.listPayments = this.listPayments.bind(this)
+		this.getStatistics = this.getStatistics.bind(this)
+		this.getReconciliation = this.getReconciliation.bind(this)
+		this.listRefunds = this.listRefunds.bind(this)
+		this.createRefund = this.createRefund.bind(this)
+	}
+
+	/**
+	 * GET /api/payments/:orderId
+	 * Payment of an order, for the order owner or an admin
+	 */
+	async getPaymentByOrderId(req, res) {
+		const userId = req.headers['x-user-id']
+		if (!userId) {
+			return res.status(401).json({ message: 'Unauthorized' })
+		}
+
+		const { orderId } = req.params
+		try {
+			const payment = await this.paymentService.getPaymentByOrderId(orderId)
+			if (!payment) {
+				recordApiOperation('read', 'not_found')
+				return res.status(404).json({ message: 'Payment not found' })
+			}
+
+			// Payments recorded before userId was stored are visible to admins only
+			const isAdmin = req.headers['x-user-role'] === 'admin'
+			if (!isAdmin && payment.userId !== userId) {
+				recordApiOperation('read', 'forbidden')
+				return res.status(403).json({ message: 'Forbidden' })
+			}
+
+			recordApiOperation('read', 'success')
+			return res.status(200).json(this._toResponse(payment))
+		} catch (error) {
+			logger.error({ error: error.message, orderId }, 'Failed to fetch payment')
+			recordApiOperation('read', 'failed')
+			return res.status(500).json({ message: 'Server error' })
+		}
+	}
+
+	/**
+	 * GET /api/payments/admin
+	 * List payments (admin only), newest first
+	 * Query: status, from, to (creation date), page, limit
+	 */
+	async listPayments(req, res) {
+		const query = this._parseQuery(PaymentListQuerySchema, req, res, 'list')
+		if (!query) return
+
+		try {
+			const { status, from, to, page, limit } = query
+			const result = await this.paymentService.listPayments({ status, from, to }, page, limit)
+
+			recordApiOperation('list', 'success')
+			return res.status(200).json({
+				payments: result.items.map((payment) => this._toResponse(payment)),
+				pagination: {
+					total: result.total,
+					page: result.page,
+					pages: result.pages,
+					limit,
+				},
+			})
+		} catch (error) {
+			logger.error({ error: error.message }, 'Failed to list payments')
+			recordApiOperation('list', 'failed')
+			return res.status(500).json({ message: 'Server error' })
+		}
+	}
+
+	/**
+	 * GET /api/payments/admin/statistics
+	 * Count and amount per status and currency (admin only)
+	 * Query: from, to (creation date, default: all time)
+	 */
+	async getStatistics(req, res) {
+		const query = this._parseQuery(PaymentRangeQuerySchema, req, res, 'statistics')
+		if (!query) return
+
+		try {
+			const statistics = await this.paymentService.getStatistics(query.from, query.to)
+
+			recordApiOperation('statistics', 'success')
+			return res.status(200).json({
+				from: query.from || null,
+				to: query.to || null,
+				statistics,
+			})
+		} catch (error) {
+			logger.error({ error: error.message }, 'Failed to compute payment statistics')
+			recordApiOperation('statistics', 'failed')
+			return res.status(500).json({ message: 'Server error' })
+		}
+	}
+
+	/**
+	 * GET /api/payments/admin/reconciliation
+	 * Captured payments cross-checked against their orders (admin only)
+	 * Query: from, to (processing date, default: last 24 hours)
+	 */
+	async getReconciliation(req, res) {
+		const query = this._parseQuery(PaymentRangeQuerySchema, req, res, 'reconciliation')
+		if (!query) return
+
+		try {
+			const report = await this.paymentService.reconcile(query)
+
+			recordApiOperation('reconciliation', 'success')
+			return res.status(200).json(report)
+		} catch (error) {
+			const status = PAYMENT_ERROR_STATUS[error.code]
+			if (status) {
+				recordApiOperation('reconciliation', 'failed')
+				return res.status(status).json({ message: error.message, code: error.code })
+			}
+
+			logger.error({ error: error.message }, 'Failed to reconcile payments')
+			recordApiOperation('reconciliation', 'failed')
+			return res.status(500).json({ message: 'Server error' })
+		}
+	}
+
+	/**
+	 * GET /api/payments/:orderId/refunds
+	 * Refunds of an order's payment (oldest first), for the order owner or an admin
+	 */
+	async listRefunds(req, res) {
+		const userId = req.headers['x-user-id']
+		if (!userId) {
+			return res.status(401).json({ message: 'Unauthorized' })
+		}
+
+		const { orderId } = req.params
+		try {
+			const payment = await this.paymentService.getPaymentByOrderId(orderId)
+			if (!payment) {
+				recordApiOperation('refunds', 'not_found')
+				return res.status(404).json({ message: 'Payment not found' })
+			}
+
+			const isAdmin = req.headers['x-user-role'] === 'admin'
+			if (!isAdmin && payment.userId !== userId) {
+				recordApiOperation('refunds', 'forbidden')
+				return res.status(403).json({ message: 'Forbidden' })
+			}
+
+			const refunds = await this.paymentService.getRefundsByOrderId(orderId)
+
+			recordApiOperation('refunds', 'success')
+			return res.status(200).json({
+				orderId,
+				amount: payment.amount,
+				currency: payment.currency,
+				refundedAmount: payment.refundedAmount || 0,
+				refundableAmount: this.paymentService.getRefundableAmount(payment),
+				refunds: refunds.map((refund) => this._toRefundResponse(refund)),
+			})
+		} catch (error) {
+			logger.error({ error: error.message, orderId }, 'Failed to fetch refunds')
+			recordApiOperation('refunds', 'failed')
+			return res.status(500).json({ message: 'Server error' })
+		}
+	}
+
+	/**
+	 * POST /api/payments/admin/:orderId/refunds
+	 * Refund (part of) a captured payment (admin only)
+	 * Body: { amount?, reason? } - without amount, everything not refunded yet
+	 *
+	 * Optional Idempotency-Key header: retries with the same key return the
+	 * refund instead of refunding again.
+	 */
+	async createRefund(req, res) {
+		const parsed = RefundRequestSchema.safeParse(req.body || {})
+		if (!parsed.success) {
+			recordApiOperation('refund', 'rejected')
+			return res.status(400).json({
+				message: 'Invalid refund request',
+				errors: parsed.error.issues.map((issue) => ({
+					field: issue.path.join('.'),
+					message: issue.message,
+				})),
+			})
+		}
+
+		const idempotencyKey = req.headers['idempotency-key']
+		if (idempotencyKey !== undefined && (!idempotencyKey.trim() || idempotencyKey.length > MAX_IDEMPOTENCY_KEY_LENGTH)) {
+			recordApiOperation('refund', 'rejected')
+			return res.status(400).json({
+				message: `Idempotency-Key must be 1-${MAX_IDEMPOTENCY_KEY_LENGTH} characters`,
+			})
+		}
+
+		const { orderId } = req.params
+		const adminId = req.headers['x-user-id']
+		try {
+			const { refund, payment, alreadyProcessed } = await this.paymentService.refund({
+				orderId,
+				amount: parsed.data.amount,
+				reason: parsed.data.reason || 'Refunded by admin',
+				source: 'ADMIN',
+				requestedBy: adminId,
+				idempotencyKey: `admin:${orderId}:${idempotencyKey || uuidv4()}`,
+			})
+
+			const body = {
+				refund: this._toRefundResponse(refund),
+				payment: this._toResponse(payment),
+			}
+
+			if (refund.status === 'FAILED') {
+				recordRefund('failed', 'admin')
+				recordApiOperation('refund', 'failed')
+				return res.status(502).json({ message: 'Refund failed at the payment gateway', ...body })
+			}
+
+			if (!alreadyProcessed) {
+				recordRefund('success', 'admin', refund.amount, refund.currency)
+				recordOutboxEvent('PAYMENT_REFUNDED', 'queued')
+			}
+			recordApiOperation('refund', 'success')
+			return res.status(alreadyProcessed ? 200 : 201).json(body)
+		} catch (error) {
+			const status = PAYMENT_ERROR_STATUS[error.code]
+			if (status) {
+				recordApiOperation('refund', 'rejected')
+				return res.status(status).json({ message: error.message, code: error.code })
+			}
+
+			logger.error({ error: error.message, orderId }, 'Failed to refund payment')
+			recordApiOperation('refund', 'failed')
+			return res.status(500).json({ message: 'Server error' })
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	_parseQuery(schema, req, res, operation) {
+		const parsed = schema.safeParse(req.query)
+		if (!parsed.success) {
+			recordApiOperation(operation, 'rejected')
+			res.status(400).json({
+				message: 'Invalid query parameters',
+				errors: parsed.error.issues.map((issue) => ({
+					field: issue.path.join('.'),
+					message: issue.message,
+				})),
+			})
+			return null
+		}
+		return parsed.data
+	}
+
+	/**
+	 * @private
+	 */
+	_toResponse(payment) {
+		return {
+			orderId: payment.orderId,
+			status: payment.status,
+			amount: payment.amount,
+			currency: payment.currency,
+			transactionId: payment.transactionId,
+			reason: payment.reason,
+			attempts: payment.attempts,
+			processedAt: payment.processedAt,
+			refundedAmount: payment.refundedAmount || 0,
+			refundTransactionId: payment.refundTransactionId,
+			refundReason: payment.refundReason,
+			refundedAt: payment.refundedAt,
+			correlationId: payment.correlationId,
+			createdAt: payment.createdAt,
+			updatedAt: payment.updatedAt,
+		}
+	}
+
+	/**
+	 * @private
+	 */
+	_toRefundResponse(refund) {
+		return {
+			refundId: refund._id,
+			orderId: refund.orderId,
+			status: refund.status,
+			amount: refund.amount,
+			currency: refund.currency,
+			reason: refund.reason,
+			source: refund.source,
+			requestedBy: refund.requestedBy,
+			refundTransactionId: refund.refundTransactionId,
+			failureReason: refund.failureReason,
+			attempts: refund.attempts,
+			processedAt: refund.processedAt,
+			createdAt: refund.createdAt,
+		}
+	}
+}
+
+module.exports = PaymentController
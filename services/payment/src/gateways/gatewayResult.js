@@ -0,0 +1,48 @@
+/**
+ * Transient errors that should trigger retry
+ */
+const TRANSIENT_ERRORS = [
+	'GATEWAY_TIMEOUT',
+	'NETWORK_ERROR',
+	'SERVICE_UNAVAILABLE',
+	'RATE_LIMITED',
+]
+
+/**
+ * Build an adapter result
+ * @param {object} command - Gateway command
+ * @param {string} status - AUTHORIZED, SUCCEEDED, VOIDED, REFUNDED, ...
+ * @param {string} defaultCurrency - Currency of commands without one
+ * @returns {object} { status, transactionId, processedAt, amount, currency }
+ */
+function gatewayResult(command, status, defaultCurrency) {
+	return {
+		status,
+		transactionId: command.transactionId ?? null,
+		processedAt: new Date().toISOString(),
+		amount: command.amount ?? null,
+		currency: command.currency ?? defaultCurrency,
+	}
+}
+
+/**
+ * Build a FAILED adapter result (retryable when errorCode is transient)
+ * @param {object} command - Gateway command
+ * @param {string} errorCode - e.g. PAYMENT_DECLINED, GATEWAY_TIMEOUT
+ * @param {string} reason - Human readable failure reason
+ * @param {string} defaultCurrency - Currency of commands without one
+ */
+function failedResult(command, errorCode, reason, defaultCurrency) {
+	return {
+		...gatewayResult(command, 'FAILED', defaultCurrency),
+		reason,
+		errorCode,
+		retryable: TRANSIENT_ERRORS.includes(errorCode),
+	}
+}
+
+module.exports = {
+	TRANSIENT_ERRORS,
+	gatewayResult,
+	failedResult,
+}
@@ -0,0 +1,92 @@
+const express = require('express')
+
+// HTTP status of FAILED results (other declines: 402 Payment Required)
+const FAILURE_STATUS = {
+	INVALID_REQUEST: 400,
+	TRANSACTION_NOT_FOUND: 404,
+	INVALID_TRANSACTION_STATE: 409,
+	REFUND_EXCEEDS_CAPTURED: 409,
+	RATE_LIMITED: 429,
+	NETWORK_ERROR: 502,
+	SERVICE_UNAVAILABLE: 503,
+	GATEWAY_TIMEOUT: 504,
+}
+
+/**
+ * Express app serving a gateway adapter over the HttpGateway API
+ * Used with the scripted adapter as a local payment gateway stub
+ * (scripts/gateway-stub.js) and by the HttpGateway tests.
+ *
+ * @param {Object} gateway - Adapter answering the requests (usually ScriptedGateway)
+ * @returns {express.Application}
+ */
+function createGatewayStubApp(gateway) {
+	const app = express()
+	app.use(express.json())
+
+	const send = (res, result) => {
+		let status = 200
+		if (result.status === 'FAILED') {
+			status = FAILURE_STATUS[result.errorCode] || 402
+		} else if (result.status === 'NOT_FOUND') {
+			status = 404
+		}
+		res.status(status).json(result)
+	}
+
+	const invalid = (res, reason) => {
+		send(res, { status: 'FAILED', errorCode: 'INVALID_REQUEST', reason, retryable: false })
+	}
+
+	app.post('/v1/authorizations', async (req, res) => {
+		const { orderId, amount, currency, card } = req.body || {}
+		if (typeof orderId !== 'string' || !orderId) {
+			return invalid(res, 'orderId is required')
+		}
+		if (amount !== undefined && amount !== null && !Number.isFinite(amount)) {
+			return invalid(res, 'amount must be a number')
+		}
+
+		send(res, await gateway.authorize({
+			orderId,
+			amount: amount ?? undefined,
+			currency: currency ?? undefined,
+			card,
+			idempotencyKey: req.get('Idempotency-Key'),
+		}))
+	})
+
+	app.post('/v1/transactions/:transactionId/capture', async (req, res) => {
+		const { orderId, amount, currency } = req.body || {}
+		send(res, await gateway.capture({ orderId, amount, currency, transactionId: req.params.transactionId }))
+	})
+
+	app.post('/v1/transactions/:transactionId/void', async (req, res) => {
+		send(res, await gateway.void({ orderId: req.body?.orderId, transactionId: req.params.transactionId }))
+	})
+
+	app.post('/v1/transactions/:transactionId/refunds', async (req, res) => {
+		const { orderId, amount, currency } = req.body || {}
+		if (amount !== undefined && amount !== null && !(Number.isFinite(amount) && amount > 0)) {
+			return invalid(res, 'amount must be a positive number')
+		}
+
+		send(res, await gateway.refund({
+			orderId,
+			amount: amount ?? undefined,
+			currency: currency ?? undefined,
+			transactionId: req.params.transactionId,
+			refundId: req.get('Idempotency-Key'),
+		}))
+	})
+
+	app.get('/v1/transactions/:transactionId', async (req, res) => {
+		send(res, await gateway.query({ transactionId: req.params.transactionId }))
+	})
+
+	return app
+}
+
+module.exports = {
+	createGatewayStubApp,
+}
@@ -0,0 +1,141 @@
+const { createResilientClient } = require('@ecommerce/circuit-breaker')
+const logger = require('@ecommerce/logger')
+const { failedResult } = require('./gatewayResult')
+
+// Answers below 500 carry a result body (declines are 402, 404, 409 or 429)
+// and must not count as failures for the circuit breaker
+const acceptGatewayAnswer = (status) => status < 500
+
+/**
+ * HTTP gateway - talks to a payment gateway over HTTP
+ *
+ * API (served locally by scripts/gateway-stub.js):
+ *   POST /v1/authorizations                         { orderId, amount, currency, card }
+ *   POST /v1/transactions/:transactionId/capture    { orderId, amount, currency }
+ *   POST /v1/transactions/:transactionId/void       { orderId }
+ *   POST /v1/transactions/:transactionId/refunds    { orderId, amount, currency }
+ *   GET  /v1/transactions/:transactionId
+ * Authorizations and refunds send an Idempotency-Key header. Every answer is
+ * an adapter result; timeouts, network errors and 5xx become transient
+ * FAILED results.
+ */
+class HttpGateway {
+	/**
+	 * @param {Object} options
+	 * @param {string} options.url - Gateway base URL
+	 * @param {number} [options.timeoutMs] - Per request timeout
+	 * @param {string} [options.defaultCurrency]
+	 */
+	constructor({ url, timeoutMs = 5000, defaultCurrency = 'USD' }) {
+		this.name = 'http'
+		this.url = url
+		this.defaultCurrency = defaultCurrency
+		this.client = createResilientClient('payment-gateway', url, {
+			timeout: timeoutMs,
+			// PaymentProcessor retries transient errors with backoff
+			retry: { retries: 0 },
+			circuitBreaker: {
+				timeout: timeoutMs + 1000,
+				errorThresholdPercentage: 50,
+				resetTimeout: 30000,
+				volumeThreshold: 10,
+				rollingCountTimeout: 10000,
+			},
+		})
+	}
+
+	/**
+	 * @private
+	 */
+	async _request(command, method, path, body, idempotencyKey) {
+		const options = { validateStatus: acceptGatewayAnswer }
+		if (idempotencyKey) {
+			options.headers = { 'Idempotency-Key': idempotencyKey }
+		}
+
+		try {
+			const result = method === 'GET'
+				? await this.client.get(path, options)
+				: await this.client.post(path, body, options)
+
+			if (!result || typeof result.status !== 'string') {
+				return failedResult(command, 'INVALID_GATEWAY_RESPONSE', 'Payment gateway answered without a result', this.defaultCurrency)
+			}
+			return result
+		} catch (error) {
+			logger.warn(
+				{ orderId: command.orderId, path, error: error.message, code: error.code, httpStatus: error.response?.status },
+				'💳 [HttpGateway] Gateway request failed'
+			)
+			return this._toFailure(command, error)
+		}
+	}
+
+	/**
+	 * Map a transport error to a FAILED result
+	 * @private
+	 */
+	_toFailure(command, error) {
+		const body = error.response?.data
+		if (body?.status === 'FAILED' && body.errorCode) {
+			return body
+		}
+		if (error.code === 'TIMEOUT') {
+			return failedResult(command, 'GATEWAY_TIMEOUT', error.message, this.defaultCurrency)
+		}
+		if (error.code === 'CIRCUIT_OPEN') {
+			return failedResult(command, 'SERVICE_UNAVAILABLE', error.message, this.defaultCurrency)
+		}
+		if (error.response) {
+			return failedResult(
+				command,
+				'SERVICE_UNAVAILABLE',
+				`Payment gateway answered HTTP ${error.response.status}`,
+				this.defaultCurrency
+			)
+		}
+		return failedResult(command, 'NETWORK_ERROR', error.message, this.defaultCurrency)
+	}
+
+	/**
+	 * @private
+	 */
+	_transactionPath(transactionId, action = '') {
+		return `/v1/transactions/${encodeURIComponent(transactionId)}${action}`
+	}
+
+	async authorize(command) {
+		const { orderId, amount, currency, card } = command
+		return this._request(command, 'POST', '/v1/authorizations', { orderId, amount, currency, card }, command.idempotencyKey)
+	}
+
+	async capture(command) {
+		const { orderId, amount, currency } = command
+		return this._request(command, 'POST', this._transactionPath(command.transactionId, '/capture'), { orderId, amount, currency })
+	}
+
+	async void(command) {
+		return this._request(command, 'POST', this._transactionPath(command.transactionId, '/void'), { orderId: command.orderId })
+	}
+
+	async refund(command) {
+		const { orderId, amount, currency } = command
+		return this._request(
+			command,
+			'POST',
+			this._transactionPath(command.transactionId, '/refunds'),
+			{ orderId, amount, currency },
+			command.refundId
+		)
+	}
+
+	async query(command) {
+		return this._request(command, 'GET', this._transactionPath(command.transactionId))
+	}
+
+	close() {
+		this.client.shutdown()
+	}
+}
+
+module.exports = HttpGateway
@@ -0,0 +1,73 @@
+const logger = require('@ecommerce/logger')
+const config = require('../config')
+const MockGateway = require('./mockGateway')
+const ScriptedGateway = require('./scriptedGateway')
+const HttpGateway = require('./httpGateway')
+const { TRANSIENT_ERRORS } = require('./gatewayResult')
+
+/**
+ * Payment gateway adapters
+ *
+ * PaymentProcessor reaches the payment provider through an adapter selected
+ * by PAYMENT_GATEWAY. An adapter is any object with:
+ *   name
+ *   authorize({ orderId, amount, currency, card?, idempotencyKey? })  → AUTHORIZED
+ *   capture({ orderId, transactionId, amount, currency })             → SUCCEEDED
+ *   void({ orderId, transactionId })                                  → VOIDED
+ *   refund({ orderId, refundId, transactionId, amount, currency })    → REFUNDED (+ refundTransactionId)
+ *   query({ transactionId })                                          → current transaction status
+ *   close()                                                           optional, on shutdown
+ * Every call resolves to { status, transactionId, processedAt, amount, currency }.
+ * Adapters don't throw on gateway errors: they resolve to status FAILED with
+ * { errorCode, reason, retryable }, and TRANSIENT_ERRORS codes are retried.
+ */
+
+// Built-in adapters, selected by PAYMENT_GATEWAY (see registerGateway)
+const gatewayFactories = {
+	mock: () =>
+		new MockGateway({
+			successRate: config.payment.successRate,
+			refundSuccessRate: config.payment.refundSuccessRate,
+			defaultCurrency: config.defaultCurrency,
+		}),
+	scripted: () => ScriptedGateway.fromFile(config.gateway.rulesFile, { defaultCurrency: config.defaultCurrency }),
+	http: () =>
+		new HttpGateway({
+			url: config.gateway.url,
+			timeoutMs: config.gateway.timeoutMs,
+			defaultCurrency: config.defaultCurrency,
+		}),
+}
+
+/**
+ * Make an adapter available to createPaymentGateway
+ * @param {string} name - Value of PAYMENT_GATEWAY
+ * @param {Function} factory - () => adapter
+ */
+function registerGateway(name, factory) {
+	gatewayFactories[name] = factory
+}
+
+/**
+ * Create the configured payment gateway adapter
+ * @param {string} [name] - Adapter name (default: PAYMENT_GATEWAY)
+ */
+function createPaymentGateway(name = config.gateway.provider) {
+	const factory = gatewayFactories[name]
+	if (!factory) {
+		throw new Error(`Unknown payment gateway: ${name}`)
+	}
+
+	const gateway = factory()
+	logger.info({ gateway: gateway.name }, '✓ [Payment] Payment gateway adapter created')
+	return gateway
+}
+
+module.exports = {
+	TRANSIENT_ERRORS,
+	MockGateway,
+	ScriptedGateway,
+	HttpGateway,
+	createPaymentGateway,
+	registerGateway,
+}
@@ -0,0 +1,75 @@
+const { v4: uuidv4 } = require('uuid')
+const { TRANSIENT_ERRORS, gatewayResult, failedResult } = require('./gatewayResult')
+
+/**
+ * Mock gateway - random outcomes with configurable success rates
+ *
+ * Default adapter (PAYMENT_SUCCESS_RATE, PAYMENT_REFUND_SUCCESS_RATE). It keeps
+ * no transaction state: capture and void always succeed and query can't tell
+ * what happened to a transaction.
+ */
+class MockGateway {
+	constructor({ successRate = 0.9, refundSuccessRate = 1, defaultCurrency = 'USD' } = {}) {
+		this.name = 'mock'
+		this.successRate = Math.min(Math.max(successRate, 0), 1)
+		this.refundSuccessRate = Math.min(Math.max(refundSuccessRate, 0), 1)
+		this.defaultCurrency = defaultCurrency
+	}
+
+	/**
+	 * @private
+	 */
+	_transientFailure(command) {
+		const transientError = TRANSIENT_ERRORS[Math.floor(Math.random() * TRANSIENT_ERRORS.length)]
+		return failedResult(command, transientError, `Transient error: ${transientError}`, this.defaultCurrency)
+	}
+
+	/**
+	 * Authorize a payment (fails with probability 1 - successRate)
+	 */
+	async authorize(command) {
+		const attempt = { ...command, transactionId: uuidv4() }
+
+		if (Math.random() > this.successRate) {
+			// 30% of failures are transient
+			if (Math.random() < 0.3) {
+				return this._transientFailure(attempt)
+			}
+			return failedResult(attempt, 'PAYMENT_DECLINED', 'Mock gateway declined the payment', this.defaultCurrency)
+		}
+
+		return gatewayResult(attempt, 'AUTHORIZED', this.defaultCurrency)
+	}
+
+	async capture(command) {
+		return gatewayResult(command, 'SUCCEEDED', this.defaultCurrency)
+	}
+
+	async void(command) {
+		return gatewayResult(command, 'VOIDED', this.defaultCurrency)
+	}
+
+	/**
+	 * Refund a captured payment (fails with probability 1 - refundSuccessRate)
+	 * Refunds fail less often than charges; failures are mostly transient.
+	 */
+	async refund(command) {
+		if (Math.random() > this.refundSuccessRate) {
+			if (Math.random() < 0.7) {
+				return this._transientFailure(command)
+			}
+			return failedResult(command, 'REFUND_REJECTED', 'Mock gateway rejected the refund', this.defaultCurrency)
+		}
+
+		return {
+			...gatewayResult(command, 'REFUNDED', this.defaultCurrency),
+			refundTransactionId: uuidv4(),
+		}
+	}
+
+	async query(command) {
+		return { status: 'UNKNOWN', transactionId: command.transactionId }
+	}
+}
+
+module.exports = MockGateway
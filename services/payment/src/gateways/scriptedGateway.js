@@ -0,0 +1,274 @@
+const fs = require('fs')
+const logger = require('@ecommerce/logger')
+const { gatewayResult, failedResult } = require('./gatewayResult')
+
+const OPERATIONS = ['authorize', 'capture', 'void', 'refund']
+
+// Refunds may exceed the remaining amount by float noise only
+const AMOUNT_TOLERANCE = 1e-9
+
+/**
+ * Normalize a card number ('4000 0000-0000 0002' → '4000000000000002')
+ */
+function normalizeCard(card) {
+	return card === undefined || card === null ? undefined : String(card).replace(/[\s-]/g, '')
+}
+
+/**
+ * Validate and copy decline rules
+ * @param {Object[]} rules
+ * @param {string} source - Where the rules come from (for error messages)
+ */
+function parseRules(rules, source) {
+	if (!Array.isArray(rules)) {
+		throw new Error(`Gateway rules must be an array (${source})`)
+	}
+
+	return rules.map((rule, index) => {
+		if (!rule || typeof rule.errorCode !== 'string' || !rule.errorCode) {
+			throw new Error(`Gateway rule #${index + 1} has no errorCode (${source})`)
+		}
+		if (rule.operation !== undefined && !OPERATIONS.includes(rule.operation)) {
+			throw new Error(`Gateway rule #${index + 1} has unknown operation: ${rule.operation} (${source})`)
+		}
+		return {
+			...rule,
+			card: normalizeCard(rule.card),
+			currency: rule.currency ? String(rule.currency).toUpperCase() : undefined,
+			used: 0,
+		}
+	})
+}
+
+/**
+ * Scripted gateway - deterministic outcomes for tests and local runs
+ *
+ * Every call is checked against the decline rules in order; the first rule
+ * that matches fails the call with its errorCode (retryable when the code is
+ * transient). Rule fields, all optional except errorCode:
+ *   operation            authorize | capture | void | refund (default: all)
+ *   card                 card number of the payment
+ *   currency             payment currency
+ *   amount               exact amount
+ *   minAmount/maxAmount  inclusive amount bounds
+ *   times                only the first N matching calls fail (e.g. one timeout, then success)
+ *   errorCode, reason
+ *
+ * Transactions are kept in memory with sequential IDs (scripted-txn-1, ...).
+ * Successful authorizations and refunds are replayed for a repeated
+ * idempotencyKey / refundId, like a real gateway.
+ */
+class ScriptedGateway {
+	/**
+	 * @param {Object} [options]
+	 * @param {Object[]} [options.rules] - Decline rules (default: none, everything succeeds)
+	 * @param {string} [options.defaultCurrency]
+	 */
+	constructor({ rules = [], defaultCurrency = 'USD' } = {}) {
+		this.name = 'scripted'
+		this.rules = parseRules(rules, 'options')
+		this.defaultCurrency = defaultCurrency
+		this.sequence = 0
+		this.transactions = new Map()
+		this.authorizations = new Map()
+		this.refunds = new Map()
+	}
+
+	/**
+	 * Load rules from a JSON file: { "rules": [ ... ] }
+	 * @param {string} filePath
+	 * @param {Object} [options] - Other constructor options
+	 */
+	static fromFile(filePath, options = {}) {
+		const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'))
+		const gateway = new ScriptedGateway(options)
+		gateway.rules = parseRules(raw.rules, filePath)
+		logger.info({ file: filePath, rules: gateway.rules.length }, '[ScriptedGateway] ✓ Decline rules loaded')
+		return gateway
+	}
+
+	/**
+	 * First rule matching an operation (counts the call against rule.times)
+	 * @private
+	 */
+	_matchRule(operation, command) {
+		const card = normalizeCard(command.card)
+		const currency = String(command.currency ?? this.defaultCurrency).toUpperCase()
+		const amount = command.amount
+
+		for (const rule of this.rules) {
+			if (rule.operation && rule.operation !== operation) continue
+			if (rule.card && rule.card !== card) continue
+			if (rule.currency && rule.currency !== currency) continue
+			if (rule.amount !== undefined && amount !== rule.amount) continue
+			if (rule.minAmount !== undefined && !(amount >= rule.minAmount)) continue
+			if (rule.maxAmount !== undefined && !(amount <= rule.maxAmount)) continue
+			if (rule.times !== undefined) {
+				if (rule.used >= rule.times) continue
+				rule.used++
+			}
+			return rule
+		}
+		return null
+	}
+
+	/**
+	 * @private
+	 */
+	_decline(rule, command) {
+		return failedResult(command, rule.errorCode, rule.reason || `Scripted gateway: ${rule.errorCode}`, this.defaultCurrency)
+	}
+
+	/**
+	 * Transaction of a command, or a TRANSACTION_NOT_FOUND failure
+	 * @private
+	 */
+	_findTransaction(command) {
+		const transaction = this.transactions.get(command.transactionId)
+		if (!transaction) {
+			return {
+				failure: failedResult(command, 'TRANSACTION_NOT_FOUND', `Unknown transaction: ${command.transactionId}`, this.defaultCurrency),
+			}
+		}
+		return { transaction }
+	}
+
+	/**
+	 * @private
+	 */
+	_invalidState(command, transaction, operation) {
+		return failedResult(
+			command,
+			'INVALID_TRANSACTION_STATE',
+			`Cannot ${operation} a ${transaction.status} transaction`,
+			this.defaultCurrency
+		)
+	}
+
+	async authorize(command) {
+		if (command.idempotencyKey && this.authorizations.has(command.idempotencyKey)) {
+			return { ...this.authorizations.get(command.idempotencyKey) }
+		}
+
+		const transactionId = `scripted-txn-${++this.sequence}`
+		const attempt = { ...command, transactionId }
+		const transaction = {
+			transactionId,
+			orderId: command.orderId,
+			amount: command.amount ?? null,
+			currency: command.currency ?? this.defaultCurrency,
+			card: normalizeCard(command.card),
+			status: 'AUTHORIZED',
+			refundedAmount: 0,
+		}
+
+		const rule = this._matchRule('authorize', command)
+		if (rule) {
+			this.transactions.set(transactionId, { ...transaction, status: 'DECLINED' })
+			return this._decline(rule, attempt)
+		}
+
+		this.transactions.set(transactionId, transaction)
+		const result = gatewayResult(attempt, 'AUTHORIZED', this.defaultCurrency)
+		if (command.idempotencyKey) {
+			this.authorizations.set(command.idempotencyKey, result)
+		}
+		return { ...result }
+	}
+
+	async capture(command) {
+		const { transaction, failure } = this._findTransaction(command)
+		if (failure) return failure
+
+		const captured = { ...command, amount: transaction.amount, currency: transaction.currency }
+		if (['SUCCEEDED', 'PARTIALLY_REFUNDED', 'REFUNDED'].includes(transaction.status)) {
+			return gatewayResult(captured, 'SUCCEEDED', this.defaultCurrency)
+		}
+		if (transaction.status !== 'AUTHORIZED') {
+			return this._invalidState(command, transaction, 'capture')
+		}
+
+		const rule = this._matchRule('capture', { ...captured, card: transaction.card })
+		if (rule) return this._decline(rule, captured)
+
+		transaction.status = 'SUCCEEDED'
+		return gatewayResult(captured, 'SUCCEEDED', this.defaultCurrency)
+	}
+
+	async void(command) {
+		const { transaction, failure } = this._findTransaction(command)
+		if (failure) return failure
+
+		const voided = { ...command, amount: transaction.amount, currency: transaction.currency }
+		if (transaction.status === 'VOIDED') {
+			return gatewayResult(voided, 'VOIDED', this.defaultCurrency)
+		}
+		if (transaction.status !== 'AUTHORIZED') {
+			return this._invalidState(command, transaction, 'void')
+		}
+
+		const rule = this._matchRule('void', { ...voided, card: transaction.card })
+		if (rule) return this._decline(rule, voided)
+
+		transaction.status = 'VOIDED'
+		return gatewayResult(voided, 'VOIDED', this.defaultCurrency)
+	}
+
+	/**
+	 * Refund (part of) a captured transaction
+	 * Without amount, everything not refunded yet.
+	 */
+	async refund(command) {
+		if (command.refundId && this.refunds.has(command.refundId)) {
+			return { ...this.refunds.get(command.refundId) }
+		}
+
+		const { transaction, failure } = this._findTransaction(command)
+		if (failure) return failure
+
+		if (!['SUCCEEDED', 'PARTIALLY_REFUNDED'].includes(transaction.status)) {
+			return this._invalidState(command, transaction, 'refund')
+		}
+
+		const remaining = transaction.amount - transaction.refundedAmount
+		const refund = { ...command, amount: command.amount ?? remaining, currency: transaction.currency }
+		if (refund.amount - remaining > AMOUNT_TOLERANCE) {
+			return failedResult(
+				refund,
+				'REFUND_EXCEEDS_CAPTURED',
+				`Refund of ${refund.amount} exceeds the ${remaining} left on the transaction`,
+				this.defaultCurrency
+			)
+		}
+
+		const rule = this._matchRule('refund', { ...refund, card: transaction.card })
+		if (rule) return this._decline(rule, refund)
+
+		transaction.refundedAmount += refund.amount
+		transaction.status = remaining - refund.amount > AMOUNT_TOLERANCE ? 'PARTIALLY_REFUNDED' : 'REFUNDED'
+
+		const result = {
+			...gatewayResult(refund, 'REFUNDED', this.defaultCurrency),
+			refundTransactionId: `scripted-refund-${++this.sequence}`,
+		}
+		if (command.refundId) {
+			this.refunds.set(command.refundId, result)
+		}
+		return { ...result }
+	}
+
+	/**
+	 * Current state of a transaction (status NOT_FOUND when unknown)
+	 */
+	async query(command) {
+		const transaction = this.transactions.get(command.transactionId)
+		if (!transaction) {
+			return { status: 'NOT_FOUND', transactionId: command.transactionId }
+		}
+
+		const { card, ...snapshot } = transaction
+		return snapshot
+	}
+}
+
+module.exports = ScriptedGateway
@@ -79,7 +79,7 @@ const paymentGatewayErrors = new promClient.Counter({
  * Total refunds processed
  * Labels:
  * - status: success, failed
- * - reason: customer_request, order_cancelled, etc.
+ * - reason: order_refunded (ORDER_REFUNDED event), admin (payment API)
  */
 const refundsProcessed = new promClient.Counter({
 	name: 'payment_refunds_total',
@@ -105,7 +105,7 @@ const refundAmount = new promClient.Counter({
 /**
  * Event processing operations
  * Labels:
- * - event_type: ORDER_CONFIRMED, PAYMENT_SUCCEEDED, PAYMENT_FAILED
+ * - event_type: ORDER_CONFIRMED, ORDER_REFUNDED, PAYMENT_SUCCEEDED, PAYMENT_FAILED, PAYMENT_REFUNDED
  * - status: received, processed, skipped, failed
  */
 const eventProcessing = new promClient.Counter({
@@ -165,6 +165,33 @@ const outboxEvents = new promClient.Counter({
 	labelNames: ['event_type', 'status'],
 })
 
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// HTTP API METRICS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Payment API operations
+ * Labels:
+ * - operation: read, list, statistics, reconciliation, refund (admin refund), refunds (refund list)
+ * - status: success, not_found, forbidden, rejected, failed
+ */
+const apiOperations = new promClient.Counter({
+	name: 'payment_api_operations_total',
+	help: 'Payment HTTP API operations',
+	labelNames: ['operation', 'status'],
+})
+
+/**
+ * Reconciliation mismatches found
+ * Labels:
+ * - issue: ORDER_NOT_FOUND, ORDER_NOT_PAID, ORDER_REFUNDED, AMOUNT_MISMATCH
+ */
+const reconciliationMismatches = new promClient.Counter({
+	name: 'payment_reconciliation_mismatches_total',
+	help: 'Succeeded payments that do not match their order',
+	labelNames: ['issue'],
+})
+
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // HELPER FUNCTIONS
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -251,6 +278,20 @@ function recordOutboxEvent(eventType, status) {
 	outboxEvents.inc({ event_type: eventType, status })
 }
 
+/**
+ * Record a payment API operation
+ */
+function recordApiOperation(operation, status) {
+	apiOperations.inc({ operation, status })
+}
+
+/**
+ * Record a reconciliation mismatch
+ */
+function recordReconciliationMismatch(issue) {
+	reconciliationMismatches.inc({ issue })
+}
+
 module.exports = {
 	// Raw metrics
 	paymentsProcessed,
@@ -265,6 +306,8 @@ module.exports = {
 	idempotencyChecks,
 	outboxPendingMessages,
 	outboxEvents,
+	apiOperations,
+	reconciliationMismatches,
 
 	// Helper functions
 	recordPaymentProcessed,
@@ -278,4 +321,6 @@ module.exports = {
 	recordIdempotencyCheck,
 	setOutboxPendingMessages,
 	recordOutboxEvent,
+	recordApiOperation,
+	recordReconciliationMismatch,
 }
@@ -0,0 +1,26 @@
+const logger = require('@ecommerce/logger')
+
+/**
+ * Admin authorization middleware - trusts API Gateway
+ *
+ * Requires x-user-role: admin (set by API Gateway after JWT verification,
+ * or by internal services calling Payment Service directly).
+ */
+function isAdmin(req, res, next) {
+	const userId = req.headers['x-user-id']
+	const role = req.headers['x-user-role']
+
+	if (!userId) {
+		logger.warn({ path: req.path }, 'Unauthorized - Missing X-User-ID header')
+		return res.status(401).json({ message: 'Unauthorized' })
+	}
+
+	if (role !== 'admin') {
+		logger.warn({ path: req.path, userId, role }, 'Forbidden - Admin role required')
+		return res.status(403).json({ message: 'Forbidden' })
+	}
+
+	next()
+}
+
+module.exports = isAdmin
@@ -15,9 +15,14 @@ const paymentSchema = new mongoose.Schema(
 			index: true,
 			description: 'Order ID - one payment per order (idempotency)',
 		},
+		userId: {
+			type: String,
+			index: true,
+			description: 'Order owner (from ORDER_CONFIRMED), may read the payment',
+		},
 		status: {
 			type: String,
-			enum: ['PENDING', 'PROCESSING', 'SUCCEEDED', 'FAILED'],
+			enum: ['PENDING', 'PROCESSING', 'SUCCEEDED', 'FAILED', 'PARTIALLY_REFUNDED', 'REFUNDED'],
 			default: 'PENDING',
 			index: true,
 			description: 'Payment processing status',
@@ -61,6 +66,30 @@ const paymentSchema = new mongoose.Schema(
 			type: Date,
 			description: 'Timestamp when payment was processed',
 		},
+		refundedAmount: {
+			type: Number,
+			default: 0,
+			min: 0,
+			description: 'Sum of SUCCEEDED refunds (see Refund model)',
+		},
+		pendingRefundAmount: {
+			type: Number,
+			default: 0,
+			min: 0,
+			description: 'Sum of PENDING refunds, reserved against the captured amount',
+		},
+		refundTransactionId: {
+			type: String,
+			description: 'Gateway transaction ID of the latest refund',
+		},
+		refundReason: {
+			type: String,
+			description: 'Reason of the latest refund',
+		},
+		refundedAt: {
+			type: Date,
+			description: 'Timestamp of the latest refund',
+		},
 		correlationId: {
 			type: String,
 			index: true,
@@ -84,7 +113,7 @@ paymentSchema.index({ processedAt: -1 }) // For time-based queries
  * Instance method: Check if payment is in final state
  */
 paymentSchema.methods.isFinalState = function () {
-	return ['SUCCEEDED', 'FAILED'].includes(this.status)
+	return ['SUCCEEDED', 'FAILED', 'PARTIALLY_REFUNDED', 'REFUNDED'].includes(this.status)
 }
 
 /**
@@ -134,6 +163,9 @@ paymentSchema.statics.findSucceededInRange = function (startDate, endDate) {
 
 /**
  * Static method: Get payment statistics
+ * Amounts are only added up within a currency.
+ *
+ * @returns {Promise<object>} { [status]: { count, amounts: { [currency]: total } } }
  */
 paymentSchema.statics.getStatistics = async function (startDate, endDate) {
 	const matchStage = {
@@ -147,7 +179,7 @@ paymentSchema.statics.getStatistics = async function (startDate, endDate) {
 		{ $match: matchStage },
 		{
 			$group: {
-				_id: '$status',
+				_id: { status: '$status', currency: '$currency' },
 				count: { $sum: 1 },
 				totalAmount: { $sum: '$amount' },
 			},
@@ -156,10 +188,10 @@ paymentSchema.statics.getStatistics = async function (startDate, endDate) {
 
 	return stats.reduce(
 		(acc, stat) => {
-			acc[stat._id] = {
-				count: stat.count,
-				totalAmount: stat.totalAmount,
-			}
+			const { status, currency } = stat._id
+			acc[status] = acc[status] || { count: 0, amounts: {} }
+			acc[status].count += stat.count
+			acc[status].amounts[currency || 'USD'] = stat.totalAmount
 			return acc
 		},
 		{}
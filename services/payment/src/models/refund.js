@@ -0,0 +1,99 @@
+const mongoose = require('mongoose')
+
+/**
+ * Refund Model
+ *
+ * One gateway refund of a captured payment. A payment can be refunded in
+ * several parts as long as the refunds add up to at most the captured amount.
+ */
+const refundSchema = new mongoose.Schema(
+	{
+		paymentId: {
+			type: mongoose.Schema.Types.ObjectId,
+			ref: 'Payment',
+			required: true,
+			index: true,
+			description: 'Refunded payment',
+		},
+		orderId: {
+			type: String,
+			required: true,
+			index: true,
+			description: 'Order ID of the refunded payment',
+		},
+		amount: {
+			type: Number,
+			required: true,
+			min: 0,
+			description: 'Refunded amount (in the payment currency)',
+		},
+		currency: {
+			type: String,
+			default: 'USD',
+			description: 'Refund currency (always the payment currency)',
+		},
+		status: {
+			type: String,
+			enum: ['PENDING', 'SUCCEEDED', 'FAILED'],
+			default: 'PENDING',
+			index: true,
+			description: 'Refund processing status',
+		},
+		reason: {
+			type: String,
+			description: 'Why the money is given back',
+		},
+		source: {
+			type: String,
+			enum: ['ORDER_REFUNDED', 'ADMIN'],
+			required: true,
+			description: 'What requested the refund (order.refunded event or admin API)',
+		},
+		requestedBy: {
+			type: String,
+			description: 'Acting admin for ADMIN refunds',
+		},
+		idempotencyKey: {
+			type: String,
+			required: true,
+			description: 'Deduplicates refund requests (one PENDING or SUCCEEDED refund per key)',
+		},
+		refundTransactionId: {
+			type: String,
+			description: 'Gateway refund transaction ID',
+		},
+		attempts: {
+			type: Number,
+			default: 0,
+			description: 'Number of gateway refund attempts',
+		},
+		failureReason: {
+			type: String,
+			description: 'Gateway failure reason if status is FAILED',
+		},
+		processedAt: {
+			type: Date,
+			description: 'Timestamp when the gateway answered',
+		},
+		correlationId: {
+			type: String,
+			index: true,
+			description: 'Correlation ID for distributed tracing',
+		},
+	},
+	{
+		timestamps: true, // createdAt, updatedAt
+		collection: 'refunds',
+	}
+)
+
+// A failed refund does not block a new attempt with the same key
+refundSchema.index(
+	{ idempotencyKey: 1 },
+	{ unique: true, partialFilterExpression: { status: { $in: ['PENDING', 'SUCCEEDED'] } } }
+)
+refundSchema.index({ orderId: 1, createdAt: 1 })
+
+const Refund = mongoose.model('Refund', refundSchema)
+
+module.exports = Refund
@@ -1,6 +1,9 @@
 const Payment = require('../models/payment')
 const logger = require('@ecommerce/logger')
 
+// Captured payments that still have an amount left to refund
+const REFUNDABLE_STATUSES = ['SUCCEEDED', 'PARTIALLY_REFUNDED']
+
 /**
  * Repository layer for Payment operations
  * Handles all database interactions
@@ -144,18 +147,60 @@ class PaymentRepository {
 		}
 	}
 
+	/**
+	 * Find payments by optional status and creation date range (admin listing)
+	 *
+	 * @param {object} filters - { status, from, to }
+	 */
+	async findByFilters(filters = {}, page = 1, limit = 50) {
+		try {
+			const query = {}
+			if (filters.status) {
+				query.status = filters.status
+			}
+			if (filters.from || filters.to) {
+				query.createdAt = {}
+				if (filters.from) query.createdAt.$gte = filters.from
+				if (filters.to) query.createdAt.$lte = filters.to
+			}
+
+			const skip = (page - 1) * limit
+			const [items, total] = await Promise.all([
+				Payment.find(query).skip(skip).limit(limit).sort({ createdAt: -1 }),
+				Payment.countDocuments(query),
+			])
+			return {
+				items,
+				total,
+				page,
+				pages: Math.ceil(total / limit),
+			}
+		} catch (error) {
+			logger.error(
+				{ error: error.message, filters },
+				'[PaymentRepository] Error finding payments by filters'
+			)
+			throw error
+		}
+	}
+
 	/**
 	 * Find succeeded payments in date range (for reconciliation)
+	 * Partially refunded payments are still captured and included.
+	 *
+	 * @param {number} [limit] - Oldest first, at most limit payments
 	 */
-	async findSucceededInRange(startDate, endDate) {
+	async findSucceededInRange(startDate, endDate, limit = 0) {
 		try {
 			return await Payment.find({
-				status: 'SUCCEEDED',
+				status: { $in: REFUNDABLE_STATUSES },
 				processedAt: {
 					$gte: startDate,
 					$lte: endDate,
 				},
 			})
+				.sort({ processedAt: 1 })
+				.limit(limit)
 		} catch (error) {
 			logger.error(
 				{ error: error.message },
@@ -210,31 +255,7 @@ class PaymentRepository {
 	 */
 	async getStatistics(startDate, endDate) {
 		try {
-			const matchStage = {
-				createdAt: {
-					$gte: startDate || new Date(0),
-					$lte: endDate || new Date(),
-				},
-			}
-
-			const stats = await Payment.aggregate([
-				{ $match: matchStage },
-				{
-					$group: {
-						_id: '$status',
-						count: { $sum: 1 },
-						totalAmount: { $sum: '$amount' },
-					},
-				},
-			])
-
-			return stats.reduce((acc, stat) => {
-				acc[stat._id] = {
-					count: stat.count,
-					totalAmount: stat.totalAmount,
-				}
-				return acc
-			}, {})
+			return await Payment.getStatistics(startDate, endDate)
 		} catch (error) {
 			logger.error(
 				{ error: error.message },
@@ -417,6 +438,111 @@ class PaymentRepository {
 			throw error
 		}
 	}
+
+	/**
+	 * Reserve a refund amount against the captured amount
+	 * Only updates if the payment is captured and refunds (done and pending)
+	 * stay within the captured amount (race-safe between concurrent refunds)
+	 *
+	 * @param {number} tolerance - Rounding slack on the captured amount
+	 */
+	async reserveRefund(orderId, amount, tolerance, session = null) {
+		try {
+			const options = { new: true, runValidators: true }
+			if (session) {
+				options.session = session
+			}
+			return await Payment.findOneAndUpdate(
+				{
+					orderId,
+					status: { $in: REFUNDABLE_STATUSES },
+					$expr: {
+						$lte: [
+							{ $add: [{ $ifNull: ['$refundedAmount', 0] }, { $ifNull: ['$pendingRefundAmount', 0] }, amount] },
+							{ $add: ['$amount', tolerance] },
+						],
+					},
+				},
+				{ $inc: { pendingRefundAmount: amount } },
+				options
+			)
+		} catch (error) {
+			logger.error(
+				{ error: error.message, orderId, amount },
+				'[PaymentRepository] Error reserving refund'
+			)
+			throw error
+		}
+	}
+
+	/**
+	 * Move a reserved refund amount to refundedAmount
+	 * Status becomes REFUNDED once the whole captured amount is refunded,
+	 * PARTIALLY_REFUNDED before that.
+	 *
+	 * @param {object} refund - { amount, refundTransactionId, reason, refundedAt }
+	 * @param {number} tolerance - Rounding slack on the captured amount
+	 */
+	async completeRefund(orderId, refund, tolerance, session = null) {
+		try {
+			const options = { new: true }
+			if (session) {
+				options.session = session
+			}
+			const refundedAmount = { $add: [{ $ifNull: ['$refundedAmount', 0] }, refund.amount] }
+			return await Payment.findOneAndUpdate(
+				{ orderId, status: { $in: REFUNDABLE_STATUSES } },
+				[
+					{
+						$set: {
+							refundedAmount,
+							pendingRefundAmount: { $max: [0, { $subtract: ['$pendingRefundAmount', refund.amount] }] },
+							status: {
+								$cond: [
+									{ $gte: [refundedAmount, { $subtract: ['$amount', tolerance] }] },
+									'REFUNDED',
+									'PARTIALLY_REFUNDED',
+								],
+							},
+							refundTransactionId: refund.refundTransactionId,
+							refundReason: refund.reason,
+							refundedAt: refund.refundedAt,
+						},
+					},
+				],
+				options
+			)
+		} catch (error) {
+			logger.error(
+				{ error: error.message, orderId },
+				'[PaymentRepository] Error completing refund'
+			)
+			throw error
+		}
+	}
+
+	/**
+	 * Release the reserved amount of a failed refund
+	 */
+	async releaseRefund(orderId, amount, session = null) {
+		try {
+			const options = { new: true }
+			if (session) {
+				options.session = session
+			}
+			return await Payment.findOneAndUpdate(
+				{ orderId },
+				[{ $set: { pendingRefundAmount: { $max: [0, { $subtract: ['$pendingRefundAmount', amount] }] } } }],
+				options
+			)
+		} catch (error) {
+			logger.error(
+				{ error: error.message, orderId },
+				'[PaymentRepository] Error releasing refund'
+			)
+			throw error
+		}
+	}
 }
 
 module.exports = new PaymentRepository()
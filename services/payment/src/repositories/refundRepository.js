@@ -0,0 +1,130 @@
+const Refund = require('../models/refund')
+const logger = require('@ecommerce/logger')
+
+/**
+ * Repository layer for Refund operations
+ * Handles all database interactions
+ */
+class RefundRepository {
+	/**
+	 * Create new refund
+	 */
+	async create(refundData, session = null) {
+		try {
+			const [refund] = await Refund.create([refundData], session ? { session } : {})
+			return refund
+		} catch (error) {
+			logger.error(
+				{ error: error.message, orderId: refundData.orderId },
+				'[RefundRepository] Error creating refund'
+			)
+			throw error
+		}
+	}
+
+	/**
+	 * Find refund by ID
+	 */
+	async findById(refundId, session = null) {
+		try {
+			const query = Refund.findById(refundId)
+			if (session) {
+				query.session(session)
+			}
+			return await query
+		} catch (error) {
+			logger.error(
+				{ error: error.message, refundId },
+				'[RefundRepository] Error finding refund'
+			)
+			throw error
+		}
+	}
+
+	/**
+	 * Find the PENDING or SUCCEEDED refund of an idempotency key
+	 */
+	async findActiveByIdempotencyKey(idempotencyKey, session = null) {
+		try {
+			const query = Refund.findOne({
+				idempotencyKey,
+				status: { $in: ['PENDING', 'SUCCEEDED'] },
+			})
+			if (session) {
+				query.session(session)
+			}
+			return await query
+		} catch (error) {
+			logger.error(
+				{ error: error.message, idempotencyKey },
+				'[RefundRepository] Error finding refund by idempotency key'
+			)
+			throw error
+		}
+	}
+
+	/**
+	 * Find refunds of an order, oldest first
+	 */
+	async findByOrderId(orderId) {
+		try {
+			return await Refund.find({ orderId }).sort({ createdAt: 1 })
+		} catch (error) {
+			logger.error(
+				{ error: error.message, orderId },
+				'[RefundRepository] Error finding refunds by orderId'
+			)
+			throw error
+		}
+	}
+
+	/**
+	 * Atomic update to SUCCEEDED status
+	 * Only updates if refund is still PENDING (race-safe)
+	 */
+	async atomicUpdateToSucceeded(refundId, { refundTransactionId, attempts, processedAt }, session = null) {
+		try {
+			const options = { new: true, runValidators: true }
+			if (session) {
+				options.session = session
+			}
+			return await Refund.findOneAndUpdate(
+				{ _id: refundId, status: 'PENDING' },
+				{ status: 'SUCCEEDED', refundTransactionId, attempts, processedAt },
+				options
+			)
+		} catch (error) {
+			logger.error(
+				{ error: error.message, refundId },
+				'[RefundRepository] Error atomic update to SUCCEEDED'
+			)
+			throw error
+		}
+	}
+
+	/**
+	 * Atomic update to FAILED status
+	 * Only updates if refund is still PENDING (race-safe)
+	 */
+	async atomicUpdateToFailed(refundId, { failureReason, attempts, processedAt }, session = null) {
+		try {
+			const options = { new: true, runValidators: true }
+			if (session) {
+				options.session = session
+			}
+			return await Refund.findOneAndUpdate(
+				{ _id: refundId, status: 'PENDING' },
+				{ status: 'FAILED', failureReason, attempts, processedAt },
+				options
+			)
+		} catch (error) {
+			logger.error(
+				{ error: error.message, refundId },
+				'[RefundRepository] Error atomic update to FAILED'
+			)
+			throw error
+		}
+	}
+}
+
+module.exports = new RefundRepository()
@@ -0,0 +1,23 @@
+const express = require('express')
+const isAdmin = require('../middlewares/isAdmin')
+
+/**
+ * Payment HTTP API (mounted at /api/payments, proxied by the API Gateway as /payments)
+ */
+function createPaymentRouter(paymentController) {
+	const router = express.Router()
+
+	// Admin routes (must be before /:orderId)
+	router.get('/admin', isAdmin, paymentController.listPayments)
+	router.get('/admin/statistics', isAdmin, paymentController.getStatistics)
+	router.get('/admin/reconciliation', isAdmin, paymentController.getReconciliation)
+	router.post('/admin/:orderId/refunds', isAdmin, paymentController.createRefund)
+
+	// Payment of an order and its refunds (owner or admin)
+	router.get('/:orderId', paymentController.getPaymentByOrderId)
+	router.get('/:orderId/refunds', paymentController.listRefunds)
+
+	return router
+}
+
+module.exports = createPaymentRouter
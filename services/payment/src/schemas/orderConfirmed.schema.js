@@ -1,4 +1,5 @@
 const { z } = require('zod')
+const config = require('../config')
 
 /**
  * Schema for ORDER_CONFIRMED event
@@ -11,7 +12,16 @@ const { z } = require('zod')
 const orderDataSchema = z.object({
 	orderId: z.union([z.string(), z.any()]).transform(val => String(val)), // Accept ObjectId or string
 	totalPrice: z.number().nonnegative('totalPrice must be non-negative'),
-	currency: z.string().min(1).default('USD'),
+	// Breakdown of totalPrice (orders before coupons only send totalPrice)
+	subtotal: z.number().nonnegative().optional(),
+	discountTotal: z.number().nonnegative().optional(),
+	taxTotal: z.number().nonnegative().optional(),
+	shippingTotal: z.number().nonnegative().optional(),
+	currency: z
+		.string()
+		.regex(/^[A-Za-z]{3}$/, 'currency must be a 3-letter ISO 4217 code')
+		.transform((currency) => currency.toUpperCase())
+		.optional(),
 	products: z
 		.array(
 			z.object({
@@ -42,7 +52,11 @@ const OrderConfirmedEventSchema = z
 			orderId: data.orderId,
 			totalPrice: data.totalPrice,
 			amount: data.totalPrice, // Alias for compatibility
-			currency: data.currency || 'USD',
+			subtotal: data.subtotal,
+			discountTotal: data.discountTotal,
+			taxTotal: data.taxTotal,
+			shippingTotal: data.shippingTotal,
+			currency: data.currency || config.defaultCurrency,
 			products: data.products || [],
 			userId: data.userId,
 			timestamp: data.timestamp,
@@ -0,0 +1,47 @@
+const { z } = require('zod')
+
+/**
+ * Schema for ORDER_REFUNDED event
+ * This event is published when an admin refunds a PAID or RETURNED order
+ * 
+ * Accepts two formats:
+ * 1. Wrapped: { type?: string, data: { orderId, amount, ... } }
+ * 2. Direct: { orderId, amount, ... }
+ */
+const refundDataSchema = z.object({
+	orderId: z.any()
+		.refine(val => val !== undefined && val !== null, 'orderId is required')
+		.transform(val => String(val)), // Accept ObjectId or string
+	amount: z.number().nonnegative('amount must be non-negative').optional(),
+	currency: z.string().min(1).default('USD'),
+	reason: z.string().optional(),
+	userId: z.string().optional(),
+	timestamp: z.string().optional(),
+}).passthrough()
+
+const OrderRefundedEventSchema = z
+	.union([
+		// Wrapped format: { type?: string, data: { ... } }
+		z.object({
+			type: z.string().optional(),
+			data: refundDataSchema,
+		}).passthrough(),
+		// Direct format: { orderId, amount, ... }
+		refundDataSchema,
+	])
+	.transform((message) => {
+		const data = message.data || message
+		return {
+			orderId: data.orderId,
+			amount: data.amount,
+			currency: data.currency || 'USD',
+			reason: data.reason || 'Order refunded',
+			userId: data.userId,
+			timestamp: data.timestamp,
+			rawType: message.type || 'ORDER_REFUNDED',
+		}
+	})
+
+module.exports = {
+	OrderRefundedEventSchema,
+}
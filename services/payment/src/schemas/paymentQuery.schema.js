@@ -0,0 +1,44 @@
+const { z } = require('zod')
+
+const PAYMENT_STATUSES = ['PENDING', 'PROCESSING', 'SUCCEEDED', 'FAILED', 'PARTIALLY_REFUNDED', 'REFUNDED']
+
+const date = z.coerce.date().refine((value) => !Number.isNaN(value.getTime()), 'Invalid date')
+
+const rangeIsOrdered = [
+	(query) => !query.from || !query.to || query.from <= query.to,
+	{ message: 'from must be before to', path: ['from'] },
+]
+
+/**
+ * Schema for the admin payment listing query
+ * GET /api/payments/admin?status=&from=&to=&page=&limit=
+ */
+const PaymentListQuerySchema = z
+	.object({
+		status: z.preprocess(
+			(value) => (typeof value === 'string' ? value.toUpperCase() : value),
+			z.enum(PAYMENT_STATUSES).optional()
+		),
+		from: date.optional(),
+		to: date.optional(),
+		page: z.coerce.number().int().min(1).default(1),
+		limit: z.coerce.number().int().min(1).max(100).default(20),
+	})
+	.refine(...rangeIsOrdered)
+
+/**
+ * Schema for date range queries (statistics and reconciliation)
+ * GET /api/payments/admin/statistics?from=&to=
+ */
+const PaymentRangeQuerySchema = z
+	.object({
+		from: date.optional(),
+		to: date.optional(),
+	})
+	.refine(...rangeIsOrdered)
+
+module.exports = {
+	PAYMENT_STATUSES,
+	PaymentListQuerySchema,
+	PaymentRangeQuerySchema,
+}
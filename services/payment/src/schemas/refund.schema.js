@@ -0,0 +1,15 @@
+const { z } = require('zod')
+
+/**
+ * Schema for an admin refund request
+ * POST /api/payments/admin/:orderId/refunds { amount?, reason? }
+ * Without amount, everything not refunded yet is refunded.
+ */
+const RefundRequestSchema = z.object({
+	amount: z.number().positive('amount must be positive').finite().optional(),
+	reason: z.string().trim().min(1).max(500).optional(),
+})
+
+module.exports = {
+	RefundRequestSchema,
+}
@@ -1,21 +1,30 @@
-const { v4: uuidv4 } = require('uuid')
 const logger = require('@ecommerce/logger')
+const MockGateway = require('../gateways/mockGateway')
+const { TRANSIENT_ERRORS } = require('../gateways/gatewayResult')
 
 /**
- * Transient errors that should trigger retry
+ * Payment Processor - charges and refunds through a payment gateway adapter
+ * (see src/gateways), retrying transient gateway errors with backoff.
  */
-const TRANSIENT_ERRORS = [
-	'GATEWAY_TIMEOUT',
-	'NETWORK_ERROR',
-	'SERVICE_UNAVAILABLE',
-	'RATE_LIMITED',
-]
-
 class PaymentProcessor {
-	constructor({ successRate = 0.9, maxRetries = 3, baseDelayMs = 1000 } = {}) {
-		this.successRate = Math.min(Math.max(successRate, 0), 1)
+	/**
+	 * @param {object} [options]
+	 * @param {object} [options.gateway] - Gateway adapter (default: MockGateway with the rates below)
+	 * @param {number} [options.successRate] - Mock gateway only
+	 * @param {number} [options.refundSuccessRate] - Mock gateway only
+	 */
+	constructor({
+		gateway = null,
+		successRate = 0.9,
+		refundSuccessRate = 1,
+		maxRetries = 3,
+		baseDelayMs = 1000,
+		defaultCurrency = 'USD',
+	} = {}) {
+		this.gateway = gateway || new MockGateway({ successRate, refundSuccessRate, defaultCurrency })
 		this.maxRetries = maxRetries
 		this.baseDelayMs = baseDelayMs
+		this.defaultCurrency = defaultCurrency
 	}
 
 	/**
@@ -49,75 +58,81 @@ class PaymentProcessor {
 	}
 
 	/**
-	 * Simulate a single payment attempt (mocked gateway call)
+	 * Single payment attempt: authorize, then capture the authorization
+	 * A failed capture keeps the authorized transactionId (authorized: true) so
+	 * that process() can void it.
 	 * @param {object} command
 	 * @returns {Promise<object>}
 	 */
 	async _attemptPayment(command) {
-		const decision = Math.random()
-		const transactionId = uuidv4()
-		const processedAt = new Date().toISOString()
-
-		// Simulate transient errors (10% of failures are transient)
-		if (decision > this.successRate) {
-			const isTransient = Math.random() < 0.3 // 30% of failures are transient
-			
-			if (isTransient) {
-				const transientError = TRANSIENT_ERRORS[Math.floor(Math.random() * TRANSIENT_ERRORS.length)]
-				return {
-					status: 'FAILED',
-					transactionId,
-					processedAt,
-					amount: command.amount ?? null,
-					currency: command.currency ?? 'USD',
-					reason: `Transient error: ${transientError}`,
-					errorCode: transientError,
-					retryable: true,
-				}
-			}
-
-			return {
-				status: 'FAILED',
-				transactionId,
-				processedAt,
-				amount: command.amount ?? null,
-				currency: command.currency ?? 'USD',
-				reason: 'Mock gateway declined the payment',
-				errorCode: 'PAYMENT_DECLINED',
-				retryable: false,
-			}
+		const authorization = await this.gateway.authorize(command)
+		if (authorization.status !== 'AUTHORIZED') {
+			return authorization
 		}
 
-		return {
-			status: 'SUCCEEDED',
-			transactionId,
-			processedAt,
-			amount: command.amount ?? null,
-			currency: command.currency ?? 'USD',
+		const capture = await this.gateway.capture({
+			orderId: command.orderId,
+			transactionId: authorization.transactionId,
+			amount: authorization.amount,
+			currency: authorization.currency,
+		})
+		if (capture.status !== 'SUCCEEDED') {
+			return { ...capture, transactionId: authorization.transactionId, authorized: true }
 		}
+
+		return { ...capture, transactionId: authorization.transactionId }
 	}
 
 	/**
-	 * Process a payment request with retry and exponential backoff
+	 * Single refund attempt
 	 * @param {object} command
-	 * @param {string} command.orderId
-	 * @param {number} [command.amount]
-	 * @param {string} [command.currency]
 	 * @returns {Promise<object>}
 	 */
-	async process(command) {
+	async _attemptRefund(command) {
+		return this.gateway.refund(command)
+	}
+
+	/**
+	 * Release an authorization that could not be captured (best effort)
+	 * @param {object} command
+	 * @param {string} transactionId
+	 */
+	async _voidAuthorization(command, transactionId) {
+		const result = await this.gateway.void({ orderId: command.orderId, transactionId })
+		if (result.status === 'VOIDED') {
+			logger.info({ orderId: command.orderId, transactionId }, '💳 [PaymentProcessor] Uncaptured authorization voided')
+			return
+		}
+
+		logger.warn(
+			{ orderId: command.orderId, transactionId, reason: result.reason },
+			'💳 [PaymentProcessor] Could not void uncaptured authorization'
+		)
+	}
+
+	/**
+	 * Run gateway attempts until success, a non-retryable failure or no retries left
+	 * Transient errors are retried with exponential backoff.
+	 * @param {object} command
+	 * @param {Function} attemptFn - (command) => Promise<result>
+	 * @param {object} options
+	 * @param {string} options.operation - Log label (Payment, Refund)
+	 * @param {string} options.successStatus - Result status of a successful attempt
+	 * @returns {Promise<object>} Last result with attempts
+	 */
+	async _runWithRetry(command, attemptFn, { operation, successStatus }) {
 		let lastResult = null
 		let attempt = 0
 
 		while (attempt <= this.maxRetries) {
-			lastResult = await this._attemptPayment(command)
+			lastResult = await attemptFn(command)
 
 			// Success - return immediately
-			if (lastResult.status === 'SUCCEEDED') {
+			if (lastResult.status === successStatus) {
 				if (attempt > 0) {
 					logger.info(
 						{ orderId: command.orderId, attempt: attempt + 1 },
-						'💳 [PaymentProcessor] Payment succeeded after retry'
+						`💳 [PaymentProcessor] ${operation} succeeded after retry`
 					)
 				}
 				return { ...lastResult, attempts: attempt + 1 }
@@ -127,7 +142,7 @@ class PaymentProcessor {
 			if (!this._isTransientError(lastResult)) {
 				logger.warn(
 					{ orderId: command.orderId, reason: lastResult.reason, attempt: attempt + 1 },
-					'💳 [PaymentProcessor] Payment failed (non-retryable)'
+					`💳 [PaymentProcessor] ${operation} failed (non-retryable)`
 				)
 				return { ...lastResult, attempts: attempt + 1 }
 			}
@@ -158,7 +173,7 @@ class PaymentProcessor {
 				reason: lastResult.reason,
 				totalAttempts: attempt,
 			},
-			'💳 [PaymentProcessor] Payment failed after all retries'
+			`💳 [PaymentProcessor] ${operation} failed after all retries`
 		)
 
 		return {
@@ -167,6 +182,82 @@ class PaymentProcessor {
 			reason: `${lastResult.reason} (after ${attempt} attempts)`,
 		}
 	}
+
+	/**
+	 * Process a payment request with retry and exponential backoff
+	 * @param {object} command
+	 * @param {string} command.orderId
+	 * @param {number} [command.amount]
+	 * @param {string} [command.currency]
+	 * @param {string} [command.card] - Card number, if the gateway needs one
+	 * @param {string} [command.idempotencyKey] - Authorization key (default: authorize:<orderId>)
+	 * @returns {Promise<object>}
+	 */
+	async process(command) {
+		// Retries replay the same authorization instead of authorizing twice
+		const paymentCommand = { ...command, idempotencyKey: command.idempotencyKey ?? `authorize:${command.orderId}` }
+		const { authorized, ...result } = await this._runWithRetry(
+			paymentCommand,
+			(attemptCommand) => this._attemptPayment(attemptCommand),
+			{ operation: 'Payment', successStatus: 'SUCCEEDED' }
+		)
+
+		if (result.status === 'FAILED' && authorized) {
+			await this._voidAuthorization(command, result.transactionId)
+		}
+
+		return result
+	}
+
+	/**
+	 * Refund (part of) a captured payment with retry and exponential backoff
+	 * @param {object} command
+	 * @param {string} command.orderId
+	 * @param {string} [command.refundId] - Refund record ID
+	 * @param {string} command.transactionId - Original payment transaction
+	 * @param {number} [command.amount]
+	 * @param {string} [command.currency]
+	 * @returns {Promise<object>} status REFUNDED (with refundTransactionId) or FAILED
+	 */
+	async refund(command) {
+		const result = await this._runWithRetry(command, (attemptCommand) => this._attemptRefund(attemptCommand), {
+			operation: 'Refund',
+			successStatus: 'REFUNDED',
+		})
+
+		if (result.status === 'REFUNDED') {
+			logger.info(
+				{
+					orderId: command.orderId,
+					refundId: command.refundId,
+					transactionId: command.transactionId,
+					amount: result.amount,
+				},
+				'💸 [PaymentProcessor] Payment refunded'
+			)
+		}
+
+		return result
+	}
+
+	/**
+	 * Current gateway status of a transaction
+	 * @param {object} command
+	 * @param {string} command.transactionId
+	 * @returns {Promise<object>}
+	 */
+	async query(command) {
+		return this.gateway.query(command)
+	}
+
+	/**
+	 * Release gateway resources (HTTP client, ...)
+	 */
+	close() {
+		if (typeof this.gateway.close === 'function') {
+			this.gateway.close()
+		}
+	}
 }
 
 module.exports = PaymentProcessor
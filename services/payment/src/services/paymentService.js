@@ -1,6 +1,55 @@
 const paymentRepository = require('../repositories/paymentRepository')
+const refundRepository = require('../repositories/refundRepository')
 const logger = require('@ecommerce/logger')
 const mongoose = require('mongoose')
+const config = require('../config')
+const { lookupOrders } = require('../clients/orderClient')
+const { recordReconciliationMismatch } = require('../metrics')
+
+// Amounts closer than this are equal (absorbs floating point noise, below any minor unit)
+const AMOUNT_TOLERANCE = 0.005
+
+// Order statuses reached only after PAYMENT_SUCCEEDED (REFUNDED is checked separately)
+const PAID_ORDER_STATUSES = ['PAID', 'SHIPPED', 'DELIVERED', 'RETURNED']
+
+// Captured payments that still have an amount left to refund
+const REFUNDABLE_STATUSES = ['SUCCEEDED', 'PARTIALLY_REFUNDED']
+
+// Default reconciliation window when no start date is given
+const DEFAULT_RECONCILIATION_WINDOW_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Helper: Create a payment API error (mapped to HTTP status by the controller)
+ * @param {string} code - ORDER_SERVICE_UNAVAILABLE, PAYMENT_NOT_FOUND, PAYMENT_NOT_REFUNDABLE,
+ *   INVALID_REFUND_AMOUNT, REFUND_EXCEEDS_CAPTURED or IDEMPOTENCY_KEY_REUSED
+ * @param {string} message - Error message
+ */
+function createPaymentError(code, message) {
+	const error = new Error(message)
+	error.code = code
+	return error
+}
+
+/**
+ * Helper: Compare two money amounts
+ */
+function amountsMatch(a, b) {
+	return Math.abs(a - b) < AMOUNT_TOLERANCE
+}
+
+/**
+ * Helper: Round a money amount to the minor unit of its currency (2 for USD, 0 for JPY)
+ */
+function roundToCurrency(amount, currency) {
+	let decimals = 2
+	try {
+		decimals = new Intl.NumberFormat('en', { style: 'currency', currency }).resolvedOptions().maximumFractionDigits
+	} catch (error) {
+		// Unknown currency code: keep cents
+	}
+	const factor = 10 ** decimals
+	return Math.round(amount * factor) / factor
+}
 
 /**
  * Payment Service
@@ -9,8 +58,13 @@ const mongoose = require('mongoose')
  * Handles payment creation, updates, and queries.
  */
 class PaymentService {
-	constructor(outboxManager) {
+	/**
+	 * @param {object} outboxManager
+	 * @param {PaymentProcessor} paymentProcessor - Gateway used for refunds
+	 */
+	constructor(outboxManager, paymentProcessor) {
 		this.outboxManager = outboxManager
+		this.paymentProcessor = paymentProcessor
 		this.maxRetries = 3
 	}
 
@@ -22,10 +76,11 @@ class PaymentService {
 	 * @param {string} params.orderId
 	 * @param {number} params.amount
 	 * @param {string} params.currency
+	 * @param {string} [params.userId] - Order owner
 	 * @param {string} params.correlationId
 	 * @returns {Promise<Payment>}
 	 */
-	async createOrGetPayment({ orderId, amount, currency, correlationId }) {
+	async createOrGetPayment({ orderId, amount, currency, userId, correlationId }) {
 		// Check if payment already exists (idempotency)
 		let payment = await paymentRepository.findByOrderId(orderId)
 
@@ -41,8 +96,9 @@ class PaymentService {
 		payment = await paymentRepository.create({
 			orderId,
 			amount,
-			currency: currency || 'USD',
+			currency: currency || config.defaultCurrency,
 			status: 'PENDING',
+			userId,
 			correlationId,
 		})
 
@@ -54,6 +110,44 @@ class PaymentService {
 		return payment
 	}
 
+	/**
+	 * Check that a payment charges exactly what the order asks for
+	 *
+	 * - The payment record (possibly created by an earlier delivery) must have
+	 *   the order's amount and currency
+	 * - When the order sends its breakdown, the product lines must add up to the
+	 *   subtotal and subtotal - discountTotal + taxTotal + shippingTotal must
+	 *   equal totalPrice
+	 *
+	 * @param {Payment} payment - Payment record of the order
+	 * @param {object} order - Normalized ORDER_CONFIRMED payload
+	 * @returns {string|null} Mismatch description or null when everything matches
+	 */
+	findOrderMismatch(payment, order) {
+		if (payment.currency !== order.currency) {
+			return `Payment currency ${payment.currency} does not match order currency ${order.currency}`
+		}
+		if (!amountsMatch(payment.amount, order.totalPrice)) {
+			return `Payment amount ${payment.amount} does not match order total ${order.totalPrice}`
+		}
+
+		if (order.subtotal !== undefined) {
+			if (order.products.length > 0) {
+				const linesTotal = order.products.reduce((total, line) => total + line.price * line.quantity, 0)
+				if (!amountsMatch(linesTotal, order.subtotal)) {
+					return `Order lines total ${linesTotal} does not match subtotal ${order.subtotal}`
+				}
+			}
+			const expectedTotal =
+				order.subtotal - (order.discountTotal || 0) + (order.taxTotal || 0) + (order.shippingTotal || 0)
+			if (!amountsMatch(expectedTotal, order.totalPrice)) {
+				return `Order total ${order.totalPrice} does not match subtotal - discounts + tax + shipping (${expectedTotal})`
+			}
+		}
+
+		return null
+	}
+
 	/**
 	 * Update payment status to PROCESSING
 	 * Uses atomic update to prevent race conditions
@@ -290,6 +384,297 @@ class PaymentService {
 		}
 	}
 
+	/**
+	 * Refund (part of) a captured payment and publish PAYMENT_REFUNDED via Outbox
+	 *
+	 * The amount is reserved on the payment together with a PENDING refund
+	 * record, then refunded through the gateway. Refunds of a payment never add
+	 * up to more than the captured amount, even when requested concurrently.
+	 *
+	 * Idempotent per idempotencyKey: a SUCCEEDED refund is returned as is, a
+	 * PENDING one (interrupted attempt) is resumed. The refund ID is the gateway
+	 * idempotency key, so resuming cannot refund twice. A FAILED refund does not
+	 * block a new attempt with the same key.
+	 *
+	 * @param {object} params
+	 * @param {string} params.orderId
+	 * @param {number} [params.amount] - Default: everything not refunded yet
+	 * @param {string} [params.reason] - Refund reason
+	 * @param {string} params.source - ORDER_REFUNDED or ADMIN
+	 * @param {string} [params.requestedBy] - Acting admin
+	 * @param {string} params.idempotencyKey
+	 * @param {string} [params.correlationId]
+	 * @returns {Promise<object>} { refund, payment, alreadyProcessed } (refund.status SUCCEEDED or FAILED)
+	 * @throws PAYMENT_NOT_FOUND, PAYMENT_NOT_REFUNDABLE, INVALID_REFUND_AMOUNT, REFUND_EXCEEDS_CAPTURED
+	 *   or IDEMPOTENCY_KEY_REUSED
+	 */
+	async refund({ orderId, amount, reason, source, requestedBy, idempotencyKey, correlationId }) {
+		const payment = await paymentRepository.findByOrderId(orderId)
+		if (!payment) {
+			throw createPaymentError('PAYMENT_NOT_FOUND', 'Payment not found')
+		}
+
+		let refund = await refundRepository.findActiveByIdempotencyKey(idempotencyKey)
+		if (refund && amount !== undefined && !amountsMatch(refund.amount, amount)) {
+			throw createPaymentError('IDEMPOTENCY_KEY_REUSED', 'Idempotency key was already used for a different refund amount')
+		}
+		if (!refund) {
+			refund = await this._createRefund(payment, {
+				amount,
+				reason,
+				source,
+				requestedBy,
+				idempotencyKey,
+				correlationId,
+			})
+		}
+
+		if (refund.status === 'SUCCEEDED') {
+			logger.info(
+				{ orderId, refundId: refund._id, idempotencyKey },
+				'[PaymentService] Refund already processed, skipping (idempotency)'
+			)
+			return { refund, payment, alreadyProcessed: true }
+		}
+
+		return await this._executeRefund(payment, refund, correlationId)
+	}
+
+	/**
+	 * Validate the amount, reserve it on the payment and record a PENDING refund
+	 * @private
+	 */
+	async _createRefund(payment, { amount, reason, source, requestedBy, idempotencyKey, correlationId }) {
+		const { orderId, currency } = payment
+		if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+			throw createPaymentError('PAYMENT_NOT_REFUNDABLE', `Payment is ${payment.status}, only captured payments can be refunded`)
+		}
+
+		const refundable = this.getRefundableAmount(payment)
+		if (refundable <= 0) {
+			throw createPaymentError('PAYMENT_NOT_REFUNDABLE', 'Payment has nothing left to refund')
+		}
+
+		const refundAmount = amount === undefined ? refundable : roundToCurrency(amount, currency)
+		if (!(refundAmount > 0)) {
+			throw createPaymentError('INVALID_REFUND_AMOUNT', 'Refund amount must be positive')
+		}
+		if (refundAmount - refundable >= AMOUNT_TOLERANCE) {
+			throw createPaymentError(
+				'REFUND_EXCEEDS_CAPTURED',
+				`Refund of ${refundAmount} ${currency} exceeds the refundable amount of ${refundable} ${currency}`
+			)
+		}
+
+		const session = await mongoose.startSession()
+		session.startTransaction()
+
+		try {
+			// Reserve first: a concurrent refund may have taken the rest meanwhile
+			const reserved = await paymentRepository.reserveRefund(orderId, refundAmount, AMOUNT_TOLERANCE, session)
+			if (!reserved) {
+				throw createPaymentError(
+					'REFUND_EXCEEDS_CAPTURED',
+					`Refund of ${refundAmount} ${currency} exceeds the refundable amount`
+				)
+			}
+
+			const refund = await refundRepository.create(
+				{
+					paymentId: payment._id,
+					orderId,
+					amount: refundAmount,
+					currency,
+					reason: reason || 'Refund',
+					source,
+					requestedBy,
+					idempotencyKey,
+					correlationId,
+				},
+				session
+			)
+
+			await session.commitTransaction()
+			return refund
+		} catch (error) {
+			await session.abortTransaction()
+
+			// Same key requested concurrently: continue with that refund
+			const isDuplicateKeyError = error.code === 11000 ||
+				(error.message && error.message.includes('E11000 duplicate key error'))
+			if (isDuplicateKeyError) {
+				const existing = await refundRepository.findActiveByIdempotencyKey(idempotencyKey)
+				if (existing) {
+					return existing
+				}
+			}
+			throw error
+		} finally {
+			session.endSession()
+		}
+	}
+
+	/**
+	 * Refund a PENDING refund through the gateway and record the outcome
+	 * Success: refund SUCCEEDED, amount moved to payment.refundedAmount and
+	 * PAYMENT_REFUNDED queued in one transaction. Failure: refund FAILED and the
+	 * reserved amount released.
+	 * @private
+	 */
+	async _executeRefund(payment, refund, correlationId) {
+		const { orderId } = payment
+		const result = await this.paymentProcessor.refund({
+			orderId,
+			refundId: refund._id.toString(),
+			transactionId: payment.transactionId,
+			amount: refund.amount,
+			currency: refund.currency,
+		})
+		const processedAt = new Date(result.processedAt)
+
+		const session = await mongoose.startSession()
+		session.startTransaction()
+
+		try {
+			if (result.status !== 'REFUNDED') {
+				const failed = await refundRepository.atomicUpdateToFailed(
+					refund._id,
+					{ failureReason: result.reason, attempts: result.attempts, processedAt },
+					session
+				)
+				if (!failed) {
+					return await this._refundHandledElsewhere(session, payment, refund)
+				}
+				const updatedPayment = await paymentRepository.releaseRefund(orderId, refund.amount, session)
+				await session.commitTransaction()
+
+				logger.warn(
+					{ orderId, refundId: refund._id, amount: refund.amount, reason: result.reason },
+					'[PaymentService] Gateway refund failed, reserved amount released'
+				)
+				return { refund: failed, payment: updatedPayment, alreadyProcessed: false }
+			}
+
+			const succeeded = await refundRepository.atomicUpdateToSucceeded(
+				refund._id,
+				{ refundTransactionId: result.refundTransactionId, attempts: result.attempts, processedAt },
+				session
+			)
+			if (!succeeded) {
+				return await this._refundHandledElsewhere(session, payment, refund)
+			}
+
+			const updatedPayment = await paymentRepository.completeRefund(
+				orderId,
+				{
+					amount: refund.amount,
+					refundTransactionId: result.refundTransactionId,
+					reason: refund.reason,
+					refundedAt: processedAt,
+				},
+				AMOUNT_TOLERANCE,
+				session
+			)
+			if (!updatedPayment) {
+				throw new Error(`Payment of order ${orderId} is no longer refundable`)
+			}
+
+			await this.outboxManager.createEvent({
+				eventType: 'PAYMENT_REFUNDED',
+				payload: {
+					type: 'PAYMENT_REFUNDED',
+					data: {
+						orderId,
+						refundId: refund._id.toString(),
+						transactionId: updatedPayment.transactionId,
+						refundTransactionId: result.refundTransactionId,
+						amount: refund.amount,
+						currency: refund.currency,
+						refundedAmount: updatedPayment.refundedAmount,
+						fullyRefunded: updatedPayment.status === 'REFUNDED',
+						reason: refund.reason,
+						source: refund.source,
+						refundedAt: processedAt.toISOString(),
+					},
+				},
+				session,
+				eventId: `payment-refunded:${refund._id}`, // Deterministic eventId for idempotency
+				correlationId: correlationId || refund.correlationId,
+				routingKey: 'payment.refunded',
+			})
+
+			await session.commitTransaction()
+
+			logger.info(
+				{
+					orderId,
+					refundId: refund._id,
+					refundTransactionId: result.refundTransactionId,
+					amount: refund.amount,
+					refundedAmount: updatedPayment.refundedAmount,
+					status: updatedPayment.status,
+				},
+				'[PaymentService] Payment refunded and event queued via Outbox'
+			)
+
+			return { refund: succeeded, payment: updatedPayment, alreadyProcessed: false }
+		} catch (error) {
+			if (session.inTransaction()) {
+				await session.abortTransaction()
+			}
+			logger.error(
+				{ error: error.message, orderId, refundId: refund._id },
+				'[PaymentService] Failed to record refund'
+			)
+			throw error
+		} finally {
+			session.endSession()
+		}
+	}
+
+	/**
+	 * The refund left PENDING while the gateway answered (another instance resumed it)
+	 * @private
+	 */
+	async _refundHandledElsewhere(session, payment, refund) {
+		await session.abortTransaction()
+		const current = await refundRepository.findById(refund._id)
+		logger.info(
+			{ orderId: payment.orderId, refundId: refund._id, status: current?.status },
+			'[PaymentService] Refund already completed by another instance, skipping (race condition avoided)'
+		)
+		return {
+			refund: current || refund,
+			payment: await paymentRepository.findByOrderId(payment.orderId),
+			alreadyProcessed: true,
+		}
+	}
+
+	/**
+	 * Amount of a payment that can still be refunded
+	 * (captured amount minus SUCCEEDED and PENDING refunds)
+	 *
+	 * @param {Payment} payment
+	 * @returns {number} 0 when the payment is not captured
+	 */
+	getRefundableAmount(payment) {
+		if (!REFUNDABLE_STATUSES.includes(payment.status)) {
+			return 0
+		}
+		const refundable = payment.amount - (payment.refundedAmount || 0) - (payment.pendingRefundAmount || 0)
+		return Math.max(0, roundToCurrency(refundable, payment.currency))
+	}
+
+	/**
+	 * Refunds of an order, oldest first
+	 *
+	 * @param {string} orderId
+	 * @returns {Promise<Refund[]>}
+	 */
+	async getRefundsByOrderId(orderId) {
+		return await refundRepository.findByOrderId(orderId)
+	}
+
 	/**
 	 * Get payment by orderId
 	 * 
@@ -321,6 +706,108 @@ class PaymentService {
 	async findSucceededPayments(startDate, endDate) {
 		return await paymentRepository.findSucceededInRange(startDate, endDate)
 	}
+
+	/**
+	 * List payments (admin)
+	 *
+	 * @param {object} filters - { status, from, to } (creation date)
+	 * @param {number} page
+	 * @param {number} limit
+	 * @returns {Promise<object>} { items, total, page, pages }
+	 */
+	async listPayments(filters, page, limit) {
+		return await paymentRepository.findByFilters(filters, page, limit)
+	}
+
+	/**
+	 * Check a captured payment against its order
+	 *
+	 * @param {Payment} payment - SUCCEEDED or PARTIALLY_REFUNDED payment
+	 * @param {object} [order] - Order summary from Order Service (undefined if not found)
+	 * @returns {object|null} { issue, message } or null when the order matches
+	 */
+	findReconciliationIssue(payment, order) {
+		if (!order) {
+			return { issue: 'ORDER_NOT_FOUND', message: 'Payment captured for an unknown order' }
+		}
+		if (order.status === 'REFUNDED') {
+			return { issue: 'ORDER_REFUNDED', message: 'Order refunded but the payment was not fully refunded' }
+		}
+		if (!PAID_ORDER_STATUSES.includes(order.status)) {
+			return { issue: 'ORDER_NOT_PAID', message: `Payment captured but order is ${order.status}` }
+		}
+		if (order.currency !== payment.currency || !amountsMatch(order.totalPrice, payment.amount)) {
+			return {
+				issue: 'AMOUNT_MISMATCH',
+				message: `Payment ${payment.amount} ${payment.currency} does not match order total ${order.totalPrice} ${order.currency}`,
+			}
+		}
+		return null
+	}
+
+	/**
+	 * Reconciliation report: captured (SUCCEEDED or PARTIALLY_REFUNDED) payments processed in a date range
+	 * cross-checked against the status and total of their orders
+	 * At most PAYMENT_RECONCILIATION_MAX_PAYMENTS payments (oldest first) are checked.
+	 *
+	 * @param {object} range - { from, to } (processedAt, default: last 24 hours)
+	 * @returns {Promise<object>} Report
+	 * @throws ORDER_SERVICE_UNAVAILABLE when orders cannot be read
+	 */
+	async reconcile({ from, to } = {}) {
+		const endDate = to || new Date()
+		const startDate = from || new Date(endDate.getTime() - DEFAULT_RECONCILIATION_WINDOW_MS)
+		const maxPayments = config.reconciliationMaxPayments
+
+		const found = await paymentRepository.findSucceededInRange(startDate, endDate, maxPayments + 1)
+		const payments = found.slice(0, maxPayments)
+
+		let orders
+		try {
+			orders = payments.length > 0 ? await lookupOrders(payments.map((payment) => payment.orderId)) : []
+		} catch (error) {
+			logger.error({ error: error.message }, '[PaymentService] Reconciliation could not read orders')
+			throw createPaymentError('ORDER_SERVICE_UNAVAILABLE', 'Order Service is unavailable, try again later')
+		}
+		const ordersById = new Map(orders.map((order) => [String(order.orderId), order]))
+
+		const mismatches = []
+		const summary = {}
+		for (const payment of payments) {
+			const order = ordersById.get(payment.orderId)
+			const mismatch = this.findReconciliationIssue(payment, order)
+			if (mismatch) {
+				summary[mismatch.issue] = (summary[mismatch.issue] || 0) + 1
+				recordReconciliationMismatch(mismatch.issue)
+				mismatches.push({
+					orderId: payment.orderId,
+					transactionId: payment.transactionId,
+					amount: payment.amount,
+					currency: payment.currency,
+					processedAt: payment.processedAt,
+					orderStatus: order?.status ?? null,
+					orderTotal: order?.totalPrice ?? null,
+					orderCurrency: order?.currency ?? null,
+					...mismatch,
+				})
+			}
+		}
+
+		if (mismatches.length > 0) {
+			logger.warn({ mismatches: mismatches.length, summary }, '[PaymentService] Reconciliation found mismatches')
+		}
+
+		return {
+			from: startDate,
+			to: endDate,
+			checkedAt: new Date(),
+			checked: payments.length,
+			matched: payments.length - mismatches.length,
+			truncated: found.length > maxPayments,
+			summary,
+			mismatches,
+		}
+	}
 }
 
 module.exports = PaymentService
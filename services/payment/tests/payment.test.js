@@ -1,9 +1,16 @@
-const { describe, it, before, after, beforeEach } = require('mocha')
+const { describe, it, before, after, beforeEach, afterEach } = require('mocha')
 const { expect } = require('chai')
 const sinon = require('sinon')
 const PaymentProcessor = require('../src/services/paymentProcessor')
+const ScriptedGateway = require('../src/gateways/scriptedGateway')
+const HttpGateway = require('../src/gateways/httpGateway')
+const { createGatewayStubApp } = require('../src/gateways/gatewayStub')
 const IdempotencyService = require('../src/services/idempotencyService')
+const PaymentService = require('../src/services/paymentService')
 const { OrderConfirmedEventSchema } = require('../src/schemas/orderConfirmed.schema')
+const { OrderRefundedEventSchema } = require('../src/schemas/orderRefunded.schema')
+const { PaymentListQuerySchema, PaymentRangeQuerySchema } = require('../src/schemas/paymentQuery.schema')
+const { RefundRequestSchema } = require('../src/schemas/refund.schema')
 
 describe('Payment Service Tests', () => {
 	describe('PaymentProcessor', () => {
@@ -62,6 +69,176 @@ describe('Payment Service Tests', () => {
 
 			expect(result.currency).to.equal('USD')
 		})
+
+		it('should refund a captured payment with a new refund transaction ID', async () => {
+			const result = await paymentProcessor.refund({
+				orderId: 'order-123',
+				transactionId: 'txn-123',
+				amount: 100,
+				currency: 'USD',
+			})
+
+			expect(result).to.have.property('status', 'REFUNDED')
+			expect(result).to.have.property('transactionId', 'txn-123')
+			expect(result).to.have.property('amount', 100)
+			expect(result).to.have.property('processedAt')
+			expect(result.refundTransactionId).to.be.a('string')
+			expect(result.refundTransactionId).to.not.equal('txn-123')
+		})
+
+		it('should retry a refund after a transient gateway error', async () => {
+			paymentProcessor = new PaymentProcessor({ baseDelayMs: 1 })
+			const attempt = sinon.stub(paymentProcessor, '_attemptRefund')
+			attempt.onFirstCall().resolves({ status: 'FAILED', errorCode: 'GATEWAY_TIMEOUT', reason: 'Transient error: GATEWAY_TIMEOUT' })
+			attempt.onSecondCall().resolves({ status: 'REFUNDED', refundTransactionId: 'refund-txn-1', amount: 40 })
+
+			const result = await paymentProcessor.refund({ orderId: 'order-123', transactionId: 'txn-123', amount: 40 })
+
+			expect(result).to.have.property('status', 'REFUNDED')
+			expect(result).to.have.property('attempts', 2)
+			expect(attempt.calledTwice).to.be.true
+		})
+
+		it('should fail a refund without retrying a rejection', async () => {
+			paymentProcessor = new PaymentProcessor({ baseDelayMs: 1 })
+			const attempt = sinon.stub(paymentProcessor, '_attemptRefund')
+				.resolves({ status: 'FAILED', errorCode: 'REFUND_REJECTED', reason: 'Mock gateway rejected the refund' })
+
+			const result = await paymentProcessor.refund({ orderId: 'order-123', transactionId: 'txn-123', amount: 40 })
+
+			expect(result).to.have.property('status', 'FAILED')
+			expect(result).to.have.property('attempts', 1)
+			expect(attempt.calledOnce).to.be.true
+		})
+	})
+
+	describe('Payment gateway adapters', () => {
+		const DECLINED_CARD = '4000000000000002'
+
+		describe('ScriptedGateway', () => {
+			let gateway
+			let paymentProcessor
+
+			beforeEach(() => {
+				gateway = new ScriptedGateway({
+					rules: [
+						{ card: DECLINED_CARD, errorCode: 'PAYMENT_DECLINED', reason: 'Card declined' },
+						{ operation: 'authorize', currency: 'USD', minAmount: 10000, errorCode: 'AMOUNT_LIMIT_EXCEEDED' },
+						{ operation: 'capture', amount: 13.37, errorCode: 'CAPTURE_REJECTED' },
+					],
+				})
+				paymentProcessor = new PaymentProcessor({ gateway, baseDelayMs: 1 })
+			})
+
+			it('should authorize and capture payments that no rule declines', async () => {
+				const result = await paymentProcessor.process({ orderId: 'order-1', amount: 100, currency: 'USD', card: '4242 4242 4242 4242' })
+
+				expect(result).to.include({ status: 'SUCCEEDED', transactionId: 'scripted-txn-1', amount: 100, attempts: 1 })
+				expect(await paymentProcessor.query({ transactionId: 'scripted-txn-1' })).to.include({ status: 'SUCCEEDED', orderId: 'order-1' })
+			})
+
+			it('should decline by card and by amount without retrying', async () => {
+				const byCard = await paymentProcessor.process({ orderId: 'order-1', amount: 100, card: '4000 0000 0000 0002' })
+				const byAmount = await paymentProcessor.process({ orderId: 'order-2', amount: 10000, currency: 'USD' })
+				const otherCurrency = await paymentProcessor.process({ orderId: 'order-3', amount: 10000, currency: 'VND' })
+
+				expect(byCard).to.include({ status: 'FAILED', errorCode: 'PAYMENT_DECLINED', reason: 'Card declined', attempts: 1 })
+				expect(byAmount).to.include({ status: 'FAILED', errorCode: 'AMOUNT_LIMIT_EXCEEDED', attempts: 1 })
+				expect(otherCurrency).to.have.property('status', 'SUCCEEDED')
+			})
+
+			it('should retry a transient error and reuse the authorization', async () => {
+				gateway = new ScriptedGateway({ rules: [{ operation: 'capture', times: 1, errorCode: 'GATEWAY_TIMEOUT' }] })
+				paymentProcessor = new PaymentProcessor({ gateway, baseDelayMs: 1 })
+
+				const result = await paymentProcessor.process({ orderId: 'order-1', amount: 100 })
+
+				expect(result).to.include({ status: 'SUCCEEDED', transactionId: 'scripted-txn-1', attempts: 2 })
+				expect(gateway.transactions.size).to.equal(1)
+			})
+
+			it('should void the authorization when the capture is declined', async () => {
+				const result = await paymentProcessor.process({ orderId: 'order-1', amount: 13.37 })
+
+				expect(result).to.include({ status: 'FAILED', errorCode: 'CAPTURE_REJECTED', transactionId: 'scripted-txn-1' })
+				expect(result).to.not.have.property('authorized')
+				expect(await gateway.query({ transactionId: 'scripted-txn-1' })).to.have.property('status', 'VOIDED')
+			})
+
+			it('should refund in parts up to the captured amount', async () => {
+				const { transactionId } = await paymentProcessor.process({ orderId: 'order-1', amount: 100 })
+
+				const partial = await paymentProcessor.refund({ orderId: 'order-1', refundId: 'refund-1', transactionId, amount: 40 })
+				const replay = await paymentProcessor.refund({ orderId: 'order-1', refundId: 'refund-1', transactionId, amount: 40 })
+				const tooMuch = await paymentProcessor.refund({ orderId: 'order-1', refundId: 'refund-2', transactionId, amount: 70 })
+				const rest = await paymentProcessor.refund({ orderId: 'order-1', refundId: 'refund-3', transactionId })
+
+				expect(partial).to.include({ status: 'REFUNDED', amount: 40 })
+				expect(replay.refundTransactionId).to.equal(partial.refundTransactionId)
+				expect(tooMuch).to.include({ status: 'FAILED', errorCode: 'REFUND_EXCEEDS_CAPTURED', attempts: 1 })
+				expect(rest).to.include({ status: 'REFUNDED', amount: 60 })
+				expect(await gateway.query({ transactionId })).to.include({ status: 'REFUNDED', refundedAmount: 100 })
+			})
+
+			it('should reject rules without an errorCode or with an unknown operation', () => {
+				expect(() => new ScriptedGateway({ rules: [{ card: DECLINED_CARD }] })).to.throw(/no errorCode/)
+				expect(() => new ScriptedGateway({ rules: [{ operation: 'charge', errorCode: 'X' }] })).to.throw(/unknown operation/)
+			})
+		})
+
+		describe('HttpGateway', () => {
+			let server
+			let gateway
+
+			before((done) => {
+				const scripted = new ScriptedGateway({ rules: [{ card: DECLINED_CARD, errorCode: 'PAYMENT_DECLINED' }] })
+				server = createGatewayStubApp(scripted).listen(0, '127.0.0.1', done)
+			})
+
+			after((done) => {
+				server.close(done)
+			})
+
+			beforeEach(() => {
+				gateway = new HttpGateway({ url: `http://127.0.0.1:${server.address().port}`, timeoutMs: 2000 })
+			})
+
+			afterEach(() => {
+				gateway.close()
+			})
+
+			it('should charge and refund through the stub server', async () => {
+				const paymentProcessor = new PaymentProcessor({ gateway, baseDelayMs: 1 })
+
+				const payment = await paymentProcessor.process({ orderId: 'order-1', amount: 100, currency: 'USD' })
+				const refund = await paymentProcessor.refund({ orderId: 'order-1', refundId: 'refund-1', transactionId: payment.transactionId, amount: 25 })
+
+				expect(payment).to.include({ status: 'SUCCEEDED', amount: 100, currency: 'USD' })
+				expect(refund).to.include({ status: 'REFUNDED', amount: 25 })
+				expect(await gateway.query({ transactionId: payment.transactionId })).to.include({ status: 'PARTIALLY_REFUNDED' })
+			})
+
+			it('should return declines and unknown transactions as results', async () => {
+				const declined = await gateway.authorize({ orderId: 'order-2', amount: 100, card: DECLINED_CARD })
+				const unknown = await gateway.query({ transactionId: 'missing' })
+
+				expect(declined).to.include({ status: 'FAILED', errorCode: 'PAYMENT_DECLINED', retryable: false })
+				expect(unknown).to.include({ status: 'NOT_FOUND' })
+			})
+
+			it('should report an unreachable gateway as a transient network error', async () => {
+				const closed = createGatewayStubApp(new ScriptedGateway()).listen(0, '127.0.0.1')
+				await new Promise((resolve) => closed.once('listening', resolve))
+				const { port } = closed.address()
+				await new Promise((resolve) => closed.close(resolve))
+
+				const unreachable = new HttpGateway({ url: `http://127.0.0.1:${port}`, timeoutMs: 2000 })
+				const result = await unreachable.authorize({ orderId: 'order-3', amount: 100 })
+				unreachable.close()
+
+				expect(result).to.include({ status: 'FAILED', errorCode: 'NETWORK_ERROR', retryable: true })
+			})
+		})
 	})
 
 	describe('IdempotencyService', () => {
@@ -211,6 +388,238 @@ describe('Payment Service Tests', () => {
 
 			expect(() => OrderConfirmedEventSchema.parse(payload)).to.throw()
 		})
+
+		it('should normalize the currency code and keep the total breakdown', () => {
+			const payload = {
+				data: {
+					orderId: 'order-123',
+					totalPrice: 90.0,
+					subtotal: 100.0,
+					discountTotal: 10.0,
+					currency: 'eur',
+				},
+			}
+
+			const result = OrderConfirmedEventSchema.parse(payload)
+
+			expect(result.currency).to.equal('EUR')
+			expect(result.subtotal).to.equal(100.0)
+			expect(result.discountTotal).to.equal(10.0)
+		})
+
+		it('should reject an invalid currency code', () => {
+			const payload = {
+				data: {
+					orderId: 'order-123',
+					totalPrice: 100.0,
+					currency: 'EURO',
+				},
+			}
+
+			expect(() => OrderConfirmedEventSchema.parse(payload)).to.throw()
+		})
+	})
+
+	describe('Payment amount validation', () => {
+		const paymentService = new PaymentService(null)
+		const order = OrderConfirmedEventSchema.parse({
+			data: {
+				orderId: 'order-123',
+				totalPrice: 90.0,
+				subtotal: 100.0,
+				discountTotal: 10.0,
+				currency: 'EUR',
+				products: [
+					{ productId: 'prod-1', quantity: 2, price: 25.0 },
+					{ productId: 'prod-2', quantity: 1, price: 50.0 },
+				],
+			},
+		})
+
+		it('should accept a payment matching the order', () => {
+			const mismatch = paymentService.findOrderMismatch({ amount: 90.0, currency: 'EUR' }, order)
+
+			expect(mismatch).to.be.null
+		})
+
+		it('should reject a payment in another currency', () => {
+			const mismatch = paymentService.findOrderMismatch({ amount: 90.0, currency: 'USD' }, order)
+
+			expect(mismatch).to.include('currency')
+		})
+
+		it('should reject a payment with another amount', () => {
+			const mismatch = paymentService.findOrderMismatch({ amount: 100.0, currency: 'EUR' }, order)
+
+			expect(mismatch).to.include('amount')
+		})
+
+		it('should reject an order whose lines do not add up to its total', () => {
+			const mismatch = paymentService.findOrderMismatch(
+				{ amount: 90.0, currency: 'EUR' },
+				{ ...order, discountTotal: 5.0 }
+			)
+
+			expect(mismatch).to.include('subtotal - discounts')
+		})
+
+		it('should include tax and shipping in the expected total', () => {
+			const taxedOrder = OrderConfirmedEventSchema.parse({
+				data: {
+					orderId: 'order-123',
+					totalPrice: 103.5,
+					subtotal: 100.0,
+					discountTotal: 10.0,
+					taxTotal: 9.0,
+					shippingTotal: 4.5,
+					currency: 'EUR',
+				},
+			})
+
+			expect(paymentService.findOrderMismatch({ amount: 103.5, currency: 'EUR' }, taxedOrder)).to.be.null
+			expect(
+				paymentService.findOrderMismatch({ amount: 103.5, currency: 'EUR' }, { ...taxedOrder, shippingTotal: 0 })
+			).to.include('tax + shipping')
+		})
+	})
+
+	describe('Payment reconciliation', () => {
+		const paymentService = new PaymentService(null)
+		const payment = { orderId: 'order-123', amount: 90.0, currency: 'EUR', status: 'SUCCEEDED' }
+		const order = { orderId: 'order-123', status: 'PAID', totalPrice: 90.0, currency: 'EUR' }
+
+		it('should accept a payment whose order is paid or fulfilled', () => {
+			for (const status of ['PAID', 'SHIPPED', 'DELIVERED', 'RETURNED']) {
+				expect(paymentService.findReconciliationIssue(payment, { ...order, status })).to.be.null
+			}
+		})
+
+		it('should report a payment without an order', () => {
+			expect(paymentService.findReconciliationIssue(payment, undefined)).to.have.property('issue', 'ORDER_NOT_FOUND')
+		})
+
+		it('should report a captured payment whose order was not paid', () => {
+			const mismatch = paymentService.findReconciliationIssue(payment, { ...order, status: 'CANCELLED' })
+
+			expect(mismatch).to.have.property('issue', 'ORDER_NOT_PAID')
+			expect(mismatch.message).to.include('CANCELLED')
+		})
+
+		it('should report a refunded order whose payment was not refunded', () => {
+			const mismatch = paymentService.findReconciliationIssue(payment, { ...order, status: 'REFUNDED' })
+
+			expect(mismatch).to.have.property('issue', 'ORDER_REFUNDED')
+		})
+
+		it('should report a payment that does not match the order total', () => {
+			expect(
+				paymentService.findReconciliationIssue(payment, { ...order, totalPrice: 95.0 })
+			).to.have.property('issue', 'AMOUNT_MISMATCH')
+			expect(
+				paymentService.findReconciliationIssue(payment, { ...order, currency: 'USD' })
+			).to.have.property('issue', 'AMOUNT_MISMATCH')
+		})
+	})
+
+	describe('Refundable amount', () => {
+		const paymentService = new PaymentService(null)
+
+		it('should leave what is neither refunded nor being refunded', () => {
+			const payment = { status: 'PARTIALLY_REFUNDED', amount: 100, currency: 'USD', refundedAmount: 30.1, pendingRefundAmount: 19.8 }
+
+			expect(paymentService.getRefundableAmount(payment)).to.equal(50.1)
+		})
+
+		it('should round to the minor unit of the currency', () => {
+			const payment = { status: 'SUCCEEDED', amount: 0.3, currency: 'USD', refundedAmount: 0.1 }
+
+			expect(paymentService.getRefundableAmount(payment)).to.equal(0.2)
+		})
+
+		it('should not refund payments that were never captured or are fully refunded', () => {
+			for (const status of ['PENDING', 'PROCESSING', 'FAILED', 'REFUNDED']) {
+				expect(paymentService.getRefundableAmount({ status, amount: 100, currency: 'USD' })).to.equal(0)
+			}
+		})
+	})
+
+	describe('Refund request schema', () => {
+		it('should accept a partial refund and an empty body', () => {
+			expect(RefundRequestSchema.parse({ amount: 12.5, reason: ' Damaged item ' })).to.deep.equal({
+				amount: 12.5,
+				reason: 'Damaged item',
+			})
+			expect(RefundRequestSchema.parse({})).to.deep.equal({})
+		})
+
+		it('should reject non-positive or non-numeric amounts', () => {
+			expect(RefundRequestSchema.safeParse({ amount: 0 }).success).to.be.false
+			expect(RefundRequestSchema.safeParse({ amount: -5 }).success).to.be.false
+			expect(RefundRequestSchema.safeParse({ amount: '10' }).success).to.be.false
+		})
+	})
+
+	describe('Payment query schemas', () => {
+		it('should parse admin listing filters with defaults', () => {
+			const query = PaymentListQuerySchema.parse({ status: 'succeeded', from: '2025-12-01' })
+
+			expect(query.status).to.equal('SUCCEEDED')
+			expect(query.from).to.be.instanceOf(Date)
+			expect(query.page).to.equal(1)
+			expect(query.limit).to.equal(20)
+		})
+
+		it('should reject unknown statuses and oversized pages', () => {
+			expect(PaymentListQuerySchema.safeParse({ status: 'PAID' }).success).to.be.false
+			expect(PaymentListQuerySchema.safeParse({ limit: '500' }).success).to.be.false
+		})
+
+		it('should reject a range that ends before it starts', () => {
+			const result = PaymentRangeQuerySchema.safeParse({ from: '2025-12-07', to: '2025-12-01' })
+
+			expect(result.success).to.be.false
+			expect(result.error.issues[0].message).to.equal('from must be before to')
+		})
+	})
+
+	describe('ORDER_REFUNDED Event Schema', () => {
+		it('should validate wrapped ORDER_REFUNDED payload', () => {
+			const payload = {
+				type: 'ORDER_REFUNDED',
+				data: {
+					orderId: 'order-123',
+					userId: 'user-456',
+					amount: 100.0,
+					currency: 'USD',
+					reason: 'Damaged on arrival',
+				},
+			}
+
+			const result = OrderRefundedEventSchema.parse(payload)
+
+			expect(result.orderId).to.equal('order-123')
+			expect(result.amount).to.equal(100.0)
+			expect(result.reason).to.equal('Damaged on arrival')
+			expect(result.rawType).to.equal('ORDER_REFUNDED')
+		})
+
+		it('should use default reason and currency when not provided', () => {
+			const result = OrderRefundedEventSchema.parse({ orderId: 'order-123' })
+
+			expect(result.currency).to.equal('USD')
+			expect(result.reason).to.equal('Order refunded')
+		})
+
+		it('should reject negative amount', () => {
+			const payload = {
+				data: {
+					orderId: 'order-123',
+					amount: -1,
+				},
+			}
+
+			expect(() => OrderRefundedEventSchema.parse(payload)).to.throw()
+		})
 	})
 
 	describe('Payment Flow Integration', () => {
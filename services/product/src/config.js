@@ -98,4 +98,6 @@ module.exports = {
   rabbitMQURI,
   exchangeName: "products",
   queueName: "products_queue",
+  // ISO 4217 currency of products created without one
+  defaultCurrency: (process.env.DEFAULT_CURRENCY || "USD").toUpperCase(),
 };
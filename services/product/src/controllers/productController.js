@@ -13,15 +13,20 @@ const {
 const fetch =
 	// dynamic import to support CJS
 	(...args) => import('node-fetch').then(({ default: fetch }) => fetch(...args))
+const mongoose = require('mongoose')
 const config = require('../config')
 const cacheService = require('../services/cacheService')
 
+// Upper bound for one batch lookup
+const MAX_BATCH_IDS = 100
+
 /**
  * Class to hold the API implementation for the product services
  */
 class ProductController {
 	constructor() {
 		this.getProductById = this.getProductById.bind(this)
+		this.getProductsByIds = this.getProductsByIds.bind(this)
 		this.updateProduct = this.updateProduct.bind(this)
 		this.deleteProduct = this.deleteProduct.bind(this)
 	}
@@ -257,6 +262,69 @@ class ProductController {
 		}
 	}
 
+	/**
+	 * POST /api/products/batch
+	 * Look up products by ID: { ids: [...] } → { products, missing }
+	 * Products come back in request order (duplicates removed); IDs that are
+	 * invalid or not found are listed in `missing` instead of failing the request.
+	 */
+	async getProductsByIds(req, res, next) {
+		const endTimer = startSearchTimer('batch')
+		try {
+			const token = req.headers.authorization
+			if (!token) {
+				endTimer()
+				return res.status(401).json({ message: 'Unauthorized' })
+			}
+
+			const { ids } = req.body || {}
+			if (!Array.isArray(ids) || ids.length === 0) {
+				endTimer()
+				return res.status(400).json({ message: 'ids must be a non-empty array' })
+			}
+
+			const uniqueIds = [...new Set(ids.map(String))]
+			if (uniqueIds.length > MAX_BATCH_IDS) {
+				endTimer()
+				return res.status(400).json({ message: `At most ${MAX_BATCH_IDS} ids per request` })
+			}
+
+			const validIds = uniqueIds.filter((id) => mongoose.isValidObjectId(id))
+
+			// Try cache first (per-product keys)
+			const found = await cacheService.getProducts(validIds)
+			const missedIds = validIds.filter((id) => !found.has(id))
+			recordCacheHit('batch', found.size)
+			recordCacheMiss('batch', missedIds.length)
+
+			// Cache misses - fetch from DB in one query
+			if (missedIds.length > 0) {
+				const products = await Product.find({ _id: { $in: missedIds } }).lean()
+				for (const product of products) {
+					found.set(product._id.toString(), product)
+				}
+
+				// Store in cache (async, don't block response)
+				cacheService.setProducts(products).catch(err => {
+					logger.warn({ error: err.message }, 'Failed to cache products')
+				})
+			}
+			endTimer()
+
+			const missing = uniqueIds.filter((id) => !found.has(id))
+			recordProductOperation('read', missing.length > 0 ? 'not_found' : 'success')
+			res.status(200).json({
+				products: uniqueIds.filter((id) => found.has(id)).map((id) => found.get(id)),
+				missing,
+			})
+		} catch (error) {
+			endTimer()
+			logger.error({ error: error.message }, 'Server error in getProductsByIds')
+			recordProductOperation('read', 'failed')
+			res.status(500).json({ message: 'Server error' })
+		}
+	}
+
 	async updateProduct(req, res, next) {
 		try {
 			const token = req.headers.authorization
@@ -17,7 +17,7 @@ const productOperations = new promClient.Counter({
 const productSearchDuration = new promClient.Histogram({
   name: 'product_search_duration_seconds',
   help: 'Product search/query duration',
-  labelNames: ['search_type'], // by_id, by_category, list_all, full_text
+  labelNames: ['search_type'], // by_id, batch, by_category, list_all, full_text
   buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2]
 });
 
@@ -53,7 +53,7 @@ const inventorySyncDuration = new promClient.Histogram({
 const cacheOperations = new promClient.Counter({
   name: 'product_cache_operations_total',
   help: 'Product cache hit/miss operations',
-  labelNames: ['operation', 'result'] // operation: list_all, by_id; result: hit, miss
+  labelNames: ['operation', 'result'] // operation: list_all, by_id, batch; result: hit, miss
 });
 
 /**
@@ -67,7 +67,7 @@ function recordProductOperation(operation, status) {
 
 /**
  * Start a timer for product search/query
- * @param {'by_id'|'by_category'|'list_all'|'full_text'} searchType 
+ * @param {'by_id'|'batch'|'by_category'|'list_all'|'full_text'} searchType 
  * @returns {function} End timer function
  */
 function startSearchTimer(searchType) {
@@ -111,18 +111,20 @@ function startInventorySyncTimer(operation) {
 
 /**
  * Record cache hit
- * @param {'list_all'|'by_id'} operation 
+ * @param {'list_all'|'by_id'|'batch'} operation 
+ * @param {number} [count=1] - Keys hit (batch lookups)
  */
-function recordCacheHit(operation) {
-  cacheOperations.inc({ operation, result: 'hit' });
+function recordCacheHit(operation, count = 1) {
+  cacheOperations.inc({ operation, result: 'hit' }, count);
 }
 
 /**
  * Record cache miss
- * @param {'list_all'|'by_id'} operation 
+ * @param {'list_all'|'by_id'|'batch'} operation 
+ * @param {number} [count=1] - Keys missed (batch lookups)
  */
-function recordCacheMiss(operation) {
-  cacheOperations.inc({ operation, result: 'miss' });
+function recordCacheMiss(operation, count = 1) {
+  cacheOperations.inc({ operation, result: 'miss' }, count);
 }
 
 /**
@@ -1,9 +1,21 @@
 const mongoose = require("mongoose");
+const config = require("../config");
 
 const productSchema = new mongoose.Schema({
   name: { type: String, required: true },
   price: { type: Number, required: true },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{3}$/, "currency must be a 3-letter ISO 4217 code"],
+    default: config.defaultCurrency,
+  },
   description: { type: String },
+  // Tax category (see TAX_RULES_FILE in the order service), e.g. "books"
+  category: { type: String, trim: true, lowercase: true },
+  // Shipping weight of one unit, in kg
+  weight: { type: Number, min: 0 },
 }, { collection : 'products' });
 
 const Product = mongoose.model("Product", productSchema);
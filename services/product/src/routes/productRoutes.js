@@ -7,6 +7,8 @@ const productController = new ProductController();
 // All routes accessible - API Gateway handles authentication
 // Product CRUD endpoints (RESTful)
 router.get("/", productController.getProducts);
+// Batch lookup by IDs (used by Order Service to validate order lines)
+router.post("/batch", productController.getProductsByIds);
 router.get("/:id", productController.getProductById);
 router.post("/", productController.createProduct);
 router.put("/:id", productController.updateProduct);
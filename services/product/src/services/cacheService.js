@@ -10,6 +10,7 @@
  * TTL Strategy:
  * - Product list: 5 minutes (frequently accessed, rarely changes)
  * - Single product: 10 minutes (less frequent, more stable)
+ *   (batch lookups read and fill the same per-product keys)
  */
 
 const { createClient } = require('redis');
@@ -158,6 +159,53 @@ class CacheService {
     }
   }
 
+  /**
+   * Get several products from cache in one round trip
+   * @param {string[]} productIds - Product IDs
+   * @returns {Map<string, Object>} Cached products by ID (misses are absent)
+   */
+  async getProducts(productIds) {
+    const hits = new Map();
+    if (!this.isAvailable() || productIds.length === 0) return hits;
+
+    try {
+      const cached = await this.client.mGet(productIds.map(CACHE_KEYS.PRODUCT_BY_ID));
+      cached.forEach((value, index) => {
+        if (value) {
+          hits.set(productIds[index], JSON.parse(value));
+        }
+      });
+      logger.debug({ requested: productIds.length, hits: hits.size }, '[Cache] getProducts');
+      return hits;
+    } catch (error) {
+      logger.warn({ error: error.message }, '[Cache] Error getting products');
+      return hits;
+    }
+  }
+
+  /**
+   * Set several products in cache
+   * @param {Array} products - Products (keyed by their _id)
+   */
+  async setProducts(products) {
+    if (!this.isAvailable() || products.length === 0) return;
+
+    try {
+      const multi = this.client.multi();
+      for (const product of products) {
+        multi.setEx(
+          CACHE_KEYS.PRODUCT_BY_ID(product._id.toString()),
+          TTL.SINGLE_PRODUCT,
+          JSON.stringify(product)
+        );
+      }
+      await multi.exec();
+      logger.debug({ count: products.length }, '[Cache] SET - products');
+    } catch (error) {
+      logger.warn({ error: error.message }, '[Cache] Error setting products');
+    }
+  }
+
   /**
    * Invalidate product cache (on create/update/delete)
    * @param {string} productId - Product ID (optional, if provided also invalidates single product)
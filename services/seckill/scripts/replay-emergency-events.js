@@ -0,0 +1,100 @@
+/**
+ * Replay script for Seckill Ghost Orders
+ * Republishes events from logs/emergency-events.log through the message broker
+ *
+ * Usage:
+ *   node scripts/replay-emergency-events.js --list [--all]
+ *   node scripts/replay-emergency-events.js --dry-run [--event-id <id> ...]
+ *   node scripts/replay-emergency-events.js [--event-id <id> ...]
+ *
+ * Only run against a log file no live seckill instance is appending to
+ * (e.g. a copied log, SECKILL_EMERGENCY_LOG_PATH=/path/to/copy). Use
+ * POST /admin/seckill/emergency-events/replay on a running instance instead.
+ */
+const config = require('../src/config')
+const emergencyReplayService = require('../src/services/emergencyReplayService')
+
+function parseArgs(argv) {
+  const args = { list: false, all: false, dryRun: false, eventIds: [] }
+  for (let i = 0; i < argv.length; i++) {
+    switch (argv[i]) {
+      case '--list':
+        args.list = true
+        break
+      case '--all':
+        args.all = true
+        break
+      case '--dry-run':
+        args.dryRun = true
+        break
+      case '--event-id':
+        args.eventIds.push(argv[++i])
+        break
+      default:
+        throw new Error(`Unknown argument: ${argv[i]}`)
+    }
+  }
+  return args
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const args = parseArgs(argv)
+  console.log(`📄 [Replay] Emergency log: ${config.emergencyLogPath}`)
+
+  if (args.list) {
+    const events = emergencyReplayService.listEntries({ status: args.all ? 'all' : 'pending' })
+    console.log(`📋 [Replay] ${events.length} ${args.all ? '' : 'pending '}entries`)
+    console.table(events.map((event) => ({
+      line: event.line,
+      eventType: event.eventType,
+      eventId: event.eventId,
+      userId: event.userId,
+      productId: event.productId,
+      replay: event.replay?.status || '',
+    })))
+    return
+  }
+
+  let broker = null
+  if (!args.dryRun) {
+    console.log('⏳ [Replay] Connecting to message broker...')
+    const { Broker } = await import('@ecommerce/message-broker')
+    broker = new Broker(config.redisUrl)
+    emergencyReplayService.setMessageBroker(broker)
+  }
+
+  try {
+    const summary = await emergencyReplayService.replay({
+      dryRun: args.dryRun,
+      eventIds: args.eventIds.length > 0 ? args.eventIds : undefined,
+    })
+
+    console.table(summary.results.map((result) => ({
+      line: result.line,
+      eventType: result.eventType,
+      eventId: result.eventId,
+      action: result.action,
+      detail: result.reason || result.error || '',
+    })))
+    console.log(
+      `${summary.failed > 0 ? '⚠️ ' : '✓'} [Replay] ${args.dryRun ? '(dry run) ' : ''}` +
+      `total=${summary.total} replayed=${summary.replayed} skipped=${summary.skipped} failed=${summary.failed}`
+    )
+    process.exitCode = summary.failed > 0 ? 1 : 0
+  } finally {
+    if (broker) {
+      await broker.close()
+    }
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit())
+    .catch((error) => {
+      console.error('❌ [Replay] Error:', error.message)
+      process.exit(1)
+    })
+}
+
+module.exports = { parseArgs, main }
@@ -1,9 +1,13 @@
 const express = require('express')
+const mongoose = require('mongoose')
 const logger = require('@ecommerce/logger')
 const { metricsMiddleware, metricsHandler } = require('@ecommerce/metrics')
 const config = require('./config')
 const redisClient = require('./config/redis')
 const seckillService = require('./services/seckillService')
+const emergencyReplayService = require('./services/emergencyReplayService')
+const reconciliationService = require('./services/reconciliationService')
+const recoveryService = require('./services/recoveryService')
 const seckillRoutes = require('./routes/seckillRoutes')
 const adminRoutes = require('./routes/adminRoutes')
 const { registerReleaseConsumer } = require('./consumers/releaseConsumer')
@@ -17,6 +21,7 @@ let Broker
  * High-performance flash sale microservice with:
  * - Redis for atomic stock management
  * - Lua scripts for transactional operations
+ * - MongoDB for durable campaigns/winners (recovered into Redis at startup)
  * - RabbitMQ for event publishing and consumption
  * 
  * Requirements: 8.1
@@ -67,7 +72,7 @@ class App {
     // Seckill public routes - POST /seckill/buy, GET /seckill/status/:productId
     this.app.use('/seckill', seckillRoutes)
 
-    // Admin routes - POST /admin/seckill/init, POST /admin/seckill/release
+    // Admin routes - POST /admin/seckill/init, POST /admin/seckill/release, /admin/seckill/emergency-events, /admin/seckill/reconciliation
     this.app.use('/admin/seckill', adminRoutes)
 
     // Error handling middleware
@@ -99,6 +104,42 @@ class App {
     logger.info('✓ [Seckill] Redis connected and Lua scripts loaded')
   }
 
+  /**
+   * Connect to MongoDB (durable campaign and winner state)
+   */
+  async connectDB(retries = 5, delay = 5000) {
+    for (let i = 1; i <= retries; i++) {
+      try {
+        await mongoose.connect(config.mongoURI, {
+          serverSelectionTimeoutMS: 30000,
+          socketTimeoutMS: 45000,
+        })
+        logger.info('✓ [Seckill] MongoDB connected')
+        return
+      } catch (err) {
+        logger.error(
+          { error: err.message },
+          `MongoDB connection failed (Attempt ${i}/${retries})`
+        )
+        if (i < retries) {
+          await new Promise((res) => setTimeout(res, delay))
+        } else {
+          throw new Error('Could not connect to MongoDB after all retries')
+        }
+      }
+    }
+  }
+
+  /**
+   * Rebuild campaigns missing from Redis (flushed or restarted without persistence)
+   */
+  async recoverCampaigns() {
+    const summary = await recoveryService.recoverCampaigns()
+    if (summary.recovered > 0) {
+      logger.warn(summary, '⚠️ [Seckill] Campaigns restored from MongoDB after Redis data loss')
+    }
+  }
+
   /**
    * Initialize message broker and register consumers
    */
@@ -116,6 +157,7 @@ class App {
 
       // Set message broker on seckill service for event publishing
       seckillService.setMessageBroker(this.broker)
+      emergencyReplayService.setMessageBroker(this.broker)
       logger.info('✓ [Seckill] Message broker attached to seckill service')
 
       // Register release consumer for compensation events
@@ -139,6 +181,10 @@ class App {
       // Initialize Redis and load Lua scripts
       await this.initRedis()
 
+      // Connect durable store and restore campaigns lost from Redis
+      await this.connectDB()
+      await this.recoverCampaigns()
+
       // Set up middlewares
       this.setMiddlewares()
 
@@ -148,6 +194,9 @@ class App {
       // Initialize message broker and consumers
       await this.setupBroker()
 
+      // Periodically reconcile Redis winners against Order/Inventory Service
+      reconciliationService.start()
+
       // Start HTTP server
       this.server = this.app.listen(config.port, () => {
         logger.info({ port: config.port }, `✓ [Seckill] Server listening on port ${config.port}`)
@@ -169,6 +218,8 @@ class App {
   async shutdown() {
     logger.info('⏳ [Seckill] Shutting down...')
 
+    reconciliationService.stop()
+
     // Close message broker
     if (this.broker) {
       await this.broker.close()
@@ -179,6 +230,10 @@ class App {
     await redisClient.close()
     logger.info('✓ [Seckill] Redis connection closed')
 
+    // Close MongoDB connection
+    await mongoose.connection.close()
+    logger.info('✓ [Seckill] MongoDB disconnected')
+
     // Close HTTP server
     if (this.server) {
       this.server.close()
@@ -193,6 +248,8 @@ class App {
    * Stop the application (for testing)
    */
   async stop() {
+    reconciliationService.stop()
+
     // Close message broker
     if (this.broker) {
       await this.broker.close()
@@ -203,6 +260,10 @@ class App {
     await redisClient.close()
     logger.info('✓ [Seckill] Redis connection closed')
 
+    // Close MongoDB connection
+    await mongoose.connection.close()
+    logger.info('✓ [Seckill] MongoDB disconnected')
+
     // Close HTTP server
     if (this.server) {
       this.server.close()
@@ -0,0 +1,46 @@
+/**
+ * Resilient HTTP client for Auth Service
+ *
+ * Used by the buy risk checks to look up account age.
+ */
+
+const { createResilientClient } = require('@ecommerce/circuit-breaker')
+const logger = require('@ecommerce/logger')
+const config = require('../config')
+
+const authClient = createResilientClient('auth-service', config.authServiceUrl, {
+  // Runs in front of every buy: keep it short, risk checks fail open
+  timeout: 1000,
+  retry: {
+    retries: 0,
+  },
+  circuitBreaker: {
+    errorThresholdPercentage: 50,
+    resetTimeout: 30000,
+    volumeThreshold: 10,
+    rollingCountTimeout: 10000,
+  },
+})
+
+logger.info({ service: 'auth-service', baseURL: config.authServiceUrl }, '[Seckill] Auth client initialized with circuit breaker')
+
+/**
+ * Get the account creation time of a user
+ * Calls Auth Service as an internal admin caller.
+ *
+ * @param {string} userId - User ID
+ * @returns {Promise<Date|null>} Account creation time or null if the user is unknown
+ */
+async function getAccountCreatedAt(userId) {
+  const result = await authClient.get(`/users/${encodeURIComponent(userId)}`, {
+    headers: { 'X-User-ID': config.serviceName, 'X-User-Role': 'admin' },
+    validateStatus: (status) => status === 200 || status === 404,
+  })
+
+  return result?.createdAt ? new Date(result.createdAt) : null
+}
+
+module.exports = {
+  authClient,
+  getAccountCreatedAt,
+}
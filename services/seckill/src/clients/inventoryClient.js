@@ -0,0 +1,46 @@
+/**
+ * Resilient HTTP client for Inventory Service
+ *
+ * Used by reconciliation to compare the Redis stock of a campaign with the
+ * units Inventory Service can still reserve for it.
+ */
+
+const { createResilientClient } = require('@ecommerce/circuit-breaker')
+const logger = require('@ecommerce/logger')
+const config = require('../config')
+
+const inventoryClient = createResilientClient('inventory-service', config.inventoryServiceUrl, {
+  timeout: 3000,
+  retry: {
+    retries: 2,
+    retryDelay: (retryCount) => Math.min(1000, 100 * Math.pow(2, retryCount)),
+  },
+  circuitBreaker: {
+    errorThresholdPercentage: 50,
+    resetTimeout: 30000,
+    volumeThreshold: 10,
+    rollingCountTimeout: 10000,
+  },
+})
+
+logger.info({ service: 'inventory-service', baseURL: config.inventoryServiceUrl }, '[Seckill] Inventory client initialized with circuit breaker')
+
+/**
+ * Get the inventory record of a product
+ *
+ * @param {string} productId - Product ID
+ * @returns {Promise<Object|null>} { productId, available, reserved } or null if no inventory record exists
+ */
+async function getInventory(productId) {
+  const result = await inventoryClient.get(`/api/inventory/${encodeURIComponent(productId)}`, {
+    // 404 means the product has no inventory record, which reconciliation reports itself
+    validateStatus: (status) => status === 200 || status === 404,
+  })
+
+  return result?.productId ? result : null
+}
+
+module.exports = {
+  inventoryClient,
+  getInventory,
+}
@@ -0,0 +1,68 @@
+/**
+ * Resilient HTTP client for Order Service
+ *
+ * Used by the emergency replay tool to check whether a winner's order
+ * already exists before republishing a lost seckill.order.won event, and by
+ * reconciliation to compare Redis winners against seckill orders.
+ */
+
+const { createResilientClient } = require('@ecommerce/circuit-breaker')
+const logger = require('@ecommerce/logger')
+const config = require('../config')
+
+const orderClient = createResilientClient('order-service', config.orderServiceUrl, {
+  timeout: 3000,
+  retry: {
+    retries: 2,
+    retryDelay: (retryCount) => Math.min(1000, 100 * Math.pow(2, retryCount)),
+  },
+  circuitBreaker: {
+    errorThresholdPercentage: 50,
+    resetTimeout: 30000,
+    volumeThreshold: 10,
+    rollingCountTimeout: 10000,
+  },
+})
+
+logger.info({ service: 'order-service', baseURL: config.orderServiceUrl }, '[Seckill] Order client initialized with circuit breaker')
+
+/**
+ * Find the order created for a seckill correlationId
+ * Order Service only returns orders owned by the requesting user, so the
+ * winner's userId is forwarded as X-User-ID.
+ *
+ * @param {string} correlationId - Correlation ID from the seckill.order.won event
+ * @param {string} userId - Winner's user ID
+ * @returns {Promise<Object|null>} Order summary or null if no order exists yet
+ */
+async function findOrderByCorrelationId(correlationId, userId) {
+  const result = await orderClient.get('/api/orders', {
+    params: { correlationId },
+    headers: { 'X-User-ID': userId },
+    // 404 is an expected answer here ("not created yet"), not a failure
+    validateStatus: (status) => status === 200 || status === 404,
+  })
+
+  return result?.orderId ? result : null
+}
+
+/**
+ * List every seckill order of a product
+ * Calls the admin-only Order Service endpoint as the seckill service itself.
+ *
+ * @param {string} productId - Product ID of the seckill campaign
+ * @returns {Promise<Object[]>} [{ orderId, user, quantity, status, correlationId, createdAt }]
+ */
+async function listSeckillOrders(productId) {
+  const result = await orderClient.get(`/api/orders/admin/seckill/${encodeURIComponent(productId)}`, {
+    headers: { 'X-User-ID': config.serviceName, 'X-User-Role': 'admin' },
+  })
+
+  return result?.orders || []
+}
+
+module.exports = {
+  orderClient,
+  findOrderByCorrelationId,
+  listSeckillOrders,
+}
@@ -1,3 +1,4 @@
+const path = require('path')
 const sharedConfig = require('@ecommerce/config')
 
 const parseNumber = (value, fallback) => {
@@ -11,6 +12,9 @@ const config = {
   rabbitMQQueue: 'seckill',
   port: parseNumber(process.env.SECKILL_PORT, parseNumber(process.env.PORT, sharedConfig.getPort(3006))),
   
+  // Durable copy of campaigns and winners (Redis keys are rebuilt from it after data loss)
+  mongoURI: sharedConfig.getMongoURI('seckill'),
+
   // Dedicated Redis instance for seckill (separate from main cache)
   redisUrl: process.env.REDIS_SECKILL_URL || process.env.REDIS_URL || 'redis://127.0.0.1:6380',
   
@@ -20,6 +24,41 @@ const config = {
   // Rate limiting configuration
   rateLimit: parseNumber(process.env.SECKILL_RATE_LIMIT, 5),
   rateWindow: parseNumber(process.env.SECKILL_RATE_WINDOW, 1),
+
+  // How long campaign keys are kept after endTime before Redis expires them (seconds)
+  keyRetentionSeconds: parseNumber(process.env.SECKILL_KEY_RETENTION_SECONDS, 86400),
+
+  // Waiting room admission tokens (signed, short-lived)
+  admissionTokenSecret: process.env.SECKILL_ADMISSION_SECRET || sharedConfig.JWT_SECRET,
+  admissionTokenTtl: parseNumber(process.env.SECKILL_ADMISSION_TOKEN_TTL, 30),
+
+  // Ghost Order fallback: failed publishes are appended here for replay
+  emergencyLogPath: process.env.SECKILL_EMERGENCY_LOG_PATH || path.join(__dirname, '../../logs/emergency-events.log'),
+
+  // Order Service (used by emergency replay and reconciliation)
+  orderServiceUrl: process.env.ORDER_SERVICE_URL || 'http://order:3002',
+
+  // Inventory Service (used by reconciliation to detect stock shortfalls)
+  inventoryServiceUrl: process.env.INVENTORY_SERVICE_URL || 'http://inventory:3005',
+
+  // Auth Service (account age for risk checks)
+  authServiceUrl: process.env.AUTH_SERVICE_URL || 'http://auth:3001',
+
+  // Bot / abuse risk checks in front of buy (requests scoring >= riskBlockScore are rejected), opt-in
+  riskEnabled: process.env.SECKILL_RISK_ENABLED === 'true',
+  riskBlockScore: parseNumber(process.env.SECKILL_RISK_BLOCK_SCORE, 100),
+  riskWindowSeconds: parseNumber(process.env.SECKILL_RISK_WINDOW_SECONDS, 60),
+  riskMaxAccountsPerIp: parseNumber(process.env.SECKILL_RISK_MAX_ACCOUNTS_PER_IP, 5),
+  riskMaxAccountsPerDevice: parseNumber(process.env.SECKILL_RISK_MAX_ACCOUNTS_PER_DEVICE, 3),
+  riskMaxRequestsPerIp: parseNumber(process.env.SECKILL_RISK_MAX_REQUESTS_PER_IP, 60),
+  riskMinAccountAgeSeconds: parseNumber(process.env.SECKILL_RISK_MIN_ACCOUNT_AGE_SECONDS, 86400),
+
+  // Reconciliation between Redis winners and Order/Inventory (interval 0 disables the job)
+  reconciliationIntervalMs: parseNumber(process.env.SECKILL_RECONCILIATION_INTERVAL_MS, 300000),
+  // Winners younger than this are still expected to be in flight to Order Service
+  reconciliationGraceSeconds: parseNumber(process.env.SECKILL_RECONCILIATION_GRACE_SECONDS, 300),
+  // Release winner slots that never got an order (after the grace period)
+  reconciliationAutoCompensate: process.env.SECKILL_RECONCILIATION_AUTO_COMPENSATE === 'true',
 }
 
 // Set environment variables for consistency
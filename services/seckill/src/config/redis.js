@@ -58,7 +58,11 @@ class RedisClient {
     
     const scripts = {
       reserve: 'seckill-reserve.lua',
-      release: 'seckill-release.lua'
+      release: 'seckill-release.lua',
+      queueJoin: 'seckill-queue-join.lua',
+      queueAdmit: 'seckill-queue-admit.lua',
+      topUp: 'seckill-topup.lua',
+      restore: 'seckill-restore.lua'
     }
 
     for (const [name, filename] of Object.entries(scripts)) {
@@ -80,7 +84,7 @@ class RedisClient {
 
   /**
    * Execute a Lua script using EVALSHA
-   * @param {string} scriptName - Name of the script (reserve, release)
+   * @param {string} scriptName - Name of the script (reserve, release, queueJoin, queueAdmit, topUp)
    * @param {Object} options - Options containing keys and arguments
    * @param {string[]} options.keys - Redis keys
    * @param {string[]} options.arguments - Script arguments
@@ -193,6 +197,57 @@ class RedisClient {
     return this.client.sMembers(key)
   }
 
+  /**
+   * Remove member from a set
+   * @param {string} key - Set key
+   * @param {string} member - Member to remove
+   */
+  async sRem(key, member) {
+    return this.client.sRem(key, member)
+  }
+
+  /**
+   * Check if a key exists
+   * @param {string} key - Redis key
+   * @returns {Promise<boolean>}
+   */
+  async exists(key) {
+    return (await this.client.exists(key)) === 1
+  }
+
+  /**
+   * Get all fields and values of a hash
+   * @param {string} key - Hash key
+   */
+  async hGetAll(key) {
+    return this.client.hGetAll(key)
+  }
+
+  /**
+   * Get the number of fields in a hash
+   * @param {string} key - Hash key
+   */
+  async hLen(key) {
+    return this.client.hLen(key)
+  }
+
+  /**
+   * Get the number of members in a sorted set
+   * @param {string} key - Sorted set key
+   */
+  async zCard(key) {
+    return this.client.zCard(key)
+  }
+
+  /**
+   * Get the remaining time to live of a key in milliseconds
+   * @param {string} key - Redis key
+   * @returns {Promise<number>} TTL in ms (-1 no expiry, -2 missing key)
+   */
+  async pTTL(key) {
+    return this.client.pTTL(key)
+  }
+
   /**
    * Increment a value
    * @param {string} key - Redis key
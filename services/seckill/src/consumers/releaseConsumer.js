@@ -15,8 +15,8 @@ const { ReleaseEventSchema } = require('../schemas/seckillEvents.schema')
  * Handle order.seckill.release event
  * 
  * Executes the release Lua script to atomically:
- * 1. Remove userId from winners set
- * 2. Increment stock
+ * 1. Deduct the released units from the user's entry in the winners hash
+ * 2. Increment stock by the released units
  * 3. Publish seckill.released confirmation event
  * 
  * The operation is idempotent - releasing a non-existent slot succeeds without error.
@@ -25,6 +25,7 @@ const { ReleaseEventSchema } = require('../schemas/seckillEvents.schema')
  * @param {string} message.orderId - Order identifier
  * @param {string} message.userId - User identifier
  * @param {string} message.productId - Product identifier
+ * @param {number} [message.quantity] - Units to release (defaults to all units held)
  * @param {string} [message.reason] - Reason for release
  * @param {Object} metadata - Event metadata
  * @param {string} [metadata.eventId] - Event identifier
@@ -50,16 +51,16 @@ async function handleSeckillRelease(message, metadata = {}) {
     throw error
   }
 
-  const { orderId, userId, productId, reason } = validated
+  const { orderId, userId, productId, quantity, reason } = validated
 
 
   try {
     // Execute release via service
-    const result = await seckillService.releaseSlot(userId, productId, { orderId })
+    const result = await seckillService.releaseSlot(userId, productId, { orderId, quantity })
 
     if (result.released) {
       logger.info(
-        { orderId, userId, productId, reason, eventId, correlationId },
+        { orderId, userId, productId, quantity: result.quantity, reason, eventId, correlationId },
         '✓ [Seckill] Slot released successfully - seckill.released event published'
       )
     } else {
@@ -1,6 +1,23 @@
 const logger = require('@ecommerce/logger')
 const seckillService = require('../services/seckillService')
-const { CampaignInitSchema, ReleaseEventSchema } = require('../schemas/seckillEvents.schema')
+const emergencyReplayService = require('../services/emergencyReplayService')
+const reconciliationService = require('../services/reconciliationService')
+const riskService = require('../services/riskService')
+const {
+  CampaignInitSchema,
+  CampaignUpdateSchema,
+  StockTopUpSchema,
+  ReleaseEventSchema,
+  EmergencyReplaySchema,
+  ReconciliationRunSchema,
+  RiskListEntrySchema,
+} = require('../schemas/seckillEvents.schema')
+
+// Shared 404 body for campaign lifecycle endpoints
+const CAMPAIGN_NOT_FOUND_RESPONSE = {
+  error: 'CAMPAIGN_NOT_FOUND',
+  message: 'Campaign does not exist',
+}
 const { ZodError } = require('zod')
 
 /**
@@ -9,6 +26,21 @@ const { ZodError } = require('zod')
  * Handles:
  * - POST /admin/seckill/init - Initialize a seckill campaign
  * - POST /admin/seckill/release - Manually release a user's slot
+ * - GET /admin/seckill/campaigns - List campaigns
+ * - GET /admin/seckill/campaigns/:productId - Campaign details
+ * - PATCH /admin/seckill/campaigns/:productId - Update timing, price, limits
+ * - POST /admin/seckill/campaigns/:productId/stock - Top up stock
+ * - POST /admin/seckill/campaigns/:productId/pause - Pause buying
+ * - POST /admin/seckill/campaigns/:productId/resume - Resume buying
+ * - DELETE /admin/seckill/campaigns/:productId - Cancel and tear down
+ * - GET /admin/seckill/campaigns/:productId/winners - Export winners (JSON or CSV)
+ * - GET /admin/seckill/emergency-events - List Ghost Order emergency log entries
+ * - POST /admin/seckill/emergency-events/replay - Replay (or dry-run) emergency log entries
+ * - GET /admin/seckill/reconciliation - Last winners/orders/inventory reconciliation report
+ * - POST /admin/seckill/reconciliation/run - Run reconciliation now
+ * - GET /admin/seckill/risk/lists - Buy risk allow/deny lists
+ * - POST /admin/seckill/risk/lists/:list - Add an allow/deny list entry
+ * - DELETE /admin/seckill/risk/lists/:list/:type/:value - Remove an allow/deny list entry
  * 
  * Requirements: 1.1, 1.4, 5.1
  */
@@ -16,6 +48,21 @@ class AdminController {
   constructor() {
     this.initCampaign = this.initCampaign.bind(this)
     this.releaseSlot = this.releaseSlot.bind(this)
+    this.listCampaigns = this.listCampaigns.bind(this)
+    this.getCampaign = this.getCampaign.bind(this)
+    this.updateCampaign = this.updateCampaign.bind(this)
+    this.topUpStock = this.topUpStock.bind(this)
+    this.pauseCampaign = this.pauseCampaign.bind(this)
+    this.resumeCampaign = this.resumeCampaign.bind(this)
+    this.cancelCampaign = this.cancelCampaign.bind(this)
+    this.exportWinners = this.exportWinners.bind(this)
+    this.listEmergencyEvents = this.listEmergencyEvents.bind(this)
+    this.replayEmergencyEvents = this.replayEmergencyEvents.bind(this)
+    this.getReconciliationReport = this.getReconciliationReport.bind(this)
+    this.runReconciliation = this.runReconciliation.bind(this)
+    this.getRiskLists = this.getRiskLists.bind(this)
+    this.addRiskListEntry = this.addRiskListEntry.bind(this)
+    this.removeRiskListEntry = this.removeRiskListEntry.bind(this)
   }
 
   /**
@@ -30,6 +77,8 @@ class AdminController {
    * - price: number - Product price
    * - startTime: string - Campaign start time (ISO string)
    * - endTime: string - Campaign end time (ISO string)
+   * - perUserLimit: number (optional) - Max units per user (default 1)
+   * - admissionRate: number (optional) - Waiting room admissions per second
    * 
    * Returns:
    * - 200 OK: Campaign initialized successfully
@@ -89,6 +138,7 @@ class AdminController {
    * - orderId: string - Order identifier
    * - userId: string - User identifier
    * - productId: string - Product identifier
+   * - quantity: number (optional) - Units to release (default: all units held by the user)
    * - reason: string (optional) - Reason for release
    * 
    * Returns:
@@ -116,19 +166,20 @@ class AdminController {
         throw error
       }
 
-      const { orderId, userId, productId, reason } = validated
+      const { orderId, userId, productId, quantity, reason } = validated
 
       // Release slot via service
-      const result = await seckillService.releaseSlot(userId, productId, { orderId })
+      const result = await seckillService.releaseSlot(userId, productId, { orderId, quantity })
 
       logger.info(
-        { orderId, userId, productId, reason, released: result.released },
+        { orderId, userId, productId, quantity, reason, released: result.released },
         'Slot release requested by admin'
       )
 
       return res.status(200).json({
         success: true,
         released: result.released,
+        quantity: result.quantity || 0,
         message: result.released
           ? 'Slot released successfully'
           : 'User not found in winners set (already released or never purchased)',
@@ -141,6 +192,576 @@ class AdminController {
       })
     }
   }
+
+  /**
+   * GET /admin/seckill/campaigns
+   * List all registered campaigns
+   * 
+   * Returns:
+   * - 200 OK: { count, campaigns }
+   */
+  async listCampaigns(req, res) {
+    try {
+      const campaigns = await seckillService.listCampaigns()
+      return res.status(200).json({
+        count: campaigns.length,
+        campaigns,
+      })
+    } catch (error) {
+      logger.error({ error: error.message, stack: error.stack }, 'Admin listCampaigns handler error')
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      })
+    }
+  }
+
+  /**
+   * GET /admin/seckill/campaigns/:productId
+   * Get campaign details (status, winners count, units sold, queue length)
+   * 
+   * Returns:
+   * - 200 OK: Campaign details
+   * - 404 Not Found: Campaign does not exist
+   */
+  async getCampaign(req, res) {
+    try {
+      const campaign = await seckillService.getCampaign(req.params.productId)
+      if (!campaign) {
+        return res.status(404).json(CAMPAIGN_NOT_FOUND_RESPONSE)
+      }
+      return res.status(200).json(campaign)
+    } catch (error) {
+      logger.error({ error: error.message, stack: error.stack }, 'Admin getCampaign handler error')
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      })
+    }
+  }
+
+  /**
+   * PATCH /admin/seckill/campaigns/:productId
+   * Update campaign timing, price, per-user limit or waiting room rate
+   * Stock and winners are never touched (use /stock to add stock).
+   * 
+   * Request body (at least one field):
+   * - startTime: string (optional) - New start time (ISO string)
+   * - endTime: string (optional) - New end time (ISO string), e.g. to extend the campaign
+   * - price: number (optional)
+   * - perUserLimit: number (optional)
+   * - admissionRate: number | null (optional) - null disables the waiting room
+   * 
+   * Returns:
+   * - 200 OK: Updated campaign
+   * - 400 Bad Request: Validation error or endTime not after startTime
+   * - 404 Not Found: Campaign does not exist
+   */
+  async updateCampaign(req, res) {
+    try {
+      let validated
+      try {
+        validated = CampaignUpdateSchema.parse(req.body)
+      } catch (error) {
+        if (error instanceof ZodError) {
+          logger.warn({ errors: error.errors }, 'Campaign update validation failed')
+          return res.status(400).json({
+            error: 'VALIDATION_ERROR',
+            message: 'Invalid campaign parameters',
+            details: error.errors,
+          })
+        }
+        throw error
+      }
+
+      const { productId } = req.params
+      const result = await seckillService.updateCampaign(productId, validated)
+
+      if (!result.success) {
+        if (result.error === 'INVALID_WINDOW') {
+          return res.status(400).json({
+            error: 'VALIDATION_ERROR',
+            message: 'endTime must be after startTime',
+          })
+        }
+        return res.status(404).json(CAMPAIGN_NOT_FOUND_RESPONSE)
+      }
+
+      logger.info({ productId, changes: validated }, 'Campaign updated by admin')
+
+      return res.status(200).json({
+        success: true,
+        message: 'Campaign updated successfully',
+        campaign: result.campaign,
+      })
+    } catch (error) {
+      logger.error({ error: error.message, stack: error.stack }, 'Admin updateCampaign handler error')
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      })
+    }
+  }
+
+  /**
+   * POST /admin/seckill/campaigns/:productId/stock
+   * Add stock to a running campaign without clearing winners
+   * 
+   * Request body:
+   * - amount: number - Units to add (integer > 0)
+   * 
+   * Returns:
+   * - 200 OK: New remaining stock
+   * - 400 Bad Request: Validation error
+   * - 404 Not Found: Campaign does not exist
+   */
+  async topUpStock(req, res) {
+    try {
+      let validated
+      try {
+        validated = StockTopUpSchema.parse(req.body)
+      } catch (error) {
+        if (error instanceof ZodError) {
+          logger.warn({ errors: error.errors }, 'Stock top-up validation failed')
+          return res.status(400).json({
+            error: 'VALIDATION_ERROR',
+            message: 'Invalid top-up parameters',
+            details: error.errors,
+          })
+        }
+        throw error
+      }
+
+      const { productId } = req.params
+      const result = await seckillService.topUpStock(productId, validated.amount)
+
+      if (!result.success) {
+        return res.status(404).json(CAMPAIGN_NOT_FOUND_RESPONSE)
+      }
+
+      logger.info({ productId, amount: validated.amount }, 'Campaign stock topped up by admin')
+
+      return res.status(200).json({
+        success: true,
+        productId,
+        added: validated.amount,
+        stockRemaining: result.stockRemaining,
+      })
+    } catch (error) {
+      logger.error({ error: error.message, stack: error.stack }, 'Admin topUpStock handler error')
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      })
+    }
+  }
+
+  /**
+   * POST /admin/seckill/campaigns/:productId/pause
+   * Pause buying; purchases are rejected with CAMPAIGN_PAUSED until resumed
+   * 
+   * Returns:
+   * - 200 OK: { success, paused: true }
+   * - 404 Not Found: Campaign does not exist
+   */
+  async pauseCampaign(req, res) {
+    return this._setPaused(req, res, true)
+  }
+
+  /**
+   * POST /admin/seckill/campaigns/:productId/resume
+   * Resume buying for a paused campaign
+   * 
+   * Returns:
+   * - 200 OK: { success, paused: false }
+   * - 404 Not Found: Campaign does not exist
+   */
+  async resumeCampaign(req, res) {
+    return this._setPaused(req, res, false)
+  }
+
+  /**
+   * DELETE /admin/seckill/campaigns/:productId
+   * Cancel a campaign and delete all of its Redis keys
+   * 
+   * Returns:
+   * - 200 OK: { success, winnersCount, unitsSold }
+   * - 404 Not Found: Campaign does not exist
+   */
+  async cancelCampaign(req, res) {
+    try {
+      const { productId } = req.params
+      const result = await seckillService.cancelCampaign(productId)
+
+      if (!result.success) {
+        return res.status(404).json(CAMPAIGN_NOT_FOUND_RESPONSE)
+      }
+
+      logger.info({ productId, winnersCount: result.winnersCount }, 'Campaign cancelled by admin')
+
+      return res.status(200).json({
+        success: true,
+        message: 'Campaign cancelled',
+        productId,
+        winnersCount: result.winnersCount,
+        unitsSold: result.unitsSold,
+      })
+    } catch (error) {
+      logger.error({ error: error.message, stack: error.stack }, 'Admin cancelCampaign handler error')
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      })
+    }
+  }
+
+  /**
+   * GET /admin/seckill/campaigns/:productId/winners
+   * Export the winners of a campaign
+   * 
+   * Query:
+   * - format: json (default) | csv
+   * 
+   * Returns:
+   * - 200 OK: { productId, count, winners } or CSV attachment (userId,quantity)
+   * - 400 Bad Request: Unknown format
+   * - 404 Not Found: Campaign does not exist
+   */
+  async exportWinners(req, res) {
+    try {
+      const { productId } = req.params
+      const format = req.query.format || 'json'
+      if (!['json', 'csv'].includes(format)) {
+        return res.status(400).json({
+          error: 'VALIDATION_ERROR',
+          message: 'format must be one of: json, csv',
+        })
+      }
+
+      const winners = await seckillService.getWinners(productId)
+      if (!winners) {
+        return res.status(404).json(CAMPAIGN_NOT_FOUND_RESPONSE)
+      }
+
+      if (format === 'csv') {
+        const escape = (value) => `"${String(value).replace(/"/g, '""')}"`
+        const rows = winners.map(({ userId, quantity }) => `${escape(userId)},${quantity}`)
+        res.setHeader('Content-Type', 'text/csv')
+        res.setHeader('Content-Disposition', `attachment; filename="seckill-${productId}-winners.csv"`)
+        return res.status(200).send(['userId,quantity', ...rows].join('\n') + '\n')
+      }
+
+      return res.status(200).json({
+        productId,
+        count: winners.length,
+        winners,
+      })
+    } catch (error) {
+      logger.error({ error: error.message, stack: error.stack }, 'Admin exportWinners handler error')
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      })
+    }
+  }
+
+  /**
+   * Shared handler for pause/resume
+   * @private
+   */
+  async _setPaused(req, res, paused) {
+    try {
+      const { productId } = req.params
+      const result = await seckillService.setPaused(productId, paused)
+
+      if (!result.success) {
+        return res.status(404).json(CAMPAIGN_NOT_FOUND_RESPONSE)
+      }
+
+      logger.info({ productId, paused }, `Campaign ${paused ? 'paused' : 'resumed'} by admin`)
+
+      return res.status(200).json({
+        success: true,
+        productId,
+        paused,
+      })
+    } catch (error) {
+      logger.error({ error: error.message, stack: error.stack }, 'Admin setPaused handler error')
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      })
+    }
+  }
+
+  /**
+   * GET /admin/seckill/emergency-events
+   * List Ghost Order entries from the emergency log
+   * 
+   * Query:
+   * - status: pending (default) | replayed | all
+   * 
+   * Returns:
+   * - 200 OK: { count, events }
+   * - 400 Bad Request: Unknown status filter
+   */
+  async listEmergencyEvents(req, res) {
+    try {
+      const status = req.query.status || 'pending'
+      if (!['pending', 'replayed', 'all'].includes(status)) {
+        return res.status(400).json({
+          error: 'VALIDATION_ERROR',
+          message: 'status must be one of: pending, replayed, all',
+        })
+      }
+
+      const events = emergencyReplayService.listEntries({ status })
+
+      return res.status(200).json({
+        count: events.length,
+        events,
+      })
+    } catch (error) {
+      logger.error({ error: error.message, stack: error.stack }, 'Admin listEmergencyEvents handler error')
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      })
+    }
+  }
+
+  /**
+   * POST /admin/seckill/emergency-events/replay
+   * Republish pending emergency log entries with their original eventId/correlationId
+   * 
+   * Request body:
+   * - dryRun: boolean (optional) - Report actions without publishing (default false)
+   * - eventIds: string[] (optional) - Only replay these entries (default: all pending)
+   * 
+   * Returns:
+   * - 200 OK: Replay summary (replayed / skipped / failed per entry)
+   * - 400 Bad Request: Validation error
+   * - 503 Service Unavailable: Message broker not connected
+   */
+  async replayEmergencyEvents(req, res) {
+    try {
+      let validated
+      try {
+        validated = EmergencyReplaySchema.parse(req.body || {})
+      } catch (error) {
+        if (error instanceof ZodError) {
+          logger.warn({ errors: error.errors }, 'Emergency replay validation failed')
+          return res.status(400).json({
+            error: 'VALIDATION_ERROR',
+            message: 'Invalid replay parameters',
+            details: error.errors,
+          })
+        }
+        throw error
+      }
+
+      if (!validated.dryRun && !emergencyReplayService.messageBroker) {
+        return res.status(503).json({
+          error: 'BROKER_UNAVAILABLE',
+          message: 'Message broker is not connected',
+        })
+      }
+
+      const summary = await emergencyReplayService.replay(validated)
+
+      logger.info(
+        { dryRun: summary.dryRun, replayed: summary.replayed, skipped: summary.skipped, failed: summary.failed },
+        'Emergency log replay requested by admin'
+      )
+
+      return res.status(200).json({
+        success: summary.failed === 0,
+        ...summary,
+      })
+    } catch (error) {
+      logger.error({ error: error.message, stack: error.stack }, 'Admin replayEmergencyEvents handler error')
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      })
+    }
+  }
+
+  /**
+   * GET /admin/seckill/reconciliation
+   * Return the report of the last full reconciliation run
+   * 
+   * Returns:
+   * - 200 OK: { report } (report is null if no run has completed yet)
+   */
+  async getReconciliationReport(req, res) {
+    try {
+      const report = await reconciliationService.getLastReport()
+      return res.status(200).json({ report })
+    } catch (error) {
+      logger.error({ error: error.message, stack: error.stack }, 'Admin getReconciliationReport handler error')
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      })
+    }
+  }
+
+  /**
+   * POST /admin/seckill/reconciliation/run
+   * Reconcile Redis winners against Order/Inventory Service now
+   * 
+   * Request body:
+   * - productId: string (optional) - Only reconcile this campaign (default: all campaigns)
+   * - autoCompensate: boolean (optional) - Release winners without orders (default from config)
+   * 
+   * Returns:
+   * - 200 OK: Reconciliation report
+   * - 400 Bad Request: Validation error
+   * - 404 Not Found: Campaign doesn't exist
+   * - 409 Conflict: Another reconciliation is running
+   */
+  async runReconciliation(req, res) {
+    try {
+      let validated
+      try {
+        validated = ReconciliationRunSchema.parse(req.body || {})
+      } catch (error) {
+        if (error instanceof ZodError) {
+          logger.warn({ errors: error.errors }, 'Reconciliation run validation failed')
+          return res.status(400).json({
+            error: 'VALIDATION_ERROR',
+            message: 'Invalid reconciliation parameters',
+            details: error.errors,
+          })
+        }
+        throw error
+      }
+
+      if (validated.productId && !(await seckillService.getStatus(validated.productId))) {
+        return res.status(404).json(CAMPAIGN_NOT_FOUND_RESPONSE)
+      }
+
+      const report = await reconciliationService.run(validated)
+      if (!report) {
+        return res.status(409).json({
+          error: 'RECONCILIATION_IN_PROGRESS',
+          message: 'Another reconciliation run is in progress',
+        })
+      }
+
+      logger.info({ productId: validated.productId, ...report.summary }, 'Reconciliation requested by admin')
+
+      return res.status(200).json(report)
+    } catch (error) {
+      logger.error({ error: error.message, stack: error.stack }, 'Admin runReconciliation handler error')
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      })
+    }
+  }
+
+  /**
+   * GET /admin/seckill/risk/lists
+   * Return the buy risk allow/deny lists
+   * 
+   * Returns:
+   * - 200 OK: { allow: { user, ip, fingerprint }, deny: { user, ip, fingerprint } }
+   */
+  async getRiskLists(req, res) {
+    try {
+      const lists = await riskService.getLists()
+      return res.status(200).json(lists)
+    } catch (error) {
+      logger.error({ error: error.message, stack: error.stack }, 'Admin getRiskLists handler error')
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      })
+    }
+  }
+
+  /**
+   * POST /admin/seckill/risk/lists/:list
+   * Add a user, IP or device fingerprint to the allow or deny list
+   * (an entry moves out of the opposite list)
+   * 
+   * Request body:
+   * - type: user | ip | fingerprint (required)
+   * - value: string (required)
+   * 
+   * Returns:
+   * - 201 Created: Entry added
+   * - 400 Bad Request: Validation error
+   */
+  async addRiskListEntry(req, res) {
+    try {
+      let validated
+      try {
+        validated = RiskListEntrySchema.parse({ ...req.body, list: req.params.list })
+      } catch (error) {
+        if (error instanceof ZodError) {
+          logger.warn({ errors: error.errors }, 'Risk list entry validation failed')
+          return res.status(400).json({
+            error: 'VALIDATION_ERROR',
+            message: 'Invalid risk list entry',
+            details: error.errors,
+          })
+        }
+        throw error
+      }
+
+      await riskService.addToList(validated.list, validated.type, validated.value)
+
+      return res.status(201).json({ success: true, ...validated })
+    } catch (error) {
+      logger.error({ error: error.message, stack: error.stack }, 'Admin addRiskListEntry handler error')
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      })
+    }
+  }
+
+  /**
+   * DELETE /admin/seckill/risk/lists/:list/:type/:value
+   * Remove an allow/deny list entry
+   * 
+   * Returns:
+   * - 200 OK: Entry removed
+   * - 400 Bad Request: Validation error
+   * - 404 Not Found: Entry not listed
+   */
+  async removeRiskListEntry(req, res) {
+    try {
+      const parsed = RiskListEntrySchema.safeParse(req.params)
+      if (!parsed.success) {
+        return res.status(400).json({
+          error: 'VALIDATION_ERROR',
+          message: 'Invalid risk list entry',
+          details: parsed.error.errors,
+        })
+      }
+
+      const { list, type, value } = parsed.data
+      const removed = await riskService.removeFromList(list, type, value)
+      if (!removed) {
+        return res.status(404).json({
+          error: 'ENTRY_NOT_FOUND',
+          message: 'Value is not on this list',
+        })
+      }
+
+      return res.status(200).json({ success: true, list, type, value })
+    } catch (error) {
+      logger.error({ error: error.message, stack: error.stack }, 'Admin removeRiskListEntry handler error')
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      })
+    }
+  }
 }
 
 module.exports = new AdminController()
@@ -1,5 +1,6 @@
 const logger = require('@ecommerce/logger')
 const seckillService = require('../services/seckillService')
+const waitingRoomService = require('../services/waitingRoomService')
 const { BuyRequestSchema } = require('../schemas/seckillEvents.schema')
 const { ZodError } = require('zod')
 
@@ -27,8 +28,13 @@ class SeckillController {
    * - 202 Accepted: Purchase successful
    * - 400 Bad Request: Validation error or campaign not started
    * - 401 Unauthorized: Missing/invalid authentication
-   * - 409 Conflict: Out of stock or already purchased
+   * - 403 Forbidden: Waiting room admission token missing, invalid or already used
+   * - 404 Not Found: Campaign does not exist (or its keys have expired)
+   * - 409 Conflict: Out of stock, insufficient stock, already purchased or quota exceeded
+   * - 410 Gone: Campaign has ended
+   * - 423 Locked: Campaign is temporarily paused by an admin
    * - 429 Too Many Requests: Rate limit exceeded
+   * - 503 Service Unavailable: The purchase could not be recorded durably (slot released, safe to retry)
    * 
    * Requirements: 2.1, 2.2, 2.3, 2.4, 2.6
    */
@@ -61,10 +67,24 @@ class SeckillController {
         throw error
       }
 
-      const { productId } = validated
+      const { productId, quantity } = validated
+
+      // Waiting room admission token (header or body); only verified when presented,
+      // the reserve script decides whether the campaign requires one
+      const admissionToken = req.headers['x-admission-token'] || validated.admissionToken
+      const admissionId = admissionToken
+        ? waitingRoomService.verifyAdmissionToken(admissionToken, userId, productId)
+        : null
+      if (admissionToken && !admissionId) {
+        logger.info({ userId, productId }, 'Seckill purchase rejected: invalid admission token')
+        return res.status(403).json({
+          error: 'INVALID_ADMISSION_TOKEN',
+          message: 'Admission token is invalid or has expired. Please rejoin the waiting room.',
+        })
+      }
 
       // Execute purchase via service
-      const result = await seckillService.buy(userId, productId)
+      const result = await seckillService.buy(userId, productId, quantity, { admissionId })
 
       // Handle error responses based on Lua script return codes
       if (!result.success) {
@@ -83,11 +103,60 @@ class SeckillController {
               message: 'You have already purchased this product',
             },
           },
+          QUOTA_EXCEEDED: {
+            status: 409,
+            body: {
+              error: 'QUOTA_EXCEEDED',
+              message: 'Requested quantity exceeds your purchase limit for this product',
+            },
+          },
+          INSUFFICIENT_STOCK: {
+            status: 409,
+            body: {
+              error: 'INSUFFICIENT_STOCK',
+              message: 'Not enough stock left for the requested quantity',
+            },
+          },
+          CAMPAIGN_NOT_FOUND: {
+            status: 404,
+            body: {
+              error: 'CAMPAIGN_NOT_FOUND',
+              message: 'Campaign does not exist',
+            },
+          },
           CAMPAIGN_NOT_STARTED: {
             status: 400,
             body: {
               error: 'CAMPAIGN_NOT_STARTED',
-              message: 'Campaign has not started or does not exist',
+              message: 'Campaign has not started yet',
+            },
+          },
+          CAMPAIGN_ENDED: {
+            status: 410,
+            body: {
+              error: 'CAMPAIGN_ENDED',
+              message: 'Campaign has ended',
+            },
+          },
+          CAMPAIGN_PAUSED: {
+            status: 423,
+            body: {
+              error: 'CAMPAIGN_PAUSED',
+              message: 'Campaign is temporarily paused. Please try again later.',
+            },
+          },
+          ADMISSION_REQUIRED: {
+            status: 403,
+            body: {
+              error: 'ADMISSION_REQUIRED',
+              message: 'This campaign uses a waiting room. Join the queue to obtain an admission token.',
+            },
+          },
+          ADMISSION_USED: {
+            status: 403,
+            body: {
+              error: 'ADMISSION_USED',
+              message: 'Admission token has already been used for a purchase. Poll your queue position for a new one.',
             },
           },
           RATE_LIMIT_EXCEEDED: {
@@ -97,11 +166,18 @@ class SeckillController {
               message: 'Too many requests. Please try again later.',
             },
           },
+          PERSISTENCE_FAILED: {
+            status: 503,
+            body: {
+              error: 'PERSISTENCE_FAILED',
+              message: 'Purchase could not be recorded. Please try again.',
+            },
+          },
         }
 
         const errorResponse = errorResponses[result.error]
         if (errorResponse) {
-          logger.info({ userId, productId, error: result.error }, 'Seckill purchase rejected')
+          logger.info({ userId, productId, quantity, error: result.error }, 'Seckill purchase rejected')
           return res.status(errorResponse.status).json(errorResponse.body)
         }
 
@@ -114,10 +190,11 @@ class SeckillController {
       }
 
       // Success - return 202 Accepted with correlationId for tracking
-      logger.info({ userId, productId, correlationId: result.correlationId }, 'Seckill purchase successful')
+      logger.info({ userId, productId, quantity, correlationId: result.correlationId }, 'Seckill purchase successful')
       return res.status(202).json({
         success: true,
         correlationId: result.correlationId,
+        quantity: result.quantity,
         message: 'Purchase accepted. Order is being processed. Use correlationId to track order status.',
       })
     } catch (error) {
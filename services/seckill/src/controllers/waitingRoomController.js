@@ -0,0 +1,118 @@
+const logger = require('@ecommerce/logger')
+const waitingRoomService = require('../services/waitingRoomService')
+const { QueueJoinSchema } = require('../schemas/seckillEvents.schema')
+const { ZodError } = require('zod')
+
+/**
+ * Waiting Room Controller - HTTP request handlers for the seckill virtual queue
+ *
+ * Handles:
+ * - POST /seckill/queue/join - Join a campaign's waiting room
+ * - GET /seckill/queue/position/:productId - Poll place in line / receive admission token
+ */
+class WaitingRoomController {
+  constructor() {
+    this.join = this.join.bind(this)
+    this.getPosition = this.getPosition.bind(this)
+  }
+
+  /**
+   * POST /seckill/queue/join
+   * Join the waiting room for a campaign
+   *
+   * Returns:
+   * - 200 OK: Admitted immediately (includes admissionToken)
+   * - 202 Accepted: Waiting in line (includes position)
+   * - 400 Bad Request: Validation error
+   * - 404 Not Found: Campaign does not exist
+   */
+  async join(req, res) {
+    try {
+      const userId = req.user.id
+
+      let validated
+      try {
+        validated = QueueJoinSchema.parse(req.body)
+      } catch (error) {
+        if (error instanceof ZodError) {
+          logger.warn({ errors: error.errors }, 'Queue join request validation failed')
+          return res.status(400).json({
+            error: 'VALIDATION_ERROR',
+            message: 'Invalid request body',
+            details: error.errors,
+          })
+        }
+        throw error
+      }
+
+      const result = await waitingRoomService.join(userId, validated.productId)
+      return this._sendPosition(res, result)
+    } catch (error) {
+      logger.error({ error: error.message, stack: error.stack }, 'Waiting room join handler error')
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      })
+    }
+  }
+
+  /**
+   * GET /seckill/queue/position/:productId
+   * Poll the user's place in line
+   *
+   * Returns:
+   * - 200 OK: Admitted (includes admissionToken)
+   * - 202 Accepted: Still waiting (includes position)
+   * - 404 Not Found: User has not joined the waiting room
+   */
+  async getPosition(req, res) {
+    try {
+      const userId = req.user.id
+      const { productId } = req.params
+
+      const result = await waitingRoomService.getPosition(userId, productId)
+      return this._sendPosition(res, result)
+    } catch (error) {
+      logger.error({ error: error.message, stack: error.stack }, 'Waiting room position handler error')
+      return res.status(500).json({
+        error: 'INTERNAL_ERROR',
+        message: 'An unexpected error occurred',
+      })
+    }
+  }
+
+  /**
+   * Map a waiting room result to an HTTP response
+   * @private
+   */
+  _sendPosition(res, result) {
+    if (!result.success) {
+      const errorResponses = {
+        CAMPAIGN_NOT_FOUND: 'Campaign does not exist',
+        NOT_IN_QUEUE: 'You have not joined the waiting room for this campaign',
+      }
+      return res.status(404).json({
+        error: result.error,
+        message: errorResponses[result.error],
+      })
+    }
+
+    if (result.status === 'WAITING') {
+      return res.status(202).json({
+        status: 'WAITING',
+        position: result.position,
+        waiting: result.waiting,
+        message: 'You are in the waiting room. Poll your position to receive an admission token.',
+      })
+    }
+
+    return res.status(200).json({
+      status: 'ADMITTED',
+      admissionToken: result.admissionToken,
+      expiresIn: result.expiresIn,
+      message: 'You have been admitted. Send admissionToken with your buy request before it expires.',
+    })
+  }
+}
+
+module.exports = new WaitingRoomController()
@@ -9,6 +9,13 @@
 
 const { promClient } = require('@ecommerce/metrics')
 
+const RECONCILIATION_MISMATCH_TYPES = [
+  'winner_without_order',
+  'order_without_winner',
+  'stock_drift',
+  'inventory_shortfall',
+]
+
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // SECKILL REQUEST METRICS
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -16,8 +23,8 @@ const { promClient } = require('@ecommerce/metrics')
 /**
  * Total seckill requests counter
  * Labels:
- * - status: success, out_of_stock, already_purchased, rate_limited, campaign_not_started, error
- * - operation: buy, status, init, release
+ * - status: success, out_of_stock, already_purchased, rate_limited, campaign_not_found, campaign_not_started, campaign_ended, campaign_paused, quota_exceeded, insufficient_stock, admission_required, admission_used, persistence_failed, risk_blocked, waiting, not_in_queue, error
+ * - operation: buy, status, init, release, queue_join, queue_position, update, topup, pause, resume, cancel
  * 
  * Requirements: 7.1
  */
@@ -79,6 +86,20 @@ const seckillPublishFailuresTotal = new promClient.Counter({
   labelNames: ['event_type'],
 })
 
+/**
+ * Seckill emergency replays counter (Ghost Order recovery)
+ * Tracks emergency log entries processed by the replay tool
+ *
+ * Labels:
+ * - event_type: seckill.order.won, seckill.released
+ * - status: replayed, skipped, failed
+ */
+const seckillEmergencyReplaysTotal = new promClient.Counter({
+  name: 'seckill_emergency_replays_total',
+  help: 'Total number of emergency log entries processed by the replay tool',
+  labelNames: ['event_type', 'status'],
+})
+
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // CAMPAIGN METRICS
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -101,14 +122,127 @@ const seckillSlotsReleased = new promClient.Counter({
   labelNames: ['product_id'],
 })
 
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// WAITING ROOM METRICS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Seckill queue depth gauge
+ * Tracks users in the waiting room not yet admitted, per productId
+ */
+const seckillQueueDepth = new promClient.Gauge({
+  name: 'seckill_queue_depth',
+  help: 'Number of users waiting in the seckill waiting room',
+  labelNames: ['product_id'],
+})
+
+/**
+ * Seckill admission tokens issued counter
+ */
+const seckillAdmissionTokensIssued = new promClient.Counter({
+  name: 'seckill_admission_tokens_issued_total',
+  help: 'Total number of waiting room admission tokens issued',
+  labelNames: ['product_id'],
+})
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// RISK CHECK METRICS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Seckill risk decisions counter
+ * Labels:
+ * - decision: allowed, blocked, allowlisted, error
+ */
+const seckillRiskDecisionsTotal = new promClient.Counter({
+  name: 'seckill_risk_decisions_total',
+  help: 'Total number of buy risk assessments by decision',
+  labelNames: ['decision'],
+})
+
+/**
+ * Seckill risk blocked counter
+ * One increment per reason that contributed to a blocked request
+ * Labels:
+ * - reason: MULTI_ACCOUNT_IP, MULTI_ACCOUNT_DEVICE, HIGH_VELOCITY, SUSPICIOUS_USER_AGENT, MISSING_USER_AGENT, NEW_ACCOUNT, DENYLISTED_USER, DENYLISTED_IP, DENYLISTED_FINGERPRINT
+ */
+const seckillRiskBlockedTotal = new promClient.Counter({
+  name: 'seckill_risk_blocked_total',
+  help: 'Total number of buy requests blocked by risk checks, by reason',
+  labelNames: ['reason'],
+})
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// DURABILITY METRICS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Seckill persistence failures counter
+ * Redis changes that could not be mirrored to MongoDB
+ * Labels:
+ * - operation: win, release, topup, pause, resume, cancel
+ */
+const seckillPersistenceFailuresTotal = new promClient.Counter({
+  name: 'seckill_persistence_failures_total',
+  help: 'Total number of seckill state changes that failed to persist to MongoDB',
+  labelNames: ['operation'],
+})
+
+/**
+ * Seckill campaigns recovered counter
+ * Campaigns whose Redis keys were rebuilt from MongoDB at startup
+ */
+const seckillCampaignsRecovered = new promClient.Counter({
+  name: 'seckill_campaigns_recovered_total',
+  help: 'Total number of seckill campaigns restored from durable state',
+  labelNames: ['product_id'],
+})
+
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+// RECONCILIATION METRICS
+// ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
+
+/**
+ * Seckill reconciliation mismatches gauge
+ * Mismatches found by the last reconciliation run, per productId
+ * Labels:
+ * - type: winner_without_order, order_without_winner, stock_drift, inventory_shortfall
+ */
+const seckillReconciliationMismatches = new promClient.Gauge({
+  name: 'seckill_reconciliation_mismatches',
+  help: 'Mismatches between Redis winners and Order/Inventory found by the last reconciliation run',
+  labelNames: ['product_id', 'type'],
+})
+
+/**
+ * Seckill reconciliation runs counter
+ * Labels:
+ * - status: clean, mismatches, error
+ */
+const seckillReconciliationRunsTotal = new promClient.Counter({
+  name: 'seckill_reconciliation_runs_total',
+  help: 'Total number of per-campaign reconciliation runs',
+  labelNames: ['status'],
+})
+
+/**
+ * Seckill reconciliation compensations counter
+ * Winner slots released automatically because no order was ever created
+ */
+const seckillReconciliationCompensations = new promClient.Counter({
+  name: 'seckill_reconciliation_compensations_total',
+  help: 'Total number of winner slots released by reconciliation auto-compensation',
+  labelNames: ['product_id', 'status'],
+})
+
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 // HELPER FUNCTIONS
 // ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
 
 /**
  * Record a seckill request
- * @param {string} operation - Operation type (buy, status, init, release)
- * @param {string} status - Request status (success, out_of_stock, already_purchased, rate_limited, campaign_not_started, error)
+ * @param {string} operation - Operation type (buy, status, init, release, queue_join, queue_position, update, topup, pause, resume, cancel)
+ * @param {string} status - Request status (success, out_of_stock, already_purchased, rate_limited, campaign_not_found, campaign_not_started, campaign_ended, campaign_paused, quota_exceeded, insufficient_stock, admission_required, admission_used, persistence_failed, risk_blocked, waiting, not_in_queue, error)
  */
 function recordSeckillRequest(operation, status) {
   seckillRequestsTotal.inc({ operation, status })
@@ -148,6 +282,27 @@ function recordPublishFailure(eventType) {
   seckillPublishFailuresTotal.inc({ event_type: eventType })
 }
 
+/**
+ * Drop per-campaign gauges for a cancelled campaign
+ * @param {string} productId - Product identifier
+ */
+function removeCampaignGauges(productId) {
+  seckillStockRemaining.remove({ product_id: productId })
+  seckillQueueDepth.remove({ product_id: productId })
+  for (const type of RECONCILIATION_MISMATCH_TYPES) {
+    seckillReconciliationMismatches.remove({ product_id: productId, type })
+  }
+}
+
+/**
+ * Record an emergency log replay outcome
+ * @param {string} eventType - Event type of the replayed entry
+ * @param {string} status - Outcome (replayed, skipped, failed)
+ */
+function recordEmergencyReplay(eventType, status) {
+  seckillEmergencyReplaysTotal.inc({ event_type: eventType, status })
+}
+
 /**
  * Record campaign initialization
  * @param {string} productId - Product identifier
@@ -164,14 +319,101 @@ function recordSlotReleased(productId) {
   seckillSlotsReleased.inc({ product_id: productId })
 }
 
+/**
+ * Update waiting room queue depth gauge for a product
+ * @param {string} productId - Product identifier
+ * @param {number} waiting - Users not yet admitted
+ */
+function setQueueDepth(productId, waiting) {
+  seckillQueueDepth.set({ product_id: productId }, waiting)
+}
+
+/**
+ * Record an admission token issued
+ * @param {string} productId - Product identifier
+ */
+function recordAdmissionTokenIssued(productId) {
+  seckillAdmissionTokensIssued.inc({ product_id: productId })
+}
+
+/**
+ * Record a buy risk assessment
+ * @param {string} decision - Decision (allowed, blocked, allowlisted, error)
+ */
+function recordRiskDecision(decision) {
+  seckillRiskDecisionsTotal.inc({ decision })
+}
+
+/**
+ * Record a reason of a blocked buy request
+ * @param {string} reason - Risk reason code
+ */
+function recordRiskBlocked(reason) {
+  seckillRiskBlockedTotal.inc({ reason })
+}
+
+/**
+ * Record a failed write to the durable store
+ * @param {string} operation - Operation (win, release, topup, pause, resume, cancel)
+ */
+function recordPersistenceFailure(operation) {
+  seckillPersistenceFailuresTotal.inc({ operation })
+}
+
+/**
+ * Record a campaign restored from durable state
+ * @param {string} productId - Product identifier
+ */
+function recordCampaignRecovered(productId) {
+  seckillCampaignsRecovered.inc({ product_id: productId })
+}
+
+/**
+ * Update reconciliation mismatch gauges for a product
+ * @param {string} productId - Product identifier
+ * @param {Object} counts - Mismatch count per type (winner_without_order, order_without_winner, stock_drift, inventory_shortfall)
+ */
+function setReconciliationMismatches(productId, counts) {
+  for (const type of RECONCILIATION_MISMATCH_TYPES) {
+    seckillReconciliationMismatches.set({ product_id: productId, type }, counts[type] || 0)
+  }
+}
+
+/**
+ * Record a per-campaign reconciliation run
+ * @param {string} status - Run outcome (clean, mismatches, error)
+ */
+function recordReconciliationRun(status) {
+  seckillReconciliationRunsTotal.inc({ status })
+}
+
+/**
+ * Record a reconciliation auto-compensation
+ * @param {string} productId - Product identifier
+ * @param {string} status - Outcome (released, not_found, failed)
+ */
+function recordReconciliationCompensation(productId, status) {
+  seckillReconciliationCompensations.inc({ product_id: productId, status })
+}
+
 module.exports = {
   // Raw metrics
   seckillRequestsTotal,
   seckillReserveLatency,
   seckillStockRemaining,
   seckillPublishFailuresTotal,
+  seckillEmergencyReplaysTotal,
   seckillCampaignsInitialized,
   seckillSlotsReleased,
+  seckillQueueDepth,
+  seckillAdmissionTokensIssued,
+  seckillRiskDecisionsTotal,
+  seckillRiskBlockedTotal,
+  seckillPersistenceFailuresTotal,
+  seckillCampaignsRecovered,
+  seckillReconciliationMismatches,
+  seckillReconciliationRunsTotal,
+  seckillReconciliationCompensations,
 
   // Helper functions
   recordSeckillRequest,
@@ -179,6 +421,17 @@ module.exports = {
   recordReserveLatency,
   setStockRemaining,
   recordPublishFailure,
+  recordEmergencyReplay,
   recordCampaignInitialized,
   recordSlotReleased,
+  setQueueDepth,
+  removeCampaignGauges,
+  recordAdmissionTokenIssued,
+  recordRiskDecision,
+  recordRiskBlocked,
+  recordPersistenceFailure,
+  recordCampaignRecovered,
+  setReconciliationMismatches,
+  recordReconciliationRun,
+  recordReconciliationCompensation,
 }
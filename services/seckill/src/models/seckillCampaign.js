@@ -0,0 +1,74 @@
+const mongoose = require('mongoose')
+
+/**
+ * Seckill Campaign Model
+ *
+ * Durable copy of a campaign definition. Redis remains the source of truth
+ * while it is alive; this document lets the service rebuild the campaign keys
+ * after Redis loses its data. Remaining stock is not stored: it is derived as
+ * totalStock minus the units held by winners (SeckillWinner).
+ */
+const seckillCampaignSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: String,
+      required: true,
+      unique: true,
+      description: 'Product ID of the campaign (one campaign per product)',
+    },
+    totalStock: {
+      type: Number,
+      required: true,
+      min: 0,
+      description: 'Total units on sale (initial stock plus top-ups)',
+    },
+    price: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    startTime: {
+      type: Date,
+      required: true,
+    },
+    endTime: {
+      type: Date,
+      required: true,
+    },
+    perUserLimit: {
+      type: Number,
+      default: 1,
+      min: 1,
+    },
+    admissionRate: {
+      type: Number,
+      default: null,
+      description: 'Waiting room admissions per second (null = waiting room disabled)',
+    },
+    paused: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ['ACTIVE', 'CANCELLED'],
+      default: 'ACTIVE',
+      index: true,
+      description: 'CANCELLED campaigns are kept for audit and never recovered',
+    },
+    lastRecoveredAt: {
+      type: Date,
+      description: 'Last time the Redis keys were rebuilt from this document',
+    },
+  },
+  {
+    timestamps: true, // createdAt, updatedAt
+    collection: 'seckill_campaigns',
+    // Fail fast instead of queueing writes while MongoDB is unreachable (buy path)
+    bufferCommands: false,
+  }
+)
+
+seckillCampaignSchema.index({ status: 1, endTime: 1 })
+
+module.exports = mongoose.model('SeckillCampaign', seckillCampaignSchema)
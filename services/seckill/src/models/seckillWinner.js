@@ -0,0 +1,37 @@
+const mongoose = require('mongoose')
+
+/**
+ * Seckill Winner Model
+ *
+ * Durable copy of the Redis winners hash (seckill:{productId}:users):
+ * one document per user and campaign with the units currently held.
+ * Written after every successful reserve and release Lua script.
+ */
+const seckillWinnerSchema = new mongoose.Schema(
+  {
+    productId: {
+      type: String,
+      required: true,
+    },
+    userId: {
+      type: String,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+      description: 'Units currently held (0 once fully released)',
+    },
+  },
+  {
+    timestamps: true, // createdAt, updatedAt
+    collection: 'seckill_winners',
+    // Fail fast instead of queueing writes while MongoDB is unreachable (buy path)
+    bufferCommands: false,
+  }
+)
+
+seckillWinnerSchema.index({ productId: 1, userId: 1 }, { unique: true })
+
+module.exports = mongoose.model('SeckillWinner', seckillWinnerSchema)
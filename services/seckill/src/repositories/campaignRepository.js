@@ -0,0 +1,154 @@
+const logger = require('@ecommerce/logger')
+const SeckillCampaign = require('../models/seckillCampaign')
+const SeckillWinner = require('../models/seckillWinner')
+
+/**
+ * Repository layer for durable seckill state (campaigns and winners)
+ * Handles all MongoDB interactions of the seckill service
+ */
+class CampaignRepository {
+  /**
+   * Create or re-initialize a campaign
+   * Re-initialization clears the winners, like the Redis init does.
+   *
+   * @param {Object} campaign - Validated campaign parameters
+   * @returns {Promise<Object>} Campaign document
+   */
+  async saveCampaign({ productId, stock, price, startTime, endTime, perUserLimit, admissionRate }) {
+    try {
+      const saved = await SeckillCampaign.findOneAndUpdate(
+        { productId },
+        {
+          $set: {
+            totalStock: stock,
+            price,
+            startTime,
+            endTime,
+            perUserLimit,
+            admissionRate: admissionRate || null,
+            paused: false,
+            status: 'ACTIVE',
+          },
+        },
+        { upsert: true, new: true }
+      )
+      await SeckillWinner.deleteMany({ productId })
+      return saved
+    } catch (error) {
+      logger.error({ error: error.message, productId }, '[CampaignRepository] Error saving campaign')
+      throw error
+    }
+  }
+
+  /**
+   * Update campaign fields
+   *
+   * @param {string} productId - Product identifier
+   * @param {Object} fields - Fields to set (price, startTime, endTime, perUserLimit, admissionRate, totalStock, paused)
+   * @returns {Promise<Object|null>} Updated document or null if not persisted
+   */
+  async updateCampaign(productId, fields) {
+    try {
+      return await SeckillCampaign.findOneAndUpdate(
+        { productId },
+        { $set: fields },
+        { new: true }
+      )
+    } catch (error) {
+      logger.error({ error: error.message, productId }, '[CampaignRepository] Error updating campaign')
+      throw error
+    }
+  }
+
+  /**
+   * Mark a campaign cancelled (kept with its winners for audit, never recovered)
+   * @param {string} productId - Product identifier
+   */
+  async markCancelled(productId) {
+    return this.updateCampaign(productId, { status: 'CANCELLED' })
+  }
+
+  /**
+   * Mark a campaign as rebuilt in Redis
+   * @param {string} productId - Product identifier
+   */
+  async markRecovered(productId) {
+    return this.updateCampaign(productId, { lastRecoveredAt: new Date() })
+  }
+
+  /**
+   * Campaigns whose Redis keys would still exist (not cancelled, within retention)
+   *
+   * @param {number} retentionSeconds - Seconds campaign keys live after endTime
+   * @returns {Promise<Object[]>} Campaign documents
+   */
+  async findRecoverable(retentionSeconds) {
+    try {
+      return await SeckillCampaign.find({
+        status: 'ACTIVE',
+        endTime: { $gt: new Date(Date.now() - retentionSeconds * 1000) },
+      }).lean()
+    } catch (error) {
+      logger.error({ error: error.message }, '[CampaignRepository] Error finding recoverable campaigns')
+      throw error
+    }
+  }
+
+  /**
+   * Add units to a winner's record
+   *
+   * @param {string} productId - Product identifier
+   * @param {string} userId - User identifier
+   * @param {number} quantity - Units reserved
+   */
+  async recordWin(productId, userId, quantity) {
+    try {
+      await SeckillWinner.updateOne(
+        { productId, userId },
+        { $inc: { quantity } },
+        { upsert: true }
+      )
+    } catch (error) {
+      logger.error({ error: error.message, productId, userId }, '[CampaignRepository] Error recording winner')
+      throw error
+    }
+  }
+
+  /**
+   * Remove released units from a winner's record
+   *
+   * @param {string} productId - Product identifier
+   * @param {string} userId - User identifier
+   * @param {number} quantity - Units released
+   */
+  async recordRelease(productId, userId, quantity) {
+    try {
+      await SeckillWinner.updateOne(
+        { productId, userId },
+        [{ $set: { quantity: { $max: [0, { $subtract: ['$quantity', quantity] }] } } }]
+      )
+    } catch (error) {
+      logger.error({ error: error.message, productId, userId }, '[CampaignRepository] Error recording release')
+      throw error
+    }
+  }
+
+  /**
+   * Winners still holding units
+   *
+   * @param {string} productId - Product identifier
+   * @returns {Promise<Object[]>} [{ userId, quantity }]
+   */
+  async findWinners(productId) {
+    try {
+      return await SeckillWinner.find({ productId, quantity: { $gt: 0 } })
+        .select({ _id: 0, userId: 1, quantity: 1 })
+        .lean()
+    } catch (error) {
+      logger.error({ error: error.message, productId }, '[CampaignRepository] Error finding winners')
+      throw error
+    }
+  }
+}
+
+module.exports = new CampaignRepository()
@@ -12,6 +12,21 @@ const router = express.Router()
  * Routes:
  * - POST /admin/seckill/init - Initialize a seckill campaign
  * - POST /admin/seckill/release - Manually release a user's slot
+ * - GET /admin/seckill/campaigns - List campaigns
+ * - GET /admin/seckill/campaigns/:productId - Campaign details
+ * - PATCH /admin/seckill/campaigns/:productId - Update timing, price, limits
+ * - POST /admin/seckill/campaigns/:productId/stock - Top up stock (winners kept)
+ * - POST /admin/seckill/campaigns/:productId/pause - Pause buying
+ * - POST /admin/seckill/campaigns/:productId/resume - Resume buying
+ * - DELETE /admin/seckill/campaigns/:productId - Cancel and tear down
+ * - GET /admin/seckill/campaigns/:productId/winners - Export winners (?format=csv)
+ * - GET /admin/seckill/emergency-events - List Ghost Order emergency log entries
+ * - POST /admin/seckill/emergency-events/replay - Replay (or dry-run) emergency log entries
+ * - GET /admin/seckill/reconciliation - Last reconciliation report
+ * - POST /admin/seckill/reconciliation/run - Reconcile winners against orders/inventory now
+ * - GET /admin/seckill/risk/lists - Buy risk allow/deny lists
+ * - POST /admin/seckill/risk/lists/:list - Add allow/deny entry ({ type, value })
+ * - DELETE /admin/seckill/risk/lists/:list/:type/:value - Remove allow/deny entry
  * 
  * Requirements: 1.1, 5.1
  */
@@ -24,4 +39,36 @@ router.post('/init', adminAuthMiddleware, adminController.initCampaign)
 // Requires X-Admin-Key header
 router.post('/release', adminAuthMiddleware, adminController.releaseSlot)
 
+// Campaign lifecycle - all require X-Admin-Key header
+router.get('/campaigns', adminAuthMiddleware, adminController.listCampaigns)
+router.get('/campaigns/:productId', adminAuthMiddleware, adminController.getCampaign)
+router.patch('/campaigns/:productId', adminAuthMiddleware, adminController.updateCampaign)
+router.delete('/campaigns/:productId', adminAuthMiddleware, adminController.cancelCampaign)
+router.post('/campaigns/:productId/stock', adminAuthMiddleware, adminController.topUpStock)
+router.post('/campaigns/:productId/pause', adminAuthMiddleware, adminController.pauseCampaign)
+router.post('/campaigns/:productId/resume', adminAuthMiddleware, adminController.resumeCampaign)
+router.get('/campaigns/:productId/winners', adminAuthMiddleware, adminController.exportWinners)
+
+// GET /admin/seckill/emergency-events?status=pending|replayed|all - List Ghost Order entries
+// Requires X-Admin-Key header
+router.get('/emergency-events', adminAuthMiddleware, adminController.listEmergencyEvents)
+
+// POST /admin/seckill/emergency-events/replay - Republish pending entries (supports dryRun)
+// Requires X-Admin-Key header
+router.post('/emergency-events/replay', adminAuthMiddleware, adminController.replayEmergencyEvents)
+
+// GET /admin/seckill/reconciliation - Last winners vs orders/inventory report
+// Requires X-Admin-Key header
+router.get('/reconciliation', adminAuthMiddleware, adminController.getReconciliationReport)
+
+// POST /admin/seckill/reconciliation/run - Run reconciliation now (optionally one campaign, auto-compensate)
+// Requires X-Admin-Key header
+router.post('/reconciliation/run', adminAuthMiddleware, adminController.runReconciliation)
+
+// Buy risk allow/deny lists (list: allow|deny, type: user|ip|fingerprint)
+// Requires X-Admin-Key header
+router.get('/risk/lists', adminAuthMiddleware, adminController.getRiskLists)
+router.post('/risk/lists/:list', adminAuthMiddleware, adminController.addRiskListEntry)
+router.delete('/risk/lists/:list/:type/:value', adminAuthMiddleware, adminController.removeRiskListEntry)
+
 module.exports = router
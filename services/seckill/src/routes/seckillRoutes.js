@@ -1,6 +1,8 @@
 const express = require('express')
 const { authMiddleware } = require('../middlewares/authMiddleware')
+const { riskCheckMiddleware } = require('../middlewares/riskCheckMiddleware')
 const seckillController = require('../controllers/seckillController')
+const waitingRoomController = require('../controllers/waitingRoomController')
 
 const router = express.Router()
 
@@ -8,18 +10,27 @@ const router = express.Router()
  * Seckill Routes - Public API for flash sale operations
  * 
  * Routes:
- * - POST /buy - Purchase attempt (requires authentication)
+ * - POST /buy - Purchase attempt (requires authentication, passes bot/abuse risk checks)
  * - GET /status/:productId - Get campaign status (public)
+ * - POST /queue/join - Join a campaign's waiting room (requires authentication)
+ * - GET /queue/position/:productId - Poll waiting room position (requires authentication)
  * 
  * Requirements: 2.1, 3.1
  */
 
 // POST /seckill/buy - Purchase attempt
 // Requires X-User-ID header (set by API Gateway after JWT verification)
-router.post('/buy', authMiddleware, seckillController.buy)
+// High-risk requests (multi-account IP/device, bots, new accounts, deny list) get 403 RISK_BLOCKED
+router.post('/buy', authMiddleware, riskCheckMiddleware, seckillController.buy)
 
 // GET /seckill/status/:productId - Get campaign status
 // Public endpoint - no authentication required
 router.get('/status/:productId', seckillController.getStatus)
 
+// POST /seckill/queue/join - Join the waiting room
+router.post('/queue/join', authMiddleware, waitingRoomController.join)
+
+// GET /seckill/queue/position/:productId - Poll position, receive admission token once admitted
+router.get('/queue/position/:productId', authMiddleware, waitingRoomController.getPosition)
+
 module.exports = router
@@ -10,17 +10,79 @@ const CampaignInitSchema = z.object({
   price: z.number().positive('price must be a positive number'),
   startTime: z.string().datetime({ message: 'startTime must be a valid ISO datetime' }),
   endTime: z.string().datetime({ message: 'endTime must be a valid ISO datetime' }),
+  perUserLimit: z.number().int().positive('perUserLimit must be a positive integer').default(1),
+  admissionRate: z.number().positive('admissionRate must be a positive number').optional(),
 }).refine(
   (data) => new Date(data.endTime) > new Date(data.startTime),
   { message: 'endTime must be after startTime', path: ['endTime'] }
 )
 
+/**
+ * Schema for Campaign Update (Admin endpoint)
+ * Only the provided fields are changed; stock and winners are never touched.
+ * admissionRate: null disables the waiting room.
+ */
+const CampaignUpdateSchema = z.object({
+  startTime: z.string().datetime({ message: 'startTime must be a valid ISO datetime' }).optional(),
+  endTime: z.string().datetime({ message: 'endTime must be a valid ISO datetime' }).optional(),
+  price: z.number().positive('price must be a positive number').optional(),
+  perUserLimit: z.number().int().positive('perUserLimit must be a positive integer').optional(),
+  admissionRate: z.number().positive('admissionRate must be a positive number').nullable().optional(),
+}).strict().refine(
+  (data) => Object.keys(data).length > 0,
+  { message: 'At least one field must be provided' }
+)
+
+/**
+ * Schema for Stock Top-Up (Admin endpoint)
+ */
+const StockTopUpSchema = z.object({
+  amount: z.number().int().positive('amount must be a positive integer'),
+})
+
 /**
  * Schema for Buy Request (Purchase endpoint)
  * Used to validate user purchase requests
  */
 const BuyRequestSchema = z.object({
   productId: z.string().min(1, 'productId is required'),
+  quantity: z.number().int().positive('quantity must be a positive integer').default(1),
+  admissionToken: z.string().min(1).optional(),
+})
+
+/**
+ * Schema for Queue Join Request (Waiting room endpoint)
+ * Used to validate user requests to join a campaign's waiting room
+ */
+const QueueJoinSchema = z.object({
+  productId: z.string().min(1, 'productId is required'),
+})
+
+/**
+ * Schema for Emergency Log Replay (Admin endpoint)
+ * Used to validate admin requests to replay Ghost Order events
+ */
+const EmergencyReplaySchema = z.object({
+  dryRun: z.boolean().default(false),
+  eventIds: z.array(z.string().min(1)).min(1).optional(),
+})
+
+/**
+ * Schema for a manual reconciliation run (Admin API)
+ * Omit productId to reconcile every registered campaign
+ */
+const ReconciliationRunSchema = z.object({
+  productId: z.string().min(1).optional(),
+  autoCompensate: z.boolean().optional(),
+})
+
+/**
+ * Schema for an allow/deny list entry (Admin API)
+ */
+const RiskListEntrySchema = z.object({
+  list: z.enum(['allow', 'deny']),
+  type: z.enum(['user', 'ip', 'fingerprint']),
+  value: z.string().min(1).max(256),
 })
 
 /**
@@ -31,6 +93,7 @@ const ReleaseEventSchema = z.object({
   orderId: z.string().min(1, 'orderId is required'),
   userId: z.string().min(1, 'userId is required'),
   productId: z.string().min(1, 'productId is required'),
+  quantity: z.number().int().positive().optional(),
   reason: z.string().optional(),
 }).passthrough()
 
@@ -46,6 +109,7 @@ const SeckillOrderWonSchema = z.object({
   metadata: z.object({
     campaignId: z.string().optional(),
     source: z.literal('seckill'),
+    correlationId: z.string().optional(),
   }),
 })
 
@@ -56,11 +120,18 @@ const SeckillReleasedSchema = z.object({
   orderId: z.string().min(1),
   userId: z.string().min(1),
   productId: z.string().min(1),
+  quantity: z.number().int().positive(),
 })
 
 module.exports = {
   CampaignInitSchema,
+  CampaignUpdateSchema,
+  StockTopUpSchema,
   BuyRequestSchema,
+  QueueJoinSchema,
+  EmergencyReplaySchema,
+  ReconciliationRunSchema,
+  RiskListEntrySchema,
   ReleaseEventSchema,
   SeckillOrderWonSchema,
   SeckillReleasedSchema,
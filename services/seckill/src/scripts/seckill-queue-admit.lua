@@ -0,0 +1,68 @@
+-- Seckill Waiting Room Admission Script
+-- Atomic operation: Advance admission frontier + Check user's place in line
+--
+-- The frontier is the number of queued users admitted so far. It advances by
+-- `admissionRate` users per second (Redis server clock) and is capped at one
+-- second's worth of users beyond the current queue length, so an idle queue
+-- does not build up an unbounded burst.
+--
+-- KEYS[1]: seckill:{productId}:queue (sorted set: userId -> join sequence)
+-- KEYS[2]: seckill:{productId}:queue:state (hash: frontier, last as epoch milliseconds)
+-- KEYS[3]: seckill:{productId}:admission (admitted users per second, absent = waiting room disabled)
+-- ARGV[1]: userId
+--
+-- Returns { position, waiting }:
+--   position  0: ADMITTED
+--   position >0: WAITING (1-based place in line behind the frontier)
+--   position -1: NOT_IN_QUEUE
+--   waiting: number of queued users not yet admitted
+
+local size = redis.call("ZCARD", KEYS[1])
+local rank = redis.call("ZRANK", KEYS[1], ARGV[1])
+if not rank then
+    return { -1, size }
+end
+
+-- Waiting room disabled for this campaign: everyone in line is admitted
+local rate = tonumber(redis.call("GET", KEYS[3]))
+if rate == nil or rate <= 0 then
+    return { 0, 0 }
+end
+
+local time = redis.call("TIME")
+local nowMs = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+
+-- Advance the frontier by the time elapsed since the last check
+local state = redis.call("HMGET", KEYS[2], "frontier", "last")
+local frontier = tonumber(state[1])
+local lastMs = tonumber(state[2])
+if frontier == nil or lastMs == nil then
+    frontier = rate
+else
+    frontier = frontier + (nowMs - lastMs) / 1000 * rate
+end
+
+local cap = size + rate
+if frontier > cap then
+    frontier = cap
+end
+
+redis.call("HSET", KEYS[2], "frontier", tostring(frontier), "last", nowMs)
+
+-- State hash inherits the queue expiry
+local queueTtl = redis.call("PTTL", KEYS[1])
+if queueTtl > 0 then
+    redis.call("PEXPIRE", KEYS[2], queueTtl)
+end
+
+local admitted = math.floor(frontier)
+local waiting = size - admitted
+if waiting < 0 then
+    waiting = 0
+end
+
+if rank < admitted then
+    return { 0, waiting } -- ADMITTED
+end
+
+return { rank - admitted + 1, waiting } -- WAITING
@@ -0,0 +1,36 @@
+-- Seckill Waiting Room Join Script
+-- Atomic operation: Campaign check + FIFO enqueue
+-- Idempotent: Re-joining returns the user's original place in line
+--
+-- KEYS[1]: seckill:{productId}:stock
+-- KEYS[2]: seckill:{productId}:queue (sorted set: userId -> join sequence)
+-- KEYS[3]: seckill:{productId}:queue:seq (monotonic join counter)
+-- ARGV[1]: userId
+--
+-- Return codes:
+--  >=0: SUCCESS (0-based rank of the user in the queue)
+--   -3: CAMPAIGN_NOT_FOUND (stock key doesn't exist or has expired)
+
+-- 1. Check stock exists (campaign initialized)
+if redis.call("EXISTS", KEYS[1]) == 0 then
+    return -3 -- CAMPAIGN_NOT_FOUND
+end
+
+-- 2. Already queued: keep the original place in line
+local rank = redis.call("ZRANK", KEYS[2], ARGV[1])
+if rank then
+    return rank
+end
+
+-- 3. Enqueue with a strictly increasing score so ordering is FIFO
+local seq = redis.call("INCR", KEYS[3])
+redis.call("ZADD", KEYS[2], seq, ARGV[1])
+
+-- Queue keys are created lazily, so they inherit the campaign expiry from the stock key
+local stockTtl = redis.call("PTTL", KEYS[1])
+if stockTtl > 0 then
+    redis.call("PEXPIRE", KEYS[2], stockTtl)
+    redis.call("PEXPIRE", KEYS[3], stockTtl)
+end
+
+return redis.call("ZRANK", KEYS[2], ARGV[1])
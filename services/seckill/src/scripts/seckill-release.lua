@@ -1,22 +1,34 @@
 -- Seckill Release Script
--- Atomic operation: Check user exists + Remove user + Restore stock
+-- Atomic operation: Check user holds units + Deduct units + Restore stock
 -- Idempotent: Returns success even if user not found
 --
 -- KEYS[1]: seckill:{productId}:stock
--- KEYS[2]: seckill:{productId}:users
+-- KEYS[2]: seckill:{productId}:users (hash: userId -> units purchased)
 -- ARGV[1]: userId
+-- ARGV[2]: quantity to release (optional, defaults to everything the user holds)
 --
 -- Return codes:
---   1: SUCCESS (slot released)
+--  >0: SUCCESS (number of units released)
 --  -1: USER_NOT_FOUND (already released or never purchased - idempotent success)
 
--- Check if user exists in winners set
-if redis.call("SISMEMBER", KEYS[2], ARGV[1]) == 0 then
+-- Check if user holds any units
+local held = tonumber(redis.call("HGET", KEYS[2], ARGV[1])) or 0
+if held <= 0 then
     return -1 -- User not found (already released or never purchased)
 end
 
--- Atomic release: remove user from set and increment stock
-redis.call("SREM", KEYS[2], ARGV[1])
-redis.call("INCR", KEYS[1])
+-- Never release more than the user actually holds
+local quantity = tonumber(ARGV[2]) or held
+if quantity > held then
+    quantity = held
+end
+
+-- Atomic release: deduct units from the user and restore stock
+if held - quantity <= 0 then
+    redis.call("HDEL", KEYS[2], ARGV[1])
+else
+    redis.call("HINCRBY", KEYS[2], ARGV[1], -quantity)
+end
+redis.call("INCRBY", KEYS[1], quantity)
 
-return 1 -- SUCCESS
+return quantity -- SUCCESS
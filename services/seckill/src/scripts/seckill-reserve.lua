@@ -1,19 +1,36 @@
 -- Seckill Reserve Script
--- Atomic operation: Rate limit check + Duplicate check + Stock check + Reserve
--- 
+-- Atomic operation: Rate limit check + Pause check + Campaign window check + Admission check + Quota check + Stock check + Spend admission + Reserve
+--
 -- KEYS[1]: seckill:{productId}:stock
--- KEYS[2]: seckill:{productId}:users
+-- KEYS[2]: seckill:{productId}:users (hash: userId -> units purchased)
 -- KEYS[3]: seckill:ratelimit:{userId}:{window}
+-- KEYS[4]: seckill:{productId}:window (hash: start, end as epoch milliseconds)
+-- KEYS[5]: seckill:{productId}:limit (max units per user, defaults to 1)
+-- KEYS[6]: seckill:{productId}:admission (waiting room admission rate, absent = no waiting room)
+-- KEYS[7]: seckill:{productId}:paused (present while an admin has paused the campaign)
+-- KEYS[8]: seckill:{productId}:admission:used:{admissionId} (marks an admission token as spent)
 -- ARGV[1]: userId
 -- ARGV[2]: rate limit (max requests per window)
 -- ARGV[3]: window TTL in seconds
+-- ARGV[4]: quantity requested (defaults to 1)
+-- ARGV[5]: admission ID (jti) of the valid waiting room admission token presented, "" if none
+-- ARGV[6]: admission token TTL in seconds (how long a spent token is remembered)
 --
 -- Return codes:
 --   1: SUCCESS
---  -1: OUT_OF_STOCK
---  -2: ALREADY_PURCHASED
---  -3: CAMPAIGN_NOT_STARTED (stock key doesn't exist)
+--  -1: OUT_OF_STOCK (stock is 0)
+--  -2: ALREADY_PURCHASED (user already holds their full quota)
+--  -3: CAMPAIGN_NOT_FOUND (stock key doesn't exist or has expired)
 --  -4: RATE_LIMIT_EXCEEDED
+--  -5: CAMPAIGN_NOT_STARTED (now < start)
+--  -6: CAMPAIGN_ENDED (now > end)
+--  -7: QUOTA_EXCEEDED (held + quantity > per-user limit)
+--  -8: INSUFFICIENT_STOCK (0 < stock < quantity)
+--  -9: ADMISSION_REQUIRED (campaign has a waiting room and no admission token was presented)
+-- -10: CAMPAIGN_PAUSED (buying temporarily paused by an admin)
+-- -11: ADMISSION_USED (the admission token already bought once)
+
+local quantity = tonumber(ARGV[4]) or 1
 
 -- 1. Check rate limit (Fixed Window algorithm)
 local currentRequests = tonumber(redis.call("GET", KEYS[3])) or 0
@@ -21,27 +38,77 @@ if currentRequests >= tonumber(ARGV[2]) then
     return -4 -- RATE_LIMIT_EXCEEDED
 end
 
--- 2. Check duplicate purchase
-if redis.call("SISMEMBER", KEYS[2], ARGV[1]) == 1 then
-    return -2 -- ALREADY_PURCHASED
+-- 2. Check stock exists (campaign initialized)
+local stock = tonumber(redis.call("GET", KEYS[1]))
+if stock == nil then
+    return -3 -- CAMPAIGN_NOT_FOUND
 end
 
--- 3. Check stock exists (campaign initialized)
-local stock = tonumber(redis.call("GET", KEYS[1]))
-if stock == nil then 
-    return -3 -- CAMPAIGN_NOT_STARTED
+-- 3. Check campaign is not paused
+if redis.call("EXISTS", KEYS[7]) == 1 then
+    return -10 -- CAMPAIGN_PAUSED
+end
+
+-- 4. Check campaign window using the Redis server clock
+-- Campaigns without a window hash (legacy keys) are treated as always open
+local window = redis.call("HMGET", KEYS[4], "start", "end")
+local startMs = tonumber(window[1])
+local endMs = tonumber(window[2])
+if startMs ~= nil or endMs ~= nil then
+    local time = redis.call("TIME")
+    local nowMs = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+    if startMs ~= nil and nowMs < startMs then
+        return -5 -- CAMPAIGN_NOT_STARTED
+    end
+    if endMs ~= nil and nowMs > endMs then
+        return -6 -- CAMPAIGN_ENDED
+    end
+end
+
+-- 5. Campaigns with a waiting room only accept admitted users
+local admissionRate = tonumber(redis.call("GET", KEYS[6])) or 0
+if admissionRate > 0 and (ARGV[5] == nil or ARGV[5] == "") then
+    return -9 -- ADMISSION_REQUIRED
 end
 
--- 4. Check stock available
-if stock <= 0 then 
+-- 6. Check per-user quota
+local limit = tonumber(redis.call("GET", KEYS[5])) or 1
+local held = tonumber(redis.call("HGET", KEYS[2], ARGV[1])) or 0
+if held >= limit then
+    return -2 -- ALREADY_PURCHASED
+end
+if held + quantity > limit then
+    return -7 -- QUOTA_EXCEEDED
+end
+
+-- 7. Check stock available
+if stock <= 0 then
     return -1 -- OUT_OF_STOCK
 end
+if stock < quantity then
+    return -8 -- INSUFFICIENT_STOCK
+end
 
--- 5. Atomic reserve: decrement stock and add user to winners set
-redis.call("DECR", KEYS[1])
-redis.call("SADD", KEYS[2], ARGV[1])
+-- 8. An admission token buys once: spend it (only reached when the purchase succeeds)
+if admissionRate > 0 then
+    if not redis.call("SET", KEYS[8], "1", "NX", "EX", ARGV[6]) then
+        return -11 -- ADMISSION_USED
+    end
+end
+
+-- 9. Atomic reserve: decrement stock and record units against the user
+redis.call("DECRBY", KEYS[1], quantity)
+redis.call("HINCRBY", KEYS[2], ARGV[1], quantity)
+
+-- Winners hash is (re)created lazily, so it inherits the campaign expiry from the stock key
+if redis.call("PTTL", KEYS[2]) == -1 then
+    local stockTtl = redis.call("PTTL", KEYS[1])
+    if stockTtl > 0 then
+        redis.call("PEXPIRE", KEYS[2], stockTtl)
+    end
+end
 
--- 6. Increment rate limit counter with TTL
+-- 10. Increment rate limit counter with TTL
 if currentRequests == 0 then
     redis.call("SET", KEYS[3], 1, "EX", ARGV[3])
 else
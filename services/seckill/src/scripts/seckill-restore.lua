@@ -0,0 +1,85 @@
+-- Seckill Restore Script
+-- Atomic operation: Claim the missing stock key + Rewrite campaign keys and winners
+-- A buy never sees a half-restored campaign, and a campaign already present
+-- (restored by another instance, or re-initialized by an admin) is left untouched
+--
+-- KEYS[1]: seckill:{productId}:stock
+-- KEYS[2]: seckill:{productId}:total
+-- KEYS[3]: seckill:{productId}:price
+-- KEYS[4]: seckill:{productId}:start
+-- KEYS[5]: seckill:{productId}:end
+-- KEYS[6]: seckill:{productId}:window (hash: start, end in epoch ms)
+-- KEYS[7]: seckill:{productId}:limit
+-- KEYS[8]: seckill:{productId}:admission
+-- KEYS[9]: seckill:{productId}:paused
+-- KEYS[10]: seckill:{productId}:users (hash: userId -> units purchased)
+-- KEYS[11]: seckill:{productId}:reconcile
+-- KEYS[12]: seckill:{productId}:queue
+-- KEYS[13]: seckill:{productId}:queue:seq
+-- KEYS[14]: seckill:{productId}:queue:state
+-- KEYS[15]: seckill:campaigns (registry)
+-- ARGV[1]: remaining stock
+-- ARGV[2]: total stock
+-- ARGV[3]: price
+-- ARGV[4]: startTime (ISO string)
+-- ARGV[5]: endTime (ISO string)
+-- ARGV[6]: window start (epoch ms)
+-- ARGV[7]: window end (epoch ms)
+-- ARGV[8]: per-user limit
+-- ARGV[9]: admission rate ("" = no waiting room)
+-- ARGV[10]: paused since (ISO string, "" = not paused)
+-- ARGV[11]: key expiry (epoch seconds)
+-- ARGV[12]: productId
+-- ARGV[13..]: winners as userId, units pairs
+--
+-- Return codes:
+--   1: RESTORED
+--   0: ALREADY_PRESENT (stock key exists)
+
+if redis.call("EXISTS", KEYS[1]) == 1 then
+    return 0 -- ALREADY_PRESENT
+end
+
+local expireAt = ARGV[11]
+
+-- Campaign definition
+redis.call("SET", KEYS[2], ARGV[2])
+redis.call("SET", KEYS[3], ARGV[3])
+redis.call("SET", KEYS[4], ARGV[4])
+redis.call("SET", KEYS[5], ARGV[5])
+redis.call("DEL", KEYS[6])
+redis.call("HSET", KEYS[6], "start", ARGV[6], "end", ARGV[7])
+redis.call("SET", KEYS[7], ARGV[8])
+for i = 2, 7 do
+    redis.call("EXPIREAT", KEYS[i], expireAt)
+end
+
+if ARGV[9] ~= "" then
+    redis.call("SET", KEYS[8], ARGV[9])
+    redis.call("EXPIREAT", KEYS[8], expireAt)
+else
+    redis.call("DEL", KEYS[8])
+end
+
+if ARGV[10] ~= "" then
+    redis.call("SET", KEYS[9], ARGV[10])
+    redis.call("EXPIREAT", KEYS[9], expireAt)
+else
+    redis.call("DEL", KEYS[9])
+end
+
+-- Winners (the waiting room queue is not restored; users re-join it)
+redis.call("DEL", KEYS[10], KEYS[11], KEYS[12], KEYS[13], KEYS[14])
+for i = 13, #ARGV, 2 do
+    redis.call("HSET", KEYS[10], ARGV[i], ARGV[i + 1])
+end
+if #ARGV >= 13 then
+    redis.call("EXPIREAT", KEYS[10], expireAt)
+end
+
+-- Stock last: it is the key the reserve script checks first
+redis.call("SET", KEYS[1], ARGV[1])
+redis.call("EXPIREAT", KEYS[1], expireAt)
+redis.call("SADD", KEYS[15], ARGV[12])
+
+return 1 -- RESTORED
@@ -0,0 +1,20 @@
+-- Seckill Stock Top-Up Script
+-- Atomic operation: Campaign check + Increase remaining and total stock
+-- Winners are untouched, unlike re-running campaign initialization
+--
+-- KEYS[1]: seckill:{productId}:stock
+-- KEYS[2]: seckill:{productId}:total
+-- ARGV[1]: units to add (positive integer)
+--
+-- Return codes:
+--  >=0: SUCCESS (new remaining stock)
+--   -3: CAMPAIGN_NOT_FOUND (stock key doesn't exist or has expired)
+
+-- Never recreate expired campaign keys (they would have no TTL)
+if redis.call("EXISTS", KEYS[1]) == 0 then
+    return -3 -- CAMPAIGN_NOT_FOUND
+end
+
+local amount = tonumber(ARGV[1])
+redis.call("INCRBY", KEYS[2], amount)
+return redis.call("INCRBY", KEYS[1], amount)
@@ -0,0 +1,246 @@
+const fs = require('fs')
+const logger = require('@ecommerce/logger')
+const config = require('../config')
+const metrics = require('../metrics')
+const { findOrderByCorrelationId } = require('../clients/orderClient')
+
+const REPLAY_STATUS = {
+  REPLAYED: 'REPLAYED',
+  SKIPPED: 'SKIPPED',
+  FAILED: 'FAILED',
+}
+
+/**
+ * Emergency Replay Service - Recovers Ghost Orders from the emergency log
+ *
+ * SeckillService appends every event it failed to publish to `emergency-events.log`
+ * (one JSON object per line). This service reads those lines back and republishes
+ * them through the message broker with their original eventId/correlationId, so
+ * consumers' idempotency keys still deduplicate anything that did get through.
+ *
+ * Replayed lines are marked in place with a `replay` object
+ * ({ status, at, reason?, error?, attempts }) instead of being removed, keeping the
+ * file as an audit trail. Lines marked FAILED stay eligible for the next replay.
+ *
+ * The file is rewritten synchronously (read, merge, write temp file, rename), so
+ * lines appended by this process in the meantime are preserved. Run the CLI only
+ * against a log file no live service instance is appending to.
+ */
+class EmergencyReplayService {
+  constructor() {
+    this.messageBroker = null
+  }
+
+  /**
+   * Set the message broker instance for event publishing
+   * @param {Object} broker - Message broker instance
+   */
+  setMessageBroker(broker) {
+    this.messageBroker = broker
+  }
+
+  /**
+   * List emergency log entries
+   *
+   * @param {Object} [options]
+   * @param {string} [options.status='pending'] - pending (never replayed or FAILED), replayed (REPLAYED/SKIPPED) or all
+   * @returns {Object[]} Entry summaries
+   */
+  listEntries({ status = 'pending' } = {}) {
+    const filters = {
+      all: () => true,
+      pending: (item) => this._isPending(item),
+      replayed: ({ entry }) => Boolean(entry?.replay) && entry.replay.status !== REPLAY_STATUS.FAILED,
+    }
+
+    return this._readEntries()
+      .filter(filters[status] || filters.pending)
+      .map((item) => this._summarize(item))
+  }
+
+  /**
+   * Replay pending emergency log entries
+   *
+   * seckill.order.won entries whose order already exists in Order Service are
+   * skipped (and marked SKIPPED) instead of being republished.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.dryRun=false] - Report what would happen without publishing or marking lines
+   * @param {string[]} [options.eventIds] - Only replay these eventIds (default: all pending entries)
+   * @returns {Promise<Object>} { dryRun, total, replayed, skipped, failed, results }
+   */
+  async replay({ dryRun = false, eventIds } = {}) {
+    if (!dryRun && !this.messageBroker) {
+      throw new Error('Message broker not available')
+    }
+
+    const items = this._readEntries().filter((item) =>
+      this._isPending(item) && (!eventIds || eventIds.includes(item.entry?.eventId))
+    )
+
+    const summary = { dryRun, total: items.length, replayed: 0, skipped: 0, failed: 0, results: [] }
+    const updates = new Map()
+
+    for (const item of items) {
+      const { entry } = item
+      const eventType = this._eventType(entry)
+      const result = { line: item.line, eventId: entry.eventId, eventType }
+
+      try {
+        if (eventType === 'seckill.order.won') {
+          const order = await findOrderByCorrelationId(entry.correlationId, entry.eventData?.userId)
+          if (order) {
+            result.action = dryRun ? 'would_skip' : 'skipped'
+            result.reason = 'ORDER_EXISTS'
+            result.orderId = order.orderId
+            summary.skipped++
+            if (!dryRun) {
+              updates.set(item.line, { status: REPLAY_STATUS.SKIPPED, reason: 'ORDER_EXISTS', orderId: order.orderId })
+              metrics.recordEmergencyReplay(eventType, 'skipped')
+            }
+            summary.results.push(result)
+            continue
+          }
+        }
+
+        if (dryRun) {
+          result.action = 'would_publish'
+          summary.replayed++
+          summary.results.push(result)
+          continue
+        }
+
+        await this.messageBroker.publish(eventType, entry.eventData, {
+          eventId: entry.eventId,
+          correlationId: entry.correlationId,
+        })
+
+        result.action = 'replayed'
+        summary.replayed++
+        updates.set(item.line, { status: REPLAY_STATUS.REPLAYED })
+        metrics.recordEmergencyReplay(eventType, 'replayed')
+        logger.info({ eventId: entry.eventId, correlationId: entry.correlationId, eventType }, 'Emergency event replayed')
+      } catch (error) {
+        result.action = 'failed'
+        result.error = error.message
+        summary.failed++
+        if (!dryRun) {
+          updates.set(item.line, {
+            status: REPLAY_STATUS.FAILED,
+            error: error.message,
+            attempts: (entry.replay?.attempts || 0) + 1,
+          })
+          metrics.recordEmergencyReplay(eventType, 'failed')
+        }
+        logger.error({ error: error.message, eventId: entry.eventId, eventType }, 'Emergency event replay failed')
+      }
+
+      summary.results.push(result)
+    }
+
+    if (updates.size > 0) {
+      this._markEntries(updates)
+    }
+
+    logger.info(
+      { dryRun, total: summary.total, replayed: summary.replayed, skipped: summary.skipped, failed: summary.failed },
+      'Emergency log replay finished'
+    )
+
+    return summary
+  }
+
+  /**
+   * Read and parse the emergency log
+   * @private
+   * @returns {Object[]} [{ line, entry }] - entry is null for unparseable lines
+   */
+  _readEntries() {
+    if (!fs.existsSync(config.emergencyLogPath)) {
+      return []
+    }
+
+    return fs.readFileSync(config.emergencyLogPath, 'utf8')
+      .split('\n')
+      .map((raw, line) => ({ line, raw }))
+      .filter(({ raw }) => raw.trim().length > 0)
+      .map(({ line, raw }) => {
+        try {
+          return { line, entry: JSON.parse(raw) }
+        } catch (error) {
+          logger.warn({ line, error: error.message }, 'Skipping unparseable emergency log line')
+          return { line, entry: null }
+        }
+      })
+  }
+
+  /**
+   * Rewrite the marked lines, keeping anything appended since they were read
+   * @private
+   * @param {Map<number, Object>} updates - line index -> replay marker
+   */
+  _markEntries(updates) {
+    const at = new Date().toISOString()
+    const lines = fs.readFileSync(config.emergencyLogPath, 'utf8').split('\n')
+
+    for (const [line, replay] of updates) {
+      const entry = JSON.parse(lines[line])
+      lines[line] = JSON.stringify({ ...entry, replay: { ...replay, at } })
+    }
+
+    const tmpPath = `${config.emergencyLogPath}.tmp`
+    fs.writeFileSync(tmpPath, lines.join('\n'))
+    fs.renameSync(tmpPath, config.emergencyLogPath)
+  }
+
+  /**
+   * Entries that were never replayed (or whose replay failed) are pending
+   * @private
+   */
+  _isPending({ entry }) {
+    if (!entry || !entry.eventId || !entry.eventData) {
+      return false
+    }
+    return !entry.replay || entry.replay.status === REPLAY_STATUS.FAILED
+  }
+
+  /**
+   * Resolve the routing key of an entry
+   * Lines written before eventType was logged are inferred from their payload.
+   * @private
+   */
+  _eventType(entry) {
+    if (entry.eventType) {
+      return entry.eventType
+    }
+    return entry.orderId !== undefined || entry.eventData?.orderId !== undefined
+      ? 'seckill.released'
+      : 'seckill.order.won'
+  }
+
+  /**
+   * Build the API representation of a log entry
+   * @private
+   */
+  _summarize({ line, entry }) {
+    if (!entry) {
+      return { line, invalid: true }
+    }
+
+    return {
+      line,
+      eventType: this._eventType(entry),
+      eventId: entry.eventId,
+      correlationId: entry.correlationId,
+      userId: entry.eventData?.userId,
+      productId: entry.eventData?.productId,
+      orderId: entry.orderId || entry.eventData?.orderId,
+      quantity: entry.eventData?.quantity,
+      loggedAt: entry.timestamp,
+      error: entry.error,
+      replay: entry.replay || null,
+    }
+  }
+}
+
+module.exports = new EmergencyReplayService()
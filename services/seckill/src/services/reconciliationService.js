@@ -0,0 +1,314 @@
+const { v4: uuidv4 } = require('uuid')
+const logger = require('@ecommerce/logger')
+const redisClient = require('../config/redis')
+const config = require('../config')
+const metrics = require('../metrics')
+const seckillService = require('./seckillService')
+const emergencyReplayService = require('./emergencyReplayService')
+const { listSeckillOrders } = require('../clients/orderClient')
+const { getInventory } = require('../clients/inventoryClient')
+
+// Only one instance reconciles at a time; the report is shared through Redis
+const LOCK_KEY = 'seckill:reconciliation:lock'
+const LAST_REPORT_KEY = 'seckill:reconciliation:last'
+
+// Orders in these states no longer hold units (their slot is released via order.seckill.release)
+const INACTIVE_ORDER_STATUSES = ['CANCELLED']
+
+/**
+ * Reconciliation Service - Compares Redis winners with Order and Inventory Service
+ *
+ * For every registered campaign (or a single one) it reports:
+ * - winnersWithoutOrders: winner units with no active order after the grace period
+ *   (lost seckill.order.won events that were not recovered from the emergency log)
+ * - ordersWithoutWinners: active seckill orders whose user holds fewer units in Redis
+ * - stockDrift: totalStock - stockRemaining - units held by winners (should be 0)
+ * - inventoryShortfall: units Redis can still sell (or has sold without an order yet)
+ *   that Inventory Service no longer has available
+ *
+ * With autoCompensate, winners without orders are released via releaseSlot so the
+ * units go back on sale. Winners with a pending emergency log entry are never
+ * released: replaying that entry will still create their order.
+ */
+class ReconciliationService {
+  constructor() {
+    this.timer = null
+  }
+
+  /**
+   * Start the periodic reconciliation job
+   * @param {number} [intervalMs=config.reconciliationIntervalMs] - 0 disables the job
+   */
+  start(intervalMs = config.reconciliationIntervalMs) {
+    if (this.timer || intervalMs <= 0) {
+      return
+    }
+
+    this.timer = setInterval(() => {
+      this.run().catch((error) => {
+        logger.error({ error: error.message }, '❌ [Seckill] Scheduled reconciliation failed')
+      })
+    }, intervalMs)
+
+    logger.info(
+      { intervalMs, graceSeconds: config.reconciliationGraceSeconds, autoCompensate: config.reconciliationAutoCompensate },
+      '✓ [Seckill] Reconciliation job scheduled'
+    )
+  }
+
+  /**
+   * Stop the periodic reconciliation job
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer)
+      this.timer = null
+    }
+  }
+
+  /**
+   * Reconcile one or all campaigns and store the report
+   *
+   * @param {Object} [options]
+   * @param {string} [options.productId] - Only reconcile this campaign
+   * @param {boolean} [options.autoCompensate=config.reconciliationAutoCompensate] - Release winners without orders
+   * @returns {Promise<Object|null>} Report, or null if another run holds the lock
+   */
+  async run({ productId, autoCompensate = config.reconciliationAutoCompensate } = {}) {
+    const lockToken = uuidv4()
+    const lockTtl = Math.max(config.reconciliationIntervalMs, 60000)
+    const locked = await redisClient.set(LOCK_KEY, lockToken, { NX: true, PX: lockTtl })
+    if (!locked) {
+      logger.info('Reconciliation already running on another instance, skipping')
+      return null
+    }
+
+    try {
+      const startedAt = new Date().toISOString()
+      const productIds = productId
+        ? [productId]
+        : (await seckillService.listCampaigns()).map((campaign) => campaign.productId)
+
+      const pendingReplays = this._pendingReplayWinners()
+      const campaigns = []
+      for (const id of productIds) {
+        campaigns.push(await this._reconcileCampaign(id, { autoCompensate, pendingReplays }))
+      }
+
+      const report = {
+        startedAt,
+        finishedAt: new Date().toISOString(),
+        autoCompensate,
+        graceSeconds: config.reconciliationGraceSeconds,
+        summary: {
+          campaigns: campaigns.length,
+          clean: campaigns.filter((campaign) => campaign.clean).length,
+          withMismatches: campaigns.filter((campaign) => campaign.clean === false).length,
+          errors: campaigns.filter((campaign) => campaign.error).length,
+        },
+        campaigns,
+      }
+
+      // Single-campaign runs don't replace the full report
+      if (!productId) {
+        await redisClient.set(LAST_REPORT_KEY, JSON.stringify(report))
+      }
+
+      logger.info({ productId, autoCompensate, ...report.summary }, 'Seckill reconciliation finished')
+      return report
+    } finally {
+      if ((await redisClient.get(LOCK_KEY)) === lockToken) {
+        await redisClient.del(LOCK_KEY)
+      }
+    }
+  }
+
+  /**
+   * Get the report of the last full reconciliation run
+   * @returns {Promise<Object|null>} Report or null if none has run yet
+   */
+  async getLastReport() {
+    const raw = await redisClient.get(LAST_REPORT_KEY)
+    return raw ? JSON.parse(raw) : null
+  }
+
+  /**
+   * Reconcile a single campaign
+   * @private
+   * @param {string} productId - Product identifier
+   * @param {Object} options
+   * @param {boolean} options.autoCompensate - Release winners without orders
+   * @param {Set<string>} options.pendingReplays - productId:userId pairs with a pending emergency log entry
+   * @returns {Promise<Object>} Campaign report
+   */
+  async _reconcileCampaign(productId, { autoCompensate, pendingReplays }) {
+    const checkedAt = new Date().toISOString()
+
+    try {
+      const campaign = await seckillService.getCampaign(productId)
+      if (!campaign) {
+        metrics.recordReconciliationRun('error')
+        return { productId, checkedAt, error: 'CAMPAIGN_NOT_FOUND' }
+      }
+
+      const [winners, orders, inventory] = await Promise.all([
+        seckillService.getWinners(productId),
+        listSeckillOrders(productId),
+        getInventory(productId).catch((error) => {
+          logger.warn({ error: error.message, productId }, 'Reconciliation could not read inventory')
+          return { error: error.message }
+        }),
+      ])
+
+      const winnerUnits = new Map((winners || []).map(({ userId, quantity }) => [userId, quantity]))
+      const orderedUnits = new Map()
+      const ordersByUser = new Map()
+      for (const order of orders) {
+        if (INACTIVE_ORDER_STATUSES.includes(order.status)) {
+          continue
+        }
+        orderedUnits.set(order.user, (orderedUnits.get(order.user) || 0) + order.quantity)
+        ordersByUser.set(order.user, [...(ordersByUser.get(order.user) || []), String(order.orderId)])
+      }
+
+      // Winners holding more units than their active orders
+      const unmatched = [...winnerUnits]
+        .filter(([userId, units]) => units > (orderedUnits.get(userId) || 0))
+        .map(([userId, units]) => ({
+          userId,
+          winnerUnits: units,
+          orderedUnits: orderedUnits.get(userId) || 0,
+          missingUnits: units - (orderedUnits.get(userId) || 0),
+          pendingReplay: pendingReplays.has(`${productId}:${userId}`),
+        }))
+
+      const firstSeen = await seckillService.markUnmatchedWinners(productId, unmatched.map(({ userId }) => userId))
+      const graceMs = config.reconciliationGraceSeconds * 1000
+      const now = Date.now()
+      for (const winner of unmatched) {
+        winner.unmatchedSince = new Date(firstSeen[winner.userId]).toISOString()
+      }
+
+      const winnersWithoutOrders = unmatched.filter(({ userId }) => now - firstSeen[userId] >= graceMs)
+      const pendingWinners = unmatched.length - winnersWithoutOrders.length
+
+      // Users with active orders for more units than they hold in Redis
+      const ordersWithoutWinners = [...orderedUnits]
+        .filter(([userId, units]) => units > (winnerUnits.get(userId) || 0))
+        .map(([userId, units]) => ({
+          userId,
+          orderIds: ordersByUser.get(userId),
+          orderedUnits: units,
+          winnerUnits: winnerUnits.get(userId) || 0,
+        }))
+
+      const unitsHeld = [...winnerUnits.values()].reduce((sum, units) => sum + units, 0)
+      const stockDrift = campaign.totalStock - campaign.stockRemaining - unitsHeld
+
+      // Units still to be reserved in Inventory: remaining stock + winners whose order is not created yet
+      const unitsAwaitingOrder = unmatched.reduce((sum, { missingUnits }) => sum + missingUnits, 0)
+      // (a product without inventory record has nothing available)
+      const inventoryShortfall = inventory?.error === undefined
+        ? Math.max(0, campaign.stockRemaining + unitsAwaitingOrder - (inventory?.available || 0))
+        : null
+
+      const compensations = autoCompensate
+        ? await this._compensate(productId, winnersWithoutOrders)
+        : []
+
+      const counts = {
+        winner_without_order: winnersWithoutOrders.length,
+        order_without_winner: ordersWithoutWinners.length,
+        stock_drift: Math.abs(stockDrift),
+        inventory_shortfall: inventoryShortfall || 0,
+      }
+      metrics.setReconciliationMismatches(productId, counts)
+
+      const clean = Object.values(counts).every((count) => count === 0)
+      metrics.recordReconciliationRun(clean ? 'clean' : 'mismatches')
+
+      if (!clean) {
+        logger.warn({ productId, ...counts }, '⚠️ [Seckill] Reconciliation found mismatches')
+      }
+
+      return {
+        productId,
+        checkedAt,
+        clean,
+        totals: {
+          totalStock: campaign.totalStock,
+          stockRemaining: campaign.stockRemaining,
+          unitsHeld,
+          orderedUnits: [...orderedUnits.values()].reduce((sum, units) => sum + units, 0),
+          winners: winnerUnits.size,
+          orders: orders.length,
+        },
+        winnersWithoutOrders,
+        pendingWinners,
+        ordersWithoutWinners,
+        stockDrift,
+        inventory: inventory === null
+          ? null
+          : inventory.error
+            ? { error: inventory.error }
+            : { available: inventory.available, reserved: inventory.reserved },
+        inventoryShortfall,
+        compensations,
+      }
+    } catch (error) {
+      logger.error({ error: error.message, productId }, '❌ [Seckill] Reconciliation of campaign failed')
+      metrics.recordReconciliationRun('error')
+      return { productId, checkedAt, error: error.message }
+    }
+  }
+
+  /**
+   * Release the missing units of winners that never got an order
+   * @private
+   * @param {string} productId - Product identifier
+   * @param {Object[]} winners - Entries of winnersWithoutOrders
+   * @returns {Promise<Object[]>} Outcome per winner
+   */
+  async _compensate(productId, winners) {
+    const results = []
+
+    for (const { userId, missingUnits, pendingReplay } of winners) {
+      if (pendingReplay) {
+        results.push({ userId, action: 'skipped', reason: 'PENDING_REPLAY' })
+        continue
+      }
+
+      try {
+        const result = await seckillService.releaseSlot(userId, productId, {
+          orderId: 'reconciliation',
+          quantity: missingUnits,
+        })
+        const action = result.released ? 'released' : 'not_found'
+        results.push({ userId, action, quantity: result.quantity || 0 })
+        metrics.recordReconciliationCompensation(productId, action)
+        logger.warn({ userId, productId, quantity: result.quantity }, 'Reconciliation released winner slot without order')
+      } catch (error) {
+        results.push({ userId, action: 'failed', error: error.message })
+        metrics.recordReconciliationCompensation(productId, 'failed')
+        logger.error({ error: error.message, userId, productId }, 'Reconciliation failed to release winner slot')
+      }
+    }
+
+    return results
+  }
+
+  /**
+   * Winners whose seckill.order.won event is still waiting in the emergency log
+   * @private
+   * @returns {Set<string>} productId:userId pairs
+   */
+  _pendingReplayWinners() {
+    return new Set(
+      emergencyReplayService.listEntries({ status: 'pending' })
+        .filter((entry) => entry.eventType === 'seckill.order.won')
+        .map((entry) => `${entry.productId}:${entry.userId}`)
+    )
+  }
+}
+
+module.exports = new ReconciliationService()
@@ -0,0 +1,50 @@
+const logger = require('@ecommerce/logger')
+const config = require('../config')
+const metrics = require('../metrics')
+const seckillService = require('./seckillService')
+const campaignRepository = require('../repositories/campaignRepository')
+
+/**
+ * Recovery Service - Rebuilds seckill Redis state from MongoDB
+ *
+ * Runs at startup. Every campaign that is not cancelled and still within its
+ * key retention period, but whose stock key is missing from Redis (flush,
+ * restart without persistence, failover to an empty replica), is restored
+ * with its winners, remaining stock and pause flag. Campaigns still present in
+ * Redis are left untouched: Redis stays authoritative while it has the data.
+ */
+class RecoveryService {
+  /**
+   * Restore every persisted campaign missing from Redis
+   * @returns {Promise<Object>} { total, recovered, present, failed }
+   */
+  async recoverCampaigns() {
+    const campaigns = await campaignRepository.findRecoverable(config.keyRetentionSeconds)
+    const summary = { total: campaigns.length, recovered: 0, present: 0, failed: 0 }
+
+    for (const campaign of campaigns) {
+      const { productId } = campaign
+      try {
+        const winners = await campaignRepository.findWinners(productId)
+        const result = await seckillService.restoreCampaign(campaign, winners)
+
+        if (!result.restored) {
+          summary.present++
+          continue
+        }
+
+        await campaignRepository.markRecovered(productId)
+        metrics.recordCampaignRecovered(productId)
+        summary.recovered++
+      } catch (error) {
+        summary.failed++
+        logger.error({ error: error.message, productId }, '❌ [Seckill] Failed to recover campaign')
+      }
+    }
+
+    logger.info(summary, '✓ [Seckill] Campaign recovery finished')
+    return summary
+  }
+}
+
+module.exports = new RecoveryService()
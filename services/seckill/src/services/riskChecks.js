@@ -0,0 +1,119 @@
+const redisClient = require('../config/redis')
+const config = require('../config')
+const { getAccountCreatedAt } = require('../clients/authClient')
+
+/**
+ * Default risk checks for the seckill buy endpoint
+ *
+ * A check is { name, evaluate(context) } where evaluate resolves to
+ * { score, reason } (score 0 = no signal). RiskService sums the scores of
+ * all checks and blocks the request once the total reaches riskBlockScore.
+ * With the default threshold (100) a multi-account signal blocks on its own,
+ * while softer signals (new account, automation user-agent, high velocity)
+ * only block in combination.
+ *
+ * context: { userId, productId, ip, userAgent, fingerprint? }
+ * fingerprint is only set when the client sends X-Device-Fingerprint.
+ */
+
+// Short-lived account age cache: one Auth Service call per user per hour
+const ACCOUNT_AGE_CACHE_TTL = 3600
+
+const AUTOMATION_USER_AGENT = /(curl|wget|python-requests|aiohttp|httpclient|okhttp|go-http-client|axios|node-fetch|undici|postman|insomnia|headless|phantomjs|selenium|puppeteer|playwright|scrapy|bot|spider|crawler)/i
+
+/**
+ * Count distinct accounts seen for a key within the risk window
+ * @returns {Promise<number>} Distinct accounts including this one
+ */
+async function countAccounts(key, userId) {
+  const results = await redisClient.multi((multi) => {
+    multi.sAdd(key, userId)
+    multi.expire(key, config.riskWindowSeconds)
+    multi.sCard(key)
+  })
+  return Number(results[2])
+}
+
+const accountsPerIp = {
+  name: 'accounts_per_ip',
+  async evaluate({ ip, userId }) {
+    if (!ip) {
+      return { score: 0 }
+    }
+    const accounts = await countAccounts(`seckill:risk:ip:${ip}:users`, userId)
+    return accounts > config.riskMaxAccountsPerIp
+      ? { score: 100, reason: 'MULTI_ACCOUNT_IP' }
+      : { score: 0 }
+  },
+}
+
+const accountsPerDevice = {
+  name: 'accounts_per_device',
+  async evaluate({ fingerprint, userId }) {
+    if (!fingerprint) {
+      return { score: 0 }
+    }
+    const accounts = await countAccounts(`seckill:risk:device:${fingerprint}:users`, userId)
+    return accounts > config.riskMaxAccountsPerDevice
+      ? { score: 100, reason: 'MULTI_ACCOUNT_DEVICE' }
+      : { score: 0 }
+  },
+}
+
+const ipVelocity = {
+  name: 'ip_velocity',
+  async evaluate({ ip }) {
+    if (!ip) {
+      return { score: 0 }
+    }
+    const key = `seckill:risk:ip:${ip}:requests`
+    const results = await redisClient.multi((multi) => {
+      multi.incr(key)
+      multi.expire(key, config.riskWindowSeconds, 'NX')
+    })
+    return Number(results[0]) > config.riskMaxRequestsPerIp
+      ? { score: 60, reason: 'HIGH_VELOCITY' }
+      : { score: 0 }
+  },
+}
+
+const userAgent = {
+  name: 'user_agent',
+  async evaluate({ userAgent: ua }) {
+    if (!ua) {
+      return { score: 50, reason: 'MISSING_USER_AGENT' }
+    }
+    return AUTOMATION_USER_AGENT.test(ua)
+      ? { score: 50, reason: 'SUSPICIOUS_USER_AGENT' }
+      : { score: 0 }
+  },
+}
+
+const accountAge = {
+  name: 'account_age',
+  async evaluate({ userId }) {
+    const cacheKey = `seckill:risk:account:${userId}:created`
+    let createdAt = await redisClient.get(cacheKey)
+
+    if (createdAt === null) {
+      const created = await getAccountCreatedAt(userId)
+      // Unknown accounts are cached as 0 (treated as brand new)
+      createdAt = String(created ? created.getTime() : 0)
+      await redisClient.set(cacheKey, createdAt, { EX: ACCOUNT_AGE_CACHE_TTL })
+    }
+
+    const ageSeconds = (Date.now() - Number(createdAt)) / 1000
+    return ageSeconds < config.riskMinAccountAgeSeconds
+      ? { score: 50, reason: 'NEW_ACCOUNT' }
+      : { score: 0 }
+  },
+}
+
+module.exports = {
+  defaultChecks: [accountsPerIp, accountsPerDevice, ipVelocity, userAgent, accountAge],
+  accountsPerIp,
+  accountsPerDevice,
+  ipVelocity,
+  userAgent,
+  accountAge,
+}
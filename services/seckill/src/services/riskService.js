@@ -0,0 +1,156 @@
+const logger = require('@ecommerce/logger')
+const redisClient = require('../config/redis')
+const config = require('../config')
+const metrics = require('../metrics')
+const { defaultChecks } = require('./riskChecks')
+
+const LIST_NAMES = ['allow', 'deny']
+const LIST_TYPES = ['user', 'ip', 'fingerprint']
+
+/**
+ * Redis set holding one allow/deny list
+ * @param {string} list - allow or deny
+ * @param {string} type - user, ip or fingerprint
+ */
+function listKey(list, type) {
+  return `seckill:risk:${list}:${type}`
+}
+
+/**
+ * Risk Service - Bot and abuse detection in front of SeckillService.buy
+ *
+ * Decision order:
+ * 1. Allow list (user, IP or device fingerprint) - request passes, no checks run
+ * 2. Deny list - request is blocked
+ * 3. Registered checks - scores are summed, request is blocked at riskBlockScore
+ *
+ * Checks are pluggable (registerCheck) and fail open: a check that throws
+ * (e.g. Auth Service unavailable) contributes no score.
+ */
+class RiskService {
+  constructor() {
+    this.checks = [...defaultChecks]
+  }
+
+  /**
+   * Add a risk check
+   * @param {Object} check - { name, evaluate(context) => Promise<{ score, reason }> }
+   */
+  registerCheck(check) {
+    this.checks.push(check)
+  }
+
+  /**
+   * Score a buy request
+   *
+   * @param {Object} context - { userId, productId, ip, userAgent, fingerprint }
+   * @returns {Promise<Object>} { blocked, score, reasons, list }
+   */
+  async assess(context) {
+    const listed = await this._matchLists(context)
+
+    if (listed?.list === 'allow') {
+      metrics.recordRiskDecision('allowlisted')
+      return { blocked: false, score: 0, reasons: [], list: listed }
+    }
+
+    if (listed?.list === 'deny') {
+      const reason = `DENYLISTED_${listed.type.toUpperCase()}`
+      metrics.recordRiskDecision('blocked')
+      metrics.recordRiskBlocked(reason)
+      return { blocked: true, score: config.riskBlockScore, reasons: [reason], list: listed }
+    }
+
+    const results = await Promise.all(this.checks.map(async (check) => {
+      try {
+        return await check.evaluate(context)
+      } catch (error) {
+        logger.warn({ error: error.message, check: check.name, userId: context.userId }, 'Risk check failed, ignoring')
+        return { score: 0 }
+      }
+    }))
+
+    const score = results.reduce((sum, result) => sum + (result.score || 0), 0)
+    const reasons = results.filter((result) => result.score > 0 && result.reason).map((result) => result.reason)
+    const blocked = score >= config.riskBlockScore
+
+    metrics.recordRiskDecision(blocked ? 'blocked' : 'allowed')
+    if (blocked) {
+      for (const reason of reasons) {
+        metrics.recordRiskBlocked(reason)
+      }
+    }
+
+    return { blocked, score, reasons, list: null }
+  }
+
+  /**
+   * Get all allow/deny list entries
+   * @returns {Promise<Object>} { allow: { user, ip, fingerprint }, deny: { ... } }
+   */
+  async getLists() {
+    const lists = {}
+    for (const list of LIST_NAMES) {
+      lists[list] = {}
+      for (const type of LIST_TYPES) {
+        lists[list][type] = await redisClient.sMembers(listKey(list, type))
+      }
+    }
+    return lists
+  }
+
+  /**
+   * Add a value to a list (removing it from the opposite list)
+   *
+   * @param {string} list - allow or deny
+   * @param {string} type - user, ip or fingerprint
+   * @param {string} value - User ID, IP address or fingerprint
+   */
+  async addToList(list, type, value) {
+    const opposite = list === 'allow' ? 'deny' : 'allow'
+    await redisClient.multi((multi) => {
+      multi.sAdd(listKey(list, type), value)
+      multi.sRem(listKey(opposite, type), value)
+    })
+    logger.info({ list, type, value }, 'Risk list entry added')
+  }
+
+  /**
+   * Remove a value from a list
+   *
+   * @param {string} list - allow or deny
+   * @param {string} type - user, ip or fingerprint
+   * @param {string} value - User ID, IP address or fingerprint
+   * @returns {Promise<boolean>} true if the value was listed
+   */
+  async removeFromList(list, type, value) {
+    const removed = await redisClient.sRem(listKey(list, type), value)
+    if (removed > 0) {
+      logger.info({ list, type, value }, 'Risk list entry removed')
+    }
+    return removed > 0
+  }
+
+  /**
+   * Find the first list entry matching the request (allow wins over deny)
+   * @private
+   * @returns {Promise<Object|null>} { list, type } or null
+   */
+  async _matchLists(context) {
+    const values = { user: context.userId, ip: context.ip, fingerprint: context.fingerprint }
+    const candidates = LIST_NAMES.flatMap((list) =>
+      LIST_TYPES.filter((type) => values[type]).map((type) => ({ list, type }))
+    )
+
+    // One round trip for all lookups (this runs on every buy)
+    const results = await redisClient.multi((multi) => {
+      for (const { list, type } of candidates) {
+        multi.sIsMember(listKey(list, type), values[type])
+      }
+    })
+
+    return candidates.find((candidate, i) => Boolean(results[i])) || null
+  }
+}
+
+module.exports = new RiskService()
@@ -4,23 +4,52 @@ const path = require('path')
 const logger = require('@ecommerce/logger')
 const redisClient = require('../config/redis')
 const config = require('../config')
-const { CampaignInitSchema } = require('../schemas/seckillEvents.schema')
+const { CampaignInitSchema, CampaignUpdateSchema } = require('../schemas/seckillEvents.schema')
 const metrics = require('../metrics')
+const campaignRepository = require('../repositories/campaignRepository')
 
 // Use shared tracing helper instead of local tracing.js
 const { getCurrentTraceId } = require('@ecommerce/tracing')
 
-// Emergency log file for Ghost Order fallback
-const EMERGENCY_LOG_PATH = path.join(__dirname, '../../logs/emergency-events.log')
+// Emergency log file for Ghost Order fallback (replayed by emergencyReplayService)
+const EMERGENCY_LOG_PATH = config.emergencyLogPath
+
+// Registry of initialized campaigns (productIds); entries whose keys expired are pruned on list
+const CAMPAIGNS_REGISTRY_KEY = 'seckill:campaigns'
+
+/**
+ * All Redis keys belonging to a campaign
+ * @param {string} productId - Product identifier
+ * @returns {Object} Key names by role
+ */
+function campaignKeys(productId) {
+  return {
+    stock: `seckill:${productId}:stock`,
+    total: `seckill:${productId}:total`,
+    price: `seckill:${productId}:price`,
+    start: `seckill:${productId}:start`,
+    end: `seckill:${productId}:end`,
+    users: `seckill:${productId}:users`,
+    window: `seckill:${productId}:window`,
+    limit: `seckill:${productId}:limit`,
+    paused: `seckill:${productId}:paused`,
+    admission: `seckill:${productId}:admission`,
+    queue: `seckill:${productId}:queue`,
+    queueSeq: `seckill:${productId}:queue:seq`,
+    queueState: `seckill:${productId}:queue:state`,
+    reconcile: `seckill:${productId}:reconcile`,
+  }
+}
 
 /**
  * Seckill Service - Core business logic for flash sale operations
  * 
  * Responsibilities:
- * - Campaign initialization and management
+ * - Campaign initialization and lifecycle management (registry, update, pause, top-up, cancel)
  * - Atomic purchase operations via Lua scripts
  * - Status retrieval
  * - Slot release for compensation
+ * - Durable copy of campaigns and winners in MongoDB (restored after Redis loss)
  */
 class SeckillService {
   constructor() {
@@ -37,7 +66,8 @@ class SeckillService {
 
   /**
    * Initialize a seckill campaign
-   * Stores campaign data in Redis and clears any existing winners
+   * Stores campaign data in Redis and clears any existing winners.
+   * All campaign keys expire `keyRetentionSeconds` after endTime.
    * 
    * @param {Object} params - Campaign parameters
    * @param {string} params.productId - Product identifier
@@ -45,35 +75,37 @@ class SeckillService {
    * @param {number} params.price - Product price
    * @param {string} params.startTime - Campaign start time (ISO string)
    * @param {string} params.endTime - Campaign end time (ISO string)
+   * @param {number} [params.perUserLimit=1] - Max units a single user may buy
+   * @param {number} [params.admissionRate] - Waiting room admissions per second (omit to disable the waiting room)
    * @returns {Promise<Object>} Campaign initialization result
    */
   async initCampaign(params) {
     // Validate input using Zod schema
     const validated = CampaignInitSchema.parse(params)
-    const { productId, stock, price, startTime, endTime } = validated
+    const { productId, stock, price, startTime, endTime, perUserLimit, admissionRate } = validated
 
-    const keys = {
-      stock: `seckill:${productId}:stock`,
-      total: `seckill:${productId}:total`,
-      price: `seckill:${productId}:price`,
-      start: `seckill:${productId}:start`,
-      end: `seckill:${productId}:end`,
-      users: `seckill:${productId}:users`,
-    }
+    // Persist first: a campaign that is not durable could not be recovered after Redis loss
+    await campaignRepository.saveCampaign(validated)
+
+    const keys = campaignKeys(productId)
+    const expireAt = Math.ceil(new Date(endTime).getTime() / 1000) + config.keyRetentionSeconds
 
     // Use Redis pipeline for atomic multi-key operations
     await redisClient.multi((multi) => {
-      // Set campaign data
       multi.set(keys.stock, String(stock))
-      multi.set(keys.total, String(stock))
-      multi.set(keys.price, String(price))
-      multi.set(keys.start, startTime)
-      multi.set(keys.end, endTime)
-      // Clear existing winners set (for re-initialization)
+      this._writeCampaignKeys(multi, keys, { total: stock, price, startTime, endTime, perUserLimit, admissionRate }, expireAt)
+      // Clear existing winners, pause flag, waiting room and reconciliation state (for re-initialization)
       multi.del(keys.users)
+      multi.del(keys.reconcile)
+      multi.del(keys.paused)
+      multi.del([keys.queue, keys.queueSeq, keys.queueState])
+      // Winners hash inherits the stock TTL when the reserve script creates it
+      multi.expireAt(keys.stock, expireAt)
+
+      multi.sAdd(CAMPAIGNS_REGISTRY_KEY, productId)
     })
 
-    logger.info({ productId, stock, price, startTime, endTime }, 'Seckill campaign initialized')
+    logger.info({ productId, stock, price, startTime, endTime, perUserLimit, admissionRate }, 'Seckill campaign initialized')
 
     // Record metrics
     metrics.recordCampaignInitialized(productId)
@@ -87,20 +119,142 @@ class SeckillService {
       price,
       startTime,
       endTime,
+      perUserLimit,
+      admissionRate: admissionRate || null,
+    }
+  }
+
+  /**
+   * Rebuild a campaign's Redis keys from its durable copy (after Redis data loss)
+   * Remaining stock is derived from the total minus the units held by winners.
+   * The waiting room queue is not restored; users re-join it.
+   * 
+   * @param {Object} campaign - SeckillCampaign document
+   * @param {Object[]} winners - [{ userId, quantity }] still holding units
+   * @returns {Promise<Object>} { restored, stockRemaining, winnersCount }
+   */
+  async restoreCampaign(campaign, winners) {
+    const { productId, totalStock, price, perUserLimit, admissionRate, paused } = campaign
+    const startTime = new Date(campaign.startTime).toISOString()
+    const endTime = new Date(campaign.endTime).toISOString()
+    const keys = campaignKeys(productId)
+    const expireAt = Math.ceil(new Date(endTime).getTime() / 1000) + config.keyRetentionSeconds
+
+    const unitsHeld = winners.reduce((sum, winner) => sum + winner.quantity, 0)
+    const stock = Math.max(0, totalStock - unitsHeld)
+
+    // One script claims the missing stock key and writes every other key, so a
+    // concurrent buy never sees a half-restored campaign. Another instance (or an
+    // admin init) may have rebuilt the campaign already: it is then left untouched
+    const restored = await redisClient.evalSha('restore', {
+      keys: [
+        keys.stock,
+        keys.total,
+        keys.price,
+        keys.start,
+        keys.end,
+        keys.window,
+        keys.limit,
+        keys.admission,
+        keys.paused,
+        keys.users,
+        keys.reconcile,
+        keys.queue,
+        keys.queueSeq,
+        keys.queueState,
+        CAMPAIGNS_REGISTRY_KEY,
+      ],
+      arguments: [
+        String(stock),
+        String(totalStock),
+        String(price),
+        startTime,
+        endTime,
+        String(new Date(startTime).getTime()),
+        String(new Date(endTime).getTime()),
+        String(perUserLimit),
+        admissionRate ? String(admissionRate) : '',
+        paused ? new Date().toISOString() : '',
+        String(expireAt),
+        productId,
+        ...winners.flatMap(({ userId, quantity }) => [userId, String(quantity)]),
+      ],
+    })
+    if (restored !== 1) {
+      return { restored: false }
+    }
+
+    metrics.setStockRemaining(productId, stock)
+    logger.warn({ productId, stockRemaining: stock, winnersCount: winners.length }, 'Seckill campaign restored from durable state')
+
+    return { restored: true, stockRemaining: stock, winnersCount: winners.length }
+  }
+
+  /**
+   * Queue the campaign definition keys (everything but stock and winners)
+   * @private
+   * @param {Object} multi - Redis multi
+   * @param {Object} keys - campaignKeys(productId)
+   * @param {Object} campaign - { total, price, startTime, endTime, perUserLimit, admissionRate }
+   * @param {number} expireAt - Expiry (epoch seconds)
+   */
+  _writeCampaignKeys(multi, keys, { total, price, startTime, endTime, perUserLimit, admissionRate }, expireAt) {
+    multi.set(keys.total, String(total))
+    multi.set(keys.price, String(price))
+    multi.set(keys.start, startTime)
+    multi.set(keys.end, endTime)
+    multi.set(keys.limit, String(perUserLimit))
+    // Epoch-millisecond window read by the reserve Lua script
+    multi.del(keys.window)
+    multi.hSet(keys.window, {
+      start: String(new Date(startTime).getTime()),
+      end: String(new Date(endTime).getTime()),
+    })
+    if (admissionRate) {
+      multi.set(keys.admission, String(admissionRate))
+      multi.expireAt(keys.admission, expireAt)
+    } else {
+      multi.del(keys.admission)
+    }
+
+    // Expire campaign keys after the retention period
+    for (const key of [keys.total, keys.price, keys.start, keys.end, keys.window, keys.limit]) {
+      multi.expireAt(key, expireAt)
+    }
+  }
+
+  /**
+   * Mirror a Redis change to the durable store without failing the request
+   * Redis has already committed the change; a failed write is logged and counted
+   * (reconciliation and the next lifecycle write catch up).
+   * @private
+   * @param {string} operation - Operation label (win, release, topup, pause, cancel)
+   * @param {Function} write - Async repository call
+   */
+  async _persist(operation, write) {
+    try {
+      await write()
+    } catch (error) {
+      logger.error({ error: error.message, operation }, '❌ [Seckill] Failed to persist seckill state')
+      metrics.recordPersistenceFailure(operation)
     }
   }
 
   /**
    * Execute a purchase attempt
-   * Uses Lua script for atomic stock check, duplicate check, and reservation
+   * Uses Lua script for atomic stock check, per-user quota check, and reservation
    * 
    * @param {string} userId - User identifier
    * @param {string} productId - Product identifier
+   * @param {number} [quantity=1] - Units to buy
+   * @param {Object} [options] - Additional options
+   * @param {string} [options.admissionId] - ID of the valid waiting room admission token presented
+   *   (spent by a successful purchase)
    * @returns {Promise<Object>} Purchase result
    */
-  async buy(userId, productId) {
-    const stockKey = `seckill:${productId}:stock`
-    const usersKey = `seckill:${productId}:users`
+  async buy(userId, productId, quantity = 1, options = {}) {
+    const { admissionId = '' } = options
+    const keys = campaignKeys(productId)
     const window = Math.floor(Date.now() / 1000 / config.rateWindow)
     const rateLimitKey = `seckill:ratelimit:${userId}:${window}`
 
@@ -109,8 +263,24 @@ class SeckillService {
 
     // Execute atomic Lua script
     const result = await redisClient.evalSha('reserve', {
-      keys: [stockKey, usersKey, rateLimitKey],
-      arguments: [userId, String(config.rateLimit), String(config.rateWindow)],
+      keys: [
+        keys.stock,
+        keys.users,
+        rateLimitKey,
+        keys.window,
+        keys.limit,
+        keys.admission,
+        keys.paused,
+        `${keys.admission}:used:${admissionId}`,
+      ],
+      arguments: [
+        userId,
+        String(config.rateLimit),
+        String(config.rateWindow),
+        String(quantity),
+        admissionId,
+        String(config.admissionTokenTtl),
+      ],
     })
 
     // Handle Lua script return codes
@@ -125,16 +295,64 @@ class SeckillService {
       return { success: false, error: 'ALREADY_PURCHASED' }
     }
     if (result === -3) {
+      endTimer({ status: 'campaign_not_found' })
+      metrics.recordSeckillRequest('buy', 'campaign_not_found')
+      return { success: false, error: 'CAMPAIGN_NOT_FOUND' }
+    }
+    if (result === -5) {
       endTimer({ status: 'campaign_not_started' })
       metrics.recordSeckillRequest('buy', 'campaign_not_started')
       return { success: false, error: 'CAMPAIGN_NOT_STARTED' }
     }
+    if (result === -6) {
+      endTimer({ status: 'campaign_ended' })
+      metrics.recordSeckillRequest('buy', 'campaign_ended')
+      return { success: false, error: 'CAMPAIGN_ENDED' }
+    }
+    if (result === -10) {
+      endTimer({ status: 'campaign_paused' })
+      metrics.recordSeckillRequest('buy', 'campaign_paused')
+      return { success: false, error: 'CAMPAIGN_PAUSED' }
+    }
+    if (result === -9) {
+      endTimer({ status: 'admission_required' })
+      metrics.recordSeckillRequest('buy', 'admission_required')
+      return { success: false, error: 'ADMISSION_REQUIRED' }
+    }
+    if (result === -11) {
+      endTimer({ status: 'admission_used' })
+      metrics.recordSeckillRequest('buy', 'admission_used')
+      return { success: false, error: 'ADMISSION_USED' }
+    }
+    if (result === -7) {
+      endTimer({ status: 'quota_exceeded' })
+      metrics.recordSeckillRequest('buy', 'quota_exceeded')
+      return { success: false, error: 'QUOTA_EXCEEDED' }
+    }
+    if (result === -8) {
+      endTimer({ status: 'insufficient_stock' })
+      metrics.recordSeckillRequest('buy', 'insufficient_stock')
+      return { success: false, error: 'INSUFFICIENT_STOCK' }
+    }
     if (result === -1) {
       endTimer({ status: 'out_of_stock' })
       metrics.recordSeckillRequest('buy', 'out_of_stock')
       return { success: false, error: 'OUT_OF_STOCK' }
     }
 
+    // Durable copy of the winner record (for recovery after Redis loss).
+    // A win that is not durable would be sold again after a restore: give the slot back instead
+    try {
+      await campaignRepository.recordWin(productId, userId, quantity)
+    } catch (error) {
+      logger.error({ error: error.message, userId, productId }, '❌ [Seckill] Failed to persist winner, releasing the slot')
+      metrics.recordPersistenceFailure('win')
+      await this._rollbackReserve(keys, userId, quantity, admissionId)
+      endTimer({ status: 'persistence_failed' })
+      metrics.recordSeckillRequest('buy', 'persistence_failed')
+      return { success: false, error: 'PERSISTENCE_FAILED' }
+    }
+
     // Record successful reserve latency
     endTimer({ status: 'success' })
 
@@ -150,7 +368,7 @@ class SeckillService {
       userId,
       productId,
       price: parseFloat(price) || 0,
-      quantity: 1,
+      quantity,
       timestamp: Date.now(),
       metadata: {
         source: 'seckill',
@@ -170,7 +388,7 @@ class SeckillService {
     } catch (error) {
       // Ghost Order fallback: log to emergency file for manual replay
       logger.error({ error: error.message, correlationId, userId, productId }, 'Failed to publish seckill.order.won event')
-      this._logEmergencyEvent({ eventId, correlationId, eventData, error: error.message })
+      this._logEmergencyEvent({ eventType: 'seckill.order.won', eventId, correlationId, eventData, error: error.message })
       // Record publish failure metric
       metrics.recordPublishFailure('seckill.order.won')
     }
@@ -186,6 +404,31 @@ class SeckillService {
       correlationId,
       userId,
       productId,
+      quantity,
+    }
+  }
+
+  /**
+   * Undo a reservation whose winner record could not be persisted
+   * Returns the units to stock and frees the admission token for a retry.
+   * @private
+   * @param {Object} keys - campaignKeys(productId)
+   * @param {string} userId - User identifier
+   * @param {number} quantity - Units reserved
+   * @param {string} admissionId - Admission token ID spent by the reservation ('' if none)
+   */
+  async _rollbackReserve(keys, userId, quantity, admissionId) {
+    try {
+      await redisClient.evalSha('release', {
+        keys: [keys.stock, keys.users],
+        arguments: [userId, String(quantity)],
+      })
+      if (admissionId) {
+        await redisClient.del(`${keys.admission}:used:${admissionId}`)
+      }
+    } catch (error) {
+      // Reconciliation reports the drift between Redis and the durable store
+      logger.error({ error: error.message, userId, stockKey: keys.stock }, '❌ [Seckill] Failed to release an unpersisted reservation')
     }
   }
 
@@ -213,25 +456,319 @@ class SeckillService {
    * @returns {Promise<Object|null>} Campaign status or null if not found
    */
   async getStatus(productId) {
-    const keys = {
-      stock: `seckill:${productId}:stock`,
-      total: `seckill:${productId}:total`,
-      price: `seckill:${productId}:price`,
-      start: `seckill:${productId}:start`,
-      end: `seckill:${productId}:end`,
+    const status = await this._readCampaign(productId)
+
+    // Campaign not found
+    if (!status) {
+      metrics.recordSeckillRequest('status', 'not_found')
+      return null
+    }
+
+    // Update stock metric and record request
+    metrics.setStockRemaining(productId, status.stockRemaining)
+    metrics.recordSeckillRequest('status', 'success')
+
+    return status
+  }
+
+  /**
+   * List all registered campaigns with admin details
+   * Registry entries whose keys have expired are pruned.
+   * 
+   * @returns {Promise<Object[]>} Campaign details (see getCampaign)
+   */
+  async listCampaigns() {
+    const productIds = await redisClient.sMembers(CAMPAIGNS_REGISTRY_KEY)
+    const campaigns = await Promise.all(productIds.map((productId) => this.getCampaign(productId)))
+
+    const expired = productIds.filter((productId, i) => campaigns[i] === null)
+    for (const productId of expired) {
+      await redisClient.sRem(CAMPAIGNS_REGISTRY_KEY, productId)
+    }
+    if (expired.length > 0) {
+      logger.info({ productIds: expired }, 'Pruned expired campaigns from registry')
+    }
+
+    return campaigns
+      .filter(Boolean)
+      .sort((a, b) => new Date(a.startTime) - new Date(b.startTime))
+  }
+
+  /**
+   * Get campaign details for administration
+   * Extends the public status with winners, units sold and waiting room size.
+   * 
+   * @param {string} productId - Product identifier
+   * @returns {Promise<Object|null>} Campaign details or null if not found
+   */
+  async getCampaign(productId) {
+    const status = await this._readCampaign(productId)
+    if (!status) {
+      return null
+    }
+
+    const keys = campaignKeys(productId)
+    const [winnersCount, queueLength] = await Promise.all([
+      redisClient.hLen(keys.users),
+      redisClient.zCard(keys.queue),
+    ])
+
+    return {
+      ...status,
+      unitsSold: status.totalStock - status.stockRemaining,
+      winnersCount,
+      queueLength,
+    }
+  }
+
+  /**
+   * Update a running campaign without touching stock or winners
+   * All campaign keys are re-expired against the (possibly new) endTime.
+   * 
+   * @param {string} productId - Product identifier
+   * @param {Object} changes - Fields to change (validated by CampaignUpdateSchema)
+   * @param {string} [changes.startTime] - New start time (ISO string)
+   * @param {string} [changes.endTime] - New end time (ISO string), e.g. to extend the campaign
+   * @param {number} [changes.price] - New price
+   * @param {number} [changes.perUserLimit] - New per-user limit (units already held are kept)
+   * @param {number|null} [changes.admissionRate] - New waiting room rate, null disables the waiting room
+   * @returns {Promise<Object>} { success, campaign } or { success: false, error }
+   */
+  async updateCampaign(productId, changes) {
+    const validated = CampaignUpdateSchema.parse(changes)
+
+    const current = await this._readCampaign(productId)
+    if (!current) {
+      metrics.recordSeckillRequest('update', 'campaign_not_found')
+      return { success: false, error: 'CAMPAIGN_NOT_FOUND' }
     }
 
-    const [stock, total, price, startTime, endTime] = await Promise.all([
+    const startTime = validated.startTime || current.startTime
+    const endTime = validated.endTime || current.endTime
+    if (new Date(endTime) <= new Date(startTime)) {
+      metrics.recordSeckillRequest('update', 'error')
+      return { success: false, error: 'INVALID_WINDOW' }
+    }
+
+    await campaignRepository.updateCampaign(productId, {
+      ...validated,
+      startTime,
+      endTime,
+    })
+
+    const keys = campaignKeys(productId)
+    const expireAt = Math.ceil(new Date(endTime).getTime() / 1000) + config.keyRetentionSeconds
+
+    await redisClient.multi((multi) => {
+      if (validated.price !== undefined) {
+        multi.set(keys.price, String(validated.price))
+      }
+      if (validated.perUserLimit !== undefined) {
+        multi.set(keys.limit, String(validated.perUserLimit))
+      }
+      if (validated.admissionRate === null) {
+        multi.del(keys.admission)
+      } else if (validated.admissionRate !== undefined) {
+        multi.set(keys.admission, String(validated.admissionRate))
+      }
+      multi.set(keys.start, startTime)
+      multi.set(keys.end, endTime)
+      multi.hSet(keys.window, {
+        start: String(new Date(startTime).getTime()),
+        end: String(new Date(endTime).getTime()),
+      })
+
+      // Re-apply expiry to every campaign key (endTime may have moved)
+      for (const key of Object.values(keys)) {
+        multi.expireAt(key, expireAt)
+      }
+    })
+
+    logger.info({ productId, changes: validated }, 'Seckill campaign updated')
+    metrics.recordSeckillRequest('update', 'success')
+
+    return { success: true, campaign: await this.getCampaign(productId) }
+  }
+
+  /**
+   * Add stock to a running campaign
+   * Unlike re-initialization, winners and the waiting room are kept.
+   * 
+   * @param {string} productId - Product identifier
+   * @param {number} amount - Units to add
+   * @returns {Promise<Object>} { success, stockRemaining } or { success: false, error }
+   */
+  async topUpStock(productId, amount) {
+    const keys = campaignKeys(productId)
+
+    const result = await redisClient.evalSha('topUp', {
+      keys: [keys.stock, keys.total],
+      arguments: [String(amount)],
+    })
+
+    if (result === -3) {
+      metrics.recordSeckillRequest('topup', 'campaign_not_found')
+      return { success: false, error: 'CAMPAIGN_NOT_FOUND' }
+    }
+
+    // Persist the absolute total so a retried write can't count the top-up twice
+    await this._persist('topup', async () => {
+      const total = await redisClient.get(keys.total)
+      await campaignRepository.updateCampaign(productId, { totalStock: parseInt(total, 10) })
+    })
+
+    logger.info({ productId, amount, stockRemaining: result }, 'Seckill campaign stock topped up')
+    metrics.setStockRemaining(productId, result)
+    metrics.recordSeckillRequest('topup', 'success')
+
+    return { success: true, stockRemaining: result }
+  }
+
+  /**
+   * Pause or resume buying for a campaign
+   * The reserve Lua script rejects purchases with CAMPAIGN_PAUSED while the flag exists.
+   * 
+   * @param {string} productId - Product identifier
+   * @param {boolean} paused - true to pause, false to resume
+   * @returns {Promise<Object>} { success, paused } or { success: false, error }
+   */
+  async setPaused(productId, paused) {
+    const operation = paused ? 'pause' : 'resume'
+    const current = await this._readCampaign(productId)
+    if (!current) {
+      metrics.recordSeckillRequest(operation, 'campaign_not_found')
+      return { success: false, error: 'CAMPAIGN_NOT_FOUND' }
+    }
+
+    const keys = campaignKeys(productId)
+    if (paused) {
+      const expireAt = Math.ceil(new Date(current.endTime).getTime() / 1000) + config.keyRetentionSeconds
+      await redisClient.multi((multi) => {
+        multi.set(keys.paused, new Date().toISOString())
+        multi.expireAt(keys.paused, expireAt)
+      })
+    } else {
+      await redisClient.del(keys.paused)
+    }
+
+    await this._persist(operation, () => campaignRepository.updateCampaign(productId, { paused }))
+
+    logger.info({ productId, paused }, `Seckill campaign ${paused ? 'paused' : 'resumed'}`)
+    metrics.recordSeckillRequest(operation, 'success')
+
+    return { success: true, paused }
+  }
+
+  /**
+   * Cancel a campaign and delete all of its keys
+   * Winners keep their in-flight orders; later releases for them are no-ops.
+   * 
+   * @param {string} productId - Product identifier
+   * @returns {Promise<Object>} { success, winnersCount, unitsSold } or { success: false, error }
+   */
+  async cancelCampaign(productId) {
+    const current = await this.getCampaign(productId)
+    if (!current) {
+      await redisClient.sRem(CAMPAIGNS_REGISTRY_KEY, productId)
+      metrics.recordSeckillRequest('cancel', 'campaign_not_found')
+      return { success: false, error: 'CAMPAIGN_NOT_FOUND' }
+    }
+
+    const keys = campaignKeys(productId)
+    await redisClient.multi((multi) => {
+      multi.del(Object.values(keys))
+      multi.sRem(CAMPAIGNS_REGISTRY_KEY, productId)
+    })
+
+    await this._persist('cancel', () => campaignRepository.markCancelled(productId))
+
+    metrics.removeCampaignGauges(productId)
+    metrics.recordSeckillRequest('cancel', 'success')
+    logger.warn(
+      { productId, winnersCount: current.winnersCount, unitsSold: current.unitsSold },
+      'Seckill campaign cancelled'
+    )
+
+    return { success: true, winnersCount: current.winnersCount, unitsSold: current.unitsSold }
+  }
+
+  /**
+   * Get all winners of a campaign
+   * 
+   * @param {string} productId - Product identifier
+   * @returns {Promise<Object[]|null>} [{ userId, quantity }] or null if campaign not found
+   */
+  async getWinners(productId) {
+    const keys = campaignKeys(productId)
+    if (!(await redisClient.exists(keys.stock))) {
+      return null
+    }
+
+    const users = await redisClient.hGetAll(keys.users)
+    return Object.entries(users).map(([userId, quantity]) => ({
+      userId,
+      quantity: parseInt(quantity, 10),
+    }))
+  }
+
+  /**
+   * Track winners that reconciliation could not match to an order
+   * Keeps the first time each winner was seen unmatched (so a grace period can
+   * be applied across runs) and forgets winners that are no longer unmatched.
+   *
+   * @param {string} productId - Product identifier
+   * @param {string[]} userIds - Currently unmatched winners
+   * @returns {Promise<Object>} userId -> first seen unmatched (epoch ms)
+   */
+  async markUnmatchedWinners(productId, userIds) {
+    const keys = campaignKeys(productId)
+    const now = Date.now()
+    const [seen, ttl] = await Promise.all([
+      redisClient.hGetAll(keys.reconcile),
+      redisClient.pTTL(keys.stock),
+    ])
+
+    const firstSeen = Object.fromEntries(
+      userIds.map((userId) => [userId, parseInt(seen[userId], 10) || now])
+    )
+
+    await redisClient.multi((multi) => {
+      multi.del(keys.reconcile)
+      if (userIds.length > 0) {
+        multi.hSet(keys.reconcile, Object.fromEntries(
+          Object.entries(firstSeen).map(([userId, at]) => [userId, String(at)])
+        ))
+        // Same lifetime as the rest of the campaign
+        if (ttl > 0) {
+          multi.pExpire(keys.reconcile, ttl)
+        }
+      }
+    })
+
+    return firstSeen
+  }
+
+  /**
+   * Read campaign state from Redis
+   * @private
+   * @param {string} productId - Product identifier
+   * @returns {Promise<Object|null>} Campaign status or null if not found
+   */
+  async _readCampaign(productId) {
+    const keys = campaignKeys(productId)
+
+    const [stock, total, price, startTime, endTime, limit, admission, paused] = await Promise.all([
       redisClient.get(keys.stock),
       redisClient.get(keys.total),
       redisClient.get(keys.price),
       redisClient.get(keys.start),
       redisClient.get(keys.end),
+      redisClient.get(keys.limit),
+      redisClient.get(keys.admission),
+      redisClient.get(keys.paused),
     ])
 
-    // Campaign not found
     if (stock === null || total === null) {
-      metrics.recordSeckillRequest('status', 'not_found')
       return null
     }
 
@@ -240,20 +777,17 @@ class SeckillService {
     const end = new Date(endTime)
     const isActive = now >= start && now <= end
 
-    const stockRemaining = parseInt(stock, 10)
-
-    // Update stock metric and record request
-    metrics.setStockRemaining(productId, stockRemaining)
-    metrics.recordSeckillRequest('status', 'success')
-
     return {
       productId,
-      stockRemaining,
+      stockRemaining: parseInt(stock, 10),
       totalStock: parseInt(total, 10),
       price: parseFloat(price) || 0,
       isActive,
+      isPaused: paused !== null,
       startTime,
       endTime,
+      perUserLimit: parseInt(limit, 10) || 1,
+      admissionRate: parseFloat(admission) || null,
     }
   }
 
@@ -265,17 +799,21 @@ class SeckillService {
    * @param {string} productId - Product identifier
    * @param {Object} options - Additional options
    * @param {string} options.orderId - Order identifier for event publishing
+   * @param {number} [options.quantity] - Units to release (defaults to everything the user holds)
    * @returns {Promise<Object>} Release result
    */
   async releaseSlot(userId, productId, options = {}) {
-    const { orderId } = options
-    const stockKey = `seckill:${productId}:stock`
-    const usersKey = `seckill:${productId}:users`
+    const { orderId, quantity } = options
+    const keys = campaignKeys(productId)
 
     // Execute atomic Lua script for release
+    const args = [userId]
+    if (quantity) {
+      args.push(String(quantity))
+    }
     const result = await redisClient.evalSha('release', {
-      keys: [stockKey, usersKey],
-      arguments: [userId],
+      keys: [keys.stock, keys.users],
+      arguments: args,
     })
 
     // Handle Lua script return codes
@@ -291,10 +829,16 @@ class SeckillService {
     // Use trace ID as correlationId for distributed tracing, fallback to UUID
     const correlationId = getCurrentTraceId() || uuidv4()
 
+    // Lua script returns the number of units actually released
+    const releasedQuantity = result
+
+    await this._persist('release', () => campaignRepository.recordRelease(productId, userId, releasedQuantity))
+
     const eventData = {
       orderId: orderId || 'unknown',
       userId,
       productId,
+      quantity: releasedQuantity,
     }
 
     try {
@@ -307,7 +851,7 @@ class SeckillService {
       }
     } catch (error) {
       logger.error({ error: error.message, orderId, userId, productId }, 'Failed to publish seckill.released event')
-      this._logEmergencyEvent({ orderId, eventId, correlationId, eventData, error: error.message })
+      this._logEmergencyEvent({ eventType: 'seckill.released', orderId, eventId, correlationId, eventData, error: error.message })
       // Record publish failure metric
       metrics.recordPublishFailure('seckill.released')
     }
@@ -319,13 +863,13 @@ class SeckillService {
     // Update stock remaining metric (async, don't block response)
     this._updateStockMetric(productId)
 
-    logger.info({ userId, productId }, 'Seckill slot released successfully')
-    return { success: true, released: true }
+    logger.info({ userId, productId, quantity: releasedQuantity }, 'Seckill slot released successfully')
+    return { success: true, released: true, quantity: releasedQuantity }
   }
 
   /**
-   * Log emergency event to file for manual replay
-   * Ghost Order fallback when message broker fails
+   * Log emergency event to file for replay
+   * Ghost Order fallback when message broker fails (see emergencyReplayService)
    * 
    * @private
    * @param {Object} eventData - Event data to log
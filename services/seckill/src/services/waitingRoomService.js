@@ -0,0 +1,135 @@
+const jwt = require('jsonwebtoken')
+const { v4: uuidv4 } = require('uuid')
+const logger = require('@ecommerce/logger')
+const redisClient = require('../config/redis')
+const config = require('../config')
+const metrics = require('../metrics')
+
+// Token type claim, so a regular user JWT can never be used as an admission token
+const ADMISSION_TOKEN_TYPE = 'seckill-admission'
+
+/**
+ * Waiting Room Service - Virtual queue in front of the seckill buy endpoint
+ *
+ * Responsibilities:
+ * - FIFO queue per campaign via Lua scripts (join order is preserved on re-join)
+ * - Admission at a configurable rate per campaign (users per second)
+ * - Signing and verifying short-lived admission tokens required by buy
+ *   (each token carries a jti and is spent by the purchase it admits, see seckill-reserve.lua)
+ * - Queue depth metrics
+ */
+class WaitingRoomService {
+  /**
+   * Join the waiting room of a campaign
+   * Idempotent: a user who already joined keeps their place in line.
+   *
+   * @param {string} userId - User identifier
+   * @param {string} productId - Product identifier
+   * @returns {Promise<Object>} Queue position result (see getPosition)
+   */
+  async join(userId, productId) {
+    const result = await redisClient.evalSha('queueJoin', {
+      keys: [
+        `seckill:${productId}:stock`,
+        `seckill:${productId}:queue`,
+        `seckill:${productId}:queue:seq`,
+      ],
+      arguments: [userId],
+    })
+
+    if (result === -3) {
+      metrics.recordSeckillRequest('queue_join', 'campaign_not_found')
+      return { success: false, error: 'CAMPAIGN_NOT_FOUND' }
+    }
+
+    metrics.recordSeckillRequest('queue_join', 'success')
+    logger.info({ userId, productId, rank: result }, 'User joined seckill waiting room')
+
+    return this.getPosition(userId, productId)
+  }
+
+  /**
+   * Get a user's place in the waiting room
+   * Advances the campaign's admission frontier and issues an admission token
+   * once the user has been admitted.
+   *
+   * @param {string} userId - User identifier
+   * @param {string} productId - Product identifier
+   * @returns {Promise<Object>} { success, status: 'WAITING'|'ADMITTED', position, waiting, admissionToken?, expiresIn? }
+   */
+  async getPosition(userId, productId) {
+    const [position, waiting] = await redisClient.evalSha('queueAdmit', {
+      keys: [
+        `seckill:${productId}:queue`,
+        `seckill:${productId}:queue:state`,
+        `seckill:${productId}:admission`,
+      ],
+      arguments: [userId],
+    })
+
+    metrics.setQueueDepth(productId, waiting)
+
+    if (position === -1) {
+      metrics.recordSeckillRequest('queue_position', 'not_in_queue')
+      return { success: false, error: 'NOT_IN_QUEUE' }
+    }
+
+    if (position > 0) {
+      metrics.recordSeckillRequest('queue_position', 'waiting')
+      return { success: true, status: 'WAITING', position, waiting }
+    }
+
+    metrics.recordSeckillRequest('queue_position', 'success')
+    metrics.recordAdmissionTokenIssued(productId)
+
+    return {
+      success: true,
+      status: 'ADMITTED',
+      position: 0,
+      waiting,
+      admissionToken: this.issueAdmissionToken(userId, productId),
+      expiresIn: config.admissionTokenTtl,
+    }
+  }
+
+  /**
+   * Sign an admission token bound to a user and campaign
+   *
+   * @param {string} userId - User identifier
+   * @param {string} productId - Product identifier
+   * @returns {string} Signed admission token
+   */
+  issueAdmissionToken(userId, productId) {
+    return jwt.sign(
+      { typ: ADMISSION_TOKEN_TYPE, productId },
+      config.admissionTokenSecret,
+      { subject: String(userId), expiresIn: config.admissionTokenTtl, jwtid: uuidv4() }
+    )
+  }
+
+  /**
+   * Verify an admission token for a user and campaign
+   * Never throws: expired, tampered or mismatched tokens are simply invalid.
+   * Whether the token was already spent is checked by the reserve script.
+   *
+   * @param {string} token - Admission token presented by the client
+   * @param {string} userId - User identifier (from X-User-ID)
+   * @param {string} productId - Product identifier being bought
+   * @returns {string|null} Admission ID (jti) if the token admits this user to this campaign, else null
+   */
+  verifyAdmissionToken(token, userId, productId) {
+    try {
+      const payload = jwt.verify(token, config.admissionTokenSecret)
+      const valid = payload.typ === ADMISSION_TOKEN_TYPE &&
+        payload.sub === String(userId) &&
+        payload.productId === productId &&
+        typeof payload.jti === 'string'
+      return valid ? payload.jti : null
+    } catch (error) {
+      logger.debug({ error: error.message, userId, productId }, 'Admission token rejected')
+      return null
+    }
+  }
+}
+
+module.exports = new WaitingRoomService()
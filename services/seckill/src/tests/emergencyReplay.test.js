@@ -0,0 +1,195 @@
+/**
+ * Unit Tests for the Emergency Log Replay (Ghost Orders)
+ *
+ * EmergencyReplayService and the replay CLI run against a temporary log file,
+ * a stubbed Order Service client and a stubbed message broker.
+ */
+
+const { describe, it, before, after, beforeEach, afterEach } = require('mocha')
+const { expect } = require('chai')
+const sinon = require('sinon')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const config = require('../config')
+const { orderClient } = require('../clients/orderClient')
+const emergencyReplayService = require('../services/emergencyReplayService')
+const replayCli = require('../../scripts/replay-emergency-events')
+
+function wonEntry(eventId, fields = {}) {
+  return {
+    eventType: 'seckill.order.won',
+    eventId,
+    correlationId: `corr-${eventId}`,
+    eventData: { userId: `user-${eventId}`, productId: 'product-1', price: 9.99, quantity: 1 },
+    error: 'Channel closed',
+    timestamp: '2026-01-01T00:00:00.000Z',
+    ...fields,
+  }
+}
+
+describe('Emergency log replay', () => {
+  let tmpDir
+  let originalLogPath
+  let messageBroker
+
+  const writeLog = (lines) => fs.writeFileSync(config.emergencyLogPath, lines.join('\n') + '\n')
+  const readLog = () => fs.readFileSync(config.emergencyLogPath, 'utf8').split('\n').filter(Boolean)
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'seckill-replay-'))
+    originalLogPath = config.emergencyLogPath
+    config.emergencyLogPath = path.join(tmpDir, 'emergency-events.log')
+  })
+
+  after(() => {
+    config.emergencyLogPath = originalLogPath
+    fs.rmSync(tmpDir, { recursive: true, force: true })
+  })
+
+  beforeEach(() => {
+    messageBroker = { publish: sinon.stub().resolves() }
+    emergencyReplayService.setMessageBroker(messageBroker)
+    sinon.stub(orderClient, 'get')
+  })
+
+  afterEach(() => {
+    sinon.restore()
+    emergencyReplayService.setMessageBroker(null)
+  })
+
+  describe('EmergencyReplayService.replay', () => {
+    it('should skip a win whose order was already created', async () => {
+      writeLog([JSON.stringify(wonEntry('e1'))])
+      orderClient.get.resolves({ orderId: 'order-1', status: 'PENDING' })
+
+      const summary = await emergencyReplayService.replay()
+
+      expect(orderClient.get.firstCall.args[1].params).to.deep.equal({ correlationId: 'corr-e1' })
+      expect(orderClient.get.firstCall.args[1].headers).to.deep.equal({ 'X-User-ID': 'user-e1' })
+      expect(messageBroker.publish.called).to.be.false
+      expect(summary).to.include({ total: 1, replayed: 0, skipped: 1, failed: 0 })
+      expect(summary.results[0]).to.include({ action: 'skipped', reason: 'ORDER_EXISTS', orderId: 'order-1' })
+      expect(JSON.parse(readLog()[0]).replay).to.include({ status: 'SKIPPED', orderId: 'order-1' })
+    })
+
+    it('should republish a win whose order is missing', async () => {
+      writeLog([JSON.stringify(wonEntry('e1'))])
+      // 404 body: no order for this correlationId yet
+      orderClient.get.resolves({ error: 'Order not found' })
+
+      const summary = await emergencyReplayService.replay()
+
+      expect(messageBroker.publish.calledOnce).to.be.true
+      expect(messageBroker.publish.firstCall.args).to.deep.equal([
+        'seckill.order.won',
+        wonEntry('e1').eventData,
+        { eventId: 'e1', correlationId: 'corr-e1' },
+      ])
+      expect(summary).to.include({ replayed: 1, skipped: 0, failed: 0 })
+      expect(JSON.parse(readLog()[0]).replay.status).to.equal('REPLAYED')
+    })
+
+    it('should not treat a failed order lookup as a missing order', async () => {
+      writeLog([JSON.stringify(wonEntry('e1'))])
+      const error = new Error('Request failed with status code 503')
+      error.response = { status: 503 }
+      orderClient.get.rejects(error)
+
+      const summary = await emergencyReplayService.replay()
+
+      // Only 404 counts as "no order yet"; the HTTP client rejects a 5xx
+      const { validateStatus } = orderClient.get.firstCall.args[1]
+      expect([200, 404, 500, 503].map(validateStatus)).to.deep.equal([true, true, false, false])
+      expect(messageBroker.publish.called).to.be.false
+      expect(summary).to.include({ replayed: 0, skipped: 0, failed: 1 })
+      expect(JSON.parse(readLog()[0]).replay).to.include({ status: 'FAILED', attempts: 1 })
+      // Still pending for the next replay
+      expect(emergencyReplayService.listEntries()).to.have.length(1)
+    })
+
+    it('should leave unparseable lines untouched and replay the others', async () => {
+      writeLog(['{"eventId": "broken', JSON.stringify(wonEntry('e1'))])
+      orderClient.get.resolves(null)
+
+      const summary = await emergencyReplayService.replay()
+
+      expect(summary).to.include({ total: 1, replayed: 1 })
+      expect(readLog()[0]).to.equal('{"eventId": "broken')
+      expect(emergencyReplayService.listEntries({ status: 'all' })[0]).to.deep.equal({ line: 0, invalid: true })
+    })
+
+    it('should republish releases without an order lookup', async () => {
+      writeLog([JSON.stringify({ eventId: 'e2', correlationId: 'corr-e2', orderId: 'order-2', eventData: { orderId: 'order-2', userId: 'alice', productId: 'product-1', quantity: 1 } })])
+
+      await emergencyReplayService.replay()
+
+      expect(orderClient.get.called).to.be.false
+      expect(messageBroker.publish.firstCall.args[0]).to.equal('seckill.released')
+    })
+
+    it('should neither publish nor mark lines in a dry run', async () => {
+      const lines = [JSON.stringify(wonEntry('e1')), JSON.stringify(wonEntry('e2'))]
+      writeLog(lines)
+      orderClient.get.onFirstCall().resolves({ orderId: 'order-1' })
+      orderClient.get.onSecondCall().resolves(null)
+
+      const summary = await emergencyReplayService.replay({ dryRun: true })
+
+      expect(summary.results.map((result) => result.action)).to.deep.equal(['would_skip', 'would_publish'])
+      expect(messageBroker.publish.called).to.be.false
+      expect(readLog()).to.deep.equal(lines)
+    })
+  })
+
+  describe('replay-emergency-events CLI', () => {
+    beforeEach(() => {
+      sinon.stub(console, 'log')
+      sinon.stub(console, 'table')
+    })
+
+    afterEach(() => {
+      process.exitCode = undefined
+    })
+
+    it('should parse the command line', () => {
+      expect(replayCli.parseArgs(['--dry-run', '--event-id', 'e1', '--event-id', 'e2'])).to.deep.equal({
+        list: false,
+        all: false,
+        dryRun: true,
+        eventIds: ['e1', 'e2'],
+      })
+      expect(() => replayCli.parseArgs(['--force'])).to.throw('Unknown argument: --force')
+    })
+
+    it('should dry-run the selected events', async () => {
+      writeLog([JSON.stringify(wonEntry('e1')), JSON.stringify(wonEntry('e2'))])
+      orderClient.get.resolves(null)
+
+      await replayCli.main(['--dry-run', '--event-id', 'e2'])
+
+      const rows = console.table.firstCall.args[0]
+      expect(rows).to.deep.equal([{ line: 1, eventType: 'seckill.order.won', eventId: 'e2', action: 'would_publish', detail: '' }])
+      expect(process.exitCode).to.equal(0)
+    })
+
+    it('should exit with an error code when a lookup fails', async () => {
+      writeLog([JSON.stringify(wonEntry('e1'))])
+      orderClient.get.rejects(new Error('Request failed with status code 500'))
+
+      await replayCli.main(['--dry-run'])
+
+      expect(console.table.firstCall.args[0][0]).to.include({ action: 'failed', detail: 'Request failed with status code 500' })
+      expect(process.exitCode).to.equal(1)
+    })
+
+    it('should list pending entries', async () => {
+      writeLog(['not json', JSON.stringify(wonEntry('e1')), JSON.stringify(wonEntry('e2', { replay: { status: 'REPLAYED' } }))])
+
+      await replayCli.main(['--list'])
+
+      expect(console.table.firstCall.args[0].map((row) => row.eventId)).to.deep.equal(['e1'])
+    })
+  })
+})
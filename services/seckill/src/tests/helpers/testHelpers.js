@@ -27,7 +27,7 @@ async function createRedisClient() {
  * Helper to initialize a campaign directly in Redis
  */
 async function initCampaign(client, productId, params) {
-  const { stock, price, startTime, endTime } = params
+  const { stock, price, startTime, endTime, perUserLimit = 1, admissionRate } = params
   const keys = {
     stock: `seckill:test:${productId}:stock`,
     total: `seckill:test:${productId}:total`,
@@ -35,6 +35,9 @@ async function initCampaign(client, productId, params) {
     start: `seckill:test:${productId}:start`,
     end: `seckill:test:${productId}:end`,
     users: `seckill:test:${productId}:users`,
+    window: `seckill:test:${productId}:window`,
+    limit: `seckill:test:${productId}:limit`,
+    admission: `seckill:test:${productId}:admission`,
   }
 
   const multi = client.multi()
@@ -43,10 +46,21 @@ async function initCampaign(client, productId, params) {
   multi.set(keys.price, String(price))
   multi.set(keys.start, startTime)
   multi.set(keys.end, endTime)
+  multi.set(keys.limit, String(perUserLimit))
+  multi.del(keys.window)
+  multi.hSet(keys.window, {
+    start: String(new Date(startTime).getTime()),
+    end: String(new Date(endTime).getTime()),
+  })
   multi.del(keys.users)
+  if (admissionRate) {
+    multi.set(keys.admission, String(admissionRate))
+  } else {
+    multi.del(keys.admission)
+  }
   await multi.exec()
 
-  return { success: true, productId, stock, price, startTime, endTime }
+  return { success: true, productId, stock, price, startTime, endTime, perUserLimit, admissionRate }
 }
 
 /**
@@ -90,29 +104,38 @@ async function getStatus(client, productId) {
 }
 
 /**
- * Helper to add users to winners set
+ * Helper to add users to winners hash (one unit each)
  */
 async function addWinners(client, productId, userIds) {
   const usersKey = `seckill:test:${productId}:users`
   if (userIds.length > 0) {
-    await client.sAdd(usersKey, userIds)
+    await client.hSet(usersKey, Object.fromEntries(userIds.map((userId) => [userId, '1'])))
   }
 }
 
 /**
- * Helper to get winners count
+ * Helper to get winners count (distinct users)
  */
 async function getWinnersCount(client, productId) {
   const usersKey = `seckill:test:${productId}:users`
-  return client.sCard(usersKey)
+  return client.hLen(usersKey)
 }
 
 /**
- * Helper to check if user is in winners set
+ * Helper to check if user is in winners hash
  */
 async function isUserInWinners(client, productId, userId) {
   const usersKey = `seckill:test:${productId}:users`
-  return client.sIsMember(usersKey, userId)
+  return client.hExists(usersKey, userId)
+}
+
+/**
+ * Helper to get units held by a user
+ */
+async function getUserUnits(client, productId, userId) {
+  const usersKey = `seckill:test:${productId}:users`
+  const units = await client.hGet(usersKey, userId)
+  return units === null ? 0 : parseInt(units, 10)
 }
 
 /**
@@ -125,6 +148,13 @@ async function cleanupTestKeys(client, productId) {
   await client.del(`seckill:test:${productId}:start`)
   await client.del(`seckill:test:${productId}:end`)
   await client.del(`seckill:test:${productId}:users`)
+  await client.del(`seckill:test:${productId}:window`)
+  await client.del(`seckill:test:${productId}:limit`)
+  await client.del(`seckill:test:${productId}:admission`)
+  await client.del(`seckill:test:${productId}:paused`)
+  await client.del(`seckill:test:${productId}:queue`)
+  await client.del(`seckill:test:${productId}:queue:seq`)
+  await client.del(`seckill:test:${productId}:queue:state`)
 }
 
 /**
@@ -136,38 +166,151 @@ async function loadLuaScripts(client) {
   const reserveScriptPath = path.join(scriptsDir, 'seckill-reserve.lua')
   const releaseScriptPath = path.join(scriptsDir, 'seckill-release.lua')
   
+  const queueJoinScriptPath = path.join(scriptsDir, 'seckill-queue-join.lua')
+  const queueAdmitScriptPath = path.join(scriptsDir, 'seckill-queue-admit.lua')
+  const topUpScriptPath = path.join(scriptsDir, 'seckill-topup.lua')
+  const restoreScriptPath = path.join(scriptsDir, 'seckill-restore.lua')
+  
   const reserveScript = fs.readFileSync(reserveScriptPath, 'utf8')
   const releaseScript = fs.readFileSync(releaseScriptPath, 'utf8')
+  const queueJoinScript = fs.readFileSync(queueJoinScriptPath, 'utf8')
+  const queueAdmitScript = fs.readFileSync(queueAdmitScriptPath, 'utf8')
+  const topUpScript = fs.readFileSync(topUpScriptPath, 'utf8')
+  const restoreScript = fs.readFileSync(restoreScriptPath, 'utf8')
   
   const reserveSHA = await client.scriptLoad(reserveScript)
   const releaseSHA = await client.scriptLoad(releaseScript)
+  const queueJoinSHA = await client.scriptLoad(queueJoinScript)
+  const queueAdmitSHA = await client.scriptLoad(queueAdmitScript)
+  const topUpSHA = await client.scriptLoad(topUpScript)
+  const restoreSHA = await client.scriptLoad(restoreScript)
   
-  return { reserveSHA, releaseSHA }
+  return { reserveSHA, releaseSHA, queueJoinSHA, queueAdmitSHA, topUpSHA, restoreSHA }
 }
 
 /**
  * Helper to execute the reserve script
  */
-async function executeBuy(client, reserveSHA, productId, userId, rateLimit = 1000, rateWindow = 60) {
+async function executeBuy(client, reserveSHA, productId, userId, rateLimit = 1000, rateWindow = 60, quantity = 1, admissionId = '') {
   const stockKey = `seckill:test:${productId}:stock`
   const usersKey = `seckill:test:${productId}:users`
   const rateLimitKey = `seckill:test:ratelimit:${userId}:${Math.floor(Date.now() / 1000 / rateWindow)}`
+  const windowKey = `seckill:test:${productId}:window`
+  const limitKey = `seckill:test:${productId}:limit`
+  const admissionKey = `seckill:test:${productId}:admission`
+  const pausedKey = `seckill:test:${productId}:paused`
 
   return client.evalSha(reserveSHA, {
-    keys: [stockKey, usersKey, rateLimitKey],
-    arguments: [userId, String(rateLimit), String(rateWindow)]
+    keys: [stockKey, usersKey, rateLimitKey, windowKey, limitKey, admissionKey, pausedKey, `${admissionKey}:used:${admissionId}`],
+    arguments: [userId, String(rateLimit), String(rateWindow), String(quantity), admissionId, '30']
   })
 }
 
 /**
  * Helper to execute the release script
  */
-async function executeRelease(client, releaseSHA, productId, userId) {
+async function executeRelease(client, releaseSHA, productId, userId, quantity) {
   const stockKey = `seckill:test:${productId}:stock`
   const usersKey = `seckill:test:${productId}:users`
 
   return client.evalSha(releaseSHA, {
     keys: [stockKey, usersKey],
+    arguments: quantity ? [userId, String(quantity)] : [userId]
+  })
+}
+
+/**
+ * Helper to execute the stock top-up script
+ */
+async function executeTopUp(client, topUpSHA, productId, amount) {
+  return client.evalSha(topUpSHA, {
+    keys: [`seckill:test:${productId}:stock`, `seckill:test:${productId}:total`],
+    arguments: [String(amount)]
+  })
+}
+
+/**
+ * Helper to execute the restore script
+ * campaign: { stock, total, price, startTime, endTime, perUserLimit, admissionRate, paused }
+ * winners: [{ userId, quantity }]
+ */
+async function executeRestore(client, restoreSHA, productId, campaign, winners = []) {
+  const { stock, total, price, startTime, endTime, perUserLimit = 1, admissionRate, paused = false } = campaign
+  const prefix = `seckill:test:${productId}`
+
+  return client.evalSha(restoreSHA, {
+    keys: [
+      `${prefix}:stock`,
+      `${prefix}:total`,
+      `${prefix}:price`,
+      `${prefix}:start`,
+      `${prefix}:end`,
+      `${prefix}:window`,
+      `${prefix}:limit`,
+      `${prefix}:admission`,
+      `${prefix}:paused`,
+      `${prefix}:users`,
+      `${prefix}:reconcile`,
+      `${prefix}:queue`,
+      `${prefix}:queue:seq`,
+      `${prefix}:queue:state`,
+      'seckill:test:campaigns',
+    ],
+    arguments: [
+      String(stock),
+      String(total),
+      String(price),
+      startTime,
+      endTime,
+      String(new Date(startTime).getTime()),
+      String(new Date(endTime).getTime()),
+      String(perUserLimit),
+      admissionRate ? String(admissionRate) : '',
+      paused ? new Date().toISOString() : '',
+      String(Math.ceil(new Date(endTime).getTime() / 1000) + 3600),
+      productId,
+      ...winners.flatMap(({ userId, quantity }) => [userId, String(quantity)]),
+    ]
+  })
+}
+
+/**
+ * Helper to pause or resume a campaign
+ */
+async function setPaused(client, productId, paused) {
+  const pausedKey = `seckill:test:${productId}:paused`
+  if (paused) {
+    await client.set(pausedKey, new Date().toISOString())
+  } else {
+    await client.del(pausedKey)
+  }
+}
+
+/**
+ * Helper to execute the waiting room join script
+ */
+async function executeQueueJoin(client, queueJoinSHA, productId, userId) {
+  return client.evalSha(queueJoinSHA, {
+    keys: [
+      `seckill:test:${productId}:stock`,
+      `seckill:test:${productId}:queue`,
+      `seckill:test:${productId}:queue:seq`,
+    ],
+    arguments: [userId]
+  })
+}
+
+/**
+ * Helper to execute the waiting room admission script
+ * Returns [position, waiting]
+ */
+async function executeQueueAdmit(client, queueAdmitSHA, productId, userId) {
+  return client.evalSha(queueAdmitSHA, {
+    keys: [
+      `seckill:test:${productId}:queue`,
+      `seckill:test:${productId}:queue:state`,
+      `seckill:test:${productId}:admission`,
+    ],
     arguments: [userId]
   })
 }
@@ -237,10 +380,16 @@ module.exports = {
   addWinners,
   getWinnersCount,
   isUserInWinners,
+  getUserUnits,
   cleanupTestKeys,
   loadLuaScripts,
   executeBuy,
+  executeRestore,
   executeRelease,
+  executeTopUp,
+  setPaused,
+  executeQueueJoin,
+  executeQueueAdmit,
   generateProductId,
   // Arbitraries
   validCampaignArb,
@@ -0,0 +1,173 @@
+/**
+ * Property-Based Tests for Seckill Service - Campaign Window Properties (10, 11)
+ *
+ * Property 10: Purchases Outside the Campaign Window Are Rejected
+ * Property 11: Winners Set Inherits Campaign Expiry
+ */
+
+const { describe, it, before, after, beforeEach } = require('mocha')
+const { expect } = require('chai')
+const fc = require('fast-check')
+
+const {
+  createRedisClient,
+  initCampaign,
+  getStatus,
+  getWinnersCount,
+  cleanupTestKeys,
+  loadLuaScripts,
+  executeBuy,
+  generateProductId,
+  activeCampaignArb,
+  userIdArb,
+} = require('./helpers/testHelpers')
+
+describe('Seckill Campaign Window Property Tests', function () {
+  this.timeout(60000)
+
+  let client
+  let reserveSHA
+
+  before(async function () {
+    try {
+      client = await createRedisClient()
+      const scripts = await loadLuaScripts(client)
+      reserveSHA = scripts.reserveSHA
+    } catch (err) {
+      console.log('Redis not available, skipping tests')
+      this.skip()
+    }
+  })
+
+  after(async function () {
+    if (client && client.isOpen) {
+      await client.quit()
+    }
+  })
+
+  beforeEach(async function () {
+    const keys = await client.keys('seckill:test:*')
+    if (keys.length > 0) {
+      await client.del(keys)
+    }
+  })
+
+  /**
+   * **Feature: seckill-service, Property 10: Purchases Outside the Campaign Window Are Rejected**
+   *
+   * *For any* campaign whose startTime is in the future, a buy SHALL return CAMPAIGN_NOT_STARTED (-5);
+   * *for any* campaign whose endTime is in the past, a buy SHALL return CAMPAIGN_ENDED (-6).
+   * In both cases stock and the winners set SHALL remain unchanged.
+   */
+  describe('Property 10: Purchases Outside the Campaign Window Are Rejected', function () {
+    it('should reject purchases before startTime with CAMPAIGN_NOT_STARTED', async function () {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 1000 }),
+          fc.integer({ min: 60000, max: 86400000 }),
+          userIdArb,
+          async (stock, startOffset, userId) => {
+            const productId = generateProductId('not-started')
+            const now = Date.now()
+
+            await initCampaign(client, productId, {
+              stock,
+              price: 19.99,
+              startTime: new Date(now + startOffset).toISOString(),
+              endTime: new Date(now + startOffset + 3600000).toISOString(),
+            })
+
+            const result = await executeBuy(client, reserveSHA, productId, userId)
+            expect(result).to.equal(-5, 'Buy before startTime should return CAMPAIGN_NOT_STARTED (-5)')
+
+            const status = await getStatus(client, productId)
+            expect(status.stockRemaining).to.equal(stock)
+            expect(await getWinnersCount(client, productId)).to.equal(0)
+
+            await cleanupTestKeys(client, productId)
+          }
+        ),
+        { numRuns: 100, verbose: true }
+      )
+    })
+
+    it('should reject purchases after endTime with CAMPAIGN_ENDED', async function () {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 1000 }),
+          fc.integer({ min: 60000, max: 86400000 }),
+          userIdArb,
+          async (stock, endOffset, userId) => {
+            const productId = generateProductId('ended')
+            const now = Date.now()
+
+            await initCampaign(client, productId, {
+              stock,
+              price: 19.99,
+              startTime: new Date(now - endOffset - 3600000).toISOString(),
+              endTime: new Date(now - endOffset).toISOString(),
+            })
+
+            const result = await executeBuy(client, reserveSHA, productId, userId)
+            expect(result).to.equal(-6, 'Buy after endTime should return CAMPAIGN_ENDED (-6)')
+
+            const status = await getStatus(client, productId)
+            expect(status.stockRemaining).to.equal(stock)
+            expect(await getWinnersCount(client, productId)).to.equal(0)
+
+            await cleanupTestKeys(client, productId)
+          }
+        ),
+        { numRuns: 100, verbose: true }
+      )
+    })
+
+    it('should return CAMPAIGN_NOT_FOUND when campaign keys do not exist', async function () {
+      await fc.assert(
+        fc.asyncProperty(userIdArb, async (userId) => {
+          const productId = generateProductId('missing')
+
+          const result = await executeBuy(client, reserveSHA, productId, userId)
+          expect(result).to.equal(-3, 'Buy on missing campaign should return CAMPAIGN_NOT_FOUND (-3)')
+        }),
+        { numRuns: 50, verbose: true }
+      )
+    })
+  })
+
+  /**
+   * **Feature: seckill-service, Property 11: Winners Set Inherits Campaign Expiry**
+   *
+   * *For any* active campaign whose stock key has a TTL, a successful buy SHALL create
+   * the winners set with a TTL no greater than the stock key TTL.
+   */
+  describe('Property 11: Winners Set Inherits Campaign Expiry', function () {
+    it('should copy the stock key TTL onto the winners set on first purchase', async function () {
+      await fc.assert(
+        fc.asyncProperty(
+          activeCampaignArb,
+          userIdArb,
+          fc.integer({ min: 3600, max: 86400 }),
+          async (campaignParams, userId, ttlSeconds) => {
+            const productId = generateProductId('ttl')
+
+            await initCampaign(client, productId, campaignParams)
+            await client.expire(`seckill:test:${productId}:stock`, ttlSeconds)
+
+            const result = await executeBuy(client, reserveSHA, productId, userId)
+            expect(result).to.equal(1)
+
+            const stockTtl = await client.pTTL(`seckill:test:${productId}:stock`)
+            const usersTtl = await client.pTTL(`seckill:test:${productId}:users`)
+
+            expect(usersTtl).to.be.greaterThan(0)
+            expect(usersTtl).to.be.at.most(stockTtl + 1000)
+
+            await cleanupTestKeys(client, productId)
+          }
+        ),
+        { numRuns: 50, verbose: true }
+      )
+    })
+  })
+})
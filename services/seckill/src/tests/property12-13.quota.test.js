@@ -0,0 +1,174 @@
+/**
+ * Property-Based Tests for Seckill Service - Quota Properties (12, 13)
+ *
+ * Property 12: Per-User Quota Is Never Exceeded
+ * Property 13: Multi-Unit Release Restores Exactly the Released Units
+ */
+
+const { describe, it, before, after, beforeEach } = require('mocha')
+const { expect } = require('chai')
+const fc = require('fast-check')
+
+const {
+  createRedisClient,
+  initCampaign,
+  getStatus,
+  getUserUnits,
+  cleanupTestKeys,
+  loadLuaScripts,
+  executeBuy,
+  executeRelease,
+  generateProductId,
+  userIdArb,
+} = require('./helpers/testHelpers')
+
+describe('Seckill Quota Property Tests', function () {
+  this.timeout(60000)
+
+  let client
+  let reserveSHA
+  let releaseSHA
+
+  before(async function () {
+    try {
+      client = await createRedisClient()
+      const scripts = await loadLuaScripts(client)
+      reserveSHA = scripts.reserveSHA
+      releaseSHA = scripts.releaseSHA
+    } catch (err) {
+      console.log('Redis not available, skipping tests')
+      this.skip()
+    }
+  })
+
+  after(async function () {
+    if (client && client.isOpen) {
+      await client.quit()
+    }
+  })
+
+  beforeEach(async function () {
+    const keys = await client.keys('seckill:test:*')
+    if (keys.length > 0) {
+      await client.del(keys)
+    }
+  })
+
+  const activeWindow = () => ({
+    startTime: new Date(Date.now() - 3600000).toISOString(),
+    endTime: new Date(Date.now() + 3600000).toISOString(),
+  })
+
+  /**
+   * **Feature: seckill-service, Property 12: Per-User Quota Is Never Exceeded**
+   *
+   * *For any* campaign with per-user limit L and any sequence of buy quantities from one user,
+   * the units held by the user SHALL never exceed L, and stock SHALL decrease by exactly
+   * the units held.
+   */
+  describe('Property 12: Per-User Quota Is Never Exceeded', function () {
+    it('should cap units held per user at perUserLimit', async function () {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 10 }),
+          fc.array(fc.integer({ min: 1, max: 5 }), { minLength: 1, maxLength: 10 }),
+          userIdArb,
+          async (perUserLimit, quantities, userId) => {
+            const productId = generateProductId('quota')
+            const stock = 1000
+
+            await initCampaign(client, productId, { stock, price: 9.99, perUserLimit, ...activeWindow() })
+
+            let expectedHeld = 0
+            for (const quantity of quantities) {
+              const result = await executeBuy(client, reserveSHA, productId, userId, 1000, 60, quantity)
+
+              if (expectedHeld >= perUserLimit) {
+                expect(result).to.equal(-2, 'Buy with exhausted quota should return ALREADY_PURCHASED (-2)')
+              } else if (expectedHeld + quantity > perUserLimit) {
+                expect(result).to.equal(-7, 'Buy over quota should return QUOTA_EXCEEDED (-7)')
+              } else {
+                expect(result).to.equal(1)
+                expectedHeld += quantity
+              }
+            }
+
+            const held = await getUserUnits(client, productId, userId)
+            const status = await getStatus(client, productId)
+
+            expect(held).to.equal(expectedHeld)
+            expect(held).to.be.at.most(perUserLimit)
+            expect(status.stockRemaining).to.equal(stock - held)
+
+            await cleanupTestKeys(client, productId)
+          }
+        ),
+        { numRuns: 100, verbose: true }
+      )
+    })
+
+    it('should reject quantities larger than remaining stock without modifying state', async function () {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 5 }),
+          fc.integer({ min: 1, max: 5 }),
+          userIdArb,
+          async (stock, extra, userId) => {
+            const productId = generateProductId('insufficient')
+            const quantity = stock + extra
+
+            await initCampaign(client, productId, { stock, price: 9.99, perUserLimit: quantity, ...activeWindow() })
+
+            const result = await executeBuy(client, reserveSHA, productId, userId, 1000, 60, quantity)
+            expect(result).to.equal(-8, 'Buy over stock should return INSUFFICIENT_STOCK (-8)')
+
+            const status = await getStatus(client, productId)
+            expect(status.stockRemaining).to.equal(stock)
+            expect(await getUserUnits(client, productId, userId)).to.equal(0)
+
+            await cleanupTestKeys(client, productId)
+          }
+        ),
+        { numRuns: 100, verbose: true }
+      )
+    })
+  })
+
+  /**
+   * **Feature: seckill-service, Property 13: Multi-Unit Release Restores Exactly the Released Units**
+   *
+   * *For any* user holding H units, releasing Q units SHALL restore min(Q, H) units to stock
+   * and leave max(H - Q, 0) units held by the user.
+   */
+  describe('Property 13: Multi-Unit Release Restores Exactly the Released Units', function () {
+    it('should restore min(quantity, held) units to stock', async function () {
+      await fc.assert(
+        fc.asyncProperty(
+          fc.integer({ min: 1, max: 10 }),
+          fc.integer({ min: 1, max: 15 }),
+          userIdArb,
+          async (held, releaseQuantity, userId) => {
+            const productId = generateProductId('multi-release')
+            const stock = 100
+
+            await initCampaign(client, productId, { stock, price: 9.99, perUserLimit: 10, ...activeWindow() })
+
+            const buyResult = await executeBuy(client, reserveSHA, productId, userId, 1000, 60, held)
+            expect(buyResult).to.equal(1)
+
+            const releaseResult = await executeRelease(client, releaseSHA, productId, userId, releaseQuantity)
+            const expectedReleased = Math.min(releaseQuantity, held)
+            expect(releaseResult).to.equal(expectedReleased)
+
+            const status = await getStatus(client, productId)
+            expect(status.stockRemaining).to.equal(stock - held + expectedReleased)
+            expect(await getUserUnits(client, productId, userId)).to.equal(held - expectedReleased)
+
+            await cleanupTestKeys(client, productId)
+          }
+        ),
+        { numRuns: 100, verbose: true }
+      )
+    })
+  })
+})
@@ -0,0 +1,225 @@
+/**
+ * Property-Based Tests for Seckill Service - Waiting Room Properties (14, 15)
+ *
+ * Property 14: Waiting Room Admits Users in FIFO Order
+ * Property 15: Waiting Room Campaigns Require Admission to Buy
+ */
+
+const { describe, it, before, after, beforeEach } = require('mocha')
+const { expect } = require('chai')
+const fc = require('fast-check')
+
+const {
+  createRedisClient,
+  initCampaign,
+  getStatus,
+  getWinnersCount,
+  cleanupTestKeys,
+  loadLuaScripts,
+  executeBuy,
+  executeQueueJoin,
+  executeQueueAdmit,
+  generateProductId,
+  activeCampaignArb,
+  userIdArb,
+  uniqueUserIdsArb,
+} = require('./helpers/testHelpers')
+
+describe('Seckill Waiting Room Property Tests', function () {
+  this.timeout(60000)
+
+  let client
+  let reserveSHA
+  let queueJoinSHA
+  let queueAdmitSHA
+
+  before(async function () {
+    try {
+      client = await createRedisClient()
+      const scripts = await loadLuaScripts(client)
+      reserveSHA = scripts.reserveSHA
+      queueJoinSHA = scripts.queueJoinSHA
+      queueAdmitSHA = scripts.queueAdmitSHA
+    } catch (err) {
+      console.log('Redis not available, skipping tests')
+      this.skip()
+    }
+  })
+
+  after(async function () {
+    if (client && client.isOpen) {
+      await client.quit()
+    }
+  })
+
+  beforeEach(async function () {
+    const keys = await client.keys('seckill:test:*')
+    if (keys.length > 0) {
+      await client.del(keys)
+    }
+  })
+
+  /**
+   * **Feature: seckill-service, Property 14: Waiting Room Admits Users in FIFO Order**
+   *
+   * *For any* sequence of distinct users joining a campaign with admission rate R,
+   * each user SHALL keep the rank of their first join, the first R users SHALL be admitted
+   * immediately, and the set of admitted users SHALL always be a prefix of the join order.
+   */
+  describe('Property 14: Waiting Room Admits Users in FIFO Order', function () {
+    it('should admit a prefix of the join order', async function () {
+      await fc.assert(
+        fc.asyncProperty(
+          activeCampaignArb,
+          uniqueUserIdsArb,
+          fc.integer({ min: 1, max: 5 }),
+          async (campaignParams, userIds, admissionRate) => {
+            const productId = generateProductId('queue-fifo')
+
+            await initCampaign(client, productId, { ...campaignParams, admissionRate })
+
+            for (let i = 0; i < userIds.length; i++) {
+              const rank = await executeQueueJoin(client, queueJoinSHA, productId, userIds[i])
+              expect(rank).to.equal(i)
+            }
+
+            // Re-joining keeps the original place in line
+            const rejoinRank = await executeQueueJoin(client, queueJoinSHA, productId, userIds[0])
+            expect(rejoinRank).to.equal(0)
+
+            // Poll from the back of the line so the (monotonic) frontier can only
+            // grow as we move towards the front
+            const admitted = []
+            for (let i = userIds.length - 1; i >= 0; i--) {
+              const [position] = await executeQueueAdmit(client, queueAdmitSHA, productId, userIds[i])
+              expect(position).to.be.at.least(0)
+              expect(position).to.be.at.most(i + 1)
+              if (i < admissionRate) {
+                expect(position).to.equal(0, 'First admissionRate users should be admitted immediately')
+              }
+              admitted[i] = position === 0
+            }
+
+            const firstWaiting = admitted.indexOf(false)
+            if (firstWaiting !== -1) {
+              expect(admitted.slice(firstWaiting).every((isAdmitted) => !isAdmitted)).to.equal(true)
+            }
+
+            await cleanupTestKeys(client, productId)
+          }
+        ),
+        { numRuns: 50, verbose: true }
+      )
+    })
+
+    it('should report NOT_IN_QUEUE (-1) for users who never joined', async function () {
+      await fc.assert(
+        fc.asyncProperty(activeCampaignArb, userIdArb, async (campaignParams, userId) => {
+          const productId = generateProductId('queue-missing')
+
+          await initCampaign(client, productId, { ...campaignParams, admissionRate: 1 })
+
+          const [position] = await executeQueueAdmit(client, queueAdmitSHA, productId, userId)
+          expect(position).to.equal(-1)
+
+          await cleanupTestKeys(client, productId)
+        }),
+        { numRuns: 50, verbose: true }
+      )
+    })
+
+    it('should reject joining a campaign that does not exist', async function () {
+      await fc.assert(
+        fc.asyncProperty(userIdArb, async (userId) => {
+          const productId = generateProductId('queue-no-campaign')
+
+          const result = await executeQueueJoin(client, queueJoinSHA, productId, userId)
+          expect(result).to.equal(-3, 'Join on missing campaign should return CAMPAIGN_NOT_FOUND (-3)')
+        }),
+        { numRuns: 50, verbose: true }
+      )
+    })
+  })
+
+  /**
+   * **Feature: seckill-service, Property 15: Waiting Room Campaigns Require Admission to Buy**
+   *
+   * *For any* campaign with an admission rate, a buy without admission SHALL return
+   * ADMISSION_REQUIRED (-9) and leave stock and winners unchanged, while an admitted buy
+   * SHALL succeed once per admission token (ADMISSION_USED (-11) on replay).
+   * Campaigns without an admission rate SHALL not require admission.
+   */
+  describe('Property 15: Waiting Room Campaigns Require Admission to Buy', function () {
+    it('should reject unadmitted buys on waiting room campaigns', async function () {
+      await fc.assert(
+        fc.asyncProperty(
+          activeCampaignArb,
+          userIdArb,
+          fc.integer({ min: 1, max: 100 }),
+          async (campaignParams, userId, admissionRate) => {
+            const productId = generateProductId('queue-gate')
+
+            await initCampaign(client, productId, { ...campaignParams, admissionRate })
+
+            const rejected = await executeBuy(client, reserveSHA, productId, userId)
+            expect(rejected).to.equal(-9, 'Unadmitted buy should return ADMISSION_REQUIRED (-9)')
+
+            const status = await getStatus(client, productId)
+            expect(status.stockRemaining).to.equal(campaignParams.stock)
+            expect(await getWinnersCount(client, productId)).to.equal(0)
+
+            const accepted = await executeBuy(client, reserveSHA, productId, userId, 1000, 60, 1, `admission-${userId}`)
+            expect(accepted).to.equal(1)
+
+            await cleanupTestKeys(client, productId)
+          }
+        ),
+        { numRuns: 100, verbose: true }
+      )
+    })
+
+    it('should spend an admission token on a successful buy', async function () {
+      await fc.assert(
+        fc.asyncProperty(
+          activeCampaignArb,
+          userIdArb,
+          fc.integer({ min: 1, max: 100 }),
+          async (campaignParams, userId, admissionRate) => {
+            const productId = generateProductId('queue-spend')
+            const admissionId = `admission-${userId}`
+
+            await initCampaign(client, productId, { ...campaignParams, stock: Math.max(campaignParams.stock, 2), perUserLimit: 2, admissionRate })
+
+            expect(await executeBuy(client, reserveSHA, productId, userId, 1000, 60, 1, admissionId)).to.equal(1)
+
+            const replayed = await executeBuy(client, reserveSHA, productId, userId, 1000, 60, 1, admissionId)
+            expect(replayed).to.equal(-11, 'Replayed admission token should return ADMISSION_USED (-11)')
+            expect(await getWinnersCount(client, productId)).to.equal(1)
+
+            // A fresh admission token buys again (up to the per-user limit)
+            expect(await executeBuy(client, reserveSHA, productId, userId, 1000, 60, 1, `${admissionId}-2`)).to.equal(1)
+
+            await cleanupTestKeys(client, productId)
+          }
+        ),
+        { numRuns: 100, verbose: true }
+      )
+    })
+
+    it('should not require admission when the campaign has no waiting room', async function () {
+      await fc.assert(
+        fc.asyncProperty(activeCampaignArb, userIdArb, async (campaignParams, userId) => {
+          const productId = generateProductId('queue-disabled')
+
+          await initCampaign(client, productId, campaignParams)
+
+          const result = await executeBuy(client, reserveSHA, productId, userId)
+          expect(result).to.equal(1)
+
+          await cleanupTestKeys(client, productId)
+        }),
+        { numRuns: 100, verbose: true }
+      )
+    })
+  })
+})
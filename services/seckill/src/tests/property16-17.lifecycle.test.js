@@ -0,0 +1,154 @@
+/**
+ * Property-Based Tests for Seckill Service - Campaign Lifecycle Properties (16, 17)
+ *
+ * Property 16: Paused Campaigns Reject Purchases Without Changing State
+ * Property 17: Stock Top-Up Preserves Winners
+ */
+
+const { describe, it, before, after, beforeEach } = require('mocha')
+const { expect } = require('chai')
+const fc = require('fast-check')
+
+const {
+  createRedisClient,
+  initCampaign,
+  getStatus,
+  getWinnersCount,
+  isUserInWinners,
+  cleanupTestKeys,
+  loadLuaScripts,
+  executeBuy,
+  executeTopUp,
+  setPaused,
+  generateProductId,
+  activeCampaignArb,
+  userIdArb,
+  uniqueUserIdsArb,
+} = require('./helpers/testHelpers')
+
+describe('Seckill Campaign Lifecycle Property Tests', function () {
+  this.timeout(60000)
+
+  let client
+  let reserveSHA
+  let topUpSHA
+
+  before(async function () {
+    try {
+      client = await createRedisClient()
+      const scripts = await loadLuaScripts(client)
+      reserveSHA = scripts.reserveSHA
+      topUpSHA = scripts.topUpSHA
+    } catch (err) {
+      console.log('Redis not available, skipping tests')
+      this.skip()
+    }
+  })
+
+  after(async function () {
+    if (client && client.isOpen) {
+      await client.quit()
+    }
+  })
+
+  beforeEach(async function () {
+    const keys = await client.keys('seckill:test:*')
+    if (keys.length > 0) {
+      await client.del(keys)
+    }
+  })
+
+  /**
+   * **Feature: seckill-service, Property 16: Paused Campaigns Reject Purchases Without Changing State**
+   *
+   * *For any* active campaign that is paused, a buy SHALL return CAMPAIGN_PAUSED (-10)
+   * and leave stock and winners unchanged; after resuming, the same buy SHALL succeed.
+   */
+  describe('Property 16: Paused Campaigns Reject Purchases Without Changing State', function () {
+    it('should reject buys while paused and accept them after resume', async function () {
+      await fc.assert(
+        fc.asyncProperty(activeCampaignArb, userIdArb, async (campaignParams, userId) => {
+          const productId = generateProductId('paused')
+
+          await initCampaign(client, productId, campaignParams)
+          await setPaused(client, productId, true)
+
+          const rejected = await executeBuy(client, reserveSHA, productId, userId)
+          expect(rejected).to.equal(-10, 'Buy on paused campaign should return CAMPAIGN_PAUSED (-10)')
+
+          const status = await getStatus(client, productId)
+          expect(status.stockRemaining).to.equal(campaignParams.stock)
+          expect(await getWinnersCount(client, productId)).to.equal(0)
+
+          await setPaused(client, productId, false)
+
+          const accepted = await executeBuy(client, reserveSHA, productId, userId)
+          expect(accepted).to.equal(1)
+
+          await cleanupTestKeys(client, productId)
+        }),
+        { numRuns: 100, verbose: true }
+      )
+    })
+  })
+
+  /**
+   * **Feature: seckill-service, Property 17: Stock Top-Up Preserves Winners**
+   *
+   * *For any* campaign with existing winners, topping up stock by N units SHALL increase
+   * remaining and total stock by exactly N and keep every existing winner.
+   */
+  describe('Property 17: Stock Top-Up Preserves Winners', function () {
+    it('should add exactly N units and keep existing winners', async function () {
+      await fc.assert(
+        fc.asyncProperty(
+          uniqueUserIdsArb,
+          fc.integer({ min: 1, max: 1000 }),
+          async (userIds, amount) => {
+            const productId = generateProductId('topup')
+            const stock = userIds.length + 10
+
+            await initCampaign(client, productId, {
+              stock,
+              price: 9.99,
+              startTime: new Date(Date.now() - 3600000).toISOString(),
+              endTime: new Date(Date.now() + 3600000).toISOString(),
+            })
+
+            for (const userId of userIds) {
+              expect(await executeBuy(client, reserveSHA, productId, userId)).to.equal(1)
+            }
+
+            const before = await getStatus(client, productId)
+            const result = await executeTopUp(client, topUpSHA, productId, amount)
+            const after = await getStatus(client, productId)
+
+            expect(result).to.equal(before.stockRemaining + amount)
+            expect(after.stockRemaining).to.equal(before.stockRemaining + amount)
+            expect(after.totalStock).to.equal(before.totalStock + amount)
+            expect(await getWinnersCount(client, productId)).to.equal(userIds.length)
+            for (const userId of userIds) {
+              expect(await isUserInWinners(client, productId, userId)).to.equal(true)
+            }
+
+            await cleanupTestKeys(client, productId)
+          }
+        ),
+        { numRuns: 50, verbose: true }
+      )
+    })
+
+    it('should return CAMPAIGN_NOT_FOUND without creating keys for missing campaigns', async function () {
+      await fc.assert(
+        fc.asyncProperty(fc.integer({ min: 1, max: 1000 }), async (amount) => {
+          const productId = generateProductId('topup-missing')
+
+          const result = await executeTopUp(client, topUpSHA, productId, amount)
+          expect(result).to.equal(-3, 'Top-up on missing campaign should return CAMPAIGN_NOT_FOUND (-3)')
+          expect(await client.exists(`seckill:test:${productId}:stock`)).to.equal(0)
+        }),
+        { numRuns: 50, verbose: true }
+      )
+    })
+  })
+})
@@ -0,0 +1,187 @@
+/**
+ * Property-Based Tests for Seckill Service - Recovery Properties (18, 19)
+ *
+ * Property 18: Restored Campaigns Match Their Durable State
+ * Property 19: Restore Never Overwrites a Campaign Present in Redis
+ */
+
+const { describe, it, before, after, beforeEach } = require('mocha')
+const { expect } = require('chai')
+const fc = require('fast-check')
+
+const {
+  createRedisClient,
+  initCampaign,
+  getStatus,
+  getWinnersCount,
+  getUserUnits,
+  cleanupTestKeys,
+  loadLuaScripts,
+  executeBuy,
+  executeRestore,
+  generateProductId,
+  activeCampaignArb,
+  userIdArb,
+  uniqueUserIdsArb,
+} = require('./helpers/testHelpers')
+
+describe('Seckill Recovery Property Tests', function () {
+  this.timeout(60000)
+
+  let client
+  let reserveSHA
+  let restoreSHA
+
+  before(async function () {
+    try {
+      client = await createRedisClient()
+      const scripts = await loadLuaScripts(client)
+      reserveSHA = scripts.reserveSHA
+      restoreSHA = scripts.restoreSHA
+    } catch (err) {
+      console.log('Redis not available, skipping tests')
+      this.skip()
+    }
+  })
+
+  after(async function () {
+    if (client && client.isOpen) {
+      await client.quit()
+    }
+  })
+
+  beforeEach(async function () {
+    const keys = await client.keys('seckill:test:*')
+    if (keys.length > 0) {
+      await client.del(keys)
+    }
+  })
+
+  /**
+   * **Feature: seckill-service, Property 18: Restored Campaigns Match Their Durable State**
+   *
+   * *For any* durable campaign and set of winners, restoring into an empty Redis SHALL
+   * recreate the remaining stock, the total, every winner's units and the pause flag,
+   * and the restored campaign SHALL sell exactly its remaining stock.
+   */
+  describe('Property 18: Restored Campaigns Match Their Durable State', function () {
+    it('should recreate stock and winners and keep selling from the remaining stock', async function () {
+      await fc.assert(
+        fc.asyncProperty(
+          uniqueUserIdsArb,
+          fc.integer({ min: 1, max: 3 }),
+          fc.integer({ min: 0, max: 5 }),
+          async (userIds, units, extra) => {
+            const productId = generateProductId('restore')
+            const winners = userIds.map((userId) => ({ userId, quantity: units }))
+            const total = userIds.length * units + extra
+
+            const result = await executeRestore(client, restoreSHA, productId, {
+              stock: extra,
+              total,
+              price: 9.99,
+              startTime: new Date(Date.now() - 3600000).toISOString(),
+              endTime: new Date(Date.now() + 3600000).toISOString(),
+              perUserLimit: 3,
+            }, winners)
+            expect(result).to.equal(1)
+
+            const status = await getStatus(client, productId)
+            expect(status.stockRemaining).to.equal(extra)
+            expect(status.totalStock).to.equal(total)
+            expect(await getWinnersCount(client, productId)).to.equal(userIds.length)
+            for (const userId of userIds) {
+              expect(await getUserUnits(client, productId, userId)).to.equal(units)
+            }
+
+            // Only the remaining stock can be sold again
+            let sold = 0
+            for (let i = 0; i < extra + 1; i++) {
+              if (await executeBuy(client, reserveSHA, productId, `buyer-${i}`) === 1) {
+                sold++
+              }
+            }
+            expect(sold).to.equal(extra)
+
+            await cleanupTestKeys(client, productId)
+          }
+        ),
+        { numRuns: 50, verbose: true }
+      )
+    })
+
+    it('should restore the pause flag', async function () {
+      await fc.assert(
+        fc.asyncProperty(activeCampaignArb, userIdArb, async (campaignParams, userId) => {
+          const productId = generateProductId('restore-paused')
+
+          await executeRestore(client, restoreSHA, productId, {
+            ...campaignParams,
+            total: campaignParams.stock,
+            paused: true,
+          })
+
+          expect(await executeBuy(client, reserveSHA, productId, userId)).to.equal(-10)
+
+          await cleanupTestKeys(client, productId)
+        }),
+        { numRuns: 100, verbose: true }
+      )
+    })
+  })
+
+  /**
+   * **Feature: seckill-service, Property 19: Restore Never Overwrites a Campaign Present in Redis**
+   *
+   * *For any* campaign whose stock key exists, a restore SHALL return ALREADY_PRESENT (0)
+   * and leave stock, total and winners unchanged, so it can be retried safely.
+   */
+  describe('Property 19: Restore Never Overwrites a Campaign Present in Redis', function () {
+    it('should leave a present campaign untouched', async function () {
+      await fc.assert(
+        fc.asyncProperty(activeCampaignArb, userIdArb, async (campaignParams, userId) => {
+          const productId = generateProductId('restore-present')
+
+          await initCampaign(client, productId, campaignParams)
+          expect(await executeBuy(client, reserveSHA, productId, userId)).to.equal(1)
+          const before = await getStatus(client, productId)
+
+          // A stale durable copy without the winner
+          const result = await executeRestore(client, restoreSHA, productId, {
+            ...campaignParams,
+            total: campaignParams.stock,
+          })
+          expect(result).to.equal(0, 'Restore over a present campaign should return ALREADY_PRESENT (0)')
+
+          const after = await getStatus(client, productId)
+          expect(after.stockRemaining).to.equal(before.stockRemaining)
+          expect(after.totalStock).to.equal(before.totalStock)
+          expect(await getUserUnits(client, productId, userId)).to.equal(1)
+
+          await cleanupTestKeys(client, productId)
+        }),
+        { numRuns: 100, verbose: true }
+      )
+    })
+
+    it('should restore a campaign only once', async function () {
+      await fc.assert(
+        fc.asyncProperty(activeCampaignArb, userIdArb, async (campaignParams, userId) => {
+          const productId = generateProductId('restore-twice')
+          const campaign = { ...campaignParams, total: campaignParams.stock }
+
+          expect(await executeRestore(client, restoreSHA, productId, campaign)).to.equal(1)
+          expect(await executeBuy(client, reserveSHA, productId, userId)).to.equal(1)
+          expect(await executeRestore(client, restoreSHA, productId, campaign)).to.equal(0)
+
+          const status = await getStatus(client, productId)
+          expect(status.stockRemaining).to.equal(campaignParams.stock - 1)
+          expect(await getWinnersCount(client, productId)).to.equal(1)
+
+          await cleanupTestKeys(client, productId)
+        }),
+        { numRuns: 100, verbose: true }
+      )
+    })
+  })
+})
@@ -0,0 +1,178 @@
+/**
+ * Unit Tests for Seckill Reconciliation
+ *
+ * ReconciliationService runs against sinon stubs of the seckill service, the
+ * Order and Inventory Service clients and the Redis lock, so no Redis or
+ * downstream service is needed.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { expect } = require('chai')
+const sinon = require('sinon')
+
+const redisClient = require('../config/redis')
+const { orderClient } = require('../clients/orderClient')
+const { inventoryClient } = require('../clients/inventoryClient')
+const seckillService = require('../services/seckillService')
+const emergencyReplayService = require('../services/emergencyReplayService')
+const reconciliationService = require('../services/reconciliationService')
+
+const PRODUCT_ID = 'product-1'
+
+describe('ReconciliationService', () => {
+  let campaign
+  let winners
+  let orders
+  let firstSeen
+
+  beforeEach(() => {
+    campaign = { productId: PRODUCT_ID, totalStock: 10, stockRemaining: 7 }
+    winners = [{ userId: 'alice', quantity: 2 }, { userId: 'bob', quantity: 1 }]
+    orders = [
+      { orderId: 'order-1', user: 'alice', quantity: 2, status: 'PAID' },
+      { orderId: 'order-2', user: 'bob', quantity: 1, status: 'PENDING' },
+    ]
+    // Unmatched since long before the grace period
+    firstSeen = 0
+
+    sinon.stub(seckillService, 'getCampaign').callsFake(async () => campaign)
+    sinon.stub(seckillService, 'getWinners').callsFake(async () => winners)
+    sinon.stub(seckillService, 'markUnmatchedWinners').callsFake(async (productId, userIds) => (
+      Object.fromEntries(userIds.map((userId) => [userId, firstSeen]))
+    ))
+    sinon.stub(seckillService, 'releaseSlot').callsFake(async (userId, productId, { quantity }) => ({ released: true, quantity }))
+    sinon.stub(orderClient, 'get').callsFake(async () => ({ orders }))
+    sinon.stub(inventoryClient, 'get').resolves({ productId: PRODUCT_ID, available: 7, reserved: 3 })
+    sinon.stub(emergencyReplayService, 'listEntries').returns([])
+
+    // Lock taken and released through the Redis client
+    const values = new Map()
+    sinon.stub(redisClient, 'set').callsFake(async (key, value, options = {}) => {
+      if (options.NX && values.has(key)) {
+        return null
+      }
+      values.set(key, value)
+      return 'OK'
+    })
+    sinon.stub(redisClient, 'get').callsFake(async (key) => values.get(key) ?? null)
+    sinon.stub(redisClient, 'del').callsFake(async (key) => (values.delete(key) ? 1 : 0))
+  })
+
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  const reconcile = async (options = {}) => {
+    const report = await reconciliationService.run({ productId: PRODUCT_ID, autoCompensate: false, ...options })
+    return report.campaigns[0]
+  }
+
+  it('should report a campaign whose winners, orders and stock match as clean', async () => {
+    const result = await reconcile()
+
+    expect(result.clean).to.be.true
+    expect(result.totals).to.deep.equal({
+      totalStock: 10,
+      stockRemaining: 7,
+      unitsHeld: 3,
+      orderedUnits: 3,
+      winners: 2,
+      orders: 2,
+    })
+    expect(result.winnersWithoutOrders).to.deep.equal([])
+    expect(result.ordersWithoutWinners).to.deep.equal([])
+    expect(result.stockDrift).to.equal(0)
+    expect(result.inventoryShortfall).to.equal(0)
+    expect(orderClient.get.firstCall.args[0]).to.equal('/api/orders/admin/seckill/product-1')
+  })
+
+  it('should report a winner without an order after the grace period', async () => {
+    orders = orders.slice(0, 1)
+
+    const result = await reconcile()
+
+    expect(result.clean).to.be.false
+    expect(result.winnersWithoutOrders).to.have.length(1)
+    expect(result.winnersWithoutOrders[0]).to.include({ userId: 'bob', winnerUnits: 1, orderedUnits: 0, missingUnits: 1, pendingReplay: false })
+    expect(seckillService.markUnmatchedWinners.firstCall.args).to.deep.equal([PRODUCT_ID, ['bob']])
+    expect(result.compensations).to.deep.equal([])
+  })
+
+  it('should not count cancelled orders', async () => {
+    orders[1].status = 'CANCELLED'
+
+    const result = await reconcile()
+
+    expect(result.winnersWithoutOrders.map(({ userId }) => userId)).to.deep.equal(['bob'])
+  })
+
+  it('should wait for the grace period before reporting a winner', async () => {
+    orders = orders.slice(0, 1)
+    firstSeen = Date.now()
+
+    const result = await reconcile()
+
+    expect(result.winnersWithoutOrders).to.deep.equal([])
+    expect(result.pendingWinners).to.equal(1)
+  })
+
+  it('should release winners without orders unless their event is pending replay', async () => {
+    orders = []
+    emergencyReplayService.listEntries.returns([{ eventType: 'seckill.order.won', productId: PRODUCT_ID, userId: 'alice' }])
+
+    const result = await reconcile({ autoCompensate: true })
+
+    expect(result.compensations).to.deep.equal([
+      { userId: 'alice', action: 'skipped', reason: 'PENDING_REPLAY' },
+      { userId: 'bob', action: 'released', quantity: 1 },
+    ])
+    expect(seckillService.releaseSlot.calledOnce).to.be.true
+    expect(seckillService.releaseSlot.firstCall.args).to.deep.equal(['bob', PRODUCT_ID, { orderId: 'reconciliation', quantity: 1 }])
+  })
+
+  it('should report orders for more units than their user holds', async () => {
+    winners = [{ userId: 'alice', quantity: 2 }]
+    campaign.stockRemaining = 8
+
+    const result = await reconcile()
+
+    expect(result.ordersWithoutWinners).to.deep.equal([
+      { userId: 'bob', orderIds: ['order-2'], orderedUnits: 1, winnerUnits: 0 },
+    ])
+  })
+
+  it('should report a stock drift', async () => {
+    // 10 total, 6 remaining, 3 held: one unit unaccounted for
+    campaign.stockRemaining = 6
+
+    const result = await reconcile()
+
+    expect(result.clean).to.be.false
+    expect(result.stockDrift).to.equal(1)
+    expect(result.winnersWithoutOrders).to.deep.equal([])
+  })
+
+  it('should report an inventory shortfall', async () => {
+    inventoryClient.get.resolves({ productId: PRODUCT_ID, available: 5, reserved: 3 })
+
+    const result = await reconcile()
+
+    expect(result.inventoryShortfall).to.equal(2)
+    expect(result.clean).to.be.false
+  })
+
+  it('should report a campaign missing from Redis as an error', async () => {
+    campaign = null
+
+    const result = await reconcile()
+
+    expect(result.error).to.equal('CAMPAIGN_NOT_FOUND')
+  })
+
+  it('should skip the run while another instance holds the lock', async () => {
+    await redisClient.set('seckill:reconciliation:lock', 'other-instance')
+
+    expect(await reconciliationService.run({ productId: PRODUCT_ID })).to.be.null
+    expect(seckillService.getCampaign.called).to.be.false
+  })
+})
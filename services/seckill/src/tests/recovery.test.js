@@ -0,0 +1,261 @@
+/**
+ * Unit Tests for Seckill Durable State and Recovery
+ *
+ * The campaign repository, restore and recovery services and the buy path run
+ * against sinon stubs of the Redis client and the Mongoose models, so neither
+ * Redis nor MongoDB is needed. The restore script itself is covered by
+ * property18-19.recovery.test.js.
+ */
+
+const { describe, it, beforeEach, afterEach } = require('mocha')
+const { expect } = require('chai')
+const sinon = require('sinon')
+
+const redisClient = require('../config/redis')
+const SeckillCampaign = require('../models/seckillCampaign')
+const SeckillWinner = require('../models/seckillWinner')
+const campaignRepository = require('../repositories/campaignRepository')
+const seckillService = require('../services/seckillService')
+const recoveryService = require('../services/recoveryService')
+
+function buildCampaign(fields = {}) {
+  return {
+    productId: 'product-1',
+    totalStock: 10,
+    price: 9.99,
+    startTime: new Date(Date.now() - 3600000),
+    endTime: new Date(Date.now() + 3600000),
+    perUserLimit: 2,
+    admissionRate: null,
+    paused: false,
+    ...fields,
+  }
+}
+
+describe('Seckill durable state', () => {
+  afterEach(() => {
+    sinon.restore()
+  })
+
+  describe('CampaignRepository', () => {
+    it('should add units to the winner record', async () => {
+      sinon.stub(SeckillWinner, 'updateOne').resolves({ acknowledged: true })
+
+      await campaignRepository.recordWin('product-1', 'alice', 2)
+
+      expect(SeckillWinner.updateOne.firstCall.args).to.deep.equal([
+        { productId: 'product-1', userId: 'alice' },
+        { $inc: { quantity: 2 } },
+        { upsert: true },
+      ])
+    })
+
+    it('should rethrow a failed winner write', async () => {
+      sinon.stub(SeckillWinner, 'updateOne').rejects(new Error('MongoDB unreachable'))
+
+      let error
+      try {
+        await campaignRepository.recordWin('product-1', 'alice', 1)
+      } catch (err) {
+        error = err
+      }
+
+      expect(error.message).to.equal('MongoDB unreachable')
+    })
+
+    it('should rethrow a failed release write', async () => {
+      sinon.stub(SeckillWinner, 'updateOne').rejects(new Error('MongoDB unreachable'))
+
+      let error
+      try {
+        await campaignRepository.recordRelease('product-1', 'alice', 1)
+      } catch (err) {
+        error = err
+      }
+
+      expect(error.message).to.equal('MongoDB unreachable')
+    })
+
+    it('should only find winners still holding units', async () => {
+      const lean = sinon.stub().resolves([{ userId: 'alice', quantity: 2 }])
+      const select = sinon.stub().returns({ lean })
+      sinon.stub(SeckillWinner, 'find').returns({ select })
+
+      const winners = await campaignRepository.findWinners('product-1')
+
+      expect(SeckillWinner.find.firstCall.args[0]).to.deep.equal({ productId: 'product-1', quantity: { $gt: 0 } })
+      expect(winners).to.deep.equal([{ userId: 'alice', quantity: 2 }])
+    })
+
+    it('should only find active campaigns within the key retention period', async () => {
+      const lean = sinon.stub().resolves([])
+      sinon.stub(SeckillCampaign, 'find').returns({ lean })
+      const now = Date.now()
+
+      await campaignRepository.findRecoverable(3600)
+
+      const filter = SeckillCampaign.find.firstCall.args[0]
+      expect(filter.status).to.equal('ACTIVE')
+      expect(filter.endTime.$gt.getTime()).to.be.closeTo(now - 3600 * 1000, 1000)
+    })
+  })
+
+  describe('SeckillService.restoreCampaign', () => {
+    beforeEach(() => {
+      sinon.stub(redisClient, 'evalSha').resolves(1)
+    })
+
+    const restoreArguments = () => redisClient.evalSha.firstCall.args[1].arguments
+
+    it('should restore the total stock minus the units held by winners', async () => {
+      const winners = [{ userId: 'alice', quantity: 2 }, { userId: 'bob', quantity: 3 }]
+
+      const result = await seckillService.restoreCampaign(buildCampaign(), winners)
+
+      expect(redisClient.evalSha.firstCall.args[0]).to.equal('restore')
+      expect(restoreArguments().slice(0, 2)).to.deep.equal(['5', '10'])
+      expect(restoreArguments().slice(12)).to.deep.equal(['alice', '2', 'bob', '3'])
+      expect(result).to.deep.equal({ restored: true, stockRemaining: 5, winnersCount: 2 })
+    })
+
+    it('should never restore a negative stock', async () => {
+      const result = await seckillService.restoreCampaign(buildCampaign({ totalStock: 2 }), [{ userId: 'alice', quantity: 3 }])
+
+      expect(restoreArguments()[0]).to.equal('0')
+      expect(result.stockRemaining).to.equal(0)
+    })
+
+    it('should pass the pause flag and waiting room to the script', async () => {
+      await seckillService.restoreCampaign(buildCampaign({ paused: true, admissionRate: 50 }), [])
+
+      expect(restoreArguments()[8]).to.equal('50')
+      expect(restoreArguments()[9]).to.not.equal('')
+    })
+
+    it('should report a campaign already present in Redis as not restored', async () => {
+      redisClient.evalSha.resolves(0)
+
+      const result = await seckillService.restoreCampaign(buildCampaign(), [])
+
+      expect(result).to.deep.equal({ restored: false })
+    })
+  })
+
+  describe('RecoveryService.recoverCampaigns', () => {
+    beforeEach(() => {
+      sinon.stub(campaignRepository, 'findRecoverable').resolves([
+        buildCampaign({ productId: 'lost' }),
+        buildCampaign({ productId: 'present' }),
+        buildCampaign({ productId: 'broken' }),
+      ])
+      sinon.stub(campaignRepository, 'findWinners').callsFake(async (productId) => {
+        if (productId === 'broken') {
+          throw new Error('MongoDB unreachable')
+        }
+        return [{ userId: 'alice', quantity: 1 }]
+      })
+      sinon.stub(campaignRepository, 'markRecovered').resolves()
+      sinon.stub(seckillService, 'restoreCampaign').callsFake(async (campaign) => (
+        campaign.productId === 'present' ? { restored: false } : { restored: true, stockRemaining: 9, winnersCount: 1 }
+      ))
+    })
+
+    it('should restore missing campaigns and skip present ones', async () => {
+      const summary = await recoveryService.recoverCampaigns()
+
+      expect(summary).to.deep.equal({ total: 3, recovered: 1, present: 1, failed: 1 })
+      expect(seckillService.restoreCampaign.firstCall.args[1]).to.deep.equal([{ userId: 'alice', quantity: 1 }])
+      expect(campaignRepository.markRecovered.callCount).to.equal(1)
+      expect(campaignRepository.markRecovered.firstCall.args[0]).to.equal('lost')
+    })
+
+    it('should be idempotent once every campaign is back in Redis', async () => {
+      seckillService.restoreCampaign.resolves({ restored: false })
+      campaignRepository.findWinners.resolves([])
+
+      const summary = await recoveryService.recoverCampaigns()
+
+      expect(summary).to.deep.equal({ total: 3, recovered: 0, present: 3, failed: 0 })
+      expect(campaignRepository.markRecovered.called).to.be.false
+    })
+
+    it('should count a failed restore and carry on', async () => {
+      seckillService.restoreCampaign.onFirstCall().rejects(new Error('NOSCRIPT'))
+
+      const summary = await recoveryService.recoverCampaigns()
+
+      expect(summary.failed).to.equal(2)
+      expect(seckillService.restoreCampaign.callCount).to.equal(2)
+    })
+
+    it('should fail when the campaigns cannot be read', async () => {
+      campaignRepository.findRecoverable.rejects(new Error('MongoDB unreachable'))
+
+      let error
+      try {
+        await recoveryService.recoverCampaigns()
+      } catch (err) {
+        error = err
+      }
+
+      expect(error.message).to.equal('MongoDB unreachable')
+    })
+  })
+
+  describe('SeckillService.buy', () => {
+    let messageBroker
+
+    beforeEach(() => {
+      messageBroker = { publish: sinon.stub().resolves() }
+      seckillService.setMessageBroker(messageBroker)
+      sinon.stub(redisClient, 'evalSha').callsFake(async (scriptName) => (scriptName === 'reserve' ? 1 : 2))
+      sinon.stub(redisClient, 'get').resolves('9.99')
+      sinon.stub(redisClient, 'del').resolves(1)
+    })
+
+    afterEach(() => {
+      seckillService.setMessageBroker(null)
+    })
+
+    it('should record the winner before reporting success', async () => {
+      sinon.stub(campaignRepository, 'recordWin').resolves()
+
+      const result = await seckillService.buy('alice', 'product-1', 2)
+
+      expect(result.success).to.be.true
+      expect(campaignRepository.recordWin.firstCall.args).to.deep.equal(['product-1', 'alice', 2])
+      expect(campaignRepository.recordWin.calledBefore(messageBroker.publish)).to.be.true
+    })
+
+    it('should release the slot and fail when the winner cannot be persisted', async () => {
+      sinon.stub(campaignRepository, 'recordWin').rejects(new Error('MongoDB unreachable'))
+
+      const result = await seckillService.buy('alice', 'product-1', 2, { admissionId: 'admission-1' })
+
+      expect(result).to.deep.equal({ success: false, error: 'PERSISTENCE_FAILED' })
+      const release = redisClient.evalSha.getCalls().find((call) => call.args[0] === 'release')
+      expect(release.args[1]).to.deep.equal({
+        keys: ['seckill:product-1:stock', 'seckill:product-1:users'],
+        arguments: ['alice', '2'],
+      })
+      // The admission token can be used for a retry
+      expect(redisClient.del.firstCall.args[0]).to.equal('seckill:product-1:admission:used:admission-1')
+      expect(messageBroker.publish.called).to.be.false
+    })
+
+    it('should still fail when the slot cannot be released', async () => {
+      sinon.stub(campaignRepository, 'recordWin').rejects(new Error('MongoDB unreachable'))
+      redisClient.evalSha.callsFake(async (scriptName) => {
+        if (scriptName === 'release') {
+          throw new Error('Connection lost')
+        }
+        return 1
+      })
+
+      const result = await seckillService.buy('alice', 'product-1')
+
+      expect(result).to.deep.equal({ success: false, error: 'PERSISTENCE_FAILED' })
+      expect(messageBroker.publish.called).to.be.false
+    })
+  })
+})
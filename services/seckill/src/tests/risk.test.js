@@ -0,0 +1,221 @@
+/**
+ * Unit Tests for Seckill Risk Checks
+ *
+ * RiskService and the default checks run against an in-memory stand-in for
+ * the Redis client, so no Redis is needed.
+ */
+
+const { describe, it, before, after, beforeEach } = require('mocha')
+const { expect } = require('chai')
+
+const redisClient = require('../config/redis')
+const config = require('../config')
+const riskService = require('../services/riskService')
+const { accountsPerDevice, accountsPerIp, userAgent } = require('../services/riskChecks')
+const { buildRiskContext } = require('../middlewares/riskCheckMiddleware')
+
+const BROWSER_UA = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36'
+
+/**
+ * In-memory client with the Redis commands used by the risk checks
+ */
+function createFakeRedis() {
+  const sets = new Map()
+  const values = new Map()
+
+  const commands = {
+    sAdd(key, member) {
+      if (!sets.has(key)) sets.set(key, new Set())
+      const added = sets.get(key).has(member) ? 0 : 1
+      sets.get(key).add(member)
+      return added
+    },
+    sRem: (key, member) => (sets.get(key)?.delete(member) ? 1 : 0),
+    sCard: (key) => sets.get(key)?.size || 0,
+    sIsMember: (key, member) => Boolean(sets.get(key)?.has(member)),
+    sMembers: (key) => [...(sets.get(key) || [])],
+    expire: () => 1,
+    incr(key) {
+      const value = Number(values.get(key) || 0) + 1
+      values.set(key, String(value))
+      return value
+    },
+    get: (key) => values.get(key) ?? null,
+    set(key, value) {
+      values.set(key, String(value))
+      return 'OK'
+    },
+  }
+
+  const client = {
+    multi() {
+      const queued = []
+      const multi = { exec: async () => queued.map((command) => command()) }
+      for (const [name, command] of Object.entries(commands)) {
+        multi[name] = (...args) => {
+          queued.push(() => command(...args))
+          return multi
+        }
+      }
+      return multi
+    },
+  }
+  for (const [name, command] of Object.entries(commands)) {
+    client[name] = async (...args) => command(...args)
+  }
+  return client
+}
+
+function buyRequest(userId, headers = {}) {
+  return {
+    headers: { 'user-agent': BROWSER_UA, 'accept-language': 'vi-VN', 'accept-encoding': 'gzip', ...headers },
+    ip: '203.0.113.7',
+    user: { id: userId },
+    body: { productId: 'product-1' },
+  }
+}
+
+// Seed the account age cache so the check doesn't call Auth Service
+async function seedAccountCreatedAt(userId, createdAt) {
+  await redisClient.set(`seckill:risk:account:${userId}:created`, String(createdAt.getTime()))
+}
+
+describe('Seckill Risk Checks', function () {
+  const originalClient = redisClient.client
+  const originalConfig = { ...config }
+  const ONE_YEAR_AGO = new Date(Date.now() - 365 * 24 * 3600 * 1000)
+
+  before(function () {
+    config.riskMaxAccountsPerIp = 1000
+    config.riskMaxAccountsPerDevice = 3
+    config.riskBlockScore = 100
+  })
+
+  after(function () {
+    redisClient.client = originalClient
+    Object.assign(config, originalConfig)
+  })
+
+  beforeEach(function () {
+    redisClient.client = createFakeRedis()
+  })
+
+  describe('buildRiskContext', function () {
+    it('should use X-Device-Fingerprint as the fingerprint', function () {
+      const context = buildRiskContext(buyRequest('user-1', { 'x-device-fingerprint': 'device-abc' }))
+
+      expect(context).to.include({ userId: 'user-1', productId: 'product-1', ip: '203.0.113.7', fingerprint: 'device-abc' })
+    })
+
+    it('should not derive a fingerprint from browser headers', function () {
+      const context = buildRiskContext(buyRequest('user-1'))
+
+      expect(context.fingerprint).to.be.undefined
+      expect(context.userAgent).to.equal(BROWSER_UA)
+    })
+  })
+
+  describe('accountsPerDevice', function () {
+    it('should flag more accounts than allowed on one fingerprint', async function () {
+      const results = []
+      for (const userId of ['u1', 'u2', 'u3', 'u4']) {
+        results.push(await accountsPerDevice.evaluate({ userId, fingerprint: 'device-abc' }))
+      }
+
+      expect(results.slice(0, 3).map((result) => result.score)).to.deep.equal([0, 0, 0])
+      expect(results[3]).to.deep.equal({ score: 100, reason: 'MULTI_ACCOUNT_DEVICE' })
+    })
+
+    it('should count the same account once', async function () {
+      for (let i = 0; i < 5; i++) {
+        expect(await accountsPerDevice.evaluate({ userId: 'u1', fingerprint: 'device-abc' })).to.deep.equal({ score: 0 })
+      }
+    })
+
+    it('should not score requests without a fingerprint', async function () {
+      expect(await accountsPerDevice.evaluate({ userId: 'u1' })).to.deep.equal({ score: 0 })
+    })
+  })
+
+  describe('accountsPerIp', function () {
+    it('should flag more accounts than allowed on one IP', async function () {
+      config.riskMaxAccountsPerIp = 2
+      try {
+        await accountsPerIp.evaluate({ userId: 'u1', ip: '198.51.100.1' })
+        await accountsPerIp.evaluate({ userId: 'u2', ip: '198.51.100.1' })
+
+        expect(await accountsPerIp.evaluate({ userId: 'u3', ip: '198.51.100.1' })).to.deep.equal({ score: 100, reason: 'MULTI_ACCOUNT_IP' })
+        expect(await accountsPerIp.evaluate({ userId: 'u3', ip: '198.51.100.2' })).to.deep.equal({ score: 0 })
+      } finally {
+        config.riskMaxAccountsPerIp = 1000
+      }
+    })
+  })
+
+  describe('userAgent', function () {
+    it('should flag missing and automation user-agents', async function () {
+      expect(await userAgent.evaluate({ userAgent: '' })).to.deep.equal({ score: 50, reason: 'MISSING_USER_AGENT' })
+      expect(await userAgent.evaluate({ userAgent: 'python-requests/2.31' })).to.deep.equal({ score: 50, reason: 'SUSPICIOUS_USER_AGENT' })
+      expect(await userAgent.evaluate({ userAgent: BROWSER_UA })).to.deep.equal({ score: 0 })
+    })
+  })
+
+  describe('RiskService.assess', function () {
+    it('should not block users sharing a browser and locale without a fingerprint', async function () {
+      for (const userId of ['u1', 'u2', 'u3', 'u4', 'u5', 'u6']) {
+        await seedAccountCreatedAt(userId, ONE_YEAR_AGO)
+        const assessment = await riskService.assess(buildRiskContext(buyRequest(userId)))
+
+        expect(assessment.blocked, userId).to.be.false
+        expect(assessment.reasons).to.deep.equal([])
+      }
+    })
+
+    it('should block accounts farmed from one device fingerprint', async function () {
+      const assessments = []
+      for (const userId of ['u1', 'u2', 'u3', 'u4']) {
+        await seedAccountCreatedAt(userId, ONE_YEAR_AGO)
+        assessments.push(await riskService.assess(buildRiskContext(buyRequest(userId, { 'x-device-fingerprint': 'device-abc' }))))
+      }
+
+      expect(assessments.slice(0, 3).every((assessment) => !assessment.blocked)).to.be.true
+      expect(assessments[3]).to.include({ blocked: true, score: 100 })
+      expect(assessments[3].reasons).to.deep.equal(['MULTI_ACCOUNT_DEVICE'])
+    })
+
+    it('should block soft signals only in combination', async function () {
+      await seedAccountCreatedAt('new-user', new Date())
+      const newAccount = await riskService.assess({ userId: 'new-user', ip: '203.0.113.7', userAgent: BROWSER_UA })
+      const newBot = await riskService.assess({ userId: 'new-user', ip: '203.0.113.7', userAgent: 'curl/8.4.0' })
+
+      expect(newAccount).to.include({ blocked: false, score: 50 })
+      expect(newBot).to.include({ blocked: true, score: 100 })
+      expect(newBot.reasons).to.have.members(['SUSPICIOUS_USER_AGENT', 'NEW_ACCOUNT'])
+    })
+
+    it('should ignore checks that fail', async function () {
+      riskService.registerCheck({ name: 'broken', evaluate: async () => { throw new Error('boom') } })
+      try {
+        await seedAccountCreatedAt('u1', ONE_YEAR_AGO)
+        const assessment = await riskService.assess({ userId: 'u1', ip: '203.0.113.7', userAgent: BROWSER_UA })
+
+        expect(assessment).to.include({ blocked: false, score: 0 })
+      } finally {
+        riskService.checks.pop()
+      }
+    })
+
+    it('should apply allow and deny lists before the checks', async function () {
+      await seedAccountCreatedAt('u1', ONE_YEAR_AGO)
+      await riskService.addToList('deny', 'user', 'u1')
+
+      const denied = await riskService.assess({ userId: 'u1', ip: '203.0.113.7', userAgent: BROWSER_UA })
+      expect(denied).to.include({ blocked: true })
+      expect(denied.reasons).to.deep.equal(['DENYLISTED_USER'])
+
+      await riskService.addToList('allow', 'ip', '203.0.113.7')
+      const allowed = await riskService.assess({ userId: 'u1', ip: '203.0.113.7', userAgent: 'curl/8.4.0' })
+      expect(allowed).to.deep.equal({ blocked: false, score: 0, reasons: [], list: { list: 'allow', type: 'ip' } })
+    })
+  })
+})